@@ -6,22 +6,28 @@
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import morgan from 'morgan';
 import dotenv from 'dotenv';
 import { getStorageProvider } from '../src/storage/index.js';
+import { accessLog } from '../src/middleware/accessLog.js';
+import { configureTrustProxy } from '../src/middleware/proxy.js';
 
 // Load environment variables
 dotenv.config();
 
 const app = express();
 
+// Trust X-Forwarded-For from the proxies named in TRUST_PROXY
+configureTrustProxy(app);
+
 // Middleware
 app.use(helmet());
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag']
 }));
-app.use(morgan('combined'));
+// Access log: the combined format plus who made the request
+app.use(accessLog());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -38,9 +44,13 @@ app.get('/api/health', (req, res) => {
 app.get('/api/ready', async (req, res) => {
   try {
     const storage = getStorageProvider();
+    const { github } = storage.getStats();
+
     res.json({
       status: 'ready',
       storage: process.env.STORAGE_PROVIDER || 'github',
+      // Remaining GitHub API budget (GitHub storage only)
+      rateLimit: github ? { ...github.rateLimit, pausedUntil: github.pausedUntil } : undefined,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -53,6 +63,13 @@ app.get('/api/ready', async (req, res) => {
 });
 
 app.get('/api/status', (req, res) => {
+  let storageStats = null;
+  try {
+    storageStats = getStorageProvider().getStats();
+  } catch (error) {
+    // Storage not configured - status still reports the rest
+  }
+
   res.json({
     success: true,
     data: {
@@ -61,6 +78,7 @@ app.get('/api/status', (req, res) => {
       environment: process.env.NODE_ENV || 'production',
       storage: process.env.STORAGE_PROVIDER || 'github',
       platform: 'vercel-serverless',
+      storageStats,
       timestamp: new Date().toISOString()
     }
   });
@@ -71,11 +89,15 @@ import postsRouter from '../src/routes/posts.js';
 import authRouter from '../src/routes/auth.js';
 import configRouter from '../src/routes/config.js';
 import uploadsRouter from '../src/routes/uploads.js';
+import backupRouter from '../src/routes/backup.js';
+import tokensRouter from '../src/routes/tokens.js';
 
 app.use('/api/posts', postsRouter);
 app.use('/api/auth', authRouter);
 app.use('/api/config', configRouter);
 app.use('/api/uploads', uploadsRouter);
+app.use('/api/backup', backupRouter);
+app.use('/api/tokens', tokensRouter);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Backup CLI
+ *
+ * Same bundles as GET /api/backup and POST /api/backup/restore, for stores
+ * too large to send through the API (or hosts with request size limits).
+ *
+ * Usage:
+ *   npm run storage:backup -- [--out file]
+ *   npm run storage:restore -- --in file [--mode fail|skip|overwrite] [--dry-run]
+ */
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import { createStorageProvider } from '../src/storage/index.js';
+import { CONFLICT_MODES, readBackup, restoreBackup, writeBackup } from '../src/services/backup.js';
+
+dotenv.config();
+
+const USAGE = 'Usage: node scripts/backup.js create [--out file]\n' +
+  '       node scripts/backup.js restore --in file [--mode fail|skip|overwrite] [--dry-run]';
+
+async function create(values) {
+  const storage = createStorageProvider();
+  const out = values.out || `bulletin-backup-${new Date().toISOString().replace(/[:.]/g, '-')}.tar.gz`;
+  const manifest = await writeBackup(storage, fs.createWriteStream(out), {
+    source: process.env.STORAGE_PROVIDER || 'github',
+    createdBy: 'cli',
+  });
+
+  console.log(`Backup written to ${out}: ${manifest.fileCount} files, ` +
+    `${(manifest.totalBytes / 1024).toFixed(1)} KiB of data`);
+}
+
+async function restore(values) {
+  if (!values.in) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  if (!CONFLICT_MODES.includes(values.mode)) {
+    console.error(`--mode must be one of: ${CONFLICT_MODES.join(', ')}`);
+    process.exit(2);
+  }
+
+  const storage = createStorageProvider();
+  const backup = await readBackup(fs.readFileSync(values.in));
+  console.log(`Backup from ${backup.manifest.createdAt} (${backup.manifest.source || 'unknown'} storage) verified`);
+
+  const report = await restoreBackup(storage, backup, {
+    mode: values.mode,
+    dryRun: values['dry-run'],
+    onFile: (path, outcome, detail) => {
+      console.log(`${outcome.padEnd(12)} ${path}${detail ? ` (${detail})` : ''}`);
+    },
+  });
+
+  console.log('');
+  console.log(Object.entries(report.totals).map(([key, value]) => `${key}: ${value}`).join(', '));
+
+  if (!report.applied && !report.dryRun) {
+    console.log('Conflicting files (nothing was restored; use --mode skip or --mode overwrite):');
+    for (const path of report.conflicts) {
+      console.log(`  ${path}`);
+    }
+    process.exit(1);
+  }
+  if (report.postIndexRebuilt) {
+    console.log('Post index rebuilt');
+  }
+
+  process.exit(report.failures.length > 0 ? 1 : 0);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: 'string' },
+      in: { type: 'string' },
+      mode: { type: 'string', default: 'fail' },
+      'dry-run': { type: 'boolean', default: false },
+    },
+  });
+
+  if (positionals[0] === 'create') {
+    await create(values);
+  } else if (positionals[0] === 'restore') {
+    await restore(values);
+  } else {
+    console.error(USAGE);
+    process.exit(2);
+  }
+}
+
+main().catch((error) => {
+  console.error('Backup failed:', error.message);
+  process.exit(1);
+});
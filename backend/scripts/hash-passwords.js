@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Hash every plaintext password in config/users.json
+ *
+ * Plaintext entries are also upgraded one by one as users log in; run this
+ * once to upgrade all of them now, including users who rarely log in.
+ *
+ * Usage:
+ *   npm run users:hash-passwords
+ *   npm run users:hash-passwords -- --dry-run
+ */
+
+import dotenv from 'dotenv';
+import { createStorageProvider } from '../src/storage/index.js';
+import { hashStoredPasswords, loadUsers, updateUsers } from '../src/services/users.js';
+
+dotenv.config();
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const storage = createStorageProvider();
+
+  if (dryRun) {
+    const { users } = await loadUsers(storage);
+    const pending = users.filter(user => user.password !== undefined);
+
+    for (const user of pending) {
+      console.log(`would hash ${user.username}`);
+    }
+    console.log(`Dry run: ${pending.length} of ${users.length} user(s) would be upgraded`);
+    return;
+  }
+
+  let upgraded = [];
+  let total = 0;
+
+  await updateUsers(storage, async (users) => {
+    const result = await hashStoredPasswords(users);
+    upgraded = result.upgraded;
+    total = users.length;
+    return upgraded.length > 0 ? result.users : null;
+  }, 'Hash stored passwords');
+
+  for (const username of upgraded) {
+    console.log(`hashed     ${username}`);
+  }
+  console.log(`Password migration: ${upgraded.length} of ${total} user(s) upgraded`);
+}
+
+main().catch((error) => {
+  console.error('Password migration failed:', error.message);
+  process.exit(1);
+});
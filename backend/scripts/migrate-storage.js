@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Storage migration CLI
+ *
+ * Copies config/, auth/, posts/, trash/, history/, uploads/, artifacts/ and
+ * notifications/ from one storage provider to another. Both providers are
+ * configured from the usual environment variables (.env); use
+ * --from-env/--to-env to point the same provider type at two different
+ * locations.
+ *
+ * Usage:
+ *   npm run storage:migrate -- --from github --to filesystem [options]
+ *
+ * Options:
+ *   --from <provider>      Source provider (github, filesystem, sqlite, s3, vercel-blob)
+ *   --to <provider>        Target provider
+ *   --from-env <file>      Extra env file applied while creating the source
+ *   --to-env <file>        Extra env file applied while creating the target
+ *   --only <roots>         Comma-separated subset of the data roots
+ *   --dry-run              Report what would be copied without writing
+ *   --overwrite            Replace target files whose content differs
+ *   --state <file>         Resume log (default .storage-migration-<from>-<to>.jsonl)
+ *   --restart              Ignore and replace an existing resume log
+ *   --report <file>        Also write the final report as JSON
+ */
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import { createStorageProvider } from '../src/storage/index.js';
+import { migrateStorage, DATA_ROOTS } from '../src/storage/migration.js';
+
+dotenv.config();
+
+const USAGE = 'Usage: npm run storage:migrate -- --from <provider> --to <provider> ' +
+  '[--dry-run] [--overwrite] [--only config,posts] [--state file] [--restart] [--report file]';
+
+/**
+ * Create a provider with extra environment variables applied
+ */
+function createProvider(name, envFile) {
+  if (!envFile) {
+    return createStorageProvider(name);
+  }
+
+  const overrides = dotenv.parse(fs.readFileSync(envFile));
+  const saved = {};
+
+  for (const [key, value] of Object.entries(overrides)) {
+    saved[key] = process.env[key];
+    process.env[key] = value;
+  }
+
+  try {
+    return createStorageProvider(name);
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  }
+}
+
+/**
+ * Print the final report as a table plus failures
+ */
+function printReport(report) {
+  const columns = ['files', 'copied', 'unchanged', 'resumed', 'conflicts', 'failed'];
+
+  console.log('');
+  console.log(`Migration ${report.from} → ${report.to}${report.dryRun ? ' (dry run)' : ''}`);
+  console.log(['root'.padEnd(16), ...columns.map(c => c.padStart(10))].join(''));
+
+  for (const [root, counts] of Object.entries(report.roots)) {
+    console.log([root.padEnd(16), ...columns.map(c => String(counts[c]).padStart(10))].join(''));
+  }
+  console.log(['total'.padEnd(16), ...columns.map(c => String(report.totals[c]).padStart(10))].join(''));
+  console.log(`${(report.totals.bytes / 1024).toFixed(1)} KiB read from ${report.from}`);
+
+  if (report.failures.length > 0) {
+    console.log('');
+    console.log('Not copied:');
+    for (const failure of report.failures) {
+      console.log(`  ${failure.path}: ${failure.reason}`);
+    }
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      'from-env': { type: 'string' },
+      'to-env': { type: 'string' },
+      only: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      overwrite: { type: 'boolean', default: false },
+      state: { type: 'string' },
+      restart: { type: 'boolean', default: false },
+      report: { type: 'string' },
+    },
+  });
+
+  if (!values.from || !values.to) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const roots = values.only ? values.only.split(',').map(r => r.trim()).filter(Boolean) : DATA_ROOTS;
+  const unknown = roots.filter(root => !DATA_ROOTS.includes(root));
+  if (unknown.length > 0) {
+    console.error(`Unknown data roots: ${unknown.join(', ')} (expected ${DATA_ROOTS.join(', ')})`);
+    process.exit(2);
+  }
+
+  if (values.from === values.to && !values['from-env'] && !values['to-env']) {
+    console.error('Source and target are the same provider; pass --from-env or --to-env');
+    process.exit(2);
+  }
+
+  const stateFile = values.state || `.storage-migration-${values.from}-${values.to}.jsonl`;
+  if (values.restart && fs.existsSync(stateFile)) {
+    fs.rmSync(stateFile);
+  }
+
+  const source = createProvider(values.from, values['from-env']);
+  const target = createProvider(values.to, values['to-env']);
+
+  const report = await migrateStorage(source, target, {
+    from: values.from,
+    to: values.to,
+    roots,
+    dryRun: values['dry-run'],
+    overwrite: values.overwrite,
+    stateFile,
+    onFile: (path, outcome, detail) => {
+      console.log(`${outcome.padEnd(10)} ${path}${detail ? ` (${detail})` : ''}`);
+    },
+  });
+
+  printReport(report);
+
+  if (values.report) {
+    fs.writeFileSync(values.report, JSON.stringify(report, null, 2));
+    console.log(`Report written to ${values.report}`);
+  }
+
+  const incomplete = report.totals.failed + report.totals.conflicts;
+  if (incomplete > 0 && !report.dryRun) {
+    console.log(`Rerun the same command to retry; completed files are tracked in ${stateFile}`);
+  }
+
+  process.exit(report.totals.failed > 0 || report.totals.conflicts > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+/**
+ * Purge deleted posts past the trash retention period
+ *
+ * The server already does this on an interval; run this from a scheduler
+ * (cron, Vercel cron job) on deployments without a long-running process.
+ *
+ * Usage:
+ *   npm run posts:purge-trash
+ */
+
+import dotenv from 'dotenv';
+import { createStorageProvider } from '../src/storage/index.js';
+import { purgeExpiredTrash, getRetentionDays } from '../src/services/trash.js';
+
+dotenv.config();
+
+async function main() {
+  const storage = createStorageProvider();
+  const { purged, failed } = await purgeExpiredTrash(storage);
+
+  for (const { id, files } of purged) {
+    console.log(`purged     ${id} (${files} files)`);
+  }
+  for (const { id, error } of failed) {
+    console.log(`failed     ${id}: ${error}`);
+  }
+
+  console.log(`Trash purge (retention ${getRetentionDays()} days): ${purged.length} purged, ${failed.length} failed`);
+  process.exit(failed.length > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error('Trash purge failed:', error.message);
+  process.exit(1);
+});
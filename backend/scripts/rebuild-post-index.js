@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+/**
+ * Rebuild posts/index.json from the post files
+ *
+ * Run when the index has drifted, e.g. after posts were edited directly in
+ * the data repo or restored from a backup.
+ *
+ * Usage:
+ *   npm run posts:reindex
+ */
+
+import dotenv from 'dotenv';
+import { createStorageProvider } from '../src/storage/index.js';
+import { rebuildPostIndex } from '../src/services/postIndex.js';
+
+dotenv.config();
+
+async function main() {
+  const storage = createStorageProvider();
+  const index = await rebuildPostIndex(storage);
+
+  console.log(`Post index rebuilt: ${index.posts.length} posts`);
+}
+
+main().catch((error) => {
+  console.error('Rebuilding post index failed:', error.message);
+  process.exit(1);
+});
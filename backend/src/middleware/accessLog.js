@@ -0,0 +1,28 @@
+/**
+ * Access log shared by the server and the Vercel entry point
+ */
+
+import morgan from 'morgan';
+
+/**
+ * Who made the request: user:alice, or token:alice/<token id> for requests
+ * made with a personal API token, so the two can be told apart
+ */
+morgan.token('auth', (req) => {
+  if (!req.user) {
+    return '-';
+  }
+  return req.user.tokenId ? `token:${req.user.username}/${req.user.tokenId}` : `user:${req.user.username}`;
+});
+
+/**
+ * The combined format plus the :auth token
+ */
+export const ACCESS_LOG_FORMAT = ':remote-addr - :remote-user [:date[clf]] ":method :url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent" :auth';
+
+/**
+ * Request logging middleware
+ */
+export function accessLog() {
+  return morgan(ACCESS_LOG_FORMAT);
+}
@@ -1,12 +1,32 @@
-import jwt from 'jsonwebtoken';
+import { getStorageProvider } from '../storage/index.js';
+import { isApiToken, verifyApiToken } from '../services/apiTokens.js';
+import { ACTIONS, hasPermission } from '../services/permissions.js';
+import { SessionError, verifyAccessToken } from '../services/sessions.js';
+import { isDeactivated } from '../services/users.js';
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-me';
+/**
+ * Verify a bearer token: a session access token (JWT) or a personal API token
+ * Tokens of deactivated users are refused even before they expire
+ */
+async function verifyBearerToken(token) {
+  const storage = getStorageProvider();
+  const decoded = isApiToken(token) ? await verifyApiToken(storage, token) : await verifyAccessToken(storage, token);
+
+  if (await isDeactivated(storage, decoded.username)) {
+    throw new SessionError('This account has been deactivated', 'ACCOUNT_DEACTIVATED');
+  }
+
+  return decoded;
+}
 
 /**
- * Middleware to authenticate requests using JWT tokens
+ * Middleware to authenticate requests using JWT tokens or personal API tokens
  * Expects: Authorization: Bearer <token>
+ * Rejects expired and revoked tokens (see services/sessions.js) and tokens
+ * of deactivated users. Requests made with an API token get
+ * `req.user.tokenId` and `req.user.scopes`
  */
-export function authenticate(req, res, next) {
+export async function authenticate(req, res, next) {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -22,33 +42,89 @@ export function authenticate(req, res, next) {
 
   const token = authHeader.substring(7);
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = await verifyBearerToken(token);
   } catch (error) {
+    if (!(error instanceof SessionError)) {
+      console.error('Error checking token revocation:', error);
+      return res.status(503).json({
+        success: false,
+        error: {
+          code: 'AUTH_UNAVAILABLE',
+          message: 'Could not verify the session, please retry'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
     return res.status(401).json({
       success: false,
       error: {
-        code: 'INVALID_TOKEN',
-        message: 'Invalid or expired token'
+        code: error.code,
+        message: error.message
       },
       timestamp: new Date().toISOString()
     });
   }
+
+  req.user = decoded;
+  next();
 }
 
 /**
- * Middleware to require admin role
+ * Middleware to require a permission from the policy table (services/permissions.js)
+ * Grants that depend on the post ('own', 'assigned') pass here and are
+ * checked by the route with can() once the post is loaded.
  * Must be used after authenticate middleware
  */
-export function requireAdmin(req, res, next) {
-  if (!req.user || req.user.role !== 'admin') {
+export function requirePermission(action) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, action)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: `Your role (${req.user?.role}) is not allowed to: ${ACTIONS[action] || action}`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware to require an API token scope
+ * Session tokens carry every scope; API tokens only those they were created with.
+ * Must be used after authenticate middleware
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.user?.scopes && !req.user.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_SCOPE',
+          message: `This API token lacks the ${scope} scope`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware to refuse API tokens, for account actions that need a signed-in user
+ * Must be used after authenticate middleware
+ */
+export function requireSession(req, res, next) {
+  if (req.user?.tokenId) {
     return res.status(403).json({
       success: false,
       error: {
-        code: 'FORBIDDEN',
-        message: 'Admin access required'
+        code: 'SESSION_REQUIRED',
+        message: 'API tokens cannot be used for this request'
       },
       timestamp: new Date().toISOString()
     });
@@ -56,18 +132,28 @@ export function requireAdmin(req, res, next) {
   next();
 }
 
+/**
+ * Who made a request, for storage commit messages: the username, with the
+ * token id when a personal API token was used
+ * Must be used after authenticate middleware
+ */
+export function requestActor(req) {
+  return req.user.tokenId
+    ? `${req.user.username} (API token ${req.user.tokenId})`
+    : req.user.username;
+}
+
 /**
  * Optional authentication - doesn't fail if no token
  * Just populates req.user if valid token exists
  */
-export function optionalAuth(req, res, next) {
+export async function optionalAuth(req, res, next) {
   const authHeader = req.headers.authorization;
 
   if (authHeader && authHeader.startsWith('Bearer ')) {
     const token = authHeader.substring(7);
     try {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      req.user = decoded;
+      req.user = await verifyBearerToken(token);
     } catch (error) {
       // Invalid token, but we don't fail - just continue without user
     }
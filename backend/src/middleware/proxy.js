@@ -0,0 +1,32 @@
+/**
+ * Reverse proxy settings shared by the server and the Vercel entry point
+ */
+
+/**
+ * Parse TRUST_PROXY into an Express 'trust proxy' value
+ * `true`, a hop count, or comma-separated addresses/subnets; null when unset
+ */
+export function parseTrustProxy(value = process.env.TRUST_PROXY) {
+  if (!value) {
+    return null;
+  }
+
+  if (value === 'true') {
+    return true;
+  }
+
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Behind a load balancer or reverse proxy, req.ip (used for login throttling
+ * and sessions) is only the client's address if the proxy is trusted
+ * @param {import('express').Express} app
+ */
+export function configureTrustProxy(app) {
+  const trustProxy = parseTrustProxy();
+
+  if (trustProxy !== null) {
+    app.set('trust proxy', trustProxy);
+  }
+}
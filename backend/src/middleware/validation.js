@@ -100,3 +100,41 @@ export function validateFileUpload(req, res, next) {
 
   next();
 }
+
+/**
+ * Post IDs as allocated by services/idAllocator.js
+ */
+export const POST_ID_PATTERN = /^post-\d+$/;
+
+/**
+ * Upload names as sanitized on upload (and never just `.` or `..`)
+ */
+export const UPLOAD_FILENAME_PATTERN = /^(?!\.\.?$)[a-zA-Z0-9._-]+$/;
+
+/**
+ * Check a post ID, e.g. from a request body
+ */
+export function isPostId(id) {
+  return typeof id === 'string' && POST_ID_PATTERN.test(id);
+}
+
+/**
+ * Build a router.param() handler that rejects values not matching a pattern
+ * Route parameters go into storage paths, and Express decodes %2F in them
+ */
+export function validateParam(pattern, label) {
+  return (req, res, next, value) => {
+    if (!pattern.test(value)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Invalid ${label}: ${value}`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    next();
+  };
+}
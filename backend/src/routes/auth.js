@@ -1,124 +1,968 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import { getStorageProvider } from '../storage/index.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requireSession } from '../middleware/auth.js';
 import { validateLogin } from '../middleware/validation.js';
+import { hashPassword, validatePassword } from '../services/passwords.js';
+import {
+  OAuthError,
+  completeGithubLogin,
+  createAuthorization,
+  getGithubOAuthConfig,
+  resolveGithubAccount
+} from '../services/githubOAuth.js';
+import { InviteError, acceptInvite, getInviteByToken } from '../services/invites.js';
+import { recordLoginEvent } from '../services/loginEvents.js';
+import {
+  checkLoginAllowed,
+  getThrottleStore,
+  recordLoginFailure,
+  recordLoginSuccess
+} from '../services/loginThrottle.js';
+import { completeOidcLogin, createOidcAuthorization, getOidcConfig } from '../services/oidc.js';
+import { PasswordResetError, requestPasswordReset, resetPassword } from '../services/passwordResets.js';
+import { ACTIONS, POLICY, ROLES } from '../services/permissions.js';
+import { loadSettings } from '../services/settings.js';
+import {
+  TwoFactorError,
+  beginEnrollment,
+  confirmEnrollment,
+  createChallenge,
+  disableTwoFactor,
+  getTwoFactorStatus,
+  isTwoFactorRequired,
+  regenerateRecoveryCodes,
+  verifyChallenge,
+  verifyTwoFactorCode
+} from '../services/twoFactor.js';
+import {
+  SessionError,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  verifyAccessToken
+} from '../services/sessions.js';
+import {
+  SetupError,
+  authenticateUser,
+  createInitialAdmin,
+  getSetupToken,
+  isActive,
+  isSetupRequired,
+  loadUsers,
+  toPublicUser,
+  updateUsers
+} from '../services/users.js';
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-me';
-const TOKEN_EXPIRY = '24h';
+
+/**
+ * Open a session for a user and build the login response body
+ */
+async function loginResponse(storage, user, req) {
+  const session = await createSession(storage, user, {
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+
+  return {
+    success: true,
+    data: session,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * The two-factor step a user still has to take after the first one
+ * @returns {Promise<Object|null>} - { twoFactor: 'verify' | 'setup', challengeToken },
+ *   or null if they have two-factor off and their role doesn't require it
+ */
+async function twoFactorStep(storage, settings, user) {
+  const twoFactor = await getTwoFactorStatus(storage, user.username);
+
+  if (!twoFactor.enabled && !isTwoFactorRequired(settings, user.role)) {
+    return null;
+  }
+
+  return {
+    twoFactor: twoFactor.enabled ? 'verify' : 'setup',
+    challengeToken: createChallenge(user, !twoFactor.enabled)
+  };
+}
+
+/**
+ * The two-factor step after GitHub or single sign-on, which only counts as
+ * the first step unless settings.auth.trustProviderMfa says the provider's
+ * own second factor is enough
+ */
+async function providerTwoFactorStep(storage, user) {
+  const { settings } = await loadSettings(storage);
+  return settings.auth.trustProviderMfa ? null : twoFactorStep(storage, settings, user);
+}
 
 /**
  * POST /api/auth/login - Login with username/password
  */
-router.post('/login', validateLogin, async (req, res) => {
+router.post('/login', validateLogin, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const storage = getStorageProvider();
+
+    if (await isSetupRequired(storage)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'SETUP_REQUIRED',
+          message: 'No users exist yet. Complete first-run setup to create the admin account.'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { settings } = await loadSettings(storage);
+
+    if (!settings.auth.passwordLogin) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'PASSWORD_LOGIN_DISABLED',
+          message: 'Password login is turned off. Sign in with single sign-on instead.'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const throttle = getThrottleStore();
+    const attempt = { username, ip: req.ip, userAgent: req.get('user-agent') };
+
+    // Refused attempts are turned away before the password is checked
+    const refusal = await checkLoginAllowed(throttle, attempt);
+    if (refusal) {
+      recordLoginEvent(storage, {
+        ...attempt,
+        type: refusal.code === 'ACCOUNT_LOCKED' ? 'login_locked' : 'login_throttled'
+      });
+      res.set('Retry-After', String(refusal.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: {
+          code: refusal.code,
+          message: refusal.message,
+          retryAfter: refusal.retryAfter
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const user = await authenticateUser(storage, username, password);
+
+    if (!user) {
+      const { userLocked, ipLocked } = await recordLoginFailure(throttle, attempt);
+      recordLoginEvent(storage, { ...attempt, type: 'login_failure' });
+      for (const [scope, locked] of [['user', userLocked], ['ip', ipLocked]]) {
+        if (locked) {
+          recordLoginEvent(storage, { ...attempt, type: 'lockout', detail: scope });
+        }
+      }
+
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_CREDENTIALS',
+          message: 'Invalid username or password'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Only said once the password is right, so it doesn't reveal accounts
+    if (!isActive(user)) {
+      recordLoginEvent(storage, { ...attempt, type: 'login_failure', detail: 'deactivated' });
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_DEACTIVATED',
+          message: 'This account has been deactivated. Ask an admin to reactivate it.'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // With two-factor on (or required for the role) the password only earns
+    // a challenge token; the failure counter is cleared after the second step
+    const step = await twoFactorStep(storage, settings, user);
+    if (step) {
+      return res.json({
+        success: true,
+        data: step,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await recordLoginSuccess(throttle, attempt);
+    recordLoginEvent(storage, { ...attempt, type: 'login_success' });
+
+    res.json(await loginResponse(storage, user, req));
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'LOGIN_FAILED',
+        message: 'Login failed. Please try again.'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Send a TwoFactorError as a JSON error response
+ */
+function sendTwoFactorError(res, error) {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  return res.status(error.statusCode).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+      ...(error.retryAfter ? { retryAfter: error.retryAfter } : {})
+    },
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Count a wrong second-factor code as a failed login, with its events
+ */
+async function recordTwoFactorFailure(storage, throttle, attempt) {
+  const { userLocked, ipLocked } = await recordLoginFailure(throttle, attempt);
+  recordLoginEvent(storage, { ...attempt, type: 'login_failure', detail: 'two_factor' });
+  for (const [scope, locked] of [['user', userLocked], ['ip', ipLocked]]) {
+    if (locked) {
+      recordLoginEvent(storage, { ...attempt, type: 'lockout', detail: scope });
+    }
+  }
+}
+
+/**
+ * The user a challenge token was issued to, if they still exist
+ * GitHub users have no account entry and are looked up as on refresh
+ * @throws {TwoFactorError} - INVALID_CHALLENGE
+ */
+async function challengeUser(storage, challengeToken) {
+  const { username, provider } = verifyChallenge(challengeToken);
+  const user = provider === 'github'
+    ? await resolveGithubAccount(storage, username)
+    : (await loadUsers(storage)).users.find(u => u.username === username);
+
+  if (!isActive(user)) {
+    throw new TwoFactorError('The login has expired, please sign in again', 401, 'INVALID_CHALLENGE');
+  }
+  // The session keeps the sign-in method, which refresh checks
+  return { ...user, authProvider: provider };
+}
+
+/**
+ * POST /api/auth/login/2fa/setup - Start enrolling during login
+ * Body: { challengeToken } from /login when it answered twoFactor: 'setup'.
+ * Returns { secret, otpauthUrl, qrCode } for the authenticator app
+ */
+router.post('/login/2fa/setup', async (req, res) => {
+  try {
+    const storage = getStorageProvider();
+    const user = await challengeUser(storage, req.body.challengeToken);
+
+    if ((await getTwoFactorStatus(storage, user.username)).enabled) {
+      throw new TwoFactorError('Two-factor authentication is already set up, enter a code instead', 409, 'ALREADY_ENABLED');
+    }
+
+    res.json({
+      success: true,
+      data: await beginEnrollment(storage, user.username),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return sendTwoFactorError(res, error);
+    }
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'LOGIN_FAILED',
+        message: 'Login failed. Please try again.'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/auth/login/2fa - Finish a login with a second factor
+ * Body: { challengeToken, code }. code is an authenticator code or a recovery
+ * code; while enrolling it confirms the new secret. Responds like /login, plus
+ * `recoveryCodes` after enrolling. Wrong codes count as failed logins
+ */
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const storage = getStorageProvider();
+    const user = await challengeUser(storage, challengeToken);
+
+    const throttle = getThrottleStore();
+    const attempt = { username: user.username, ip: req.ip, userAgent: req.get('user-agent') };
+
+    const refusal = await checkLoginAllowed(throttle, attempt);
+    if (refusal) {
+      recordLoginEvent(storage, {
+        ...attempt,
+        type: refusal.code === 'ACCOUNT_LOCKED' ? 'login_locked' : 'login_throttled'
+      });
+      res.set('Retry-After', String(refusal.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: {
+          code: refusal.code,
+          message: refusal.message,
+          retryAfter: refusal.retryAfter
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let recoveryCodes = null;
+    let method = null;
+
+    try {
+      if ((await getTwoFactorStatus(storage, user.username)).enabled) {
+        method = (await verifyTwoFactorCode(storage, user.username, code))?.method || null;
+      } else {
+        recoveryCodes = await confirmEnrollment(storage, user.username, code);
+        method = 'totp';
+      }
+    } catch (error) {
+      if (!(error instanceof TwoFactorError) || error.code !== 'INVALID_CODE') {
+        throw error;
+      }
+    }
+
+    if (!method) {
+      await recordTwoFactorFailure(storage, throttle, attempt);
+
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_CODE',
+          message: 'The code is not valid, check your authenticator app and try again'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await recordLoginSuccess(throttle, attempt);
+    recordLoginEvent(storage, {
+      ...attempt,
+      type: 'login_success',
+      detail: method === 'recovery' ? 'recovery_code' : 'two_factor'
+    });
+
+    const body = await loginResponse(storage, user, req);
+    if (recoveryCodes) {
+      body.data.recoveryCodes = recoveryCodes;
+    }
+    res.json(body);
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return sendTwoFactorError(res, error);
+    }
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'LOGIN_FAILED',
+        message: 'Login failed. Please try again.'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/auth/providers - Sign-in methods this server offers
+ */
+router.get('/providers', async (req, res) => {
+  try {
+    const { settings } = await loadSettings(getStorageProvider());
+    const oidc = getOidcConfig();
+
+    res.json({
+      success: true,
+      data: {
+        password: settings.auth.passwordLogin,
+        github: getGithubOAuthConfig() !== null,
+        oidc: oidc !== null,
+        oidcName: oidc?.displayName || null
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching sign-in providers:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/auth/github/start - Begin GitHub sign-in
+ * Returns the GitHub authorize URL and the state the callback must echo back
+ */
+router.get('/github/start', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: createAuthorization(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    console.error('GitHub sign-in start error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'OAUTH_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/auth/github/callback - Finish GitHub sign-in
+ * Body: { code, state } from GitHub's redirect. Responds like /login,
+ * including its two-factor step
+ */
+router.post('/github/callback', async (req, res) => {
+  try {
+    const { code, state } = req.body;
+    const storage = getStorageProvider();
+    const account = await completeGithubLogin(storage, { code, state });
+
+    const step = await providerTwoFactorStep(storage, account);
+    if (step) {
+      return res.json({
+        success: true,
+        data: step,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json(await loginResponse(storage, account, req));
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    console.error('GitHub sign-in error:', error);
+    res.status(502).json({
+      success: false,
+      error: {
+        code: 'OAUTH_FAILED',
+        message: 'Could not complete GitHub sign-in. Please try again.'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/auth/oidc/start - Begin single sign-on
+ * Returns the provider's authorize URL, the state the callback must echo back
+ * and the PKCE code verifier to send with it
+ */
+router.get('/oidc/start', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await createOidcAuthorization(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    console.error('Single sign-on start error:', error);
+    res.status(502).json({
+      success: false,
+      error: {
+        code: 'OAUTH_FAILED',
+        message: 'Could not reach the sign-on provider. Please try again.'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/auth/oidc/callback - Finish single sign-on
+ * Body: { code, state, codeVerifier }. Responds like /login, including its
+ * two-factor step
+ */
+router.post('/oidc/callback', async (req, res) => {
+  try {
+    const { code, state, codeVerifier } = req.body;
+    const storage = getStorageProvider();
+    const user = await completeOidcLogin(storage, { code, state, codeVerifier });
+
+    const step = await providerTwoFactorStep(storage, user);
+    if (step) {
+      return res.json({
+        success: true,
+        data: step,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json(await loginResponse(storage, user, req));
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    console.error('Single sign-on error:', error);
+    res.status(502).json({
+      success: false,
+      error: {
+        code: 'OAUTH_FAILED',
+        message: 'Could not complete single sign-on. Please try again.'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/auth/setup - Whether first-run setup is still needed
+ */
+router.get('/setup', async (req, res) => {
+  try {
+    const storage = getStorageProvider();
+    const required = await isSetupRequired(storage);
+
+    if (required) {
+      // Make sure the generated code has been logged
+      getSetupToken();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        required
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error checking setup status:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/auth/setup - Create the first admin account and log in
+ * Body: { setupToken, username, password, fullName }
+ * Only allowed while no users exist
+ */
+router.post('/setup', validateLogin, async (req, res) => {
+  try {
+    const { setupToken, username, password, fullName } = req.body;
+    const passwordProblem = validatePassword(password);
+
+    if (passwordProblem) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: passwordProblem
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const storage = getStorageProvider();
+    const admin = await createInitialAdmin(storage, {
+      setupToken,
+      username: username.trim(),
+      password,
+      fullName
+    });
+
+    res.status(201).json(await loginResponse(storage, admin, req));
+  } catch (error) {
+    if (error instanceof SetupError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    console.error('Setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SETUP_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/auth/invite - Look up an architect invitation
+ * Body: { token } from the invite link. Returns who it is for
+ */
+router.post('/invite', async (req, res) => {
+  try {
+    const invite = await getInviteByToken(getStorageProvider(), req.body.token);
+
+    res.json({
+      success: true,
+      data: invite,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof InviteError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    console.error('Error looking up invite:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/auth/invite/accept - Accept an architect invitation
+ * Body: { token, password }. Creates the account; the architect then logs in
+ */
+router.post('/invite/accept', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const { user } = await acceptInvite(getStorageProvider(), token, password);
+
+    res.status(201).json({
+      success: true,
+      data: toPublicUser(user),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof InviteError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    console.error('Error accepting invite:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CREATE_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/auth/refresh - Exchange a refresh token for a new token pair
+ * Body: { refreshToken }. The refresh token is rotated: use the new one next time
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'refreshToken is required'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const storage = getStorageProvider();
+    const session = await refreshSession(storage, refreshToken, async (username, provider) => {
+      if (provider === 'github') {
+        return resolveGithubAccount(storage, username);
+      }
+      const { users } = await loadUsers(storage);
+      const user = users.find(u => u.username === username) || null;
+      if (!isActive(user)) {
+        return null;
+      }
+      if (provider === 'password') {
+        // Turning password login off also ends existing password sessions,
+        // and so does requiring two-factor for a role that hasn't set it up
+        const { settings } = await loadSettings(storage);
+        if (!settings.auth.passwordLogin) {
+          return null;
+        }
+        if (isTwoFactorRequired(settings, user.role) && !(await getTwoFactorStatus(storage, username)).enabled) {
+          return null;
+        }
+      }
+      return user;
+    });
+
+    res.json({
+      success: true,
+      data: session,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'REFRESH_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout - End the current session
+ * Its refresh token stops working and its access tokens are revoked
+ */
+router.post('/logout', authenticate, requireSession, async (req, res) => {
   try {
-    const { username, password } = req.body;
+    await revokeSession(getStorageProvider(), req.user.username, req.user.sid);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Logged out successfully'
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'LOGOUT_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout-all - End every session of the current user
+ */
+router.post('/logout-all', authenticate, requireSession, async (req, res) => {
+  try {
+    const sessions = await revokeUserSessions(getStorageProvider(), req.user.username);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Logged out of all sessions',
+        sessions
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Logout-all error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'LOGOUT_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/auth/change-password - Change your own password
+ * Body: { currentPassword, newPassword }. Every other session of the user is
+ * ended; wrong current passwords count as failed logins
+ */
+router.post('/change-password', authenticate, requireSession, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const { username } = req.user;
     const storage = getStorageProvider();
 
-    // Fetch users from storage
-    const result = await storage.getJson('config/users.json');
-
-    if (!result || !result.data || !result.data.users) {
-      // If no users file exists, use default admin user
-      const defaultUser = {
-        username: 'admin',
-        password: 'admin123',  // In production, this should be hashed
-        role: 'admin',
-        fullName: 'Administrator'
-      };
-
-      if (username === defaultUser.username && password === defaultUser.password) {
-        const token = jwt.sign(
-          {
-            username: defaultUser.username,
-            role: defaultUser.role,
-            fullName: defaultUser.fullName
-          },
-          JWT_SECRET,
-          { expiresIn: TOKEN_EXPIRY }
-        );
-
-        return res.json({
-          success: true,
-          data: {
-            token,
-            user: {
-              username: defaultUser.username,
-              role: defaultUser.role,
-              fullName: defaultUser.fullName
-            }
-          },
-          timestamp: new Date().toISOString()
-        });
-      }
+    const { users } = await loadUsers(storage);
+    const account = users.find(u => u.username === username);
 
-      return res.status(401).json({
+    if (!account || (!account.passwordHash && !account.password)) {
+      return res.status(400).json({
         success: false,
         error: {
-          code: 'INVALID_CREDENTIALS',
-          message: 'Invalid username or password'
+          code: 'NO_PASSWORD',
+          message: 'Your account signs in with GitHub or single sign-on, which manage your password'
         },
         timestamp: new Date().toISOString()
       });
     }
 
-    // Find user
-    const user = result.data.users.find(u => u.username === username);
+    const passwordProblem = typeof currentPassword !== 'string'
+      ? 'currentPassword is required'
+      : validatePassword(newPassword) || (newPassword === currentPassword ? 'The new password must be different' : null);
 
-    if (!user) {
-      return res.status(401).json({
+    if (passwordProblem) {
+      return res.status(400).json({
         success: false,
         error: {
-          code: 'INVALID_CREDENTIALS',
-          message: 'Invalid username or password'
+          code: 'VALIDATION_ERROR',
+          message: passwordProblem
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const throttle = getThrottleStore();
+    const attempt = { username, ip: req.ip, userAgent: req.get('user-agent') };
+
+    const refusal = await checkLoginAllowed(throttle, attempt);
+    if (refusal) {
+      res.set('Retry-After', String(refusal.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: {
+          code: refusal.code,
+          message: refusal.message,
+          retryAfter: refusal.retryAfter
         },
         timestamp: new Date().toISOString()
       });
     }
 
-    // Check password (in production, use bcrypt to compare hashed passwords)
-    if (user.password !== password) {
+    if (!(await authenticateUser(storage, username, currentPassword))) {
+      await recordLoginFailure(throttle, attempt);
+      recordLoginEvent(storage, { ...attempt, type: 'login_failure', detail: 'change_password' });
+
       return res.status(401).json({
         success: false,
         error: {
           code: 'INVALID_CREDENTIALS',
-          message: 'Invalid username or password'
+          message: 'Current password is incorrect'
         },
         timestamp: new Date().toISOString()
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        username: user.username,
-        role: user.role,
-        fullName: user.fullName
-      },
-      JWT_SECRET,
-      { expiresIn: TOKEN_EXPIRY }
-    );
+    const passwordHash = await hashPassword(newPassword);
+    await updateUsers(storage, current => current.map((u) => {
+      if (u.username !== username) {
+        return u;
+      }
+      const { password: _legacy, ...rest } = u;
+      return { ...rest, passwordHash };
+    }), `Change password for ${username}`);
+    await recordLoginSuccess(throttle, attempt);
+
+    const sessions = await revokeUserSessions(storage, username, { except: req.user.sid });
 
     res.json({
       success: true,
       data: {
-        token,
-        user: {
-          username: user.username,
-          role: user.role,
-          fullName: user.fullName
-        }
+        message: 'Password changed',
+        sessions
       },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Error changing password:', error);
     res.status(500).json({
       success: false,
       error: {
-        code: 'LOGIN_FAILED',
-        message: 'Login failed. Please try again.'
+        code: 'UPDATE_FAILED',
+        message: error.message
       },
       timestamp: new Date().toISOString()
     });
@@ -126,20 +970,85 @@ router.post('/login', validateLogin, async (req, res) => {
 });
 
 /**
- * POST /api/auth/logout - Logout (client-side token removal)
+ * POST /api/auth/password-reset - Request a password reset link by email
+ * Body: { username }. The answer, and how long it takes, are the same
+ * whether or not the account exists or can be reset
  */
-router.post('/logout', authenticate, (req, res) => {
-  // With JWT, logout is handled client-side by removing the token
-  // This endpoint exists for consistency and future stateful session management
+router.post('/password-reset', async (req, res) => {
+  const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+
+  if (!username) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'username is required'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  await requestPasswordReset(getStorageProvider(), username);
+
   res.json({
     success: true,
     data: {
-      message: 'Logged out successfully'
+      message: 'If the account exists and has an email address, a reset link is on its way.'
     },
     timestamp: new Date().toISOString()
   });
 });
 
+/**
+ * POST /api/auth/password-reset/confirm - Set a new password with a reset link
+ * Body: { token, password }. Ends all of the user's sessions
+ */
+router.post('/password-reset/confirm', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const storage = getStorageProvider();
+    const user = await resetPassword(storage, token, password);
+
+    const sessions = await revokeUserSessions(storage, user.username);
+    await recordLoginSuccess(getThrottleStore(), { username: user.username });
+    recordLoginEvent(storage, {
+      type: 'password_reset',
+      username: user.username,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      data: {
+        username: user.username,
+        sessions
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof PasswordResetError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    console.error('Error resetting password:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * GET /api/auth/me - Get current user info
  */
@@ -155,10 +1064,223 @@ router.get('/me', authenticate, (req, res) => {
   });
 });
 
+/**
+ * GET /api/auth/permissions - The policy table and the current user's grants
+ * The frontend decides which routes and buttons to show from this
+ */
+router.get('/permissions', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      role: req.user.role,
+      permissions: POLICY[req.user.role] || {},
+      roles: ROLES,
+      actions: ACTIONS,
+      policy: POLICY
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Check a code from the signed-in user's authenticator (or a recovery code)
+ * before a change to their two-factor settings
+ * Wrong codes count as failed logins, as on /login/2fa, so a stolen session
+ * can't be used to guess codes
+ * @throws {TwoFactorError} - INVALID_CODE, or ACCOUNT_LOCKED / TOO_MANY_ATTEMPTS (429)
+ */
+async function requireCurrentCode(storage, req, code) {
+  const throttle = getThrottleStore();
+  const attempt = { username: req.user.username, ip: req.ip, userAgent: req.get('user-agent') };
+
+  const refusal = await checkLoginAllowed(throttle, attempt);
+  if (refusal) {
+    recordLoginEvent(storage, {
+      ...attempt,
+      type: refusal.code === 'ACCOUNT_LOCKED' ? 'login_locked' : 'login_throttled'
+    });
+    const error = new TwoFactorError(refusal.message, 429, refusal.code);
+    error.retryAfter = refusal.retryAfter;
+    throw error;
+  }
+
+  if (!(await verifyTwoFactorCode(storage, attempt.username, code))) {
+    await recordTwoFactorFailure(storage, throttle, attempt);
+    throw new TwoFactorError('The code is not valid, check your authenticator app and try again', 401, 'INVALID_CODE');
+  }
+
+  await recordLoginSuccess(throttle, attempt);
+}
+
+/**
+ * GET /api/auth/2fa - The current user's two-factor status
+ * Returns { enabled, enabledAt, recoveryCodesLeft, required }
+ */
+router.get('/2fa', authenticate, requireSession, async (req, res) => {
+  try {
+    const storage = getStorageProvider();
+    const { settings } = await loadSettings(storage);
+
+    res.json({
+      success: true,
+      data: {
+        ...(await getTwoFactorStatus(storage, req.user.username)),
+        required: isTwoFactorRequired(settings, req.user.role)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup - Start enrolling an authenticator app
+ * Body: { code } with a current code when moving to a new device.
+ * Returns { secret, otpauthUrl, qrCode }. Nothing changes until /2fa/enable
+ * confirms a code, so an enabled authenticator keeps working meanwhile
+ */
+router.post('/2fa/setup', authenticate, requireSession, async (req, res) => {
+  try {
+    const storage = getStorageProvider();
+
+    if ((await getTwoFactorStatus(storage, req.user.username)).enabled) {
+      await requireCurrentCode(storage, req, req.body.code);
+    }
+
+    res.json({
+      success: true,
+      data: await beginEnrollment(storage, req.user.username),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return sendTwoFactorError(res, error);
+    }
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable - Confirm enrollment with a code from the app
+ * Body: { code }. Returns { recoveryCodes }, shown only this once
+ */
+router.post('/2fa/enable', authenticate, requireSession, async (req, res) => {
+  try {
+    const recoveryCodes = await confirmEnrollment(getStorageProvider(), req.user.username, req.body.code);
+
+    res.json({
+      success: true,
+      data: { recoveryCodes },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return sendTwoFactorError(res, error);
+    }
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes - Replace the recovery codes
+ * Body: { code }. Returns { recoveryCodes }; the old ones stop working
+ */
+router.post('/2fa/recovery-codes', authenticate, requireSession, async (req, res) => {
+  try {
+    const storage = getStorageProvider();
+    await requireCurrentCode(storage, req, req.body.code);
+
+    res.json({
+      success: true,
+      data: { recoveryCodes: await regenerateRecoveryCodes(storage, req.user.username) },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return sendTwoFactorError(res, error);
+    }
+    console.error('Error replacing recovery codes:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable - Turn two-factor authentication off
+ * Body: { code }. Refused while the user's role requires two-factor
+ */
+router.post('/2fa/disable', authenticate, requireSession, async (req, res) => {
+  try {
+    const storage = getStorageProvider();
+    const { settings } = await loadSettings(storage);
+
+    if (isTwoFactorRequired(settings, req.user.role)) {
+      throw new TwoFactorError(`Two-factor authentication is required for the ${req.user.role} role`, 403, 'TWO_FACTOR_REQUIRED');
+    }
+
+    if (!(await getTwoFactorStatus(storage, req.user.username)).enabled) {
+      throw new TwoFactorError('Two-factor authentication is not enabled', 409, 'NOT_ENABLED');
+    }
+
+    await requireCurrentCode(storage, req, req.body.code);
+    await disableTwoFactor(storage, req.user.username);
+
+    res.json({
+      success: true,
+      data: { enabled: false },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return sendTwoFactorError(res, error);
+    }
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * POST /api/auth/verify - Verify token validity
  */
-router.post('/verify', (req, res) => {
+router.post('/verify', async (req, res) => {
   const { token } = req.body;
 
   if (!token) {
@@ -173,7 +1295,7 @@ router.post('/verify', (req, res) => {
   }
 
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = await verifyAccessToken(getStorageProvider(), token);
     res.json({
       success: true,
       data: {
@@ -0,0 +1,145 @@
+import express from 'express';
+import { getStorageProvider } from '../storage/index.js';
+import { authenticate, requirePermission, requireScope } from '../middleware/auth.js';
+import {
+  BackupError,
+  CONFLICT_MODES,
+  readBackup,
+  restoreBackup,
+  writeBackup
+} from '../services/backup.js';
+
+const router = express.Router();
+
+// Backups are uploaded as the raw .tar.gz body
+const readArchiveBody = express.raw({
+  type: ['application/gzip', 'application/x-gzip', 'application/octet-stream'],
+  limit: process.env.BACKUP_MAX_SIZE || '200mb'
+});
+
+/**
+ * GET /api/backup - Download a backup of all data (admin only)
+ * The archive is streamed as files are read; if reading fails part way,
+ * the connection is cut so the client can't mistake it for a whole backup
+ */
+router.get('/', authenticate, requireScope('config:admin'), requirePermission('backup:manage'), async (req, res) => {
+  try {
+    const storage = getStorageProvider();
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="bulletin-backup-${stamp}.tar.gz"`
+    });
+
+    await writeBackup(storage, res, {
+      source: process.env.STORAGE_PROVIDER || 'github',
+      createdBy: req.user.username
+    });
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'BACKUP_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/backup/restore - Restore a backup archive (admin only)
+ * Body: the .tar.gz archive. Query: mode (fail|skip|overwrite, default fail),
+ * dryRun (true to only report what would change)
+ */
+router.post('/restore', authenticate, requireScope('config:admin'), requirePermission('backup:manage'), readArchiveBody, async (req, res) => {
+  try {
+    const mode = req.query.mode || 'fail';
+    const dryRun = req.query.dryRun === 'true';
+
+    if (!CONFLICT_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `mode must be one of: ${CONFLICT_MODES.join(', ')}`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Send the backup archive as the request body (Content-Type: application/gzip)'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const storage = getStorageProvider();
+    const backup = await readBackup(req.body);
+    const report = await restoreBackup(storage, backup, { mode, dryRun });
+
+    if (!report.applied && !dryRun) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'CONFLICT',
+          message: `${report.conflicts.length} file(s) differ from the backup; nothing was restored. ` +
+            'Use mode=skip or mode=overwrite.',
+          details: report
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (report.failures.length > 0) {
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'RESTORE_INCOMPLETE',
+          message: `${report.failures.length} file(s) could not be written; rerun the restore to retry them`,
+          details: report
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof BackupError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+          details: { problems: error.problems }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    console.error('Error restoring backup:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RESTORE_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+export default router;
@@ -1,13 +1,81 @@
 import express from 'express';
 import { getStorageProvider } from '../storage/index.js';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { StorageConflictError } from '../storage/StorageProvider.js';
+import { authenticate, requestActor, requirePermission, requireScope } from '../middleware/auth.js';
+import { revokeUserApiTokens } from '../services/apiTokens.js';
+import { getGithubOAuthConfig } from '../services/githubOAuth.js';
+import { InviteError, createInvite, inviteMessage, listInvites, renewInvite, revokeInvite } from '../services/invites.js';
+import { LOGIN_EVENT_TYPES, listLoginEvents, recordLoginEvent } from '../services/loginEvents.js';
+import { getThrottleStore, listLockouts, unlock } from '../services/loginThrottle.js';
+import { isEmailAddress, sendMail } from '../services/mail.js';
+import { getOidcConfig } from '../services/oidc.js';
+import { hashPassword, validatePassword, withPasswordHash } from '../services/passwords.js';
+import { ROLES } from '../services/permissions.js';
+import { revokeUserSessions } from '../services/sessions.js';
+import { SETTINGS_PATH, loadSettings } from '../services/settings.js';
+import { disableTwoFactor, getTwoFactorStatus } from '../services/twoFactor.js';
+import { AccountError, isActive, isLastActiveAdmin, toPublicUser, updateAccount } from '../services/users.js';
 
 const router = express.Router();
 
+/**
+ * A user as listed to admins: no credentials, plus status
+ */
+async function toAccountSummary(storage, user) {
+  return {
+    ...toPublicUser(user),
+    email: user.email || null,
+    active: isActive(user),
+    deactivatedAt: user.deactivatedAt || null,
+    deactivatedBy: user.deactivatedBy || null,
+    signIn: user.oidcSubject ? 'oidc' : 'password',
+    twoFactorEnabled: (await getTwoFactorStatus(storage, user.username)).enabled
+  };
+}
+
+/**
+ * Send an AccountError or InviteError as a JSON error response
+ */
+function sendServiceError(res, error) {
+  return res.status(error.statusCode).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message
+    },
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Mail an invite link
+ * A failed delivery is reported instead of undoing the invite, which the
+ * admin can resend
+ */
+async function deliverInvite(invite, token) {
+  try {
+    await sendMail(inviteMessage(invite, token));
+    return { emailSent: true };
+  } catch (error) {
+    console.error(`Error sending invite to ${invite.email}:`, error);
+    return { emailSent: false, mailError: error.message };
+  }
+}
+
+/**
+ * Close everything a removed account could still use: sessions, API tokens
+ * and two-factor settings
+ */
+async function removeAccountAccess(storage, username) {
+  await revokeUserSessions(storage, username);
+  await revokeUserApiTokens(storage, username);
+  await disableTwoFactor(storage, username);
+}
+
 /**
  * GET /api/config/architects - Get list of architects
  */
-router.get('/architects', authenticate, async (req, res) => {
+router.get('/architects', authenticate, requireScope('posts:read'), async (req, res) => {
   try {
     const storage = getStorageProvider();
     const result = await storage.getJson('config/architects.json');
@@ -44,7 +112,7 @@ router.get('/architects', authenticate, async (req, res) => {
 /**
  * GET /api/config/statuses - Get list of post statuses
  */
-router.get('/statuses', authenticate, async (req, res) => {
+router.get('/statuses', authenticate, requireScope('posts:read'), async (req, res) => {
   try {
     const storage = getStorageProvider();
     const result = await storage.getJson('config/statuses.json');
@@ -88,39 +156,15 @@ router.get('/statuses', authenticate, async (req, res) => {
 /**
  * GET /api/config/users - Get list of users (admin only)
  */
-router.get('/users', authenticate, requireAdmin, async (req, res) => {
+router.get('/users', authenticate, requireScope('config:admin'), requirePermission('config:manage'), async (req, res) => {
   try {
     const storage = getStorageProvider();
     const result = await storage.getJson('config/users.json');
 
-    if (!result || !result.data) {
-      // Return default users if file doesn't exist
-      const defaultUsers = {
-        users: [
-          {
-            username: 'admin',
-            role: 'admin',
-            fullName: 'Administrator',
-            // Don't return passwords in the response
-          }
-        ]
-      };
-
-      return res.json({
-        success: true,
-        data: defaultUsers,
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    // Remove passwords from response
+    // Remove password hashes from response
     const sanitizedData = {
-      ...result.data,
-      users: result.data.users.map(user => ({
-        username: user.username,
-        role: user.role,
-        fullName: user.fullName
-      }))
+      ...result?.data,
+      users: await Promise.all((result?.data?.users || []).map(user => toAccountSummary(storage, user)))
     };
 
     res.json({
@@ -144,7 +188,7 @@ router.get('/users', authenticate, requireAdmin, async (req, res) => {
 /**
  * PUT /api/config/architects - Update architects list (admin only)
  */
-router.put('/architects', authenticate, requireAdmin, async (req, res) => {
+router.put('/architects', authenticate, requireScope('config:admin'), requirePermission('config:manage'), async (req, res) => {
   try {
     const storage = getStorageProvider();
     const { architects } = req.body;
@@ -160,15 +204,14 @@ router.put('/architects', authenticate, requireAdmin, async (req, res) => {
       });
     }
 
-    const data = { architects };
-
     // Get current SHA if file exists
     const current = await storage.getJson('config/architects.json');
+    const data = { ...current?.data, architects };
 
     await storage.saveJson(
       'config/architects.json',
       data,
-      `Update architects by ${req.user.username}`,
+      `Update architects by ${requestActor(req)}`,
       current?.sha
     );
 
@@ -190,10 +233,246 @@ router.put('/architects', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/config/architects/:username - Activate or deactivate an architect (admin only)
+ * Body: { status: 'active' | 'inactive' }. Their user account, if any,
+ * is activated or deactivated with them
+ */
+router.put('/architects/:username', authenticate, requireScope('config:admin'), requirePermission('config:manage'), async (req, res) => {
+  try {
+    const { username } = req.params;
+    const { status } = req.body;
+
+    if (!['active', 'inactive'].includes(status)) {
+      throw new AccountError("status must be 'active' or 'inactive'");
+    }
+
+    if (username === req.user.username && status === 'inactive') {
+      throw new AccountError("You can't deactivate yourself", 400, 'SELF_CHANGE');
+    }
+
+    const storage = getStorageProvider();
+    const active = status === 'active';
+    const deactivation = {
+      deactivatedAt: active ? null : new Date().toISOString(),
+      deactivatedBy: active ? null : req.user.username
+    };
+
+    const updated = await updateAccount(storage, username, ({ user, architect, users }) => {
+      if (!architect) {
+        throw new AccountError(`Architect ${username} not found`, 404, 'NOT_FOUND');
+      }
+      if (!active && user && isLastActiveAdmin(users, username)) {
+        throw new AccountError(`${username} is the last active admin`, 409, 'LAST_ADMIN');
+      }
+
+      return {
+        user: user && isActive(user) !== active ? { ...user, active, ...deactivation } : user,
+        architect: { ...architect, status, ...deactivation }
+      };
+    }, `${active ? 'Activate' : 'Deactivate'} architect ${username} by ${requestActor(req)}`);
+
+    if (!active) {
+      await revokeUserSessions(storage, username);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        architect: updated.architect,
+        user: updated.user ? await toAccountSummary(storage, updated.user) : null
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof AccountError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Error updating architect:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /api/config/architects/:username - Delete an architect and their login account (admin only)
+ * A user account with another role (e.g. an admin also listed as architect)
+ * is kept. Posts keep their assignments
+ */
+router.delete('/architects/:username', authenticate, requireScope('config:admin'), requirePermission('config:manage'), async (req, res) => {
+  try {
+    const { username } = req.params;
+    const storage = getStorageProvider();
+    let userDeleted = false;
+
+    await updateAccount(storage, username, ({ user, architect }) => {
+      if (!architect) {
+        throw new AccountError(`Architect ${username} not found`, 404, 'NOT_FOUND');
+      }
+
+      userDeleted = user?.role === 'architect';
+      return { user: userDeleted ? null : user, architect: null };
+    }, `Delete architect ${username} by ${requestActor(req)}`);
+
+    if (userDeleted) {
+      await removeAccountAccess(storage, username);
+    }
+
+    res.json({
+      success: true,
+      data: { username, userDeleted },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof AccountError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Error deleting architect:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DELETE_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/config/invites - Pending architect invitations (admin only)
+ */
+router.get('/invites', authenticate, requireScope('config:admin'), requirePermission('config:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { invites: await listInvites(getStorageProvider()) },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching invites:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/config/invites - Invite an architect by email (admin only)
+ * Body: { username, email, displayName, specialization }. The architect
+ * chooses their password from the link in the email
+ */
+router.post('/invites', authenticate, requireScope('config:admin'), requirePermission('config:manage'), async (req, res) => {
+  try {
+    const { username, email, displayName, specialization } = req.body;
+    const { invite, token } = await createInvite(getStorageProvider(), {
+      username: typeof username === 'string' ? username.trim() : username,
+      email: typeof email === 'string' ? email.trim() : email,
+      displayName: typeof displayName === 'string' ? displayName.trim() : displayName,
+      specialization
+    }, req.user.username);
+
+    res.status(201).json({
+      success: true,
+      data: { invite, ...await deliverInvite(invite, token) },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof InviteError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Error creating invite:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CREATE_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/config/invites/:id/resend - Mail a pending invite again with a new link (admin only)
+ * The previous link stops working and the expiry starts over
+ */
+router.post('/invites/:id/resend', authenticate, requireScope('config:admin'), requirePermission('config:manage'), async (req, res) => {
+  try {
+    const { invite, token } = await renewInvite(getStorageProvider(), req.params.id, req.user.username);
+
+    res.json({
+      success: true,
+      data: { invite, ...await deliverInvite(invite, token) },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof InviteError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Error resending invite:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /api/config/invites/:id - Revoke a pending invite (admin only)
+ */
+router.delete('/invites/:id', authenticate, requireScope('config:admin'), requirePermission('config:manage'), async (req, res) => {
+  try {
+    const revoked = await revokeInvite(getStorageProvider(), req.params.id, req.user.username);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Invite not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id: req.params.id, revoked: true },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error revoking invite:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DELETE_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * PUT /api/config/statuses - Update statuses list (admin only)
  */
-router.put('/statuses', authenticate, requireAdmin, async (req, res) => {
+router.put('/statuses', authenticate, requireScope('config:admin'), requirePermission('config:manage'), async (req, res) => {
   try {
     const storage = getStorageProvider();
     const { statuses } = req.body;
@@ -217,7 +496,7 @@ router.put('/statuses', authenticate, requireAdmin, async (req, res) => {
     await storage.saveJson(
       'config/statuses.json',
       data,
-      `Update statuses by ${req.user.username}`,
+      `Update statuses by ${requestActor(req)}`,
       current?.sha
     );
 
@@ -241,11 +520,13 @@ router.put('/statuses', authenticate, requireAdmin, async (req, res) => {
 
 /**
  * POST /api/config/users - Create new user (admin only)
+ * Body: { username, password, role, fullName, email }. The email address
+ * (optional) receives password reset links
  */
-router.post('/users', authenticate, requireAdmin, async (req, res) => {
+router.post('/users', authenticate, requireScope('config:admin'), requirePermission('config:manage'), async (req, res) => {
   try {
     const storage = getStorageProvider();
-    const { username, password, role, fullName } = req.body;
+    const { username, password, role, fullName, email } = req.body;
 
     // Validation
     if (!username || !password) {
@@ -259,6 +540,40 @@ router.post('/users', authenticate, requireAdmin, async (req, res) => {
       });
     }
 
+    const passwordProblem = validatePassword(password);
+    if (passwordProblem) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: passwordProblem
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Unknown role: ${role}. Valid roles: ${ROLES.join(', ')}`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (email && !isEmailAddress(email)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid email address'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
     // Get current users
     const current = await storage.getJson('config/users.json');
     const users = current?.data?.users || [];
@@ -277,12 +592,12 @@ router.post('/users', authenticate, requireAdmin, async (req, res) => {
     }
 
     // Add new user
-    const newUser = {
+    const newUser = await withPasswordHash({
       username,
-      password, // In production, this should be hashed
       role: role || 'architect',
-      fullName: fullName || username
-    };
+      fullName: fullName || username,
+      ...(email ? { email } : {})
+    }, password);
 
     users.push(newUser);
 
@@ -292,7 +607,7 @@ router.post('/users', authenticate, requireAdmin, async (req, res) => {
     await storage.saveJson(
       'config/users.json',
       data,
-      `Add user ${username} by ${req.user.username}`,
+      `Add user ${username} by ${requestActor(req)}`,
       current?.sha
     );
 
@@ -307,6 +622,17 @@ router.post('/users', authenticate, requireAdmin, async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (error instanceof StorageConflictError) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'CONFLICT',
+          message: 'Users were changed by someone else, please reload and try again'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
     console.error('Error creating user:', error);
     res.status(500).json({
       success: false,
@@ -319,4 +645,482 @@ router.post('/users', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/config/users/:username - Update a user (admin only)
+ * Body: any of { fullName, email, role, password, active }; an empty email
+ * removes it. Deactivating also deactivates their architect entry. A new
+ * password, a new role or deactivation ends the user's sessions. Admins
+ * can't change their own role or deactivate themselves, and the last active
+ * admin must stay one
+ */
+router.put('/users/:username', authenticate, requireScope('config:admin'), requirePermission('config:manage'), async (req, res) => {
+  try {
+    const { username } = req.params;
+    const { fullName, email, role, password, active } = req.body;
+
+    if (fullName !== undefined && (typeof fullName !== 'string' || !fullName.trim())) {
+      throw new AccountError('fullName must be a non-empty string');
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+      throw new AccountError(`Unknown role: ${role}. Valid roles: ${ROLES.join(', ')}`);
+    }
+    if (email && !isEmailAddress(email)) {
+      throw new AccountError('Invalid email address');
+    }
+    if (active !== undefined && typeof active !== 'boolean') {
+      throw new AccountError('active must be a boolean');
+    }
+    const passwordProblem = password !== undefined && validatePassword(password);
+    if (passwordProblem) {
+      throw new AccountError(passwordProblem);
+    }
+
+    if (username === req.user.username && ((role !== undefined && role !== req.user.role) || active === false)) {
+      throw new AccountError("You can't change your own role or deactivate yourself", 400, 'SELF_CHANGE');
+    }
+
+    const storage = getStorageProvider();
+    const passwordHash = password !== undefined ? await hashPassword(password) : null;
+    let endSessions = false;
+
+    const updated = await updateAccount(storage, username, ({ user, architect, users }) => {
+      if (!user) {
+        throw new AccountError(`User ${username} not found`, 404, 'NOT_FOUND');
+      }
+
+      const { password: _legacy, ...rest } = user;
+      const next = {
+        ...(passwordHash ? rest : user),
+        ...(fullName !== undefined ? { fullName: fullName.trim() } : {}),
+        ...(email !== undefined ? { email: email || null } : {}),
+        ...(role !== undefined ? { role } : {}),
+        ...(passwordHash ? { passwordHash } : {})
+      };
+
+      const statusChanged = active !== undefined && active !== isActive(user);
+      if (statusChanged) {
+        Object.assign(next, {
+          active,
+          deactivatedAt: active ? null : new Date().toISOString(),
+          deactivatedBy: active ? null : req.user.username
+        });
+      }
+
+      if ((next.role !== 'admin' || !isActive(next)) && isLastActiveAdmin(users, username)) {
+        throw new AccountError(`${username} is the last active admin`, 409, 'LAST_ADMIN');
+      }
+
+      endSessions = Boolean(passwordHash) || next.role !== user.role || !isActive(next);
+
+      return {
+        user: next,
+        architect: architect && statusChanged
+          ? {
+            ...architect,
+            status: active ? 'active' : 'inactive',
+            deactivatedAt: next.deactivatedAt,
+            deactivatedBy: next.deactivatedBy
+          }
+          : architect
+      };
+    }, `Update user ${username} by ${requestActor(req)}`);
+
+    if (endSessions) {
+      await revokeUserSessions(storage, username);
+    }
+
+    res.json({
+      success: true,
+      data: await toAccountSummary(storage, updated.user),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof AccountError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Error updating user:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /api/config/users/:username - Delete a user (admin only)
+ * Also removes their architect entry, sessions, API tokens and two-factor
+ * settings. Posts keep their authors and assignments
+ */
+router.delete('/users/:username', authenticate, requireScope('config:admin'), requirePermission('config:manage'), async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    if (username === req.user.username) {
+      throw new AccountError("You can't delete yourself", 400, 'SELF_CHANGE');
+    }
+
+    const storage = getStorageProvider();
+
+    await updateAccount(storage, username, ({ user, users }) => {
+      if (!user) {
+        throw new AccountError(`User ${username} not found`, 404, 'NOT_FOUND');
+      }
+      if (isLastActiveAdmin(users, username)) {
+        throw new AccountError(`${username} is the last active admin`, 409, 'LAST_ADMIN');
+      }
+      return { user: null, architect: null };
+    }, `Delete user ${username} by ${requestActor(req)}`);
+
+    await removeAccountAccess(storage, username);
+
+    res.json({
+      success: true,
+      data: { username, deleted: true },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof AccountError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Error deleting user:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DELETE_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/config/settings/auth - Sign-in settings (admin only)
+ * Also says which sign-on providers are configured and which roles
+ * requireTwoFactor can name
+ */
+router.get('/settings/auth', authenticate, requireScope('config:admin'), requirePermission('config:manage'), async (req, res) => {
+  try {
+    const { settings } = await loadSettings(getStorageProvider());
+
+    res.json({
+      success: true,
+      data: {
+        ...settings.auth,
+        github: getGithubOAuthConfig() !== null,
+        oidc: getOidcConfig() !== null,
+        roles: ROLES
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching sign-in settings:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /api/config/settings/auth - Update sign-in settings (admin only)
+ * Body: { passwordLogin, requireTwoFactor?, trustProviderMfa? }. Password login can only be
+ * turned off while GitHub or single sign-on is configured, and two-factor
+ * can only be required for your own role once you have set it up, so admins
+ * can't lock everyone (or themselves) out
+ */
+router.put('/settings/auth', authenticate, requireScope('config:admin'), requirePermission('config:manage'), async (req, res) => {
+  try {
+    const { passwordLogin, requireTwoFactor, trustProviderMfa } = req.body;
+
+    if (typeof passwordLogin !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'passwordLogin must be a boolean'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (requireTwoFactor !== undefined && (!Array.isArray(requireTwoFactor) || requireTwoFactor.some(role => !ROLES.includes(role)))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `requireTwoFactor must be a list of roles: ${ROLES.join(', ')}`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (trustProviderMfa !== undefined && typeof trustProviderMfa !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'trustProviderMfa must be a boolean'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!passwordLogin && !getGithubOAuthConfig() && !getOidcConfig()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NO_SSO_PROVIDER',
+          message: 'Configure GitHub sign-in or single sign-on before turning off password login'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const storage = getStorageProvider();
+
+    if (requireTwoFactor?.includes(req.user.role) && !(await getTwoFactorStatus(storage, req.user.username)).enabled) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'TWO_FACTOR_NOT_ENABLED',
+          message: 'Set up two-factor authentication on your profile before requiring it for your role'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const current = await storage.getJson(SETTINGS_PATH);
+    const stored = current?.data || {};
+    const data = {
+      ...stored,
+      auth: {
+        ...stored.auth,
+        passwordLogin,
+        ...(requireTwoFactor ? { requireTwoFactor: [...new Set(requireTwoFactor)] } : {}),
+        ...(trustProviderMfa !== undefined ? { trustProviderMfa } : {})
+      },
+      lastUpdated: new Date().toISOString(),
+      updatedBy: req.user.username
+    };
+
+    await storage.saveJson(
+      SETTINGS_PATH,
+      data,
+      `Update sign-in settings by ${requestActor(req)}`,
+      current?.sha
+    );
+
+    const { settings } = await loadSettings(storage);
+
+    res.json({
+      success: true,
+      data: settings.auth,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof StorageConflictError) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'CONFLICT',
+          message: 'Settings were changed by someone else, please reload and try again'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    console.error('Error updating sign-in settings:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /api/config/users/:username/2fa - Reset a user's two-factor authentication (admin only)
+ * For a lost authenticator and recovery codes. If their role requires
+ * two-factor they enroll again at their next login
+ */
+router.delete('/users/:username/2fa', authenticate, requireScope('config:admin'), requirePermission('config:manage'), async (req, res) => {
+  try {
+    const { username } = req.params;
+    const found = await disableTwoFactor(getStorageProvider(), username);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: `Two-factor authentication is not enabled for ${username}`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { username, twoFactorEnabled: false },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error resetting two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/config/lockouts - Failed-login counters and lockouts (admin only)
+ */
+router.get('/lockouts', authenticate, requireScope('config:admin'), requirePermission('config:manage'), async (req, res) => {
+  try {
+    const lockouts = await listLockouts(getThrottleStore());
+
+    res.json({
+      success: true,
+      data: { lockouts },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching lockouts:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /api/config/lockouts/:key - Unlock a username or IP (admin only)
+ * key is user:<username> or ip:<address>
+ */
+router.delete('/lockouts/:key', authenticate, requireScope('config:admin'), requirePermission('config:manage'), async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    if (!/^(user|ip):.+/.test(key)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'key must be user:<username> or ip:<address>'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const found = await unlock(getThrottleStore(), key);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: `No failed logins recorded for ${key}`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const separator = key.indexOf(':');
+    const value = key.slice(separator + 1);
+    recordLoginEvent(getStorageProvider(), {
+      type: 'unlock',
+      username: key.startsWith('user:') ? value : null,
+      ip: key.startsWith('ip:') ? value : null,
+      actor: req.user.username
+    });
+
+    res.json({
+      success: true,
+      data: { key, unlocked: true },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error unlocking login:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/config/login-events - Login attempts for a day, newest first (admin only)
+ * Query: day (YYYY-MM-DD, default today UTC), username, type, limit (max 1000)
+ */
+router.get('/login-events', authenticate, requireScope('config:admin'), requirePermission('config:manage'), async (req, res) => {
+  try {
+    const { day, username, type } = req.query;
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || 200, 1000);
+
+    if (day && !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'day must be YYYY-MM-DD'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (type && !LOGIN_EVENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Unknown event type: ${type}. Valid types: ${LOGIN_EVENT_TYPES.join(', ')}`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const events = await listLoginEvents(getStorageProvider(), { day, username, type, limit });
+
+    res.json({
+      success: true,
+      data: { events },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching login events:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 export default router;
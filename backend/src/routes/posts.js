@@ -1,51 +1,261 @@
 import express from 'express';
 import { getStorageProvider } from '../storage/index.js';
-import { authenticate } from '../middleware/auth.js';
-import { validatePost } from '../middleware/validation.js';
+import { StorageConflictError } from '../storage/StorageProvider.js';
+import { authenticate, requestActor, requirePermission, requireScope } from '../middleware/auth.js';
+import { POST_ID_PATTERN, validateParam, validatePost } from '../middleware/validation.js';
+import {
+  isPostFile,
+  toPostSummary,
+  getPostSummaries,
+  upsertPost,
+  removePost,
+  commitWithIndex
+} from '../services/postIndex.js';
+import { allocatePostId } from '../services/idAllocator.js';
+import { can, checkPostUpdate } from '../services/permissions.js';
+import {
+  DEFAULT_HISTORY_LIMIT,
+  MAX_HISTORY_LIMIT,
+  revisionOperations,
+  diffPosts,
+  getPostHistory,
+  getPostRevision
+} from '../services/postHistory.js';
+import {
+  trashPath,
+  toTrashedPost,
+  fromTrashedPost,
+  listTrash,
+  purgeDate
+} from '../services/trash.js';
 
 const router = express.Router();
 
+router.param('id', validateParam(POST_ID_PATTERN, 'post ID'));
+
+const MAX_COMMENT_LENGTH = 5000;
+const MAX_COMMENT_ATTEMPTS = 5;
+
+/**
+ * Format a storage SHA as an HTTP entity tag
+ */
+function toEtag(sha) {
+  return sha ? `"${String(sha).replace(/"/g, '')}"` : null;
+}
+
+/**
+ * Check the request's If-Match header against the stored SHA
+ * A missing header always matches (the precondition is opt-in)
+ */
+function matchesIfMatch(req, sha) {
+  const header = req.get('If-Match');
+
+  if (!header || header.trim() === '*') {
+    return true;
+  }
+
+  return header
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .includes(toEtag(sha));
+}
+
 /**
- * Helper function to generate post ID
+ * Respond 409 with the current server copy so the client can merge or reload
  */
-function generatePostId(count) {
-  return `post-${String(count + 1).padStart(4, '0')}`;
+function sendConflict(res, postId, current) {
+  if (current) {
+    res.set('ETag', toEtag(current.sha));
+  }
+
+  return res.status(409).json({
+    success: false,
+    error: {
+      code: 'CONFLICT',
+      message: `Post ${postId} was modified by someone else. Reload or merge your changes.`,
+      details: {
+        current: current ? current.data : null,
+        version: current ? toEtag(current.sha) : null
+      }
+    },
+    timestamp: new Date().toISOString()
+  });
 }
 
 /**
- * GET /api/posts - List all posts
+ * Respond 409 after a write lost a race, with the copy that won if it can
+ * still be read. A failed re-read only leaves out the current copy
  */
-router.get('/', authenticate, async (req, res) => {
+async function sendLatestConflict(res, postId) {
+  let current = null;
+
+  try {
+    current = await getStorageProvider().getJson(`posts/${postId}.json`);
+  } catch (error) {
+    console.error(`Error re-reading post ${postId} after a conflict:`, error);
+  }
+
+  return sendConflict(res, postId, current);
+}
+
+/**
+ * Respond 403 for an action the user's role doesn't allow on this post
+ */
+function sendForbidden(res, message) {
+  return res.status(403).json({
+    success: false,
+    error: {
+      code: 'FORBIDDEN',
+      message
+    },
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Status definitions, needed to check adminOnly statuses
+ * Only read when an update actually changes the status
+ */
+async function statusesFor(storage, post, updates) {
+  if (updates.status === undefined || updates.status === post.status) {
+    return [];
+  }
+  const result = await storage.getJson('config/statuses.json');
+  return result?.data?.statuses || [];
+}
+
+/**
+ * Parse list filters, sorting and paging from the query string
+ * Returns null if limit/offset are not valid numbers
+ */
+function parsePostQuery(params) {
+  const query = {
+    status: params.status || undefined,
+    architect: params.architect || undefined,
+    createdBy: params.createdBy || undefined,
+    search: params.search ? String(params.search).trim() : undefined,
+    sortBy: params.sortBy || 'createdAt',
+    sortOrder: params.sortOrder === 'asc' ? 'asc' : 'desc',
+  };
+
+  if (params.archived !== undefined) {
+    query.isArchived = params.archived === 'true';
+  }
+
+  for (const key of ['limit', 'offset']) {
+    if (params[key] !== undefined) {
+      const value = Number.parseInt(params[key], 10);
+      if (Number.isNaN(value) || value < 0) {
+        return null;
+      }
+      query[key] = value;
+    }
+  }
+
+  return query;
+}
+
+/**
+ * Apply a parsed post query in memory (for providers without queryPosts)
+ */
+function applyPostQuery(posts, query) {
+  const search = query.search ? query.search.toLowerCase() : null;
+
+  const matches = posts.filter(p =>
+    (!query.status || p.status === query.status)
+    && (!query.createdBy || p.createdBy === query.createdBy)
+    && (query.isArchived === undefined || Boolean(p.isArchived) === query.isArchived)
+    && (!query.architect || (p.assignedArchitects || []).includes(query.architect))
+    && (!search || [p.title, p.description ?? p.excerpt, ...(p.concernedParties || [])]
+      .some(value => typeof value === 'string' && value.toLowerCase().includes(search)))
+  );
+
+  const direction = query.sortOrder === 'asc' ? 1 : -1;
+  const field = ['createdAt', 'updatedAt', 'title', 'status'].includes(query.sortBy)
+    ? query.sortBy
+    : 'createdAt';
+
+  matches.sort((a, b) => {
+    const left = field.endsWith('At') ? new Date(a[field]) : String(a[field] || '');
+    const right = field.endsWith('At') ? new Date(b[field]) : String(b[field] || '');
+    return (left > right ? 1 : left < right ? -1 : 0) * direction;
+  });
+
+  const offset = query.offset || 0;
+  const end = query.limit !== undefined ? offset + query.limit : undefined;
+
+  return {
+    items: matches.slice(offset, end),
+    total: matches.length,
+  };
+}
+
+/**
+ * GET /api/posts - List posts
+ * Query: status, architect, createdBy, search, archived, sortBy, sortOrder, limit, offset
+ * Returns post summaries from posts/index.json; full=true returns whole posts
+ */
+router.get('/', authenticate, requireScope('posts:read'), requirePermission('posts:read'), async (req, res) => {
   try {
     const storage = getStorageProvider();
 
-    // List posts directory
-    const files = await storage.listDirectory('posts');
-
-    // Fetch all posts in parallel
-    const posts = await Promise.all(
-      files
-        .filter(f => f.name.endsWith('.json'))
-        .map(async (file) => {
-          try {
-            const result = await storage.getJson(file.path);
-            return result ? result.data : null;
-          } catch (error) {
-            console.error(`Error fetching post ${file.path}:`, error);
-            return null;
-          }
-        })
-    );
+    const query = parsePostQuery(req.query);
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'limit and offset must be non-negative integers'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const full = req.query.full === 'true';
+
+    // Providers with a query index filter, sort and page server-side
+    const indexed = await storage.queryPosts(query);
+    if (indexed) {
+      const items = full ? indexed.items : indexed.items.map(toPostSummary);
+      return res.json({
+        success: true,
+        data: items,
+        count: items.length,
+        total: indexed.total,
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    // Filter nulls and sort by creation date
-    const validPosts = posts
-      .filter(p => p !== null)
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    let posts;
+
+    if (full) {
+      // List posts directory and fetch all posts in parallel
+      const files = await storage.listDirectory('posts');
+      posts = await Promise.all(
+        files
+          .filter(isPostFile)
+          .map(async (file) => {
+            try {
+              const result = await storage.getJson(file.path);
+              return result ? result.data : null;
+            } catch (error) {
+              console.error(`Error fetching post ${file.path}:`, error);
+              return null;
+            }
+          })
+      );
+    } else {
+      posts = await getPostSummaries(storage);
+    }
+
+    // Filter nulls, then apply filters, sorting and paging
+    const result = applyPostQuery(posts.filter(p => p !== null), query);
 
     res.json({
       success: true,
-      data: validPosts,
-      count: validPosts.length,
+      data: result.items,
+      count: result.items.length,
+      total: result.total,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -63,15 +273,39 @@ router.get('/', authenticate, async (req, res) => {
 
 /**
  * POST /api/posts - Create new post
+ * Optional `attachments: [{ filename, content (base64), type }]` are stored
+ * in the same storage batch as the post, so the post never references
+ * files that failed to upload
  */
-router.post('/', authenticate, validatePost, async (req, res) => {
+router.post('/', authenticate, requireScope('posts:write'), requirePermission('posts:create'), validatePost, async (req, res) => {
   try {
     const storage = getStorageProvider();
-    const { title, description, concernedParties } = req.body;
+    const { title, description, concernedParties, attachments = [] } = req.body;
 
-    // Generate post ID
-    const files = await storage.listDirectory('posts');
-    const postId = generatePostId(files.length);
+    if (!Array.isArray(attachments) || attachments.some(file => !file?.filename || !file?.content)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'attachments must be an array of { filename, content }'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Allocate a post ID (never reused, safe under concurrent creates)
+    const postId = await allocatePostId(storage);
+
+    const uploads = attachments.map((file, index) => {
+      const filename = file.filename.replace(/[^a-zA-Z0-9._-]/g, '_');
+      return {
+        filename,
+        path: `uploads/attachments/${postId}/${Date.now()}-${index}-${filename}`,
+        content: file.content,
+        size: Buffer.from(file.content, 'base64').length,
+        type: file.type || ''
+      };
+    });
 
     // Create post object
     const post = {
@@ -81,7 +315,14 @@ router.post('/', authenticate, validatePost, async (req, res) => {
       concernedParties: concernedParties || [],
       status: 'status-new',
       assignedArchitects: [],
-      attachments: [],
+      attachments: uploads.map(({ filename, path, size, type }) => ({
+        filename,
+        path,
+        size,
+        type,
+        uploadedBy: req.user.username,
+        uploadedAt: new Date().toISOString()
+      })),
       conversations: [],
       createdAt: new Date().toISOString(),
       createdBy: req.user.username,
@@ -90,11 +331,15 @@ router.post('/', authenticate, validatePost, async (req, res) => {
       isArchived: false
     };
 
-    // Save to storage
-    await storage.saveJson(
-      `posts/${postId}.json`,
-      post,
-      `Create post ${postId} by ${req.user.username}`
+    // Save post, attachments and index entry together
+    await commitWithIndex(
+      storage,
+      [
+        ...uploads.map(({ path, content }) => ({ type: 'uploadBinary', path, content })),
+        { type: 'saveJson', path: `posts/${postId}.json`, data: post }
+      ],
+      index => upsertPost(index, post),
+      `Create post ${postId} by ${requestActor(req)}`
     );
 
     res.status(201).json({
@@ -103,6 +348,17 @@ router.post('/', authenticate, validatePost, async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (error instanceof StorageConflictError) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'CONFLICT',
+          message: 'Post could not be saved because of a concurrent change, please retry'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
     console.error('Error creating post:', error);
     res.status(500).json({
       success: false,
@@ -115,10 +371,110 @@ router.post('/', authenticate, validatePost, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/posts/trash - List deleted posts (admin only)
+ */
+router.get('/trash', authenticate, requireScope('posts:read'), requirePermission('posts:trash'), async (req, res) => {
+  try {
+    const storage = getStorageProvider();
+    const items = await listTrash(storage);
+    const posts = items.map(({ post, purgeAt }) => ({
+      ...toPostSummary(post),
+      deletedAt: post.deletedAt,
+      deletedBy: post.deletedBy,
+      purgeAt
+    }));
+
+    res.json({
+      success: true,
+      data: posts,
+      count: posts.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/posts/trash/:id/restore - Restore a deleted post
+ * Admins can restore any post; other users only posts they deleted (undo)
+ */
+router.post('/trash/:id/restore', authenticate, requireScope('posts:write'), requirePermission('posts:delete'), async (req, res) => {
+  try {
+    const storage = getStorageProvider();
+    const postId = req.params.id;
+
+    const trashed = await storage.getJson(trashPath(postId));
+    if (!trashed) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: `Post ${postId} is not in the trash`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!can(req.user, 'posts:trash') && trashed.data.deletedBy !== req.user.username) {
+      return sendForbidden(res, 'You can only restore posts you deleted');
+    }
+
+    const restored = fromTrashedPost(trashed.data);
+
+    // Move the post back and re-add its index entry together
+    const { results } = await commitWithIndex(
+      storage,
+      [
+        { type: 'saveJson', path: `posts/${postId}.json`, data: restored },
+        { type: 'deleteFile', path: trashPath(postId), sha: trashed.sha }
+      ],
+      index => upsertPost(index, restored),
+      `Restore deleted post ${postId} by ${requestActor(req)}`
+    );
+
+    res.set('ETag', toEtag(results[0].sha));
+    res.json({
+      success: true,
+      data: restored,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof StorageConflictError) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'CONFLICT',
+          message: `Post ${req.params.id} was restored or purged concurrently, please reload`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    console.error('Error restoring deleted post:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RESTORE_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * GET /api/posts/:id - Get single post
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, requireScope('posts:read'), requirePermission('posts:read'), async (req, res) => {
   try {
     const storage = getStorageProvider();
     const result = await storage.getJson(`posts/${req.params.id}.json`);
@@ -134,6 +490,7 @@ router.get('/:id', authenticate, async (req, res) => {
       });
     }
 
+    res.set('ETag', toEtag(result.sha));
     res.json({
       success: true,
       data: result.data,
@@ -155,7 +512,7 @@ router.get('/:id', authenticate, async (req, res) => {
 /**
  * PUT /api/posts/:id - Update post
  */
-router.put('/:id', authenticate, validatePost, async (req, res) => {
+router.put('/:id', authenticate, requireScope('posts:write'), validatePost, async (req, res) => {
   try {
     const storage = getStorageProvider();
     const postId = req.params.id;
@@ -173,6 +530,16 @@ router.put('/:id', authenticate, validatePost, async (req, res) => {
       });
     }
 
+    if (!matchesIfMatch(req, current.sha)) {
+      return sendConflict(res, postId, current);
+    }
+
+    // Every changed field needs the matching permission
+    const refusal = checkPostUpdate(req.user, current.data, req.body, await statusesFor(storage, current.data, req.body));
+    if (refusal) {
+      return sendForbidden(res, refusal);
+    }
+
     // Merge updates
     const updated = {
       ...current.data,
@@ -184,20 +551,27 @@ router.put('/:id', authenticate, validatePost, async (req, res) => {
       updatedBy: req.user.username
     };
 
-    // Save
-    await storage.saveJson(
-      `posts/${postId}.json`,
-      updated,
-      `Update post ${postId} by ${req.user.username}`,
-      current.sha
+    // Save the post, its index entry and the replaced version together
+    const { results } = await commitWithIndex(
+      storage,
+      [
+        { type: 'saveJson', path: `posts/${postId}.json`, data: updated, sha: current.sha },
+        ...(await revisionOperations(storage, current))
+      ],
+      index => upsertPost(index, updated),
+      `Update post ${postId} by ${requestActor(req)}`
     );
 
+    res.set('ETag', toEtag(results[0].sha));
     res.json({
       success: true,
       data: updated,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (error instanceof StorageConflictError) {
+      return sendLatestConflict(res, req.params.id);
+    }
     console.error('Error updating post:', error);
     res.status(500).json({
       success: false,
@@ -211,9 +585,9 @@ router.put('/:id', authenticate, validatePost, async (req, res) => {
 });
 
 /**
- * DELETE /api/posts/:id - Delete post
+ * DELETE /api/posts/:id - Move post to the trash
  */
-router.delete('/:id', authenticate, async (req, res) => {
+router.delete('/:id', authenticate, requireScope('posts:write'), requirePermission('posts:delete'), async (req, res) => {
   try {
     const storage = getStorageProvider();
     const postId = req.params.id;
@@ -231,31 +605,40 @@ router.delete('/:id', authenticate, async (req, res) => {
       });
     }
 
-    // Check permissions - only admin or creator can delete
-    if (req.user.role !== 'admin' && current.data.createdBy !== req.user.username) {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'FORBIDDEN',
-          message: 'You can only delete your own posts'
-        },
-        timestamp: new Date().toISOString()
-      });
+    if (!can(req.user, 'posts:delete', current.data)) {
+      return sendForbidden(res, 'You can only delete your own posts');
+    }
+
+    if (!matchesIfMatch(req, current.sha)) {
+      return sendConflict(res, postId, current);
     }
 
-    // Delete
-    await storage.deleteFile(
-      `posts/${postId}.json`,
-      current.sha,
-      `Delete post ${postId} by ${req.user.username}`
+    // Move the post to the trash and drop its index entry together
+    const trashed = toTrashedPost(current.data, req.user.username);
+    await commitWithIndex(
+      storage,
+      [
+        { type: 'deleteFile', path: `posts/${postId}.json`, sha: current.sha },
+        { type: 'saveJson', path: trashPath(postId), data: trashed }
+      ],
+      index => removePost(index, postId),
+      `Delete post ${postId} by ${requestActor(req)}`
     );
 
     res.json({
       success: true,
-      data: { id: postId, deleted: true },
+      data: {
+        id: postId,
+        deleted: true,
+        deletedAt: trashed.deletedAt,
+        purgeAt: purgeDate(trashed.deletedAt)
+      },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (error instanceof StorageConflictError) {
+      return sendLatestConflict(res, req.params.id);
+    }
     console.error('Error deleting post:', error);
     res.status(500).json({
       success: false,
@@ -271,7 +654,7 @@ router.delete('/:id', authenticate, async (req, res) => {
 /**
  * POST /api/posts/:id/archive - Archive/unarchive post
  */
-router.post('/:id/archive', authenticate, async (req, res) => {
+router.post('/:id/archive', authenticate, requireScope('posts:write'), requirePermission('posts:archive'), async (req, res) => {
   try {
     const storage = getStorageProvider();
     const postId = req.params.id;
@@ -290,6 +673,14 @@ router.post('/:id/archive', authenticate, async (req, res) => {
       });
     }
 
+    if (!can(req.user, 'posts:archive', current.data)) {
+      return sendForbidden(res, `You cannot archive post ${postId}`);
+    }
+
+    if (!matchesIfMatch(req, current.sha)) {
+      return sendConflict(res, postId, current);
+    }
+
     // Update archive status
     const updated = {
       ...current.data,
@@ -298,19 +689,27 @@ router.post('/:id/archive', authenticate, async (req, res) => {
       updatedBy: req.user.username
     };
 
-    await storage.saveJson(
-      `posts/${postId}.json`,
-      updated,
-      `${updated.isArchived ? 'Archive' : 'Unarchive'} post ${postId} by ${req.user.username}`,
-      current.sha
+    // Save the post, its index entry and the replaced version together
+    const { results } = await commitWithIndex(
+      storage,
+      [
+        { type: 'saveJson', path: `posts/${postId}.json`, data: updated, sha: current.sha },
+        ...(await revisionOperations(storage, current))
+      ],
+      index => upsertPost(index, updated),
+      `${updated.isArchived ? 'Archive' : 'Unarchive'} post ${postId} by ${requestActor(req)}`
     );
 
+    res.set('ETag', toEtag(results[0].sha));
     res.json({
       success: true,
       data: updated,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (error instanceof StorageConflictError) {
+      return sendLatestConflict(res, req.params.id);
+    }
     console.error('Error archiving post:', error);
     res.status(500).json({
       success: false,
@@ -326,7 +725,7 @@ router.post('/:id/archive', authenticate, async (req, res) => {
 /**
  * POST /api/posts/:id/assign - Assign architects to post
  */
-router.post('/:id/assign', authenticate, async (req, res) => {
+router.post('/:id/assign', authenticate, requireScope('posts:write'), requirePermission('posts:assign'), async (req, res) => {
   try {
     const storage = getStorageProvider();
     const postId = req.params.id;
@@ -356,6 +755,14 @@ router.post('/:id/assign', authenticate, async (req, res) => {
       });
     }
 
+    if (!can(req.user, 'posts:assign', current.data)) {
+      return sendForbidden(res, `You cannot assign architects to post ${postId}`);
+    }
+
+    if (!matchesIfMatch(req, current.sha)) {
+      return sendConflict(res, postId, current);
+    }
+
     // Update assigned architects
     const updated = {
       ...current.data,
@@ -364,19 +771,27 @@ router.post('/:id/assign', authenticate, async (req, res) => {
       updatedBy: req.user.username
     };
 
-    await storage.saveJson(
-      `posts/${postId}.json`,
-      updated,
-      `Assign architects to post ${postId} by ${req.user.username}`,
-      current.sha
+    // Save the post, its index entry and the replaced version together
+    const { results } = await commitWithIndex(
+      storage,
+      [
+        { type: 'saveJson', path: `posts/${postId}.json`, data: updated, sha: current.sha },
+        ...(await revisionOperations(storage, current))
+      ],
+      index => upsertPost(index, updated),
+      `Assign architects to post ${postId} by ${requestActor(req)}`
     );
 
+    res.set('ETag', toEtag(results[0].sha));
     res.json({
       success: true,
       data: updated,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (error instanceof StorageConflictError) {
+      return sendLatestConflict(res, req.params.id);
+    }
     console.error('Error assigning architects:', error);
     res.status(500).json({
       success: false,
@@ -389,4 +804,300 @@ router.post('/:id/assign', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/posts/:id/conversations - Add a comment to a post's conversation
+ * Body: { message }. The author and time are set by the server. Comments
+ * made at the same time are all kept, so no If-Match is needed
+ */
+router.post('/:id/conversations', authenticate, requireScope('posts:write'), requirePermission('posts:comment'), async (req, res) => {
+  try {
+    const storage = getStorageProvider();
+    const postId = req.params.id;
+    const { message } = req.body;
+
+    if (typeof message !== 'string' || message.trim().length === 0 || message.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `message is required and must be ${MAX_COMMENT_LENGTH} characters or less`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      const current = await storage.getJson(`posts/${postId}.json`);
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NOT_FOUND',
+            message: `Post ${postId} not found`
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (!can(req.user, 'posts:comment', current.data)) {
+        return sendForbidden(res, `You cannot comment on post ${postId}`);
+      }
+
+      const now = new Date().toISOString();
+      const updated = {
+        ...current.data,
+        conversations: [
+          ...(current.data.conversations || []),
+          { author: req.user.username, message, timestamp: now }
+        ],
+        updatedAt: now,
+        updatedBy: req.user.username
+      };
+
+      try {
+        // Comments only ever append, so no earlier version is kept for them
+        const { results } = await commitWithIndex(
+          storage,
+          [{ type: 'saveJson', path: `posts/${postId}.json`, data: updated, sha: current.sha }],
+          index => upsertPost(index, updated),
+          `Comment on post ${postId} by ${requestActor(req)}`
+        );
+
+        res.set('ETag', toEtag(results[0].sha));
+        return res.status(201).json({
+          success: true,
+          data: updated,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        // Someone else changed the post first: append to their version
+        if (!(error instanceof StorageConflictError) || attempt >= MAX_COMMENT_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  } catch (error) {
+    if (error instanceof StorageConflictError) {
+      return sendLatestConflict(res, req.params.id);
+    }
+    console.error('Error adding comment:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'COMMENT_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/posts/:id/history - List earlier versions of a post
+ * Query: limit (default 20, max 100)
+ */
+router.get('/:id/history', authenticate, requireScope('posts:read'), requirePermission('posts:read'), async (req, res) => {
+  try {
+    const storage = getStorageProvider();
+    const postId = req.params.id;
+    const limit = req.query.limit !== undefined
+      ? Number.parseInt(req.query.limit, 10)
+      : DEFAULT_HISTORY_LIMIT;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `limit must be between 1 and ${MAX_HISTORY_LIMIT}`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const current = await storage.getJson(`posts/${postId}.json`);
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: `Post ${postId} not found`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const revisions = await getPostHistory(storage, current, { limit });
+
+    res.set('ETag', toEtag(current.sha));
+    res.json({
+      success: true,
+      data: { postId, revisions },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching post history:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/posts/:id/history/:revision - Get one earlier version of a post
+ * `changes` lists what restoring it would change (from = current, to = revision)
+ */
+router.get('/:id/history/:revision', authenticate, requireScope('posts:read'), requirePermission('posts:read'), async (req, res) => {
+  try {
+    const storage = getStorageProvider();
+    const postId = req.params.id;
+
+    const current = await storage.getJson(`posts/${postId}.json`);
+    const revision = current ? await getPostRevision(storage, current, req.params.revision) : null;
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: current
+            ? `Revision ${req.params.revision} of post ${postId} not found`
+            : `Post ${postId} not found`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.set('ETag', toEtag(current.sha));
+    res.json({
+      success: true,
+      data: {
+        revision: revision.revision,
+        post: revision.data,
+        changes: diffPosts(current.data, revision.data)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching post revision:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/posts/:id/restore - Restore an earlier version of a post
+ * Body: { revision }. The restore is saved as a new version, so it can
+ * itself be undone from the history
+ */
+router.post('/:id/restore', authenticate, requireScope('posts:write'), requirePermission('posts:restore'), async (req, res) => {
+  try {
+    const storage = getStorageProvider();
+    const postId = req.params.id;
+    const { revision } = req.body;
+
+    if (!revision || typeof revision !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'revision is required'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const current = await storage.getJson(`posts/${postId}.json`);
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: `Post ${postId} not found`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!matchesIfMatch(req, current.sha)) {
+      return sendConflict(res, postId, current);
+    }
+
+    const target = await getPostRevision(storage, current, revision);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: `Revision ${revision} of post ${postId} not found`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // The conversation is kept as it is now: restoring never takes back
+    // comments made since the revision
+    const restoredFields = { ...target.data, conversations: current.data.conversations };
+
+    // Restoring changes fields like any edit, so the same field rules apply
+    const refusal = can(req.user, 'posts:restore', current.data)
+      ? checkPostUpdate(req.user, current.data, restoredFields, await statusesFor(storage, current.data, restoredFields))
+      : `You cannot restore earlier versions of post ${postId}`;
+    if (refusal) {
+      return sendForbidden(res, refusal);
+    }
+
+    const restored = {
+      ...restoredFields,
+      id: postId,  // Identity and authorship never change
+      createdAt: current.data.createdAt,
+      createdBy: current.data.createdBy,
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.username
+    };
+
+    // Save the restored version like any other edit
+    const { results } = await commitWithIndex(
+      storage,
+      [
+        { type: 'saveJson', path: `posts/${postId}.json`, data: restored, sha: current.sha },
+        ...(await revisionOperations(storage, current))
+      ],
+      index => upsertPost(index, restored),
+      `Restore post ${postId} to revision ${revision} by ${requestActor(req)}`
+    );
+
+    res.set('ETag', toEtag(results[0].sha));
+    res.json({
+      success: true,
+      data: restored,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof StorageConflictError) {
+      return sendLatestConflict(res, req.params.id);
+    }
+    console.error('Error restoring post:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RESTORE_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 export default router;
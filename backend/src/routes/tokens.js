@@ -0,0 +1,122 @@
+import express from 'express';
+import { getStorageProvider } from '../storage/index.js';
+import { authenticate, requireSession } from '../middleware/auth.js';
+import {
+  API_TOKEN_SCOPES,
+  ApiTokenError,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken
+} from '../services/apiTokens.js';
+import { hasPermission } from '../services/permissions.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/tokens - List the current user's API tokens
+ * Also returns the scopes a new token can be given
+ */
+router.get('/', authenticate, requireSession, async (req, res) => {
+  try {
+    const tokens = await listApiTokens(getStorageProvider(), req.user.username);
+
+    res.json({
+      success: true,
+      data: {
+        tokens,
+        scopes: hasPermission(req.user, 'config:manage')
+          ? API_TOKEN_SCOPES
+          : API_TOKEN_SCOPES.filter(scope => scope !== 'config:admin')
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching API tokens:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/tokens - Create an API token
+ * Body: { name, scopes, expiresAt }. The token is only shown in this response
+ */
+router.post('/', authenticate, requireSession, async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+    const created = await createApiToken(getStorageProvider(), req.user, { name, scopes, expiresAt });
+
+    res.status(201).json({
+      success: true,
+      data: created,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof ApiTokenError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    console.error('Error creating API token:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CREATE_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /api/tokens/:id - Revoke one of the current user's API tokens
+ */
+router.delete('/:id', authenticate, requireSession, async (req, res) => {
+  try {
+    const revoked = await revokeApiToken(getStorageProvider(), req.user.username, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: `API token ${req.params.id} not found`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: req.params.id,
+        revoked: true
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DELETE_FAILED',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+export default router;
@@ -1,29 +1,77 @@
 import express from 'express';
 import { getStorageProvider } from '../storage/index.js';
-import { authenticate } from '../middleware/auth.js';
-import { validateFileUpload } from '../middleware/validation.js';
+import { authenticate, requestActor, requirePermission, requireScope } from '../middleware/auth.js';
+import {
+  POST_ID_PATTERN,
+  UPLOAD_FILENAME_PATTERN,
+  isPostId,
+  validateFileUpload,
+  validateParam
+} from '../middleware/validation.js';
+import { can } from '../services/permissions.js';
 
 const router = express.Router();
 
+router.param('postId', validateParam(POST_ID_PATTERN, 'post ID'));
+router.param('filename', validateParam(UPLOAD_FILENAME_PATTERN, 'filename'));
+
+/**
+ * Check the user may upload to a post, whose grant may depend on the post
+ * Sends the error response and returns false if not
+ */
+async function authorizeUpload(storage, req, res, action, postId) {
+  const post = await storage.getJson(`posts/${postId}.json`);
+
+  if (!post) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: `Post ${postId} not found`
+      },
+      timestamp: new Date().toISOString()
+    });
+    return false;
+  }
+
+  if (!can(req.user, action, post.data)) {
+    res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: `You cannot upload ${action === 'uploads:proof' ? 'proof of work' : 'attachments'} to post ${postId}`
+      },
+      timestamp: new Date().toISOString()
+    });
+    return false;
+  }
+
+  return true;
+}
+
 /**
  * POST /api/uploads/attachments - Upload topic attachment
  */
-router.post('/attachments', authenticate, validateFileUpload, async (req, res) => {
+router.post('/attachments', authenticate, requireScope('uploads:write'), requirePermission('uploads:attachments'), validateFileUpload, async (req, res) => {
   try {
     const storage = getStorageProvider();
     const { filename, content, postId } = req.body;
 
-    if (!postId) {
+    if (!isPostId(postId)) {
       return res.status(400).json({
         success: false,
         error: {
           code: 'VALIDATION_ERROR',
-          message: 'postId is required'
+          message: postId ? `Invalid post ID: ${postId}` : 'postId is required'
         },
         timestamp: new Date().toISOString()
       });
     }
 
+    if (!(await authorizeUpload(storage, req, res, 'uploads:attachments', postId))) {
+      return;
+    }
+
     // Sanitize filename
     const sanitizedFilename = filename.replace(/[^a-zA-Z0-9._-]/g, '_');
     const timestamp = Date.now();
@@ -33,7 +81,7 @@ router.post('/attachments', authenticate, validateFileUpload, async (req, res) =
     await storage.uploadBinary(
       filePath,
       content,
-      `Upload attachment ${sanitizedFilename} for post ${postId} by ${req.user.username}`
+      `Upload attachment ${sanitizedFilename} for post ${postId} by ${requestActor(req)}`
     );
 
     res.status(201).json({
@@ -63,22 +111,26 @@ router.post('/attachments', authenticate, validateFileUpload, async (req, res) =
 /**
  * POST /api/uploads/proof - Upload proof of work
  */
-router.post('/proof', authenticate, validateFileUpload, async (req, res) => {
+router.post('/proof', authenticate, requireScope('uploads:write'), requirePermission('uploads:proof'), validateFileUpload, async (req, res) => {
   try {
     const storage = getStorageProvider();
     const { filename, content, postId } = req.body;
 
-    if (!postId) {
+    if (!isPostId(postId)) {
       return res.status(400).json({
         success: false,
         error: {
           code: 'VALIDATION_ERROR',
-          message: 'postId is required'
+          message: postId ? `Invalid post ID: ${postId}` : 'postId is required'
         },
         timestamp: new Date().toISOString()
       });
     }
 
+    if (!(await authorizeUpload(storage, req, res, 'uploads:proof', postId))) {
+      return;
+    }
+
     // Sanitize filename
     const sanitizedFilename = filename.replace(/[^a-zA-Z0-9._-]/g, '_');
     const timestamp = Date.now();
@@ -88,7 +140,7 @@ router.post('/proof', authenticate, validateFileUpload, async (req, res) => {
     await storage.uploadBinary(
       filePath,
       content,
-      `Upload proof ${sanitizedFilename} for post ${postId} by ${req.user.username}`
+      `Upload proof ${sanitizedFilename} for post ${postId} by ${requestActor(req)}`
     );
 
     res.status(201).json({
@@ -118,7 +170,7 @@ router.post('/proof', authenticate, validateFileUpload, async (req, res) => {
 /**
  * GET /api/uploads/:type/:postId/:filename - Download file
  */
-router.get('/:type/:postId/:filename', authenticate, async (req, res) => {
+router.get('/:type/:postId/:filename', authenticate, requireScope('posts:read'), requirePermission('posts:read'), async (req, res) => {
   try {
     const { type, postId, filename } = req.params;
 
@@ -176,7 +228,7 @@ router.get('/:type/:postId/:filename', authenticate, async (req, res) => {
 /**
  * DELETE /api/uploads/:type/:postId/:filename - Delete file
  */
-router.delete('/:type/:postId/:filename', authenticate, async (req, res) => {
+router.delete('/:type/:postId/:filename', authenticate, requireScope('uploads:write'), requirePermission('uploads:delete'), async (req, res) => {
   try {
     const { type, postId, filename } = req.params;
 
@@ -212,7 +264,7 @@ router.delete('/:type/:postId/:filename', authenticate, async (req, res) => {
     await storage.deleteFile(
       filePath,
       null,  // SHA will be fetched by provider if needed
-      `Delete file ${filename} from post ${postId} by ${req.user.username}`
+      `Delete file ${filename} from post ${postId} by ${requestActor(req)}`
     );
 
     res.json({
@@ -1,9 +1,12 @@
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import morgan from 'morgan';
 import dotenv from 'dotenv';
 import { getStorageProvider } from './storage/index.js';
+import { accessLog } from './middleware/accessLog.js';
+import { configureTrustProxy } from './middleware/proxy.js';
+import { scheduleTrashPurge, getRetentionDays } from './services/trash.js';
+import { isSetupRequired, getSetupToken } from './services/users.js';
 
 // Load environment variables
 dotenv.config();
@@ -11,13 +14,18 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+// Trust X-Forwarded-For from the proxies named in TRUST_PROXY
+configureTrustProxy(app);
+
 // Middleware
 app.use(helmet());
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag']
 }));
-app.use(morgan('combined'));
+// Access log: the combined format plus who made the request
+app.use(accessLog());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -33,9 +41,13 @@ app.get('/health', (req, res) => {
 app.get('/ready', async (req, res) => {
   try {
     const storage = getStorageProvider();
+    const { github } = storage.getStats();
+
     res.json({
       status: 'ready',
       storage: process.env.STORAGE_PROVIDER || 'github',
+      // Remaining GitHub API budget (GitHub storage only)
+      rateLimit: github ? { ...github.rateLimit, pausedUntil: github.pausedUntil } : undefined,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -48,6 +60,13 @@ app.get('/ready', async (req, res) => {
 });
 
 app.get('/api/status', (req, res) => {
+  let storageStats = null;
+  try {
+    storageStats = getStorageProvider().getStats();
+  } catch (error) {
+    // Storage not configured - status still reports the rest
+  }
+
   res.json({
     success: true,
     data: {
@@ -55,6 +74,7 @@ app.get('/api/status', (req, res) => {
       version: '1.0.0',
       environment: process.env.NODE_ENV || 'development',
       storage: process.env.STORAGE_PROVIDER || 'github',
+      storageStats,
       timestamp: new Date().toISOString()
     }
   });
@@ -65,11 +85,15 @@ import postsRouter from './routes/posts.js';
 import authRouter from './routes/auth.js';
 import configRouter from './routes/config.js';
 import uploadsRouter from './routes/uploads.js';
+import backupRouter from './routes/backup.js';
+import tokensRouter from './routes/tokens.js';
 
 app.use('/api/posts', postsRouter);
 app.use('/api/auth', authRouter);
 app.use('/api/config', configRouter);
 app.use('/api/uploads', uploadsRouter);
+app.use('/api/backup', backupRouter);
+app.use('/api/tokens', tokensRouter);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -107,5 +131,20 @@ app.listen(PORT, () => {
   console.log(`📦 Storage provider: ${process.env.STORAGE_PROVIDER || 'github'}`);
   console.log(`🌍 CORS origin: ${process.env.CORS_ORIGIN || '*'}`);
   console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`🗑️  Trash retention: ${getRetentionDays()} days`);
+  console.log(`🔒 Login throttle store: ${process.env.LOGIN_THROTTLE_STORE || 'memory'}`);
   console.log('=================================');
+
+  // Purge deleted posts past the retention period
+  scheduleTrashPurge(getStorageProvider);
+
+  // Print the setup code while no admin account exists
+  isSetupRequired(getStorageProvider())
+    .then((required) => {
+      if (required) {
+        console.log('👤 No users yet: open the app to create the admin account');
+        getSetupToken();
+      }
+    })
+    .catch(error => console.error('Error checking first-run setup:', error));
 });
@@ -0,0 +1,304 @@
+/**
+ * Personal API Tokens
+ *
+ * Long-lived tokens for CI jobs and scripts, created by a user from their
+ * profile and sent as `Authorization: Bearer pat_...` like an access token.
+ * A token acts as its owner with their current role, limited to the scopes
+ * chosen when it was created:
+ *   posts:read     read posts, their history and attachments
+ *   posts:write    create, edit, assign, archive and delete posts
+ *   uploads:write  upload and delete attachments and proof of work
+ *   config:admin   admin configuration and backups (admins only)
+ *
+ * Tokens are stored per user in auth/tokens/<username>.json, holding only a
+ * hash of the secret. Every token has an expiry date; expired tokens are
+ * rejected and dropped on the next write.
+ */
+
+import crypto from 'crypto';
+import { StorageConflictError } from '../storage/StorageProvider.js';
+import { resolveGithubAccount } from './githubOAuth.js';
+import { hasPermission } from './permissions.js';
+import { SessionError } from './sessions.js';
+import { isActive, loadUsers, toPublicUser } from './users.js';
+
+export const TOKENS_ROOT = 'auth/tokens';
+export const TOKEN_PREFIX = 'pat_';
+
+export const API_TOKEN_SCOPES = ['posts:read', 'posts:write', 'uploads:write', 'config:admin'];
+
+const ADMIN_SCOPES = ['config:admin'];
+const MAX_TOKENS_PER_USER = 20;
+const MAX_NAME_LENGTH = 100;
+const MAX_LIFETIME_DAYS = 365;
+// lastUsedAt is only written when it is older than this, so busy CI jobs
+// don't cause a write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error thrown for token requests that can't be honoured
+ */
+export class ApiTokenError extends Error {
+  constructor(message, statusCode = 400, code = 'VALIDATION_ERROR') {
+    super(message);
+    this.name = 'ApiTokenError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+function tokensPath(username) {
+  return `${TOKENS_ROOT}/${encodeURIComponent(username)}.json`;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function sameHash(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.length === b.length
+    && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+/**
+ * Whether a bearer token is a personal API token rather than a JWT
+ */
+export function isApiToken(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+}
+
+/**
+ * Split a token into its parts, or null if it is malformed
+ */
+function parseToken(token) {
+  const parts = isApiToken(token) ? token.slice(TOKEN_PREFIX.length).split('.') : [];
+  if (parts.length !== 3 || parts.some(part => part.length === 0)) {
+    return null;
+  }
+
+  return {
+    username: Buffer.from(parts[0], 'base64url').toString('utf-8'),
+    tokenId: parts[1],
+    secret: parts[2],
+  };
+}
+
+/**
+ * A token entry without its hash
+ */
+function toPublicToken(entry) {
+  return {
+    id: entry.id,
+    name: entry.name,
+    scopes: entry.scopes,
+    createdAt: entry.createdAt,
+    expiresAt: entry.expiresAt,
+    lastUsedAt: entry.lastUsedAt || null,
+  };
+}
+
+/**
+ * Apply a change to a user's tokens and save them, retrying on conflicts
+ * Expired tokens are dropped on every write
+ * @param {Function} change - (tokens) => new tokens array, or null to skip saving
+ * @returns {Promise<Array|null>} - Saved tokens, or null if nothing changed
+ */
+async function updateTokens(storage, username, change, message) {
+  for (let attempt = 1; ; attempt++) {
+    const current = await storage.getJson(tokensPath(username));
+    const now = new Date().toISOString();
+    const tokens = (current?.data?.tokens || []).filter(token => token.expiresAt > now);
+    const updated = change(tokens);
+
+    if (!updated) {
+      return null;
+    }
+
+    try {
+      await storage.saveJson(tokensPath(username), { username, tokens: updated }, message, current?.sha || undefined);
+      return updated;
+    } catch (error) {
+      if (!(error instanceof StorageConflictError) || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * The current account behind a token, or null if it no longer has access
+ * GitHub accounts aren't in users.json, so they are resolved the way
+ * GitHub sign-in does
+ */
+async function findAccount(storage, username) {
+  const { users } = await loadUsers(storage);
+  const user = users.find(u => u.username === username);
+
+  if (user) {
+    return isActive(user) ? user : null;
+  }
+  return resolveGithubAccount(storage, username);
+}
+
+/**
+ * Check a create request and return the normalized token settings
+ * @throws {ApiTokenError}
+ */
+function validateTokenRequest(user, { name, scopes, expiresAt }) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName || trimmedName.length > MAX_NAME_LENGTH) {
+    throw new ApiTokenError(`name is required (at most ${MAX_NAME_LENGTH} characters)`);
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new ApiTokenError('scopes must be a non-empty array');
+  }
+
+  const unknown = scopes.filter(scope => !API_TOKEN_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new ApiTokenError(`Unknown scope(s): ${unknown.join(', ')}. Valid scopes: ${API_TOKEN_SCOPES.join(', ')}`);
+  }
+
+  if (!hasPermission(user, 'config:manage') && scopes.some(scope => ADMIN_SCOPES.includes(scope))) {
+    throw new ApiTokenError('Only admins can create tokens with the config:admin scope', 403, 'FORBIDDEN');
+  }
+
+  const expires = new Date(expiresAt);
+  if (!expiresAt || Number.isNaN(expires.getTime())) {
+    throw new ApiTokenError('expiresAt must be a date');
+  }
+  if (expires.getTime() <= Date.now()) {
+    throw new ApiTokenError('expiresAt must be in the future');
+  }
+  if (expires.getTime() > Date.now() + MAX_LIFETIME_DAYS * DAY_MS) {
+    throw new ApiTokenError(`Tokens can be valid for at most ${MAX_LIFETIME_DAYS} days`);
+  }
+
+  return {
+    name: trimmedName,
+    scopes: API_TOKEN_SCOPES.filter(scope => scopes.includes(scope)),
+    expiresAt: expires.toISOString(),
+  };
+}
+
+/**
+ * A user's tokens that haven't expired
+ * @returns {Promise<Array<Object>>} - [{ id, name, scopes, createdAt, expiresAt, lastUsedAt }]
+ */
+export async function listApiTokens(storage, username) {
+  const result = await storage.getJson(tokensPath(username));
+  const now = new Date().toISOString();
+
+  return (result?.data?.tokens || [])
+    .filter(token => token.expiresAt > now)
+    .map(toPublicToken);
+}
+
+/**
+ * Create a token
+ * The secret is only returned here; it can't be recovered later
+ * @param {StorageProvider} storage - Storage provider
+ * @param {Object} user - The signed-in user (req.user)
+ * @param {Object} request - { name, scopes, expiresAt }
+ * @returns {Promise<Object>} - { token, apiToken }
+ * @throws {ApiTokenError}
+ */
+export async function createApiToken(storage, user, request) {
+  const settings = validateTokenRequest(user, request);
+  const tokenId = crypto.randomBytes(9).toString('base64url');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const entry = {
+    id: tokenId,
+    ...settings,
+    tokenHash: hashSecret(secret),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+  };
+
+  await updateTokens(storage, user.username, (tokens) => {
+    if (tokens.length >= MAX_TOKENS_PER_USER) {
+      throw new ApiTokenError(`You can have at most ${MAX_TOKENS_PER_USER} tokens; revoke one first`, 409, 'TOO_MANY_TOKENS');
+    }
+    return [...tokens, entry];
+  }, `Create API token for ${user.username}`);
+
+  return {
+    token: `${TOKEN_PREFIX}${Buffer.from(user.username, 'utf-8').toString('base64url')}.${tokenId}.${secret}`,
+    apiToken: toPublicToken(entry),
+  };
+}
+
+/**
+ * Revoke a token; it stops working immediately
+ * @returns {Promise<boolean>} - false if the user has no such token
+ */
+export async function revokeApiToken(storage, username, tokenId) {
+  let found = false;
+
+  await updateTokens(storage, username, (tokens) => {
+    found = tokens.some(token => token.id === tokenId);
+    return found ? tokens.filter(token => token.id !== tokenId) : null;
+  }, `Revoke API token for ${username}`);
+
+  return found;
+}
+
+/**
+ * Delete all of a user's tokens, e.g. when the account is deleted, so a new
+ * account with the same name doesn't inherit them
+ * @returns {Promise<number>} - Number of tokens deleted
+ */
+export async function revokeUserApiTokens(storage, username) {
+  const current = await storage.getJson(tokensPath(username));
+  if (!current) {
+    return 0;
+  }
+
+  await storage.deleteFile(tokensPath(username), current.sha, `Delete API tokens for ${username}`);
+  return (current.data?.tokens || []).length;
+}
+
+/**
+ * Verify a personal API token
+ * @param {StorageProvider} storage - Storage provider
+ * @param {string} token - pat_... token
+ * @returns {Promise<Object>} - { username, role, fullName, tokenId, scopes }
+ * @throws {SessionError} - INVALID_TOKEN or TOKEN_EXPIRED
+ */
+export async function verifyApiToken(storage, token) {
+  const parsed = parseToken(token);
+  if (!parsed) {
+    throw new SessionError('Invalid API token', 'INVALID_TOKEN');
+  }
+
+  const { username, tokenId, secret } = parsed;
+  const result = await storage.getJson(tokensPath(username));
+  const entry = (result?.data?.tokens || []).find(t => t.id === tokenId);
+
+  if (!entry || !sameHash(entry.tokenHash, hashSecret(secret))) {
+    throw new SessionError('Invalid API token', 'INVALID_TOKEN');
+  }
+
+  if (entry.expiresAt <= new Date().toISOString()) {
+    throw new SessionError('API token has expired', 'TOKEN_EXPIRED');
+  }
+
+  const account = await findAccount(storage, username);
+  if (!account) {
+    throw new SessionError('API token owner no longer has access', 'INVALID_TOKEN');
+  }
+
+  if (!entry.lastUsedAt || Date.now() - new Date(entry.lastUsedAt).getTime() > LAST_USED_RESOLUTION_MS) {
+    try {
+      await updateTokens(storage, username, tokens => tokens.map(t => (
+        t.id === tokenId ? { ...t, lastUsedAt: new Date().toISOString() } : t
+      )), `Record API token use for ${username}`);
+    } catch (error) {
+      console.error(`Error recording API token use for ${username}:`, error);
+    }
+  }
+
+  return { ...toPublicUser(account), tokenId, scopes: entry.scopes };
+}
@@ -0,0 +1,341 @@
+/**
+ * Backup Bundles
+ *
+ * A backup is a .tar.gz holding every file under the data roots as
+ * data/<path>, followed by manifest.json. Files are read and streamed into
+ * the archive one at a time, so a backup never holds the whole store in
+ * memory. The manifest lists each file's size and SHA-256, so an archive is
+ * verified completely before anything is written. Unpacking stops once the
+ * archive expands past BACKUP_MAX_UNPACKED_MB.
+ * Bundles only go through the StorageProvider interface, so a backup taken
+ * from one provider can be restored into any other.
+ *
+ * Restoring into a store that already has data compares each file with the
+ * stored copy (see migration.js for how JSON is compared) and handles files
+ * that differ according to the conflict mode:
+ *   fail       write nothing if any file differs (default)
+ *   skip       keep the stored copy
+ *   overwrite  replace it with the archived copy
+ * Afterwards the post index is rebuilt and the post ID counter raised, so
+ * the store stays consistent whatever mix of files was kept.
+ */
+
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import tar from 'tar-stream';
+import {
+  DATA_ROOTS,
+  isTransientPath,
+  walkDataFiles,
+  toStoredFile,
+  readStoredFile,
+  writeStoredFile
+} from '../storage/migration.js';
+import { rebuildPostIndex } from './postIndex.js';
+import { syncPostCounter } from './idAllocator.js';
+
+export const BACKUP_FORMAT = 'architecture-bulletin-backup';
+export const BACKUP_VERSION = 1;
+export const CONFLICT_MODES = ['fail', 'skip', 'overwrite'];
+
+const MANIFEST_NAME = 'manifest.json';
+const DATA_PREFIX = 'data/';
+
+// Problems listed in an invalid-archive error before truncating
+const MAX_REPORTED_PROBLEMS = 10;
+
+// Largest unpacked archive read by default (BACKUP_MAX_UNPACKED_MB)
+const DEFAULT_MAX_UNPACKED_MB = 1024;
+
+/**
+ * Error thrown for archives that are unreadable or fail verification
+ */
+export class BackupError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'BackupError';
+    this.statusCode = 400;
+    this.code = 'INVALID_BACKUP';
+    this.problems = problems;
+  }
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Largest total size of the files in an archive, in bytes
+ * (BACKUP_MAX_UNPACKED_MB, default 1024)
+ */
+export function getMaxUnpackedSize() {
+  const mb = Number.parseFloat(process.env.BACKUP_MAX_UNPACKED_MB);
+  return (Number.isFinite(mb) && mb > 0 ? mb : DEFAULT_MAX_UNPACKED_MB) * 1024 * 1024;
+}
+
+/**
+ * Add one entry to a tar pack, resolving once the pack has taken it
+ * (tar-stream holds the callback while the reader is behind)
+ */
+function addEntry(pack, name, content) {
+  return new Promise((resolve, reject) => {
+    pack.entry({ name, size: content.length, mode: 0o644 }, content, error => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * Unpack a gzipped tar into a Map of entry name → Buffer
+ * Decompression stops with a BackupError past maxSize bytes
+ */
+async function unpackArchive(archive, maxSize) {
+  const extract = tar.extract();
+  const entries = new Map();
+  let unpacked = 0;
+
+  extract.on('entry', (header, stream, next) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => {
+      if (header.type === 'file') {
+        entries.set(header.name, Buffer.concat(chunks));
+      }
+      next();
+    });
+    stream.resume();
+  });
+
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      unpacked += chunk.length;
+      if (unpacked > maxSize) {
+        callback(new BackupError(`Archive unpacks to more than ${Math.round(maxSize / 1024 / 1024)} MB (BACKUP_MAX_UNPACKED_MB)`));
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+
+  try {
+    await pipeline(Readable.from([archive]), zlib.createGunzip(), limit, extract);
+  } catch (error) {
+    if (error instanceof BackupError) {
+      throw error;
+    }
+    // zlib errors carry Z_* codes (bad header, truncated data)
+    if (String(error.code).startsWith('Z_')) {
+      throw new BackupError(`Not a gzip archive: ${error.message}`);
+    }
+    throw new BackupError(`Not a valid tar archive: ${error.message}`);
+  }
+
+  return entries;
+}
+
+/**
+ * Stream a backup of every file under the data roots into a writable
+ * The manifest is the last entry, once every file has been read
+ * @param {StorageProvider} storage - Storage provider to read
+ * @param {Writable} output - Where the .tar.gz goes (HTTP response, file)
+ * @param {Object} options - { roots, source, createdBy }
+ * @returns {Promise<Object>} - The manifest
+ */
+export async function writeBackup(storage, output, options = {}) {
+  const { roots = DATA_ROOTS, source = null, createdBy = null } = options;
+  const createdAt = new Date().toISOString();
+  const pack = tar.pack();
+  const written = pipeline(pack, zlib.createGzip(), output);
+  const files = [];
+
+  // If the output fails (e.g. the client went away), add() rejects with it
+  written.catch(() => {});
+  const add = (name, content) => Promise.race([addEntry(pack, name, content), written]);
+
+  try {
+    for (const root of roots) {
+      for await (const entry of walkDataFiles(storage, root)) {
+        const base64 = await storage.getBinary(entry.path);
+
+        if (base64 === null || base64 === undefined) {
+          // Deleted since it was listed
+          continue;
+        }
+
+        const content = Buffer.from(base64, 'base64');
+        await add(`${DATA_PREFIX}${entry.path}`, content);
+        files.push({ path: entry.path, size: content.length, sha256: sha256(content) });
+      }
+    }
+
+    const manifest = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt,
+      createdBy,
+      source,
+      roots,
+      fileCount: files.length,
+      totalBytes: files.reduce((sum, file) => sum + file.size, 0),
+      files,
+    };
+
+    await add(MANIFEST_NAME, Buffer.from(JSON.stringify(manifest, null, 2), 'utf-8'));
+    pack.finalize();
+    await written;
+
+    return manifest;
+  } catch (error) {
+    pack.destroy(error);
+    throw error;
+  }
+}
+
+/**
+ * Unpack and verify a backup against its manifest
+ * @param {Buffer} archive - The .tar.gz bundle
+ * @returns {Promise<Object>} - { manifest, files: Map<path, Buffer> }
+ */
+export async function readBackup(archive) {
+  const entries = await unpackArchive(archive, getMaxUnpackedSize());
+  const manifestContent = entries.get(MANIFEST_NAME);
+
+  if (!manifestContent) {
+    throw new BackupError(`Archive has no ${MANIFEST_NAME}`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(manifestContent.toString('utf-8'));
+  } catch (error) {
+    throw new BackupError(`Invalid ${MANIFEST_NAME}: ${error.message}`);
+  }
+
+  if (manifest.format !== BACKUP_FORMAT || !Array.isArray(manifest.files)) {
+    throw new BackupError('Archive is not an Architecture Bulletin backup');
+  }
+  if (manifest.version > BACKUP_VERSION) {
+    throw new BackupError(`Backup version ${manifest.version} is newer than this server supports`);
+  }
+
+  const files = new Map();
+  const problems = [];
+
+  for (const { path, size, sha256: checksum } of manifest.files) {
+    const content = entries.get(`${DATA_PREFIX}${path}`);
+
+    if (typeof path !== 'string' || !DATA_ROOTS.includes(path.split('/')[0]) || isTransientPath(path)
+      || path.split('/').some(part => part === '..' || part === '')) {
+      problems.push(`${path}: invalid path`);
+    } else if (!content) {
+      problems.push(`${path}: missing from archive`);
+    } else if (content.length !== size || sha256(content) !== checksum) {
+      problems.push(`${path}: checksum mismatch`);
+    } else {
+      files.set(path, content);
+    }
+  }
+
+  const listed = new Set(manifest.files.map(file => `${DATA_PREFIX}${file.path}`));
+  for (const name of entries.keys()) {
+    if (name.startsWith(DATA_PREFIX) && !listed.has(name)) {
+      problems.push(`${name}: not listed in manifest`);
+    }
+  }
+
+  if (problems.length > 0) {
+    const shown = problems.slice(0, MAX_REPORTED_PROBLEMS);
+    const more = problems.length - shown.length;
+    throw new BackupError(
+      `Backup failed verification: ${shown.join('; ')}${more > 0 ? ` (and ${more} more)` : ''}`,
+      problems
+    );
+  }
+
+  return { manifest, files };
+}
+
+/**
+ * Write a verified backup into a store
+ * @param {StorageProvider} storage - Storage provider to write
+ * @param {Object} backup - Result of readBackup()
+ * @param {Object} options - { mode: 'fail'|'skip'|'overwrite', dryRun, onFile }
+ * @returns {Promise<Object>} - Report; `applied` is false when nothing was
+ *   written (dry run, or conflicts in 'fail' mode)
+ */
+export async function restoreBackup(storage, backup, options = {}) {
+  const { mode = 'fail', dryRun = false, onFile = () => {} } = options;
+
+  if (!CONFLICT_MODES.includes(mode)) {
+    throw new Error(`Unknown conflict mode: ${mode}`);
+  }
+
+  const report = {
+    mode,
+    dryRun,
+    applied: false,
+    backup: {
+      createdAt: backup.manifest.createdAt,
+      createdBy: backup.manifest.createdBy,
+      source: backup.manifest.source,
+    },
+    totals: { files: backup.files.size, created: 0, overwritten: 0, unchanged: 0, skipped: 0, conflicts: 0, failed: 0 },
+    conflicts: [],
+    failures: [],
+    postIndexRebuilt: false,
+    postCounter: null,
+  };
+
+  // Compare everything first so 'fail' mode can refuse before writing
+  const plan = [];
+  for (const [path, content] of backup.files) {
+    const incoming = toStoredFile(path, content);
+    const existing = await readStoredFile(storage, path);
+
+    if (!existing) {
+      plan.push({ path, incoming, action: 'created' });
+    } else if (existing.checksum === incoming.checksum) {
+      plan.push({ path, incoming, action: 'unchanged' });
+    } else {
+      report.totals.conflicts++;
+      report.conflicts.push(path);
+      plan.push({ path, incoming, action: mode === 'overwrite' ? 'overwritten' : 'skipped' });
+    }
+  }
+
+  if (dryRun || (mode === 'fail' && report.conflicts.length > 0)) {
+    for (const { action } of plan) {
+      report.totals[action]++;
+    }
+    return report;
+  }
+
+  let postsWritten = false;
+
+  for (const { path, incoming, action } of plan) {
+    if (action === 'created' || action === 'overwritten') {
+      try {
+        await writeStoredFile(storage, path, incoming, `Restore ${path} from backup`);
+        postsWritten = postsWritten || path.startsWith('posts/') || path.startsWith('trash/');
+      } catch (error) {
+        report.totals.failed++;
+        report.failures.push({ path, reason: error.message });
+        onFile(path, 'failed', error.message);
+        continue;
+      }
+    }
+
+    report.totals[action]++;
+    onFile(path, action);
+  }
+
+  report.applied = true;
+
+  if (postsWritten) {
+    await rebuildPostIndex(storage, 'Rebuild post index after restoring backup');
+    report.postIndexRebuilt = true;
+  }
+  report.postCounter = await syncPostCounter(storage);
+
+  return report;
+}
@@ -0,0 +1,290 @@
+/**
+ * GitHub OAuth Login
+ *
+ * Sign-in with a GitHub account, using the OAuth web flow:
+ *   1. GET /api/auth/github/start returns GitHub's authorize URL and a signed
+ *      `state`; the SPA keeps the state and sends the browser to GitHub
+ *   2. GitHub redirects back to the SPA's /callback with `code` and `state`
+ *   3. The SPA posts both to /api/auth/github/callback, which checks the
+ *      state, exchanges the code using the client secret (which never leaves
+ *      the server) and reads the GitHub user
+ *
+ * GitHub accounts listed in settings.json `adminUsers` sign in as admins,
+ * active architects in config/architects.json (matched on
+ * `githubUsername`) as architects; everyone else is refused.
+ *
+ * A GitHub login never takes over a local account: when config/users.json
+ * has a user with the same username (password or single sign-on), GitHub
+ * sign-in as that name is refused, since invited architects and accounts
+ * added by admins use a username nobody checked against GitHub. An
+ * architect's first GitHub sign-in records the GitHub account id as
+ * `githubId`, and later sign-ins must come from that same account, so a
+ * renamed handle picked up by someone else doesn't get in either.
+ *
+ * GITHUB_OAUTH_URL and GITHUB_OAUTH_API_URL point the flow at a stub server
+ * for testing (defaults: https://github.com and https://api.github.com).
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { StorageConflictError } from '../storage/StorageProvider.js';
+import { loadSettings } from './settings.js';
+import { ARCHITECTS_PATH, loadUsers } from './users.js';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-me';
+
+const STATE_PURPOSE = 'github-oauth';
+const STATE_TTL_SECONDS = 10 * 60;
+const OAUTH_SCOPE = 'read:user';
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Error thrown when a GitHub or single sign-on sign-in can't be completed
+ */
+export class OAuthError extends Error {
+  constructor(message, statusCode = 400, code = 'OAUTH_FAILED') {
+    super(message);
+    this.name = 'OAuthError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+/**
+ * OAuth app settings, or null when GitHub sign-in isn't configured
+ */
+export function getGithubOAuthConfig() {
+  const {
+    GITHUB_OAUTH_CLIENT_ID: clientId,
+    GITHUB_OAUTH_CLIENT_SECRET: clientSecret,
+    GITHUB_OAUTH_REDIRECT_URI: redirectUri,
+  } = process.env;
+
+  if (!clientId || !clientSecret || !redirectUri) {
+    return null;
+  }
+
+  return {
+    clientId,
+    clientSecret,
+    redirectUri,
+    oauthUrl: (process.env.GITHUB_OAUTH_URL || 'https://github.com').replace(/\/+$/, ''),
+    apiUrl: (process.env.GITHUB_OAUTH_API_URL || 'https://api.github.com').replace(/\/+$/, ''),
+  };
+}
+
+function requireConfig() {
+  const config = getGithubOAuthConfig();
+  if (!config) {
+    throw new OAuthError('GitHub sign-in is not configured', 404, 'OAUTH_NOT_CONFIGURED');
+  }
+  return config;
+}
+
+/**
+ * Start a sign-in
+ * @returns {Object} - { authorizeUrl, state }
+ */
+export function createAuthorization() {
+  const config = requireConfig();
+  const state = jwt.sign(
+    { purpose: STATE_PURPOSE, nonce: crypto.randomBytes(16).toString('base64url') },
+    JWT_SECRET,
+    { expiresIn: STATE_TTL_SECONDS }
+  );
+
+  const params = new URLSearchParams({
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: OAUTH_SCOPE,
+    state,
+    allow_signup: 'false',
+  });
+
+  return { authorizeUrl: `${config.oauthUrl}/login/oauth/authorize?${params}`, state };
+}
+
+function verifyState(state) {
+  try {
+    const decoded = jwt.verify(String(state || ''), JWT_SECRET);
+    if (decoded.purpose !== STATE_PURPOSE) {
+      throw new Error('wrong purpose');
+    }
+  } catch (error) {
+    throw new OAuthError('Sign-in link is invalid or has expired, please start again', 400, 'INVALID_STATE');
+  }
+}
+
+/**
+ * Trade the authorization code for a GitHub access token
+ */
+async function exchangeCode(config, code) {
+  const response = await fetch(`${config.oauthUrl}/login/oauth/access_token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+    body: JSON.stringify({
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      code,
+      redirect_uri: config.redirectUri,
+    }),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  const body = await response.json().catch(() => ({}));
+
+  // GitHub reports a bad or used code as 200 with an `error` field
+  if (!response.ok || body.error || !body.access_token) {
+    throw new OAuthError(body.error_description || body.error || `Code exchange failed (HTTP ${response.status})`);
+  }
+
+  return body.access_token;
+}
+
+async function fetchGithubUser(config, accessToken) {
+  const response = await fetch(`${config.apiUrl}/user`, {
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      Accept: 'application/vnd.github+json',
+      'User-Agent': 'architecture-bulletin-backend',
+    },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new OAuthError(`Could not read the GitHub user (HTTP ${response.status})`, 502);
+  }
+
+  return response.json();
+}
+
+/**
+ * Whether config/users.json has an account named like a GitHub login
+ */
+function hasLocalAccount(users, login) {
+  const name = String(login).toLowerCase();
+  return users.some(u => String(u.username).toLowerCase() === name);
+}
+
+/**
+ * The app account for a GitHub username, or null if they have no access
+ * Checked at sign-in and on every session refresh
+ * @param {StorageProvider} storage - Storage provider
+ * @param {string} login - GitHub username
+ * @param {Object} profile - GitHub profile, when signing in
+ * @returns {Promise<Object|null>} - { username, role, fullName, authProvider }
+ */
+export async function resolveGithubAccount(storage, login, profile = {}) {
+  const name = String(login).toLowerCase();
+  const [{ settings }, { users }, architectsResult] = await Promise.all([
+    loadSettings(storage),
+    loadUsers(storage),
+    storage.getJson(ARCHITECTS_PATH),
+  ]);
+
+  if (hasLocalAccount(users, login)) {
+    return null;
+  }
+
+  if ((settings.adminUsers || []).some(admin => String(admin).toLowerCase() === name)) {
+    return { username: login, role: 'admin', fullName: profile.name || login, authProvider: 'github' };
+  }
+
+  const architect = (architectsResult?.data?.architects || []).find(
+    a => a.status === 'active' && String(a.githubUsername).toLowerCase() === name
+  );
+
+  // Only a sign-in (with the profile) checks the pinned account id; a
+  // refresh continues a session that passed this check
+  if (architect && profile.id !== undefined && architect.githubId !== undefined
+    && String(architect.githubId) !== String(profile.id)) {
+    return null;
+  }
+
+  if (architect) {
+    return {
+      username: architect.githubUsername,
+      role: 'architect',
+      fullName: architect.displayName || profile.name || login,
+      authProvider: 'github',
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Record the GitHub account id on an architect entry that has none yet
+ */
+async function pinGithubId(storage, login, githubId) {
+  const name = String(login).toLowerCase();
+
+  for (let attempt = 1; ; attempt++) {
+    const result = await storage.getJson(ARCHITECTS_PATH);
+    const architects = result?.data?.architects || [];
+    const architect = architects.find(a => String(a.githubUsername).toLowerCase() === name);
+
+    if (!architect || architect.githubId !== undefined) {
+      return;
+    }
+
+    try {
+      await storage.saveJson(
+        ARCHITECTS_PATH,
+        { ...result.data, architects: architects.map(a => (a === architect ? { ...a, githubId } : a)) },
+        `Link GitHub account of ${architect.githubUsername}`,
+        result.sha
+      );
+      return;
+    } catch (error) {
+      if (!(error instanceof StorageConflictError) || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Finish a sign-in from the callback parameters
+ * @param {StorageProvider} storage - Storage provider
+ * @param {Object} params - { code, state }
+ * @returns {Promise<Object>} - Account from resolveGithubAccount()
+ * @throws {OAuthError}
+ */
+export async function completeGithubLogin(storage, { code, state }) {
+  const config = requireConfig();
+  verifyState(state);
+
+  if (!code) {
+    throw new OAuthError('Authorization code is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const accessToken = await exchangeCode(config, code);
+  const profile = await fetchGithubUser(config, accessToken);
+
+  const { users } = await loadUsers(storage);
+  if (hasLocalAccount(users, profile.login)) {
+    throw new OAuthError(
+      `Username ${profile.login} belongs to an account on this board that doesn't sign in with GitHub`,
+      409,
+      'ACCOUNT_CONFLICT'
+    );
+  }
+
+  const account = await resolveGithubAccount(storage, profile.login, profile);
+
+  if (!account) {
+    throw new OAuthError(
+      `GitHub user ${profile.login} is not an admin or active architect on this board`,
+      403,
+      'NOT_AUTHORIZED'
+    );
+  }
+
+  if (account.role === 'architect' && profile.id !== undefined) {
+    await pinGithubId(storage, profile.login, profile.id);
+  }
+
+  return account;
+}
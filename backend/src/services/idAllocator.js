@@ -0,0 +1,116 @@
+/**
+ * ID Allocator
+ *
+ * Hands out sequential IDs from counters kept in config/counters.json.
+ * Every allocation is a compare-and-swap on that document (saveJson with
+ * the SHA that was read), retried on conflict, so concurrent creates get
+ * distinct numbers on every storage provider. Counters only go up: IDs of
+ * deleted posts are never handed out again.
+ *
+ * A counter that doesn't exist yet is seeded from the highest ID already in
+ * storage (posts and trash), so upgrading an existing board continues its
+ * numbering.
+ */
+
+import { StorageConflictError } from '../storage/StorageProvider.js';
+import { isPostFile } from './postIndex.js';
+import { TRASH_ROOT } from './trash.js';
+
+export const COUNTERS_PATH = 'config/counters.json';
+
+const MAX_ATTEMPTS = 10;
+
+const POST_ID_PATTERN = /^post-(\d+)$/;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Allocate the next value of a named counter
+ * @param {StorageProvider} storage - Storage provider
+ * @param {string} name - Counter name (e.g. 'posts')
+ * @param {Function} seed - async () => highest value already in use
+ * @returns {Promise<number>} - The allocated value
+ */
+export async function allocateId(storage, name, seed) {
+  for (let attempt = 1; ; attempt++) {
+    const current = await storage.getJson(COUNTERS_PATH);
+    const counters = current?.data || {};
+    const last = Number.isInteger(counters[name]) ? counters[name] : await seed();
+    const next = last + 1;
+
+    try {
+      await storage.saveJson(
+        COUNTERS_PATH,
+        { ...counters, [name]: next },
+        `Allocate ${name} #${next}`,
+        current?.sha || null
+      );
+      return next;
+    } catch (error) {
+      if (!(error instanceof StorageConflictError) || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+      // Someone else allocated first - back off briefly and read again
+      await sleep(Math.floor(Math.random() * 50 * attempt));
+    }
+  }
+}
+
+/**
+ * Highest post number in storage, including the trash (0 if there are none)
+ */
+async function highestPostNumber(storage) {
+  const files = [
+    ...(await storage.listDirectory('posts')),
+    ...(await storage.listDirectory(TRASH_ROOT)),
+  ].filter(isPostFile);
+
+  return files.reduce((max, file) => {
+    const match = POST_ID_PATTERN.exec(file.name.replace(/\.json$/, ''));
+    return match ? Math.max(max, Number.parseInt(match[1], 10)) : max;
+  }, 0);
+}
+
+/**
+ * Allocate a new post ID (post-0001, post-0002, ...)
+ */
+export async function allocatePostId(storage) {
+  const number = await allocateId(storage, 'posts', () => highestPostNumber(storage));
+  return `post-${String(number).padStart(4, '0')}`;
+}
+
+/**
+ * Raise the post counter to the highest post ID in storage
+ * Needed after posts are copied in from elsewhere (backup restore), so new
+ * posts can't be given an ID that's already taken
+ * @returns {Promise<number>} - The counter value
+ */
+export async function syncPostCounter(storage) {
+  const highest = await highestPostNumber(storage);
+
+  for (let attempt = 1; ; attempt++) {
+    const current = await storage.getJson(COUNTERS_PATH);
+    const counters = current?.data || {};
+
+    if (Number.isInteger(counters.posts) && counters.posts >= highest) {
+      return counters.posts;
+    }
+
+    try {
+      await storage.saveJson(
+        COUNTERS_PATH,
+        { ...counters, posts: highest },
+        `Sync posts counter to #${highest}`,
+        current?.sha || null
+      );
+      return highest;
+    } catch (error) {
+      if (!(error instanceof StorageConflictError) || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+      await sleep(Math.floor(Math.random() * 50 * attempt));
+    }
+  }
+}
@@ -0,0 +1,337 @@
+/**
+ * Architect Invitations
+ *
+ * Admins add architects by invitation instead of choosing a password for
+ * them: the invite is mailed as a link with a random token, and the
+ * architect picks their own password on the accept-invite page. Tokens are
+ * single-use and expire after INVITE_TTL_HOURS (default 72). Resending an
+ * invite issues a new token and expiry, so older links stop working.
+ *
+ * Pending invites live in auth/invites.json with only a hash of their token.
+ * Accepting writes the user, the architect entry and the removal of the
+ * invite in one storage batch, so a token can't be used twice.
+ */
+
+import crypto from 'crypto';
+import { StorageConflictError } from '../storage/StorageProvider.js';
+import { appLink, isEmailAddress } from './mail.js';
+import { validatePassword, withPasswordHash } from './passwords.js';
+import { ARCHITECTS_PATH, USERS_PATH, loadUsers, newArchitectEntry } from './users.js';
+
+export const INVITES_PATH = 'auth/invites.json';
+
+const DEFAULT_INVITE_TTL_HOURS = 72;
+const MAX_ATTEMPTS = 3;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_-]{3,}$/;
+
+/**
+ * Error thrown when an invite can't be created, found or accepted
+ */
+export class InviteError extends Error {
+  constructor(message, statusCode = 400, code = 'VALIDATION_ERROR') {
+    super(message);
+    this.name = 'InviteError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+function readNumber(name, fallback) {
+  const value = Number.parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * A fresh token with its hash and expiry
+ */
+function issueToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const ttlMs = readNumber('INVITE_TTL_HOURS', DEFAULT_INVITE_TTL_HOURS) * 60 * 60 * 1000;
+
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+  };
+}
+
+function isExpired(invite, now = Date.now()) {
+  return Date.parse(invite.expiresAt) <= now;
+}
+
+/**
+ * An invite without its token hash
+ */
+export function toPublicInvite(invite) {
+  const { tokenHash: _tokenHash, ...rest } = invite;
+  return { ...rest, expired: isExpired(invite) };
+}
+
+async function loadInvites(storage) {
+  const result = await storage.getJson(INVITES_PATH);
+  return { invites: result?.data?.invites || [], sha: result?.sha || null };
+}
+
+/**
+ * Apply a change to the invite list and save it, retrying on write conflicts
+ * @param {Function} change - (invites) => { invites, result }, or null to skip saving
+ * @returns {Promise<*>} - The change's result, or null if nothing changed
+ */
+async function updateInvites(storage, change, message) {
+  for (let attempt = 1; ; attempt++) {
+    const { invites, sha } = await loadInvites(storage);
+    const updated = await change(invites);
+
+    if (!updated) {
+      return null;
+    }
+
+    try {
+      await storage.saveJson(INVITES_PATH, { invites: updated.invites }, message, sha || undefined);
+      return updated.result;
+    } catch (error) {
+      if (!(error instanceof StorageConflictError) || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Pending invites, newest first
+ * @param {StorageProvider} storage - Storage provider
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listInvites(storage) {
+  const { invites } = await loadInvites(storage);
+  return invites
+    .map(toPublicInvite)
+    .sort((a, b) => b.invitedAt.localeCompare(a.invitedAt));
+}
+
+/**
+ * Invite an architect
+ * An expired invite for the same username is replaced
+ * @param {StorageProvider} storage - Storage provider
+ * @param {Object} details - { username, email, displayName, specialization }
+ * @param {string} invitedBy - Username of the admin
+ * @returns {Promise<Object>} - { invite, token }
+ */
+export async function createInvite(storage, { username, email, displayName, specialization }, invitedBy) {
+  if (!username || !email || !displayName) {
+    throw new InviteError('username, email and displayName are required');
+  }
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new InviteError('Username must be at least 3 letters, numbers, hyphens or underscores');
+  }
+  if (!isEmailAddress(email)) {
+    throw new InviteError('Invalid email address');
+  }
+
+  const [{ users }, architectsResult] = await Promise.all([
+    loadUsers(storage),
+    storage.getJson(ARCHITECTS_PATH),
+  ]);
+
+  if (users.some(u => u.username === username)) {
+    throw new InviteError(`User ${username} already exists`, 409, 'USER_EXISTS');
+  }
+  if ((architectsResult?.data?.architects || []).some(a => a.githubUsername === username)) {
+    throw new InviteError(`Architect ${username} already exists`, 409, 'ARCHITECT_EXISTS');
+  }
+
+  const { token, tokenHash, expiresAt } = issueToken();
+
+  const invite = await updateInvites(storage, (invites) => {
+    if (invites.some(i => i.username === username && !isExpired(i))) {
+      throw new InviteError(`${username} already has a pending invite`, 409, 'INVITE_EXISTS');
+    }
+
+    const created = {
+      id: crypto.randomBytes(8).toString('hex'),
+      username,
+      email,
+      displayName,
+      specialization: specialization || '',
+      invitedAt: new Date().toISOString(),
+      invitedBy,
+      expiresAt,
+      sentCount: 1,
+      tokenHash,
+    };
+
+    return {
+      invites: [...invites.filter(i => i.username !== username), created],
+      result: created,
+    };
+  }, `Invite architect ${username} by ${invitedBy}`);
+
+  return { invite: toPublicInvite(invite), token };
+}
+
+/**
+ * Issue a new token and expiry for a pending invite
+ * @returns {Promise<Object>} - { invite, token }
+ */
+export async function renewInvite(storage, id, renewedBy) {
+  const { token, tokenHash, expiresAt } = issueToken();
+
+  const invite = await updateInvites(storage, (invites) => {
+    const current = invites.find(i => i.id === id);
+    if (!current) {
+      throw new InviteError('Invite not found', 404, 'NOT_FOUND');
+    }
+
+    const renewed = { ...current, tokenHash, expiresAt, sentCount: (current.sentCount || 1) + 1 };
+    return {
+      invites: invites.map(i => (i === current ? renewed : i)),
+      result: renewed,
+    };
+  }, `Resend invite for ${id} by ${renewedBy}`);
+
+  return { invite: toPublicInvite(invite), token };
+}
+
+/**
+ * Withdraw a pending invite; its link stops working
+ * @returns {Promise<boolean>} - false if there was no such invite
+ */
+export async function revokeInvite(storage, id, revokedBy) {
+  const revoked = await updateInvites(storage, invites => (invites.some(i => i.id === id)
+    ? { invites: invites.filter(i => i.id !== id), result: true }
+    : null), `Revoke invite ${id} by ${revokedBy}`);
+
+  return Boolean(revoked);
+}
+
+/**
+ * The pending invite a token belongs to
+ * @throws {InviteError} - INVALID_INVITE or INVITE_EXPIRED
+ */
+function findByToken(invites, token) {
+  const tokenHash = hashToken(token);
+  const invite = invites.find(i => i.tokenHash === tokenHash);
+
+  if (!invite) {
+    throw new InviteError('This invitation link is invalid or has already been used', 404, 'INVALID_INVITE');
+  }
+  if (isExpired(invite)) {
+    throw new InviteError('This invitation has expired. Ask an admin to send a new one.', 410, 'INVITE_EXPIRED');
+  }
+
+  return invite;
+}
+
+/**
+ * Look up an invite by token, for the accept page
+ * @returns {Promise<Object>} - { username, email, displayName, expiresAt }
+ */
+export async function getInviteByToken(storage, token) {
+  const { invites } = await loadInvites(storage);
+  const invite = findByToken(invites, token);
+
+  return {
+    username: invite.username,
+    email: invite.email,
+    displayName: invite.displayName,
+    expiresAt: invite.expiresAt,
+  };
+}
+
+/**
+ * Accept an invite: create the architect's account with their chosen password
+ * @param {StorageProvider} storage - Storage provider
+ * @param {string} token - Token from the invite link
+ * @param {string} password - The architect's new password
+ * @returns {Promise<Object>} - { user, architect }
+ */
+export async function acceptInvite(storage, token, password) {
+  const passwordProblem = validatePassword(password);
+  if (passwordProblem) {
+    throw new InviteError(passwordProblem);
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const [{ invites, sha: invitesSha }, { users, data: usersData, sha: usersSha }, architectsResult] = await Promise.all([
+      loadInvites(storage),
+      loadUsers(storage),
+      storage.getJson(ARCHITECTS_PATH),
+    ]);
+    const invite = findByToken(invites, token);
+    const architects = architectsResult?.data?.architects || [];
+
+    if (users.some(u => u.username === invite.username)) {
+      throw new InviteError(`User ${invite.username} already exists`, 409, 'USER_EXISTS');
+    }
+    if (architects.some(a => a.githubUsername === invite.username)) {
+      throw new InviteError(`Architect ${invite.username} already exists`, 409, 'ARCHITECT_EXISTS');
+    }
+
+    const user = await withPasswordHash({
+      username: invite.username,
+      role: 'architect',
+      fullName: invite.displayName,
+    }, password);
+    const architect = newArchitectEntry(invite, invite.invitedBy);
+
+    // The invite goes first: a second accept of the same token conflicts here
+    const operations = [
+      {
+        type: 'saveJson',
+        path: INVITES_PATH,
+        data: { invites: invites.filter(i => i !== invite) },
+        sha: invitesSha || undefined,
+      },
+      {
+        type: 'saveJson',
+        path: USERS_PATH,
+        data: { ...usersData, users: [...users, user] },
+        sha: usersSha || undefined,
+      },
+      {
+        type: 'saveJson',
+        path: ARCHITECTS_PATH,
+        data: { ...architectsResult?.data, architects: [...architects, architect] },
+        sha: architectsResult?.sha || undefined,
+      },
+    ];
+
+    try {
+      await storage.batch(operations, `Accept invite for architect ${invite.username}`);
+      return { user, architect };
+    } catch (error) {
+      if (!(error instanceof StorageConflictError) || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * The invitation mail for an invite
+ * @returns {Object} - { to, subject, text }
+ */
+export function inviteMessage(invite, token) {
+  const link = appLink('/accept-invite', { token });
+  const expires = new Date(invite.expiresAt).toUTCString();
+
+  return {
+    to: invite.email,
+    subject: 'You have been invited to Architecture Bulletin',
+    text: [
+      `Hello ${invite.displayName},`,
+      '',
+      `${invite.invitedBy} has invited you to join Architecture Bulletin as an architect.`,
+      `Your username is ${invite.username}. Choose your password here:`,
+      '',
+      link,
+      '',
+      `This link works once and expires on ${expires}.`,
+      'If you were not expecting this invitation, you can ignore this message.',
+    ].join('\n'),
+  };
+}
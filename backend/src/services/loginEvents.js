@@ -0,0 +1,127 @@
+/**
+ * Login Events
+ *
+ * Every password login attempt is recorded for review: successes, wrong
+ * passwords, attempts refused by the throttle, lockouts, admin unlocks and
+ * password resets.
+ * Events are kept per UTC day in auth/login-events/<YYYY-MM-DD>.json, at
+ * most MAX_EVENTS_PER_DAY per day (the oldest are dropped).
+ *
+ * Recording never holds up or fails a login: events are queued and written
+ * in batches, and write errors are only logged.
+ */
+
+import { StorageConflictError } from '../storage/StorageProvider.js';
+
+export const LOGIN_EVENTS_ROOT = 'auth/login-events';
+
+export const LOGIN_EVENT_TYPES = [
+  'login_success',
+  'login_failure',
+  'login_throttled',
+  'login_locked',
+  'lockout',
+  'unlock',
+  'password_reset',
+];
+
+const MAX_EVENTS_PER_DAY = 5000;
+const MAX_ATTEMPTS = 5;
+
+let pending = [];
+let flushing = null;
+
+function eventsPath(day) {
+  return `${LOGIN_EVENTS_ROOT}/${day}.json`;
+}
+
+/**
+ * Append events to their day files, retrying on conflicts
+ */
+async function appendEvents(storage, events) {
+  const byDay = new Map();
+  for (const event of events) {
+    const day = event.at.slice(0, 10);
+    byDay.set(day, [...(byDay.get(day) || []), event]);
+  }
+
+  for (const [day, dayEvents] of byDay) {
+    for (let attempt = 1; ; attempt++) {
+      const current = await storage.getJson(eventsPath(day));
+      const existing = current?.data?.events || [];
+
+      try {
+        await storage.saveJson(
+          eventsPath(day),
+          { day, events: [...existing, ...dayEvents].slice(-MAX_EVENTS_PER_DAY) },
+          `Record ${dayEvents.length} login event(s)`,
+          current?.sha || undefined
+        );
+        break;
+      } catch (error) {
+        if (!(error instanceof StorageConflictError) || attempt >= MAX_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Write queued events until the queue is empty
+ */
+async function flush(storage) {
+  while (pending.length > 0) {
+    const batch = pending;
+    pending = [];
+
+    try {
+      await appendEvents(storage, batch);
+    } catch (error) {
+      console.error(`Error recording ${batch.length} login event(s):`, error);
+    }
+  }
+
+  flushing = null;
+}
+
+/**
+ * Queue a login event
+ * @param {StorageProvider} storage - Storage provider
+ * @param {Object} event - { type, username, ip, userAgent, actor, detail }
+ * @returns {Promise<void>} - Settles once the event is written (or dropped)
+ */
+export function recordLoginEvent(storage, { type, username, ip, userAgent, actor, detail }) {
+  pending.push({
+    at: new Date().toISOString(),
+    type,
+    username: username || null,
+    ip: ip || null,
+    userAgent: userAgent || null,
+    ...(actor ? { actor } : {}),
+    ...(detail ? { detail } : {}),
+  });
+
+  if (!flushing) {
+    flushing = flush(storage);
+  }
+
+  return flushing;
+}
+
+/**
+ * A day's events, newest first
+ * @param {StorageProvider} storage - Storage provider
+ * @param {Object} filters - { day (YYYY-MM-DD, default today), username, type, limit }
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listLoginEvents(storage, { day, username, type, limit = 200 } = {}) {
+  const result = await storage.getJson(eventsPath(day || new Date().toISOString().slice(0, 10)));
+  const name = username ? String(username).toLowerCase() : null;
+
+  return (result?.data?.events || [])
+    .filter(event => !name || String(event.username).toLowerCase() === name)
+    .filter(event => !type || event.type === type)
+    .reverse()
+    .slice(0, limit);
+}
@@ -0,0 +1,352 @@
+/**
+ * Login Throttling and Lockout
+ *
+ * Failed password logins are counted per username and per client IP:
+ *   - after LOGIN_FREE_ATTEMPTS failures (default 3) a username has to wait
+ *     before the next try, doubling from 1 second up to
+ *     LOGIN_BACKOFF_MAX_SECONDS (default 300)
+ *   - LOGIN_LOCKOUT_THRESHOLD failures (default 10) lock the username for
+ *     LOGIN_LOCKOUT_MINUTES (default 15)
+ *   - LOGIN_IP_LOCKOUT_THRESHOLD failures from one IP (default 50), across
+ *     any usernames, lock that IP the same way
+ * Counters are forgotten LOGIN_FAILURE_WINDOW_MINUTES (default 60) after the
+ * last failure, and a successful login clears its username's counter. Admins
+ * can lift a lockout early from the Control Panel.
+ *
+ * Counters live in a ThrottleStore, chosen by LOGIN_THROTTLE_STORE:
+ *   memory   in-process (default), for a single container
+ *   storage  auth/login-throttle.json in the storage provider, shared by
+ *            every replica using the same storage
+ */
+
+import { getStorageProvider } from '../storage/index.js';
+import { StorageConflictError } from '../storage/StorageProvider.js';
+
+export const THROTTLE_PATH = 'auth/login-throttle.json';
+
+const DEFAULT_FREE_ATTEMPTS = 3;
+const DEFAULT_LOCKOUT_THRESHOLD = 10;
+const DEFAULT_IP_LOCKOUT_THRESHOLD = 50;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+const DEFAULT_FAILURE_WINDOW_MINUTES = 60;
+const DEFAULT_BACKOFF_MAX_SECONDS = 300;
+
+// Keeps a spray over many usernames from growing the counters without bound
+const MAX_ENTRIES = 10000;
+const MAX_ATTEMPTS = 5;
+const MINUTE_MS = 60 * 1000;
+
+let throttleStore = null;
+
+function readNumber(name, fallback) {
+  const value = Number.parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Throttle settings from the environment
+ */
+export function getThrottleConfig() {
+  return {
+    freeAttempts: readNumber('LOGIN_FREE_ATTEMPTS', DEFAULT_FREE_ATTEMPTS),
+    lockoutThreshold: readNumber('LOGIN_LOCKOUT_THRESHOLD', DEFAULT_LOCKOUT_THRESHOLD),
+    ipLockoutThreshold: readNumber('LOGIN_IP_LOCKOUT_THRESHOLD', DEFAULT_IP_LOCKOUT_THRESHOLD),
+    lockoutMs: readNumber('LOGIN_LOCKOUT_MINUTES', DEFAULT_LOCKOUT_MINUTES) * MINUTE_MS,
+    windowMs: readNumber('LOGIN_FAILURE_WINDOW_MINUTES', DEFAULT_FAILURE_WINDOW_MINUTES) * MINUTE_MS,
+    backoffMaxMs: readNumber('LOGIN_BACKOFF_MAX_SECONDS', DEFAULT_BACKOFF_MAX_SECONDS) * 1000,
+  };
+}
+
+/**
+ * Counter keys for a login attempt
+ */
+export function userKey(username) {
+  return `user:${String(username).toLowerCase()}`;
+}
+
+export function ipKey(ip) {
+  return `ip:${ip || 'unknown'}`;
+}
+
+/**
+ * Whether a counter no longer matters and can be dropped
+ */
+function isStale(entry, config, now) {
+  const lockedUntil = entry.lockedUntil ? Date.parse(entry.lockedUntil) : 0;
+  return lockedUntil <= now && Date.parse(entry.lastFailureAt) + config.windowMs <= now;
+}
+
+/**
+ * Drop stale counters, and the oldest ones beyond MAX_ENTRIES
+ */
+function prune(entries, config, now = Date.now()) {
+  const live = Object.entries(entries)
+    .filter(([, entry]) => !isStale(entry, config, now))
+    .sort(([, a], [, b]) => b.lastFailureAt.localeCompare(a.lastFailureAt))
+    .slice(0, MAX_ENTRIES);
+
+  return Object.fromEntries(live);
+}
+
+/**
+ * Where counters are kept
+ * update() must apply the change atomically; the storage store does so with
+ * a compare-and-swap on the file's SHA
+ */
+export class ThrottleStore {
+  /**
+   * @returns {Promise<Object|null>} - { failures, lastFailureAt, retryAt, lockedUntil }
+   */
+  async get(key) {
+    throw new Error('Method get() must be implemented');
+  }
+
+  /**
+   * @param {Function} change - (entry|null) => new entry, or null to delete
+   * @returns {Promise<Object|null>} - The saved entry
+   */
+  async update(key, change) {
+    throw new Error('Method update() must be implemented');
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} - [{ key, ...entry }] for live counters
+   */
+  async list() {
+    throw new Error('Method list() must be implemented');
+  }
+}
+
+/**
+ * Counters held in this process; lost on restart
+ */
+export class MemoryThrottleStore extends ThrottleStore {
+  constructor() {
+    super();
+    this.entries = {};
+  }
+
+  async get(key) {
+    return this.entries[key] || null;
+  }
+
+  async update(key, change) {
+    const updated = change(this.entries[key] || null);
+
+    if (updated) {
+      this.entries[key] = updated;
+    } else {
+      delete this.entries[key];
+    }
+
+    if (Object.keys(this.entries).length > MAX_ENTRIES) {
+      this.entries = prune(this.entries, getThrottleConfig());
+    }
+
+    return updated;
+  }
+
+  async list() {
+    this.entries = prune(this.entries, getThrottleConfig());
+    return Object.entries(this.entries).map(([key, entry]) => ({ key, ...entry }));
+  }
+}
+
+/**
+ * Counters in one JSON file of the storage provider, shared by replicas
+ */
+export class StorageThrottleStore extends ThrottleStore {
+  constructor(storage) {
+    super();
+    this.storage = storage;
+  }
+
+  async get(key) {
+    const result = await this.storage.getJson(THROTTLE_PATH);
+    return result?.data?.entries?.[key] || null;
+  }
+
+  async update(key, change) {
+    for (let attempt = 1; ; attempt++) {
+      const current = await this.storage.getJson(THROTTLE_PATH);
+      const entries = prune(current?.data?.entries || {}, getThrottleConfig());
+      const updated = change(entries[key] || null);
+
+      // Nothing to clear (the usual successful login): don't write at all
+      if (!updated && !entries[key]) {
+        return null;
+      }
+
+      if (updated) {
+        entries[key] = updated;
+      } else {
+        delete entries[key];
+      }
+
+      try {
+        await this.storage.saveJson(THROTTLE_PATH, { entries }, `Update login throttle for ${key}`, current?.sha || undefined);
+        return updated;
+      } catch (error) {
+        if (!(error instanceof StorageConflictError) || attempt >= MAX_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  async list() {
+    const result = await this.storage.getJson(THROTTLE_PATH);
+    const entries = prune(result?.data?.entries || {}, getThrottleConfig());
+    return Object.entries(entries).map(([key, entry]) => ({ key, ...entry }));
+  }
+}
+
+/**
+ * The configured store (LOGIN_THROTTLE_STORE), created on first use
+ * @returns {ThrottleStore}
+ */
+export function getThrottleStore() {
+  if (!throttleStore) {
+    const kind = (process.env.LOGIN_THROTTLE_STORE || 'memory').toLowerCase();
+
+    switch (kind) {
+      case 'memory':
+        throttleStore = new MemoryThrottleStore();
+        break;
+      case 'storage':
+        throttleStore = new StorageThrottleStore(getStorageProvider());
+        break;
+      default:
+        throw new Error(`Unknown login throttle store: ${kind}. Supported stores: memory, storage`);
+    }
+  }
+
+  return throttleStore;
+}
+
+/**
+ * Seconds until a time, rounded up
+ */
+function secondsUntil(time, now) {
+  return Math.max(1, Math.ceil((Date.parse(time) - now) / 1000));
+}
+
+/**
+ * Check whether a login attempt may go ahead, before the password is checked
+ * @param {ThrottleStore} store - Counter store
+ * @param {Object} attempt - { username, ip }
+ * @returns {Promise<Object|null>} - null if allowed, else
+ *   { code: 'ACCOUNT_LOCKED' | 'TOO_MANY_ATTEMPTS', message, retryAfter }
+ */
+export async function checkLoginAllowed(store, { username, ip }) {
+  const now = Date.now();
+  const [userEntry, ipEntry] = await Promise.all([store.get(userKey(username)), store.get(ipKey(ip))]);
+
+  for (const entry of [ipEntry, userEntry]) {
+    if (entry?.lockedUntil && Date.parse(entry.lockedUntil) > now) {
+      return {
+        code: 'ACCOUNT_LOCKED',
+        message: entry === ipEntry
+          ? 'Too many failed logins from this address. Try again later.'
+          : 'This account is temporarily locked after too many failed logins. Try again later or ask an admin to unlock it.',
+        retryAfter: secondsUntil(entry.lockedUntil, now),
+      };
+    }
+  }
+
+  if (userEntry?.retryAt && Date.parse(userEntry.retryAt) > now) {
+    const retryAfter = secondsUntil(userEntry.retryAt, now);
+    return {
+      code: 'TOO_MANY_ATTEMPTS',
+      message: `Too many failed logins. Try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`,
+      retryAfter,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Count a failed login against the username and the IP
+ * @returns {Promise<Object>} - { userLocked, ipLocked } - whether this
+ *   failure started a lockout
+ */
+export async function recordLoginFailure(store, { username, ip }) {
+  const config = getThrottleConfig();
+  const locked = {};
+
+  const fail = (kind, threshold, backoff) => (entry) => {
+    const now = Date.now();
+    const current = entry && !isStale(entry, config, now) ? entry : null;
+    const failures = (current?.failures || 0) + 1;
+    const alreadyLocked = Boolean(current?.lockedUntil && Date.parse(current.lockedUntil) > now);
+    const delay = backoff && failures >= config.freeAttempts
+      ? Math.min(1000 * 2 ** (failures - config.freeAttempts), config.backoffMaxMs)
+      : 0;
+
+    locked[kind] = failures >= threshold && !alreadyLocked;
+
+    return {
+      failures,
+      lastFailureAt: new Date(now).toISOString(),
+      retryAt: delay ? new Date(now + delay).toISOString() : null,
+      lockedUntil: locked[kind] ? new Date(now + config.lockoutMs).toISOString() : current?.lockedUntil || null,
+    };
+  };
+
+  // One after the other, so the storage store doesn't conflict with itself
+  await store.update(userKey(username), fail('user', config.lockoutThreshold, true));
+  await store.update(ipKey(ip), fail('ip', config.ipLockoutThreshold, false));
+
+  return { userLocked: Boolean(locked.user), ipLocked: Boolean(locked.ip) };
+}
+
+/**
+ * Clear a username's counter after a successful login
+ * The IP counter is left alone, so one valid account can't be used to reset it
+ * Stores skip the write when the username had no counter to clear
+ */
+export async function recordLoginSuccess(store, { username }) {
+  await store.update(userKey(username), () => null);
+}
+
+/**
+ * Counters with failures or an active lockout, most recent first
+ * @returns {Promise<Array<Object>>} - [{ key, type, value, failures, lastFailureAt, retryAt, lockedUntil, locked }]
+ */
+export async function listLockouts(store) {
+  const now = Date.now();
+  const entries = await store.list();
+
+  return entries
+    .map(({ key, failures, lastFailureAt, retryAt, lockedUntil }) => {
+      const separator = key.indexOf(':');
+      return {
+        key,
+        type: key.slice(0, separator),
+        value: key.slice(separator + 1),
+        failures,
+        lastFailureAt,
+        retryAt,
+        lockedUntil,
+        locked: Boolean(lockedUntil && Date.parse(lockedUntil) > now),
+      };
+    })
+    .sort((a, b) => b.lastFailureAt.localeCompare(a.lastFailureAt));
+}
+
+/**
+ * Lift a lockout and reset its counter
+ * @param {string} key - user:<username> or ip:<address>
+ * @returns {Promise<boolean>} - false if there was no counter
+ */
+export async function unlock(store, key) {
+  let found = false;
+
+  await store.update(key, (entry) => {
+    found = Boolean(entry);
+    return null;
+  });
+
+  return found;
+}
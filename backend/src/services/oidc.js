@@ -0,0 +1,426 @@
+/**
+ * OpenID Connect Single Sign-On
+ *
+ * Sign-in through any OIDC identity provider, using the authorization code
+ * flow with PKCE:
+ *   1. GET /api/auth/oidc/start returns the provider's authorize URL, a
+ *      signed `state` and the PKCE `codeVerifier`; the SPA keeps both and
+ *      sends the browser to the provider
+ *   2. The provider redirects back to the SPA's /callback with `code` and `state`
+ *   3. The SPA posts code, state and codeVerifier to /api/auth/oidc/callback,
+ *      which redeems the code, verifies the ID token against the provider's
+ *      published keys (JWKS) and maps its claims to a role
+ *
+ * Roles come from the groups claim: members of OIDC_ADMIN_GROUPS are admins,
+ * OIDC_REVIEWER_GROUPS reviewers, and so on down to OIDC_VIEWER_GROUPS; the
+ * first match wins. '*' in any but the admin list lets every user in.
+ * Users are provisioned just in time: the first sign-in adds them to
+ * config/users.json (without a password) and architects to
+ * config/architects.json, and later sign-ins keep role and name in sync
+ * with the provider.
+ *
+ * Endpoints are read from the issuer's discovery document, so a local mock
+ * issuer works the same as a real one.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { StorageConflictError } from '../storage/StorageProvider.js';
+import { OAuthError } from './githubOAuth.js';
+import { ROLES } from './permissions.js';
+import { USERS_PATH, isActive, loadUsers } from './users.js';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-me';
+
+const ARCHITECTS_PATH = 'config/architects.json';
+
+const STATE_PURPOSE = 'oidc';
+const STATE_TTL_SECONDS = 10 * 60;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+// Don't refetch the key set more often than this looking for an unknown key
+const JWKS_REFETCH_MS = 60 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+const MAX_PROVISION_ATTEMPTS = 3;
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+let discoveryCache = null;
+let jwksCache = null;
+
+function splitList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Provider settings, or null when OIDC sign-in isn't configured
+ */
+export function getOidcConfig() {
+  const {
+    OIDC_ISSUER_URL: issuerUrl,
+    OIDC_CLIENT_ID: clientId,
+    OIDC_CLIENT_SECRET: clientSecret,
+    OIDC_REDIRECT_URI: redirectUri,
+  } = process.env;
+
+  if (!issuerUrl || !clientId || !redirectUri) {
+    return null;
+  }
+
+  const issuer = issuerUrl.replace(/\/+$/, '');
+
+  return {
+    issuer,
+    discoveryUrl: process.env.OIDC_DISCOVERY_URL || `${issuer}/.well-known/openid-configuration`,
+    clientId,
+    clientSecret: clientSecret || null,
+    redirectUri,
+    displayName: process.env.OIDC_DISPLAY_NAME || 'Single Sign-On',
+    scopes: process.env.OIDC_SCOPES || 'openid profile email groups',
+    usernameClaim: process.env.OIDC_USERNAME_CLAIM || 'preferred_username',
+    nameClaim: process.env.OIDC_NAME_CLAIM || 'name',
+    groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+    roleGroups: Object.fromEntries(ROLES.map(role => [
+      role, splitList(process.env[`OIDC_${role.toUpperCase()}_GROUPS`]),
+    ])),
+    linkExistingUsers: process.env.OIDC_LINK_EXISTING_USERS === 'true',
+  };
+}
+
+function requireConfig() {
+  const config = getOidcConfig();
+  if (!config) {
+    throw new OAuthError('Single sign-on is not configured', 404, 'OAUTH_NOT_CONFIGURED');
+  }
+  return config;
+}
+
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  const body = await response.json().catch(() => ({}));
+  return { response, body };
+}
+
+/**
+ * The provider's discovery document, cached for an hour
+ */
+async function getDiscovery(config) {
+  if (discoveryCache && discoveryCache.url === config.discoveryUrl
+    && Date.now() - discoveryCache.fetchedAt < DISCOVERY_TTL_MS) {
+    return discoveryCache.document;
+  }
+
+  const { response, body } = await fetchJson(config.discoveryUrl);
+  if (!response.ok || !body.authorization_endpoint || !body.token_endpoint || !body.jwks_uri) {
+    throw new OAuthError(`Could not read the OIDC discovery document (HTTP ${response.status})`, 502);
+  }
+
+  discoveryCache = { url: config.discoveryUrl, document: body, fetchedAt: Date.now() };
+  return body;
+}
+
+/**
+ * The public key an ID token was signed with
+ * The key set is refetched when the token names a key it doesn't have yet,
+ * which is how providers roll their keys
+ */
+async function getSigningKey(discovery, kid) {
+  const find = keys => keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+  let key = jwksCache?.uri === discovery.jwks_uri ? find(jwksCache.keys) : null;
+
+  if (!key && (!jwksCache || jwksCache.uri !== discovery.jwks_uri || Date.now() - jwksCache.fetchedAt > JWKS_REFETCH_MS)) {
+    const { response, body } = await fetchJson(discovery.jwks_uri);
+    if (!response.ok || !Array.isArray(body.keys)) {
+      throw new OAuthError(`Could not read the provider's signing keys (HTTP ${response.status})`, 502);
+    }
+    jwksCache = { uri: discovery.jwks_uri, keys: body.keys, fetchedAt: Date.now() };
+    key = find(body.keys);
+  }
+
+  if (!key) {
+    throw new OAuthError('ID token is signed with an unknown key', 401, 'INVALID_ID_TOKEN');
+  }
+
+  return crypto.createPublicKey({ key, format: 'jwk' });
+}
+
+/**
+ * Start a sign-in
+ * @returns {Promise<Object>} - { authorizeUrl, state, codeVerifier }
+ */
+export async function createOidcAuthorization() {
+  const config = requireConfig();
+  const discovery = await getDiscovery(config);
+
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const state = jwt.sign({ purpose: STATE_PURPOSE, nonce }, JWT_SECRET, { expiresIn: STATE_TTL_SECONDS });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  });
+
+  return { authorizeUrl: `${discovery.authorization_endpoint}?${params}`, state, codeVerifier };
+}
+
+function verifyState(state) {
+  try {
+    const decoded = jwt.verify(String(state || ''), JWT_SECRET);
+    if (decoded.purpose !== STATE_PURPOSE) {
+      throw new Error('wrong purpose');
+    }
+    return decoded;
+  } catch (error) {
+    throw new OAuthError('Sign-in link is invalid or has expired, please start again', 400, 'INVALID_STATE');
+  }
+}
+
+/**
+ * Redeem the authorization code at the token endpoint
+ * Confidential clients authenticate with client_secret_basic unless the
+ * provider only supports client_secret_post
+ */
+async function redeemCode(config, discovery, code, codeVerifier) {
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    code_verifier: codeVerifier,
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  const authMethods = discovery.token_endpoint_auth_methods_supported;
+
+  if (!config.clientSecret) {
+    params.set('client_id', config.clientId);
+  } else if (Array.isArray(authMethods) && !authMethods.includes('client_secret_basic')
+    && authMethods.includes('client_secret_post')) {
+    params.set('client_id', config.clientId);
+    params.set('client_secret', config.clientSecret);
+  } else {
+    const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  const { response, body } = await fetchJson(discovery.token_endpoint, { method: 'POST', headers, body: params });
+
+  if (!response.ok || !body.id_token) {
+    throw new OAuthError(body.error_description || body.error || `Code exchange failed (HTTP ${response.status})`);
+  }
+
+  return body;
+}
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ * @returns {Promise<Object>} - The token's claims
+ */
+async function verifyIdToken(config, discovery, idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new OAuthError('ID token is malformed', 401, 'INVALID_ID_TOKEN');
+  }
+
+  const key = await getSigningKey(discovery, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: discovery.issuer || config.issuer,
+      audience: config.clientId,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS,
+    });
+  } catch (error) {
+    throw new OAuthError(`ID token rejected: ${error.message}`, 401, 'INVALID_ID_TOKEN');
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new OAuthError('ID token was not issued for this sign-in', 401, 'INVALID_ID_TOKEN');
+  }
+
+  return claims;
+}
+
+/**
+ * Claims from the userinfo endpoint, for providers that leave groups out of
+ * the ID token
+ */
+async function fetchUserInfo(discovery, accessToken, subject) {
+  if (!discovery.userinfo_endpoint || !accessToken) {
+    return {};
+  }
+
+  const { response, body } = await fetchJson(discovery.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' },
+  });
+
+  // Ignore userinfo that doesn't describe the same user
+  return response.ok && body.sub === subject ? body : {};
+}
+
+/**
+ * Role for a set of group claims, or null if the user isn't let in
+ */
+export function roleForGroups(config, groups) {
+  const memberOf = new Set((Array.isArray(groups) ? groups : [groups]).filter(Boolean).map(String));
+
+  // ROLES runs from most to least privileged
+  return ROLES.find(role => {
+    const groups = config.roleGroups[role];
+    return (role !== 'admin' && groups.includes('*')) || groups.some(group => memberOf.has(group));
+  }) || null;
+}
+
+/**
+ * Create or update the user (and architect) for a signed-in OIDC identity
+ * The account is matched on the provider's subject. An existing local account
+ * with the same username, or an architect entry single sign-on didn't
+ * create (such as a GitHub-only architect), is only taken over when
+ * OIDC_LINK_EXISTING_USERS is set, since many providers let users pick
+ * their own username
+ * @returns {Promise<Object>} - The user entry
+ */
+async function provisionUser(storage, identity, linkByUsername) {
+  for (let attempt = 1; ; attempt++) {
+    const [{ users, data: usersData, sha: usersSha }, architectsResult] = await Promise.all([
+      loadUsers(storage),
+      storage.getJson(ARCHITECTS_PATH),
+    ]);
+    const architects = architectsResult?.data?.architects || [];
+
+    const existing = users.find(u => u.oidcSubject === identity.subject)
+      || users.find(u => u.username === identity.username);
+
+    if (existing && existing.oidcSubject !== identity.subject
+      && (existing.oidcSubject || !linkByUsername)) {
+      throw new OAuthError(`Username ${identity.username} already belongs to another account`, 409, 'ACCOUNT_CONFLICT');
+    }
+
+    const name = (existing?.username || identity.username).toLowerCase();
+    const architect = architects.find(a => String(a.githubUsername).toLowerCase() === name);
+
+    // An architect entry without a matching account belongs to someone who
+    // signs in another way, unless single sign-on added it
+    if (architect && architect.addedBy !== 'oidc' && existing?.oidcSubject !== identity.subject
+      && !linkByUsername) {
+      throw new OAuthError(`Username ${identity.username} already belongs to another account`, 409, 'ACCOUNT_CONFLICT');
+    }
+
+    if (existing && !isActive(existing)) {
+      throw new OAuthError(`${existing.username} has been deactivated`, 403, 'ACCOUNT_DEACTIVATED');
+    }
+
+    const user = {
+      ...existing,
+      username: existing?.username || identity.username,
+      role: identity.role,
+      fullName: identity.fullName,
+      email: identity.email || existing?.email || '',
+      oidcSubject: identity.subject,
+    };
+
+    const operations = [];
+
+    if (!existing || ['role', 'fullName', 'email', 'oidcSubject'].some(field => existing[field] !== user[field])) {
+      const updatedUsers = existing
+        ? users.map(u => (u === existing ? user : u))
+        : [...users, user];
+      operations.push({ type: 'saveJson', path: USERS_PATH, data: { ...usersData, users: updatedUsers }, sha: usersSha || undefined });
+    }
+
+    if (user.role === 'architect') {
+      if (architect && architect.status !== 'active') {
+        throw new OAuthError(`Architect ${user.username} has been deactivated`, 403, 'NOT_AUTHORIZED');
+      }
+
+      if (!architect) {
+        operations.push({
+          type: 'saveJson',
+          path: ARCHITECTS_PATH,
+          data: {
+            ...architectsResult?.data,
+            architects: [...architects, {
+              id: `arch-${Date.now()}`,
+              githubUsername: user.username,
+              displayName: user.fullName,
+              email: user.email,
+              specialization: '',
+              status: 'active',
+              addedAt: new Date().toISOString(),
+              addedBy: 'oidc',
+              deactivatedAt: null,
+              deactivatedBy: null,
+            }],
+          },
+          sha: architectsResult?.sha || undefined,
+        });
+      }
+    }
+
+    if (operations.length === 0) {
+      return user;
+    }
+
+    try {
+      await storage.batch(operations, `Provision ${user.username} from single sign-on`);
+      return user;
+    } catch (error) {
+      if (!(error instanceof StorageConflictError) || attempt >= MAX_PROVISION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Finish a sign-in from the callback parameters
+ * @param {StorageProvider} storage - Storage provider
+ * @param {Object} params - { code, state, codeVerifier }
+ * @returns {Promise<Object>} - The provisioned user entry, with authProvider 'oidc'
+ * @throws {OAuthError}
+ */
+export async function completeOidcLogin(storage, { code, state, codeVerifier }) {
+  const config = requireConfig();
+  const { nonce } = verifyState(state);
+
+  if (!code || !codeVerifier) {
+    throw new OAuthError('Authorization code and codeVerifier are required', 400, 'VALIDATION_ERROR');
+  }
+
+  const discovery = await getDiscovery(config);
+  const tokens = await redeemCode(config, discovery, code, codeVerifier);
+  const idClaims = await verifyIdToken(config, discovery, tokens.id_token, nonce);
+
+  const claims = idClaims[config.groupsClaim] === undefined
+    ? { ...(await fetchUserInfo(discovery, tokens.access_token, idClaims.sub)), ...idClaims }
+    : idClaims;
+
+  const username = claims[config.usernameClaim];
+  if (!username || typeof username !== 'string') {
+    throw new OAuthError(`ID token has no ${config.usernameClaim} claim`, 400, 'INVALID_ID_TOKEN');
+  }
+
+  const role = roleForGroups(config, claims[config.groupsClaim]);
+  if (!role) {
+    throw new OAuthError(`${username} is not in a group with access to this board`, 403, 'NOT_AUTHORIZED');
+  }
+
+  const user = await provisionUser(storage, {
+    subject: `${discovery.issuer || config.issuer}|${claims.sub}`,
+    username,
+    role,
+    fullName: claims[config.nameClaim] || username,
+    email: claims.email,
+  }, config.linkExistingUsers);
+
+  return { ...user, authProvider: 'oidc' };
+}
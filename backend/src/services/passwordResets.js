@@ -0,0 +1,233 @@
+/**
+ * Password Reset
+ *
+ * Users who forgot their password request a reset link by username. The
+ * link is mailed to the account's `email` (or its architect entry's email)
+ * and carries a random token that works once, within
+ * PASSWORD_RESET_TTL_MINUTES (default 60). A new request replaces the
+ * previous link, at most once a minute per account.
+ *
+ * Requests never tell whether the account exists: the route answers the
+ * same way for every username, and requestPasswordReset() pads the work to
+ * a fixed minimum time so the response time doesn't tell either. The work
+ * is finished before responding, so serverless hosts don't freeze it
+ * half-way.
+ * Deactivated accounts, accounts that sign in with GitHub or single sign-on,
+ * accounts without an email address and password login being off all end
+ * quietly without mail.
+ *
+ * Pending tokens live in auth/password-resets.json as SHA-256 hashes. Using
+ * one writes the new password hash and the removal of the token in one
+ * storage batch.
+ */
+
+import crypto from 'crypto';
+import { StorageConflictError } from '../storage/StorageProvider.js';
+import { appLink, isEmailAddress, sendMail } from './mail.js';
+import { hashPassword, validatePassword } from './passwords.js';
+import { loadSettings } from './settings.js';
+import { ARCHITECTS_PATH, USERS_PATH, isActive, loadUsers } from './users.js';
+
+export const PASSWORD_RESETS_PATH = 'auth/password-resets.json';
+
+const DEFAULT_RESET_TTL_MINUTES = 60;
+const MIN_REQUEST_INTERVAL_MS = 60 * 1000;
+const MAX_ATTEMPTS = 3;
+// Every request takes at least this long, whether or not a link goes out
+const MIN_REQUEST_MS = 2000;
+
+/**
+ * Error thrown when a reset token or new password is refused
+ */
+export class PasswordResetError extends Error {
+  constructor(message, statusCode = 400, code = 'VALIDATION_ERROR') {
+    super(message);
+    this.name = 'PasswordResetError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+function readNumber(name, fallback) {
+  const value = Number.parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+async function loadResets(storage) {
+  const result = await storage.getJson(PASSWORD_RESETS_PATH);
+  const now = Date.now();
+
+  return {
+    // Expired tokens are dropped whenever the file is written
+    resets: (result?.data?.resets || []).filter(r => Date.parse(r.expiresAt) > now),
+    sha: result?.sha || null,
+  };
+}
+
+/**
+ * Where a user's reset link goes, or null if they have no address
+ */
+async function findEmail(storage, user) {
+  if (isEmailAddress(user.email)) {
+    return user.email;
+  }
+
+  const result = await storage.getJson(ARCHITECTS_PATH);
+  const architect = (result?.data?.architects || []).find(a => a.githubUsername === user.username);
+  return isEmailAddress(architect?.email) ? architect.email : null;
+}
+
+/**
+ * Issue a reset token for a username and mail the link
+ * Ends without mail (and without telling) when the account can't be reset
+ * @param {StorageProvider} storage - Storage provider
+ * @param {string} username - Username from the request
+ * @returns {Promise<boolean>} - Whether a link was sent
+ */
+export async function sendPasswordReset(storage, username) {
+  const [{ users }, { settings }] = await Promise.all([loadUsers(storage), loadSettings(storage)]);
+  const user = users.find(u => u.username === username);
+
+  if (!settings.auth.passwordLogin || !isActive(user) || user.oidcSubject) {
+    return false;
+  }
+
+  const email = await findEmail(storage, user);
+  if (!email) {
+    return false;
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const ttlMs = readNumber('PASSWORD_RESET_TTL_MINUTES', DEFAULT_RESET_TTL_MINUTES) * 60 * 1000;
+  const now = Date.now();
+  const reset = {
+    username,
+    tokenHash: hashToken(token),
+    requestedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMs).toISOString(),
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    const { resets, sha } = await loadResets(storage);
+    const previous = resets.find(r => r.username === username);
+
+    if (previous && now - Date.parse(previous.requestedAt) < MIN_REQUEST_INTERVAL_MS) {
+      return false;
+    }
+
+    try {
+      await storage.saveJson(
+        PASSWORD_RESETS_PATH,
+        { resets: [...resets.filter(r => r.username !== username), reset] },
+        `Request password reset for ${username}`,
+        sha || undefined
+      );
+      break;
+    } catch (error) {
+      if (!(error instanceof StorageConflictError) || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+
+  await sendMail({
+    to: email,
+    subject: 'Reset your Architecture Bulletin password',
+    text: [
+      `Hello ${user.fullName || username},`,
+      '',
+      `Someone asked to reset the password of your account ${username}. Choose a new one here:`,
+      '',
+      appLink('/reset-password', { token }),
+      '',
+      `This link works once and expires on ${new Date(reset.expiresAt).toUTCString()}.`,
+      'If you did not ask for this, you can ignore this message: your password stays the same.',
+    ].join('\n'),
+  });
+
+  return true;
+}
+
+/**
+ * Handle a reset request the same way for every username
+ * Sends the link when the account can be reset, never throws, and takes
+ * at least MIN_REQUEST_MS so the caller can't time the difference
+ * @param {StorageProvider} storage - Storage provider
+ * @param {string} username - Username from the request
+ */
+export async function requestPasswordReset(storage, username) {
+  const startedAt = Date.now();
+
+  try {
+    await sendPasswordReset(storage, username);
+  } catch (error) {
+    console.error(`Error sending password reset for ${username}:`, error);
+  }
+
+  const remaining = MIN_REQUEST_MS - (Date.now() - startedAt);
+  if (remaining > 0) {
+    await new Promise(resolve => setTimeout(resolve, remaining));
+  }
+}
+
+/**
+ * Set a new password with a reset token
+ * The caller ends the user's sessions
+ * @param {StorageProvider} storage - Storage provider
+ * @param {string} token - Token from the reset link
+ * @param {string} password - The new password
+ * @returns {Promise<Object>} - The updated user entry
+ */
+export async function resetPassword(storage, token, password) {
+  const passwordProblem = validatePassword(password);
+  if (passwordProblem) {
+    throw new PasswordResetError(passwordProblem);
+  }
+
+  const passwordHash = await hashPassword(password);
+  const tokenHash = hashToken(token);
+
+  for (let attempt = 1; ; attempt++) {
+    const [{ resets, sha: resetsSha }, { users, data: usersData, sha: usersSha }] = await Promise.all([
+      loadResets(storage),
+      loadUsers(storage),
+    ]);
+    const reset = resets.find(r => r.tokenHash === tokenHash);
+    const user = reset && users.find(u => u.username === reset.username);
+
+    if (!reset || !isActive(user) || user.oidcSubject) {
+      throw new PasswordResetError('This reset link is invalid, expired or already used. Request a new one.', 400, 'INVALID_RESET_TOKEN');
+    }
+
+    const { password: _legacy, ...rest } = user;
+    const updated = { ...rest, passwordHash };
+
+    try {
+      // The token goes first: a second use of the same link conflicts here
+      await storage.batch([
+        {
+          type: 'saveJson',
+          path: PASSWORD_RESETS_PATH,
+          data: { resets: resets.filter(r => r !== reset) },
+          sha: resetsSha || undefined,
+        },
+        {
+          type: 'saveJson',
+          path: USERS_PATH,
+          data: { ...usersData, users: users.map(u => (u === user ? updated : u)) },
+          sha: usersSha || undefined,
+        },
+      ], `Reset password of ${user.username}`);
+
+      return updated;
+    } catch (error) {
+      if (!(error instanceof StorageConflictError) || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Password Hashing
+ *
+ * Passwords are stored as bcrypt hashes in the user's `passwordHash` field.
+ * Older users.json files kept the plaintext in `password`; those entries
+ * still log in and are upgraded to a hash on their next successful login
+ * (or all at once with `npm run users:hash-passwords`).
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+
+const DEFAULT_ROUNDS = 12;
+
+export const MIN_PASSWORD_LENGTH = 8;
+// bcrypt ignores everything past 72 bytes
+export const MAX_PASSWORD_BYTES = 72;
+
+const BCRYPT_PATTERN = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+// Compared against when the user doesn't exist, so the response takes as
+// long as a real check and doesn't reveal which usernames exist
+let dummyHash = null;
+
+/**
+ * bcrypt cost factor (BCRYPT_ROUNDS, default 12)
+ */
+export function getHashRounds() {
+  const rounds = Number.parseInt(process.env.BCRYPT_ROUNDS, 10);
+  return Number.isInteger(rounds) && rounds >= 10 && rounds <= 15 ? rounds : DEFAULT_ROUNDS;
+}
+
+/**
+ * Whether a value is a bcrypt hash
+ */
+export function isPasswordHash(value) {
+  return typeof value === 'string' && BCRYPT_PATTERN.test(value);
+}
+
+/**
+ * Problem with a new password, or null if it is acceptable
+ */
+export function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (Buffer.byteLength(password, 'utf-8') > MAX_PASSWORD_BYTES) {
+    return `Password must be at most ${MAX_PASSWORD_BYTES} bytes`;
+  }
+  return null;
+}
+
+/**
+ * Hash a password for storage
+ */
+export function hashPassword(password) {
+  return bcrypt.hash(password, getHashRounds());
+}
+
+/**
+ * The stored hash of a user, including legacy entries that put a hash in
+ * `password`; null for plaintext entries
+ */
+function storedHash(user) {
+  if (isPasswordHash(user?.passwordHash)) {
+    return user.passwordHash;
+  }
+  return isPasswordHash(user?.password) ? user.password : null;
+}
+
+/**
+ * Check a password against a user entry (hashed or legacy plaintext)
+ * @param {Object|null} user - Entry from config/users.json, or null if unknown
+ * @param {string} password - Password given at login
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(user, password) {
+  const hash = storedHash(user);
+
+  if (hash) {
+    return bcrypt.compare(password, hash);
+  }
+
+  if (typeof user?.password === 'string' && user.password.length > 0) {
+    const expected = crypto.createHash('sha256').update(user.password).digest();
+    const given = crypto.createHash('sha256').update(String(password)).digest();
+    return crypto.timingSafeEqual(expected, given);
+  }
+
+  dummyHash = dummyHash || await bcrypt.hash(crypto.randomBytes(16).toString('hex'), getHashRounds());
+  await bcrypt.compare(String(password), dummyHash);
+  return false;
+}
+
+/**
+ * Whether a user entry should be rewritten with a fresh hash: plaintext
+ * entries, and hashes made with fewer rounds than currently configured
+ */
+export function needsRehash(user) {
+  const hash = storedHash(user);
+  return !hash || user.password !== undefined || bcrypt.getRounds(hash) < getHashRounds();
+}
+
+/**
+ * A user entry with the password stored as a hash
+ */
+export async function withPasswordHash(user, password) {
+  const { password: _legacy, ...rest } = user;
+  return { ...rest, passwordHash: await hashPassword(password) };
+}
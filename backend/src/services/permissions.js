@@ -0,0 +1,186 @@
+/**
+ * Roles and Permissions
+ *
+ * One policy table decides what each role may do. A grant is
+ *   true        always allowed
+ *   false       never allowed (missing actions are false too)
+ *   'own'       allowed on posts the user created
+ *   'assigned'  allowed on posts the user is assigned to
+ *   [...]       allowed if any of the listed conditions holds
+ *
+ * Routes check the role with requirePermission(action) and, where a grant
+ * depends on the post, call can() once the post is loaded. Post updates are
+ * also checked field by field (checkPostUpdate), so e.g. only assigned
+ * architects can change proof of work and only admins can move a post into
+ * a status marked `adminOnly` in config/statuses.json. The conversation is
+ * never changed by an update: comments are appended through
+ * POST /api/posts/:id/conversations, which records author and time itself.
+ *
+ * The frontend reads the same table from GET /api/auth/permissions.
+ */
+
+export const ROLES = ['admin', 'reviewer', 'architect', 'requester', 'viewer'];
+
+export const ACTIONS = {
+  'posts:read': 'Read posts and their history',
+  'posts:create': 'Create posts',
+  'posts:edit': 'Edit title, description, concerned parties and attachments',
+  'posts:comment': 'Add to the conversation',
+  'posts:assign': 'Assign architects',
+  'posts:status': 'Change the status',
+  'posts:approve': 'Record approval (approvedBy)',
+  'posts:proof': 'Add proof of work',
+  'posts:archive': 'Archive and unarchive posts',
+  'posts:delete': 'Move posts to the trash',
+  'posts:restore': 'Restore an earlier version of a post',
+  'posts:trash': 'See the trash and restore posts deleted by others',
+  'statuses:admin-only': 'Set statuses marked adminOnly',
+  'uploads:attachments': 'Upload attachments',
+  'uploads:proof': 'Upload proof of work files',
+  'uploads:delete': 'Delete uploaded files',
+  'config:manage': 'Manage users, architects, statuses and settings',
+  'backup:manage': 'Download and restore backups',
+};
+
+const EDITOR = ['own', 'assigned'];
+
+export const POLICY = {
+  admin: Object.fromEntries(Object.keys(ACTIONS).map(action => [action, true])),
+  reviewer: {
+    'posts:read': true,
+    'posts:create': true,
+    'posts:edit': true,
+    'posts:comment': true,
+    'posts:assign': true,
+    'posts:status': true,
+    'posts:approve': true,
+    'posts:archive': true,
+    'posts:delete': 'own',
+    'posts:restore': true,
+    'uploads:attachments': true,
+  },
+  architect: {
+    'posts:read': true,
+    'posts:create': true,
+    'posts:edit': EDITOR,
+    'posts:comment': true,
+    'posts:status': 'assigned',
+    'posts:proof': 'assigned',
+    'posts:delete': 'own',
+    'posts:restore': EDITOR,
+    'uploads:attachments': EDITOR,
+    'uploads:proof': 'assigned',
+  },
+  requester: {
+    'posts:read': true,
+    'posts:create': true,
+    'posts:edit': 'own',
+    'posts:comment': true,
+    'posts:delete': 'own',
+    'posts:restore': 'own',
+    'uploads:attachments': 'own',
+  },
+  viewer: {
+    'posts:read': true,
+  },
+};
+
+// Which action guards each post field in an update. Fields not listed here
+// count as content and need posts:edit
+const FIELD_ACTIONS = {
+  assignedArchitects: 'posts:assign',
+  adminAssigned: 'posts:assign',
+  status: 'posts:status',
+  submittedAt: 'posts:status',
+  submittedBy: 'posts:status',
+  closedAt: 'posts:status',
+  closedBy: 'posts:status',
+  approvedBy: 'posts:approve',
+  proofOfWork: 'posts:proof',
+  isArchived: 'posts:archive',
+  archivedAt: 'posts:archive',
+};
+
+// Set by the server on every write, never by the client
+const SERVER_FIELDS = new Set(['id', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy']);
+
+// Only changed through their own endpoint, never by an update
+const APPEND_ONLY_FIELDS = new Set(['conversations']);
+
+/**
+ * The grant a role has for an action
+ */
+export function getGrant(role, action) {
+  return POLICY[role]?.[action] ?? false;
+}
+
+/**
+ * Whether the role has the action at all, on at least some posts
+ */
+export function hasPermission(user, action) {
+  return Boolean(user) && getGrant(user.role, action) !== false;
+}
+
+function meetsCondition(condition, user, post) {
+  switch (condition) {
+    case 'own':
+      return post.createdBy === user.username;
+    case 'assigned':
+      return (post.assignedArchitects || []).includes(user.username);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Whether a user may perform an action, on a post if the grant depends on one
+ */
+export function can(user, action, post = null) {
+  if (!user) {
+    return false;
+  }
+
+  const grant = getGrant(user.role, action);
+
+  if (typeof grant === 'boolean') {
+    return grant;
+  }
+
+  const conditions = Array.isArray(grant) ? grant : [grant];
+  return Boolean(post) && conditions.some(condition => meetsCondition(condition, user, post));
+}
+
+/**
+ * Check a post update field by field
+ * Only fields whose value actually changes are checked, so clients may send
+ * back unchanged fields they are not allowed to edit
+ * @param {Object} user - The signed-in user (req.user)
+ * @param {Object} post - The post as currently stored
+ * @param {Object} updates - Fields from the request body
+ * @param {Array<Object>} statuses - Status definitions from config/statuses.json
+ * @returns {string|null} - Why the update is refused, or null if allowed
+ */
+export function checkPostUpdate(user, post, updates, statuses = []) {
+  const changed = Object.keys(updates).filter(field =>
+    !SERVER_FIELDS.has(field) && JSON.stringify(updates[field]) !== JSON.stringify(post[field])
+  );
+
+  for (const field of changed) {
+    if (APPEND_ONLY_FIELDS.has(field)) {
+      return `${field} can't be changed by an update; add comments with POST /api/posts/${post.id}/conversations`;
+    }
+    const action = FIELD_ACTIONS[field] || 'posts:edit';
+    if (!can(user, action, post)) {
+      return `Your role (${user.role}) cannot change ${field} on post ${post.id}`;
+    }
+  }
+
+  if (changed.includes('status')) {
+    const target = statuses.find(status => status.id === updates.status);
+    if (target?.adminOnly && !can(user, 'statuses:admin-only', post)) {
+      return `Only admins can set the status ${target.name || target.label || target.id}`;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,215 @@
+/**
+ * Post History
+ *
+ * Lists earlier versions of a post and diffs them field by field.
+ *
+ * Providers with native history (GitHub: one commit per write) are read
+ * through listRevisions()/getJsonAtRevision(). Everywhere else the routes add
+ * a snapshot of the version being replaced to the same storage batch as the
+ * write, under history/posts/<id>/<revision>.json, so every version except
+ * the current one is kept as its own file. The oldest snapshots are deleted
+ * in the same batch once a post has more than HISTORY_MAX_REVISIONS.
+ */
+
+export const HISTORY_ROOT = 'history/posts';
+
+// Revisions listed when the client doesn't ask for a number
+export const DEFAULT_HISTORY_LIMIT = 20;
+export const MAX_HISTORY_LIMIT = 100;
+
+// Snapshots kept per post by default (HISTORY_MAX_REVISIONS)
+const DEFAULT_MAX_REVISIONS = 100;
+
+// The current version, which has no snapshot file of its own
+export const CURRENT_REVISION = 'current';
+
+// Bookkeeping fields reported as "who/when" rather than as changes
+const METADATA_FIELDS = new Set(['updatedAt', 'updatedBy']);
+
+const REVISION_PATTERN = /^[\w-]+$/;
+
+function postPath(postId) {
+  return `posts/${postId}.json`;
+}
+
+/**
+ * Earlier versions kept per post (HISTORY_MAX_REVISIONS, default 100)
+ * 0 keeps every version
+ */
+export function getMaxRevisions() {
+  const max = Number.parseInt(process.env.HISTORY_MAX_REVISIONS, 10);
+  return Number.isInteger(max) && max >= 0 ? max : DEFAULT_MAX_REVISIONS;
+}
+
+/**
+ * Batch operations that snapshot the version a write is about to replace,
+ * and delete the oldest snapshots past the retention cap
+ * Empty for providers that keep history themselves
+ * @param {StorageProvider} storage - Storage provider
+ * @param {Object} current - { data, sha } of the stored post
+ * @returns {Promise<Array<Object>>} - Batch operations
+ */
+export async function revisionOperations(storage, current) {
+  if (storage.hasRevisionHistory()) {
+    return [];
+  }
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const tag = String(current.sha || '').replace(/[^a-zA-Z0-9]/g, '').slice(0, 8);
+  const revision = tag ? `${stamp}-${tag}` : stamp;
+
+  const operations = [{
+    type: 'saveJson',
+    path: `${HISTORY_ROOT}/${current.data.id}/${revision}.json`,
+    data: {
+      revision,
+      sha: current.sha,
+      replacedAt: new Date().toISOString(),
+      post: current.data,
+    },
+  }];
+
+  const max = getMaxRevisions();
+  if (max > 0) {
+    // Revision names start with a timestamp, so name order is age order
+    const snapshots = (await storage.listDirectory(`${HISTORY_ROOT}/${current.data.id}`))
+      .filter(entry => entry.type !== 'dir' && entry.name.endsWith('.json'))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of snapshots.slice(0, Math.max(snapshots.length + 1 - max, 0))) {
+      operations.push({ type: 'deleteFile', path: entry.path, sha: entry.sha || undefined });
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Field-level differences between two versions of a post
+ * @returns {Array<Object>} - [{ field, from, to }] sorted by field name
+ */
+export function diffPosts(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  for (const field of [...fields].sort()) {
+    if (METADATA_FIELDS.has(field)) {
+      continue;
+    }
+
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Earlier versions kept by the provider itself
+ */
+async function loadNativeVersions(storage, postId, limit) {
+  const revisions = await storage.listRevisions(postPath(postId), { limit });
+
+  const versions = await Promise.all(revisions.map(async (revision) => {
+    const result = await storage.getJsonAtRevision(postPath(postId), revision.revision);
+    // Commits that deleted the file have no content
+    return result ? { ...revision, data: result.data, sha: result.sha } : null;
+  }));
+
+  return versions.filter(Boolean);
+}
+
+/**
+ * The current version followed by the snapshots under history/posts/<id>/
+ */
+async function loadStoredVersions(storage, postId, current, limit) {
+  const entries = (await storage.listDirectory(`${HISTORY_ROOT}/${postId}`))
+    .filter(entry => entry.type !== 'dir' && entry.name.endsWith('.json'))
+    .sort((a, b) => b.name.localeCompare(a.name))
+    .slice(0, Math.max(limit - 1, 0));
+
+  const snapshots = await Promise.all(entries.map(async (entry) => {
+    const result = await storage.getJson(entry.path);
+    return result ? {
+      revision: result.data.revision || entry.name.replace(/\.json$/, ''),
+      timestamp: result.data.post.updatedAt || result.data.post.createdAt || null,
+      message: null,
+      data: result.data.post,
+      sha: result.data.sha,
+    } : null;
+  }));
+
+  return [
+    {
+      revision: CURRENT_REVISION,
+      timestamp: current.data.updatedAt || current.data.createdAt || null,
+      message: null,
+      data: current.data,
+      sha: current.sha,
+    },
+    ...snapshots.filter(Boolean),
+  ];
+}
+
+/**
+ * Version history of a post, newest first
+ * Each entry says who made that version, when, and which fields it changed
+ * compared with the version before it (null for the oldest one returned)
+ * @param {StorageProvider} storage - Storage provider
+ * @param {Object} current - { data, sha } of the stored post
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array<Object>>} - [{ revision, current, updatedAt, updatedBy, message, changes }]
+ */
+export async function getPostHistory(storage, current, options = {}) {
+  const limit = options.limit || DEFAULT_HISTORY_LIMIT;
+  const postId = current.data.id;
+
+  const versions = storage.hasRevisionHistory()
+    ? await loadNativeVersions(storage, postId, limit)
+    : await loadStoredVersions(storage, postId, current, limit);
+
+  return versions.map((version, index) => {
+    const previous = versions[index + 1];
+
+    return {
+      revision: version.revision,
+      current: index === 0 && version.sha === current.sha,
+      updatedAt: version.data.updatedAt || version.data.createdAt || version.timestamp,
+      updatedBy: version.data.updatedBy || version.data.createdBy || null,
+      message: version.message,
+      changes: previous ? diffPosts(previous.data, version.data) : null,
+    };
+  });
+}
+
+/**
+ * A single version of a post, or null if the revision is unknown
+ * "current" (the first row of a stored history) is the post as it is now
+ * @param {StorageProvider} storage - Storage provider
+ * @param {Object} current - { data, sha } of the stored post
+ * @param {string} revision - Revision from the history
+ * @returns {Promise<Object|null>} - { revision, data, sha }
+ */
+export async function getPostRevision(storage, current, revision) {
+  if (!revision || !REVISION_PATTERN.test(revision)) {
+    return null;
+  }
+
+  if (revision === CURRENT_REVISION) {
+    return { revision, data: current.data, sha: current.sha };
+  }
+
+  const postId = current.data.id;
+
+  if (storage.hasRevisionHistory()) {
+    const result = await storage.getJsonAtRevision(postPath(postId), revision);
+    return result ? { revision, data: result.data, sha: result.sha } : null;
+  }
+
+  const result = await storage.getJson(`${HISTORY_ROOT}/${postId}/${revision}.json`);
+  return result ? { revision, data: result.data.post, sha: result.data.sha } : null;
+}
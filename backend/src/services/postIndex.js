@@ -0,0 +1,206 @@
+/**
+ * Post Index
+ *
+ * posts/index.json holds a compact summary of every post so the list
+ * endpoint can answer from one file instead of downloading each post.
+ * Routes update it in the same storage batch as the post itself; when the
+ * index (and only the index) changed concurrently, the batch is retried
+ * against the fresh index.
+ *
+ * If the index drifts (e.g. posts edited directly in the data repo), rebuild
+ * it with `npm run posts:reindex`.
+ */
+
+import { StorageConflictError } from '../storage/StorageProvider.js';
+
+export const POST_INDEX_PATH = 'posts/index.json';
+
+// Attempts when concurrent writes to other posts keep moving the index
+const MAX_INDEX_ATTEMPTS = 5;
+
+// Characters of the description kept for list views
+const EXCERPT_LENGTH = 280;
+
+/**
+ * Check whether a posts/ directory entry is a post (not the index)
+ */
+export function isPostFile(entry) {
+  return entry.type !== 'dir' && entry.name.endsWith('.json') && entry.path !== POST_INDEX_PATH;
+}
+
+/**
+ * Summary of a post as stored in the index
+ */
+export function toPostSummary(post) {
+  const description = post.description || '';
+
+  return {
+    id: post.id,
+    title: post.title,
+    excerpt: description.length > EXCERPT_LENGTH
+      ? `${description.slice(0, EXCERPT_LENGTH).trimEnd()}…`
+      : description,
+    status: post.status,
+    assignedArchitects: post.assignedArchitects || [],
+    concernedParties: post.concernedParties || [],
+    createdAt: post.createdAt,
+    createdBy: post.createdBy,
+    updatedAt: post.updatedAt,
+    isArchived: Boolean(post.isArchived),
+  };
+}
+
+/**
+ * Build index data from a list of summaries
+ */
+function toIndexData(summaries) {
+  return {
+    version: 1,
+    updatedAt: new Date().toISOString(),
+    posts: [...summaries].sort((a, b) => a.id.localeCompare(b.id)),
+  };
+}
+
+/**
+ * Index data with a post added or replaced
+ */
+export function upsertPost(indexData, post) {
+  const posts = (indexData?.posts || []).filter(summary => summary.id !== post.id);
+  return toIndexData([...posts, toPostSummary(post)]);
+}
+
+/**
+ * Index data without a post
+ */
+export function removePost(indexData, postId) {
+  return toIndexData((indexData?.posts || []).filter(summary => summary.id !== postId));
+}
+
+/**
+ * Read the index, or null if it hasn't been built yet
+ * @returns {Promise<Object|null>} - { data: { version, updatedAt, posts }, sha }
+ */
+export async function loadPostIndex(storage) {
+  return storage.getJson(POST_INDEX_PATH);
+}
+
+/**
+ * Build index data by reading every post file
+ */
+export async function buildPostIndex(storage) {
+  const files = (await storage.listDirectory('posts')).filter(isPostFile);
+  const posts = await Promise.all(files.map(async (file) => {
+    try {
+      const result = await storage.getJson(file.path);
+      return result ? result.data : null;
+    } catch (error) {
+      console.error(`Error indexing post ${file.path}:`, error);
+      return null;
+    }
+  }));
+
+  return toIndexData(posts.filter(post => post && post.id).map(toPostSummary));
+}
+
+/**
+ * Post summaries for the list endpoint
+ * A missing index is built from the post files and saved (best effort)
+ */
+export async function getPostSummaries(storage) {
+  const index = await loadPostIndex(storage);
+
+  if (index) {
+    return index.data.posts;
+  }
+
+  const data = await buildPostIndex(storage);
+
+  try {
+    await storage.saveJson(POST_INDEX_PATH, data, 'Build post index');
+  } catch (error) {
+    // Another request built it first, or storage is read-only - serve anyway
+    if (!(error instanceof StorageConflictError)) {
+      console.error('Error saving post index:', error);
+    }
+  }
+
+  return data.posts;
+}
+
+/**
+ * SHA of the stored index, or null if there is none
+ * Taken from the listing, so a corrupt index is replaced too. Providers that
+ * don't put SHAs in listings (filesystem) have it read from the file; one
+ * that can't be parsed is deleted so the rebuilt index can be created
+ */
+async function currentIndexSha(storage) {
+  const entries = await storage.listDirectory('posts');
+  const listed = entries.find(entry => entry.path === POST_INDEX_PATH);
+
+  if (!listed || listed.sha) {
+    return listed?.sha || null;
+  }
+
+  try {
+    return (await storage.getJson(POST_INDEX_PATH))?.sha || null;
+  } catch (error) {
+    await storage.deleteFile(POST_INDEX_PATH, undefined, 'Remove unreadable post index');
+    return null;
+  }
+}
+
+/**
+ * Rebuild the index from the post files and save it
+ * @returns {Promise<Object>} - The saved index data
+ */
+export async function rebuildPostIndex(storage, message = 'Rebuild post index') {
+  for (let attempt = 1; ; attempt++) {
+    const sha = await currentIndexSha(storage);
+    const data = await buildPostIndex(storage);
+
+    try {
+      await storage.saveJson(POST_INDEX_PATH, data, message, sha);
+      return data;
+    } catch (error) {
+      if (error instanceof StorageConflictError && attempt < MAX_INDEX_ATTEMPTS) {
+        continue;
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Apply post writes and the matching index update as one storage batch
+ * @param {StorageProvider} storage - Storage provider
+ * @param {Array<Object>} operations - Batch operations for the post's own files
+ * @param {Function} updateIndex - (indexData) => new index data
+ * @param {string} message - Commit message
+ * @returns {Promise<Object>} - Batch result; results[i] matches operations[i]
+ */
+export async function commitWithIndex(storage, operations, updateIndex, message) {
+  for (let attempt = 1; ; attempt++) {
+    const index = await loadPostIndex(storage);
+    // First write after an upgrade: seed the index from the existing posts
+    const base = index ? index.data : await buildPostIndex(storage);
+
+    try {
+      return await storage.batch([
+        ...operations,
+        {
+          type: 'saveJson',
+          path: POST_INDEX_PATH,
+          data: updateIndex(base),
+          sha: index?.sha || null,
+        },
+      ], message);
+    } catch (error) {
+      // Another post was written in between - the post's own SHA still holds
+      if (error instanceof StorageConflictError && error.path === POST_INDEX_PATH
+        && attempt < MAX_INDEX_ATTEMPTS) {
+        continue;
+      }
+      throw error;
+    }
+  }
+}
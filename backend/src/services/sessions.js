@@ -0,0 +1,372 @@
+/**
+ * Sessions and Tokens
+ *
+ * Logging in opens a session and returns two tokens:
+ *   access token   a JWT carrying the user and session id (`sid`), valid for
+ *                  ACCESS_TOKEN_TTL_SECONDS (default 15 minutes)
+ *   refresh token  an opaque `<user>.<session>.<secret>` string, exchanged
+ *                  at POST /api/auth/refresh for a new pair
+ *
+ * Sessions are stored per user in auth/sessions/<username>.json, holding
+ * only a hash of the current refresh secret. Every refresh rotates the
+ * secret; presenting an already rotated secret again (outside a short grace
+ * period for tabs refreshing at the same moment) means the token was copied,
+ * so the whole session is revoked. A session expires after
+ * REFRESH_TOKEN_TTL_DAYS (default 7) without a refresh.
+ *
+ * Access tokens can't be recalled, so closing a session (logout, logout
+ * everywhere, reuse detection) also records its id in auth/revocations.json,
+ * which authenticate() checks on every request until the session's last
+ * access token would have expired anyway.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { StorageConflictError } from '../storage/StorageProvider.js';
+import { toPublicUser } from './users.js';
+
+export const SESSIONS_ROOT = 'auth/sessions';
+export const REVOCATIONS_PATH = 'auth/revocations.json';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-me';
+
+const DEFAULT_ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 7;
+const DEFAULT_REVOCATION_CACHE_SECONDS = 5;
+
+// A rotated refresh token presented again this soon is treated as a race
+// between tabs rather than theft
+const REUSE_GRACE_MS = 30 * 1000;
+
+const MAX_ATTEMPTS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let revocationCache = null;
+
+/**
+ * Error thrown for access or refresh tokens that can't be used
+ */
+export class SessionError extends Error {
+  constructor(message, code = 'INVALID_REFRESH_TOKEN') {
+    super(message);
+    this.name = 'SessionError';
+    this.statusCode = 401;
+    this.code = code;
+  }
+}
+
+function readNumber(name, fallback) {
+  const value = Number.parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Access token lifetime in seconds (ACCESS_TOKEN_TTL_SECONDS, default 900)
+ */
+export function getAccessTokenTtl() {
+  return Math.round(readNumber('ACCESS_TOKEN_TTL_SECONDS', DEFAULT_ACCESS_TOKEN_TTL_SECONDS));
+}
+
+/**
+ * Days a session lasts without a refresh (REFRESH_TOKEN_TTL_DAYS, default 7)
+ */
+export function getRefreshTokenTtlDays() {
+  return readNumber('REFRESH_TOKEN_TTL_DAYS', DEFAULT_REFRESH_TOKEN_TTL_DAYS);
+}
+
+function sessionsPath(username) {
+  return `${SESSIONS_ROOT}/${encodeURIComponent(username)}.json`;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function sameHash(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.length === b.length
+    && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+function refreshExpiry(now = Date.now()) {
+  return new Date(now + getRefreshTokenTtlDays() * DAY_MS).toISOString();
+}
+
+/**
+ * Split a refresh token into its parts, or null if it is malformed
+ */
+function parseRefreshToken(refreshToken) {
+  const parts = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (parts.length !== 3 || parts.some(part => part.length === 0)) {
+    return null;
+  }
+
+  return {
+    username: Buffer.from(parts[0], 'base64url').toString('utf-8'),
+    sessionId: parts[1],
+    secret: parts[2],
+  };
+}
+
+/**
+ * Apply a change to a user's sessions and save them, retrying on conflicts
+ * Expired sessions are dropped on every write
+ * @param {Function} change - (sessions) => new sessions array, or null to skip saving
+ * @returns {Promise<Array|null>} - Saved sessions, or null if nothing changed
+ */
+async function updateSessions(storage, username, change, message) {
+  for (let attempt = 1; ; attempt++) {
+    const current = await storage.getJson(sessionsPath(username));
+    const now = new Date().toISOString();
+    const sessions = (current?.data?.sessions || []).filter(session => session.expiresAt > now);
+    const updated = change(sessions);
+
+    if (!updated) {
+      return null;
+    }
+
+    try {
+      await storage.saveJson(sessionsPath(username), { username, sessions: updated }, message, current?.sha || undefined);
+      return updated;
+    } catch (error) {
+      if (!(error instanceof StorageConflictError) || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Record closed sessions in auth/revocations.json
+ * Entries are kept until every access token of the session has expired
+ */
+async function revokeAccessTokens(storage, username, sessionIds, message) {
+  if (sessionIds.length === 0) {
+    return;
+  }
+
+  const expiresAt = new Date(Date.now() + getAccessTokenTtl() * 1000).toISOString();
+
+  for (let attempt = 1; ; attempt++) {
+    const current = await storage.getJson(REVOCATIONS_PATH);
+    const now = new Date().toISOString();
+    const sessions = Object.fromEntries(
+      Object.entries(current?.data?.sessions || {}).filter(([, entry]) => entry.expiresAt > now)
+    );
+
+    for (const sessionId of sessionIds) {
+      sessions[sessionId] = { username, expiresAt };
+    }
+    const revocations = { sessions };
+
+    try {
+      await storage.saveJson(REVOCATIONS_PATH, revocations, message, current?.sha || undefined);
+      revocationCache = { revocations, loadedAt: Date.now() };
+      return;
+    } catch (error) {
+      if (!(error instanceof StorageConflictError) || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Revocations, re-read at most every REVOCATION_CACHE_SECONDS (default 5)
+ * so authenticate() doesn't hit storage on every request
+ */
+async function loadRevocations(storage) {
+  const maxAge = readNumber('REVOCATION_CACHE_SECONDS', DEFAULT_REVOCATION_CACHE_SECONDS) * 1000;
+
+  if (revocationCache && Date.now() - revocationCache.loadedAt < maxAge) {
+    return revocationCache.revocations;
+  }
+
+  const result = await storage.getJson(REVOCATIONS_PATH);
+  const revocations = { sessions: result?.data?.sessions || {} };
+  revocationCache = { revocations, loadedAt: Date.now() };
+  return revocations;
+}
+
+/**
+ * Sign an access token for a session
+ */
+function signAccessToken(user, sessionId) {
+  return jwt.sign({ ...toPublicUser(user), sid: sessionId }, JWT_SECRET, { expiresIn: getAccessTokenTtl() });
+}
+
+/**
+ * Token pair returned to the client
+ */
+function tokenResponse(user, sessionId, secret) {
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken: `${Buffer.from(user.username, 'utf-8').toString('base64url')}.${sessionId}.${secret}`,
+    expiresIn: getAccessTokenTtl(),
+    user: toPublicUser(user),
+  };
+}
+
+/**
+ * Open a session for a user who just authenticated
+ * @param {StorageProvider} storage - Storage provider
+ * @param {Object} user - User entry; `authProvider` says how they signed in
+ *   (default 'password') and is recorded so refreshes look them up the same way
+ * @param {Object} client - { userAgent, ip } recorded with the session
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn, user }
+ */
+export async function createSession(storage, user, client = {}) {
+  const sessionId = crypto.randomBytes(12).toString('base64url');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const now = new Date().toISOString();
+
+  await updateSessions(storage, user.username, sessions => [
+    ...sessions,
+    {
+      id: sessionId,
+      provider: user.authProvider || 'password',
+      tokenHash: hashSecret(secret),
+      previousTokenHash: null,
+      createdAt: now,
+      refreshedAt: now,
+      expiresAt: refreshExpiry(),
+      userAgent: client.userAgent || null,
+      ip: client.ip || null,
+    },
+  ], `Open session for ${user.username}`);
+
+  return tokenResponse(user, sessionId, secret);
+}
+
+/**
+ * Exchange a refresh token for a new token pair, rotating its secret
+ * @param {StorageProvider} storage - Storage provider
+ * @param {string} refreshToken - Token from login or the last refresh
+ * @param {Function} findUser - async (username, provider) => current user
+ *   entry or null, checked on every refresh so removed users lose access
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn, user }
+ */
+export async function refreshSession(storage, refreshToken, findUser) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw new SessionError('Invalid refresh token');
+  }
+
+  const { username, sessionId, secret } = parsed;
+  const presentedHash = hashSecret(secret);
+  const nextSecret = crypto.randomBytes(32).toString('base64url');
+  let outcome = null;
+  let provider = 'password';
+
+  await updateSessions(storage, username, (sessions) => {
+    const session = sessions.find(s => s.id === sessionId);
+
+    if (!session) {
+      outcome = 'unknown';
+      return null;
+    }
+
+    if (sameHash(session.tokenHash, presentedHash)) {
+      outcome = 'rotated';
+      provider = session.provider || 'password';
+      return sessions.map(s => (s.id === sessionId ? {
+        ...s,
+        tokenHash: hashSecret(nextSecret),
+        previousTokenHash: presentedHash,
+        refreshedAt: new Date().toISOString(),
+        expiresAt: refreshExpiry(),
+      } : s));
+    }
+
+    if (sameHash(session.previousTokenHash, presentedHash)
+      && Date.now() - new Date(session.refreshedAt).getTime() < REUSE_GRACE_MS) {
+      outcome = 'raced';
+      return null;
+    }
+
+    outcome = 'reused';
+    return sessions.filter(s => s.id !== sessionId);
+  }, `Refresh session for ${username}`);
+
+  if (outcome === 'reused') {
+    await revokeAccessTokens(storage, username, [sessionId], `Revoke reused session for ${username}`);
+    throw new SessionError('Refresh token was already used; the session has been revoked', 'REFRESH_TOKEN_REUSED');
+  }
+
+  if (outcome !== 'rotated') {
+    throw new SessionError(outcome === 'raced'
+      ? 'Refresh token was just rotated by another request'
+      : 'Session has expired or was revoked');
+  }
+
+  const user = await findUser(username, provider);
+  if (!user) {
+    await revokeSession(storage, username, sessionId);
+    throw new SessionError('User no longer exists');
+  }
+
+  return tokenResponse(user, sessionId, nextSecret);
+}
+
+/**
+ * End one session: its refresh token stops working at once and its access
+ * tokens are rejected until they expire
+ */
+export async function revokeSession(storage, username, sessionId) {
+  await updateSessions(
+    storage,
+    username,
+    sessions => (sessions.some(s => s.id === sessionId) ? sessions.filter(s => s.id !== sessionId) : null),
+    `Close session for ${username}`
+  );
+
+  await revokeAccessTokens(storage, username, [sessionId], `Revoke session for ${username}`);
+}
+
+/**
+ * End every session of a user (logout everywhere)
+ * @param {Object} options - { except: session id to keep open }
+ * @returns {Promise<number>} - Number of sessions that were closed
+ */
+export async function revokeUserSessions(storage, username, { except = null } = {}) {
+  let closed = [];
+
+  await updateSessions(storage, username, (sessions) => {
+    closed = sessions.filter(s => s.id !== except).map(s => s.id);
+    return closed.length > 0 ? sessions.filter(s => s.id === except) : null;
+  }, `Close all sessions for ${username}`);
+
+  await revokeAccessTokens(storage, username, closed, `Revoke all sessions for ${username}`);
+  return closed.length;
+}
+
+/**
+ * Verify an access token and check it hasn't been revoked
+ * @param {StorageProvider} storage - Storage provider
+ * @param {string} token - Access token
+ * @returns {Promise<Object>} - Decoded token
+ * @throws {SessionError} - INVALID_TOKEN, TOKEN_EXPIRED or TOKEN_REVOKED
+ */
+export async function verifyAccessToken(storage, token) {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    throw error instanceof jwt.TokenExpiredError
+      ? new SessionError('Token has expired', 'TOKEN_EXPIRED')
+      : new SessionError('Invalid token', 'INVALID_TOKEN');
+  }
+
+  // Tokens from before sessions existed can't be revoked, so they aren't accepted
+  if (!decoded.sid) {
+    throw new SessionError('Token has no session; log in again', 'INVALID_TOKEN');
+  }
+
+  const revocations = await loadRevocations(storage);
+
+  if (revocations.sessions[decoded.sid]) {
+    throw new SessionError('Token has been revoked', 'TOKEN_REVOKED');
+  }
+
+  return decoded;
+}
@@ -0,0 +1,58 @@
+/**
+ * Application Settings
+ *
+ * config/settings.json holds board-wide settings edited from the Control
+ * Panel (task limit banner, feature flags, admin GitHub accounts, sign-in
+ * methods). Missing
+ * keys fall back to the defaults below, so older files keep working as new
+ * settings are added.
+ */
+
+export const SETTINGS_PATH = 'config/settings.json';
+
+export const DEFAULT_SETTINGS = {
+  version: '1.0',
+  taskLimit: {
+    maxActiveTasks: 50,
+    bannerMessage: "We've reached our task capacity of 50 items. Please consider archiving completed tasks to free up space.",
+    showBanner: true,
+  },
+  // GitHub usernames that sign in as admins
+  adminUsers: [],
+  auth: {
+    // false leaves only GitHub or single sign-on
+    passwordLogin: true,
+    // Roles that must use two-factor authentication
+    requireTwoFactor: [],
+    // true skips the two-factor step after GitHub or single sign-on, for
+    // providers that enforce their own second factor
+    trustProviderMfa: false,
+  },
+  features: {
+    allowSelfAssignment: true,
+    requireApprovalForClosure: true,
+    enableNotifications: true,
+    enableArchive: true,
+    enableExport: true,
+  },
+};
+
+/**
+ * Settings merged over the defaults
+ * @returns {Promise<Object>} - { settings, sha } (sha is null if the file doesn't exist)
+ */
+export async function loadSettings(storage) {
+  const result = await storage.getJson(SETTINGS_PATH);
+  const stored = result?.data || {};
+
+  return {
+    settings: {
+      ...DEFAULT_SETTINGS,
+      ...stored,
+      taskLimit: { ...DEFAULT_SETTINGS.taskLimit, ...stored.taskLimit },
+      features: { ...DEFAULT_SETTINGS.features, ...stored.features },
+      auth: { ...DEFAULT_SETTINGS.auth, ...stored.auth },
+    },
+    sha: result?.sha || null,
+  };
+}
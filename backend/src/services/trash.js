@@ -0,0 +1,175 @@
+/**
+ * Post Trash
+ *
+ * Deleting a post moves it to trash/posts/<id>.json (with deletedAt and
+ * deletedBy) instead of removing it, so it can be restored. Once it has been
+ * in the trash longer than the retention period, the purge removes it for
+ * good together with its uploads, artifacts and revision history.
+ *
+ * The server purges on an interval; deployments without a long-running
+ * process (Vercel) can run `npm run posts:purge-trash` from a scheduler.
+ */
+
+import { walkStorage } from '../storage/migration.js';
+import { HISTORY_ROOT } from './postHistory.js';
+
+export const TRASH_ROOT = 'trash/posts';
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_PURGE_INTERVAL_MINUTES = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Path of a post in the trash
+ */
+export function trashPath(postId) {
+  return `${TRASH_ROOT}/${postId}.json`;
+}
+
+/**
+ * Days a deleted post is kept (TRASH_RETENTION_DAYS, default 30)
+ */
+export function getRetentionDays() {
+  const days = Number.parseFloat(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * When a trashed post becomes eligible for purging
+ */
+export function purgeDate(deletedAt, retentionDays = getRetentionDays()) {
+  return new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS).toISOString();
+}
+
+/**
+ * Post data as stored in the trash
+ */
+export function toTrashedPost(post, username) {
+  return {
+    ...post,
+    deletedAt: new Date().toISOString(),
+    deletedBy: username,
+  };
+}
+
+/**
+ * Post data restored from the trash
+ */
+export function fromTrashedPost(trashed) {
+  const { deletedAt, deletedBy, ...post } = trashed;
+  return post;
+}
+
+/**
+ * Every post in the trash, most recently deleted first
+ * @returns {Promise<Array<Object>>} - [{ post, sha, purgeAt }]
+ */
+export async function listTrash(storage) {
+  const entries = (await storage.listDirectory(TRASH_ROOT))
+    .filter(entry => entry.type !== 'dir' && entry.name.endsWith('.json'));
+
+  const items = await Promise.all(entries.map(async (entry) => {
+    try {
+      const result = await storage.getJson(entry.path);
+      return result ? { post: result.data, sha: result.sha, purgeAt: purgeDate(result.data.deletedAt) } : null;
+    } catch (error) {
+      console.error(`Error reading trashed post ${entry.path}:`, error);
+      return null;
+    }
+  }));
+
+  return items
+    .filter(Boolean)
+    .sort((a, b) => String(b.post.deletedAt).localeCompare(String(a.post.deletedAt)));
+}
+
+/**
+ * Directories holding a post's files besides the post itself
+ */
+function postFileRoots(postId) {
+  return [
+    `uploads/attachments/${postId}`,
+    `uploads/proof/${postId}`,
+    `artifacts/${postId}`,
+    `${HISTORY_ROOT}/${postId}`,
+  ];
+}
+
+/**
+ * Permanently delete a trashed post and all of its files in one batch
+ * @param {StorageProvider} storage - Storage provider
+ * @param {Object} item - { post, sha } from listTrash()
+ * @returns {Promise<number>} - Number of files deleted
+ */
+export async function purgePost(storage, item) {
+  const postId = item.post.id;
+  const operations = [{ type: 'deleteFile', path: trashPath(postId), sha: item.sha }];
+
+  for (const root of postFileRoots(postId)) {
+    for await (const entry of walkStorage(storage, root)) {
+      operations.push({ type: 'deleteFile', path: entry.path, sha: entry.sha || undefined });
+    }
+  }
+
+  await storage.batch(operations, `Purge deleted post ${postId}`);
+  return operations.length;
+}
+
+/**
+ * Purge every trashed post past the retention period
+ * A post that fails is reported and retried on the next run
+ * @returns {Promise<Object>} - { purged: [{ id, files }], failed: [{ id, error }] }
+ */
+export async function purgeExpiredTrash(storage, options = {}) {
+  const now = options.now || new Date();
+  const retentionDays = options.retentionDays ?? getRetentionDays();
+  const report = { purged: [], failed: [] };
+
+  for (const item of await listTrash(storage)) {
+    if (new Date(purgeDate(item.post.deletedAt, retentionDays)) > now) {
+      continue;
+    }
+
+    try {
+      const files = await purgePost(storage, item);
+      report.purged.push({ id: item.post.id, files });
+    } catch (error) {
+      console.error(`Error purging post ${item.post.id}:`, error);
+      report.failed.push({ id: item.post.id, error: error.message });
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Run the purge now and then every TRASH_PURGE_INTERVAL_MINUTES (default 60,
+ * 0 disables it)
+ * @param {Function} getStorage - Returns the storage provider
+ * @returns {Object|null} - The interval timer, or null if disabled
+ */
+export function scheduleTrashPurge(getStorage) {
+  const minutes = Number.parseFloat(process.env.TRASH_PURGE_INTERVAL_MINUTES ?? DEFAULT_PURGE_INTERVAL_MINUTES);
+
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    return null;
+  }
+
+  const run = async () => {
+    try {
+      const { purged, failed } = await purgeExpiredTrash(getStorage());
+      if (purged.length > 0 || failed.length > 0) {
+        console.log(`🗑️  Trash purge: ${purged.length} post(s) purged, ${failed.length} failed`);
+      }
+    } catch (error) {
+      console.error('Trash purge failed:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, minutes * 60 * 1000);
+  // Don't keep the process alive just for the purge
+  timer.unref();
+  return timer;
+}
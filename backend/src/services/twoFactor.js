@@ -0,0 +1,360 @@
+/**
+ * Two-Factor Authentication (TOTP)
+ *
+ * Users enroll an authenticator app (RFC 6238: SHA-1, 6 digits, 30-second
+ * steps) from their profile, or during login when their role requires it.
+ * Enrolling returns 10 single-use recovery codes for a lost device.
+ *
+ * Password login then takes two steps: POST /api/auth/login checks the
+ * password and returns a short-lived challenge token instead of a session,
+ * and POST /api/auth/login/2fa trades the challenge token and a code for
+ * the session. GitHub sign-in and single sign-on rely on the provider's own
+ * second factor.
+ *
+ * Settings are stored per user in auth/two-factor/<username>.json. The TOTP
+ * secret is encrypted (AES-256-GCM, key from TWO_FACTOR_ENCRYPTION_KEY or
+ * JWT_SECRET) and recovery codes are stored as hashes. A code is accepted
+ * one step either side of the current one, and never twice.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import { StorageConflictError } from '../storage/StorageProvider.js';
+
+export const TWO_FACTOR_ROOT = 'auth/two-factor';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-me';
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Architecture Bulletin';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const WINDOW_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = 'two-factor';
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const MAX_ATTEMPTS = 5;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Error thrown for two-factor requests that can't be honoured
+ */
+export class TwoFactorError extends Error {
+  constructor(message, statusCode = 400, code = 'VALIDATION_ERROR') {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+function settingsPath(username) {
+  return `${TWO_FACTOR_ROOT}/${encodeURIComponent(username)}.json`;
+}
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[Number.parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(Number.parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+function encryptionKey() {
+  return crypto.createHash('sha256').update(process.env.TWO_FACTOR_ENCRYPTION_KEY || JWT_SECRET).digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf-8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+}
+
+function decryptSecret(value) {
+  const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf-8');
+}
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+/**
+ * The TOTP code for a time step
+ */
+function totp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(value % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * The time step a code matches, or null
+ * Steps at or before lastUsedStep are refused so a code can't be replayed
+ */
+function matchingStep(secret, code, lastUsedStep = -1) {
+  const current = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+  for (let step = current - WINDOW_STEPS; step <= current + WINDOW_STEPS; step++) {
+    if (step > lastUsedStep && crypto.timingSafeEqual(Buffer.from(totp(secret, step)), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+function normalizeCode(code) {
+  return String(code || '').trim().toLowerCase().replace(/\s+/g, '');
+}
+
+/**
+ * Apply a change to a user's two-factor settings and save them, retrying on conflicts
+ * @param {Function} change - (settings|null) => new settings, or null to skip saving
+ * @returns {Promise<Object|null>} - The saved settings
+ */
+async function updateSettings(storage, username, change, message) {
+  for (let attempt = 1; ; attempt++) {
+    const current = await storage.getJson(settingsPath(username));
+    const updated = change(current?.data || null);
+
+    if (!updated) {
+      return null;
+    }
+
+    try {
+      await storage.saveJson(settingsPath(username), updated, message, current?.sha || undefined);
+      return updated;
+    } catch (error) {
+      if (!(error instanceof StorageConflictError) || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Whether a role must use two-factor authentication
+ * @param {Object} settings - Application settings (settings.auth.requireTwoFactor)
+ */
+export function isTwoFactorRequired(settings, role) {
+  return (settings.auth.requireTwoFactor || []).includes(role);
+}
+
+/**
+ * A user's two-factor status
+ * @returns {Promise<Object>} - { enabled, enabledAt, recoveryCodesLeft }
+ */
+export async function getTwoFactorStatus(storage, username) {
+  const result = await storage.getJson(settingsPath(username));
+  const settings = result?.data;
+
+  return {
+    enabled: Boolean(settings?.enabled),
+    enabledAt: settings?.enabled ? settings.enabledAt : null,
+    recoveryCodesLeft: settings?.enabled ? settings.recoveryCodes.length : 0,
+  };
+}
+
+/**
+ * Start enrolling: create a new secret, kept pending until a code from it is confirmed
+ * Enrolling again replaces a pending secret; an enabled one stays in force
+ * until the new one is confirmed
+ * @returns {Promise<Object>} - { secret, otpauthUrl, qrCode (PNG data URL) }
+ */
+export async function beginEnrollment(storage, username) {
+  const secret = base32Encode(crypto.randomBytes(20));
+
+  await updateSettings(storage, username, settings => ({
+    username,
+    enabled: false,
+    recoveryCodes: [],
+    ...settings,
+    pendingSecret: encryptSecret(secret),
+  }), `Start two-factor enrollment for ${username}`);
+
+  const label = encodeURIComponent(`${ISSUER}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  const otpauthUrl = `otpauth://totp/${label}?${params}`;
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl),
+  };
+}
+
+/**
+ * Finish enrolling with a code from the pending secret
+ * @returns {Promise<Array<string>>} - The recovery codes, shown once
+ * @throws {TwoFactorError} - NO_ENROLLMENT or INVALID_CODE
+ */
+export async function confirmEnrollment(storage, username, code) {
+  const recoveryCodes = generateRecoveryCodes();
+
+  await updateSettings(storage, username, (settings) => {
+    if (!settings?.pendingSecret) {
+      throw new TwoFactorError('Start two-factor setup first', 409, 'NO_ENROLLMENT');
+    }
+
+    const secret = decryptSecret(settings.pendingSecret);
+    const step = /^\d{6}$/.test(normalizeCode(code)) ? matchingStep(secret, normalizeCode(code)) : null;
+    if (step === null) {
+      throw new TwoFactorError('The code is not valid, check your authenticator app and try again', 401, 'INVALID_CODE');
+    }
+
+    return {
+      username,
+      enabled: true,
+      secret: settings.pendingSecret,
+      pendingSecret: null,
+      recoveryCodes: recoveryCodes.map(hashCode),
+      enabledAt: new Date().toISOString(),
+      lastUsedStep: step,
+    };
+  }, `Enable two-factor authentication for ${username}`);
+
+  return recoveryCodes;
+}
+
+/**
+ * Check a code for a user with two-factor enabled
+ * Accepts an authenticator code or an unused recovery code (which is then
+ * used up)
+ * @returns {Promise<Object|null>} - { method: 'totp' | 'recovery', recoveryCodesLeft }, or null if the code is wrong
+ */
+export async function verifyTwoFactorCode(storage, username, code) {
+  const normalized = normalizeCode(code);
+  let outcome = null;
+
+  await updateSettings(storage, username, (settings) => {
+    outcome = null;
+    if (!settings?.enabled || !normalized) {
+      return null;
+    }
+
+    if (/^\d{6}$/.test(normalized)) {
+      const step = matchingStep(decryptSecret(settings.secret), normalized, settings.lastUsedStep ?? -1);
+      if (step === null) {
+        return null;
+      }
+      outcome = { method: 'totp', recoveryCodesLeft: settings.recoveryCodes.length };
+      return { ...settings, lastUsedStep: step };
+    }
+
+    const hash = hashCode(normalized);
+    if (!settings.recoveryCodes.includes(hash)) {
+      return null;
+    }
+    const recoveryCodes = settings.recoveryCodes.filter(h => h !== hash);
+    outcome = { method: 'recovery', recoveryCodesLeft: recoveryCodes.length };
+    return { ...settings, recoveryCodes };
+  }, `Use two-factor code for ${username}`);
+
+  return outcome;
+}
+
+/**
+ * Replace a user's recovery codes
+ * @returns {Promise<Array<string>>} - The new codes, shown once
+ */
+export async function regenerateRecoveryCodes(storage, username) {
+  const recoveryCodes = generateRecoveryCodes();
+
+  await updateSettings(storage, username, (settings) => {
+    if (!settings?.enabled) {
+      throw new TwoFactorError('Two-factor authentication is not enabled', 409, 'NOT_ENABLED');
+    }
+    return { ...settings, recoveryCodes: recoveryCodes.map(hashCode) };
+  }, `Replace two-factor recovery codes for ${username}`);
+
+  return recoveryCodes;
+}
+
+/**
+ * Turn two-factor authentication off for a user (self-service or admin reset)
+ * @returns {Promise<boolean>} - false if it wasn't set up
+ */
+export async function disableTwoFactor(storage, username) {
+  const current = await storage.getJson(settingsPath(username));
+  if (!current) {
+    return false;
+  }
+
+  await storage.deleteFile(settingsPath(username), current.sha, `Disable two-factor authentication for ${username}`);
+  return Boolean(current.data?.enabled);
+}
+
+/**
+ * Sign the token that carries a user past the first step to the second
+ * @param {Object} user - The user whose password (or sign-on) was checked;
+ *   `authProvider` says how, since GitHub users have no account entry
+ * @param {boolean} enroll - Whether they must enroll first
+ */
+export function createChallenge(user, enroll) {
+  return jwt.sign(
+    { purpose: CHALLENGE_PURPOSE, sub: user.username, enroll, provider: user.authProvider || 'password' },
+    JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL_SECONDS }
+  );
+}
+
+/**
+ * Read a challenge token
+ * @returns {Object} - { username, enroll, provider }
+ * @throws {TwoFactorError} - INVALID_CHALLENGE
+ */
+export function verifyChallenge(challengeToken) {
+  try {
+    const decoded = jwt.verify(String(challengeToken || ''), JWT_SECRET);
+    if (decoded.purpose !== CHALLENGE_PURPOSE) {
+      throw new Error('wrong purpose');
+    }
+    return { username: decoded.sub, enroll: Boolean(decoded.enroll), provider: decoded.provider || 'password' };
+  } catch (error) {
+    throw new TwoFactorError('The login has expired, please sign in again', 401, 'INVALID_CHALLENGE');
+  }
+}
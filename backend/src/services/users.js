@@ -0,0 +1,364 @@
+/**
+ * User Accounts
+ *
+ * Accounts live in config/users.json. Every write goes through
+ * updateUsers(), which re-reads the file and retries when another write got
+ * there first, so concurrent logins upgrading their hashes don't drop each
+ * other's changes. Changes that also touch the user's architect entry in
+ * config/architects.json (deactivation, deletion) go through updateAccount(),
+ * which writes both files in one batch so they can't disagree.
+ *
+ * A deactivated user (`active: false`) keeps their entry but can't log in,
+ * refresh a session or use an API token, and authenticate() turns away
+ * their remaining access tokens.
+ *
+ * A store without any users needs first-run setup: the first admin is
+ * created through POST /api/auth/setup, which requires the setup code. The
+ * code is SETUP_TOKEN when set, otherwise a random code generated by the
+ * process and printed to its log.
+ */
+
+import crypto from 'crypto';
+import { StorageConflictError } from '../storage/StorageProvider.js';
+import { isPasswordHash, needsRehash, verifyPassword, withPasswordHash } from './passwords.js';
+
+export const USERS_PATH = 'config/users.json';
+export const ARCHITECTS_PATH = 'config/architects.json';
+
+const MAX_UPDATE_ATTEMPTS = 3;
+const DEFAULT_STATUS_CACHE_SECONDS = 5;
+
+let generatedSetupToken = null;
+let deactivatedCache = null;
+
+/**
+ * Error thrown when first-run setup is refused
+ */
+export class SetupError extends Error {
+  constructor(message, statusCode, code) {
+    super(message);
+    this.name = 'SetupError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+/**
+ * Error thrown for account changes that can't be made
+ */
+export class AccountError extends Error {
+  constructor(message, statusCode = 400, code = 'VALIDATION_ERROR') {
+    super(message);
+    this.name = 'AccountError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+function readNumber(name, fallback) {
+  const value = Number.parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Whether a user entry may sign in (entries without `active` are active)
+ */
+export function isActive(user) {
+  return Boolean(user) && user.active !== false;
+}
+
+/**
+ * Whether a username belongs to a deactivated user
+ * The list is re-read at most every ACCOUNT_STATUS_CACHE_SECONDS (falling
+ * back to REVOCATION_CACHE_SECONDS, default 5), and at once after a change
+ * made by this process
+ */
+export async function isDeactivated(storage, username) {
+  const seconds = readNumber('ACCOUNT_STATUS_CACHE_SECONDS',
+    readNumber('REVOCATION_CACHE_SECONDS', DEFAULT_STATUS_CACHE_SECONDS));
+  const maxAge = seconds * 1000;
+
+  if (!deactivatedCache || Date.now() - deactivatedCache.loadedAt >= maxAge) {
+    const { users } = await loadUsers(storage);
+    deactivatedCache = {
+      usernames: new Set(users.filter(u => !isActive(u)).map(u => u.username)),
+      loadedAt: Date.now(),
+    };
+  }
+
+  return deactivatedCache.usernames.has(username);
+}
+
+/**
+ * Users and the file version they were read at
+ * @returns {Promise<Object>} - { users, data, sha } (sha is null if the file doesn't exist)
+ */
+export async function loadUsers(storage) {
+  const result = await storage.getJson(USERS_PATH);
+  return {
+    users: result?.data?.users || [],
+    data: result?.data || {},
+    sha: result?.sha || null,
+  };
+}
+
+/**
+ * A user entry without credentials
+ */
+export function toPublicUser(user) {
+  return {
+    username: user.username,
+    role: user.role,
+    fullName: user.fullName,
+  };
+}
+
+/**
+ * A new entry for config/architects.json
+ * @param {Object} architect - { username, displayName, email, specialization }
+ * @param {string} addedBy - Username of the admin who added them
+ */
+export function newArchitectEntry({ username, displayName, email, specialization }, addedBy) {
+  return {
+    id: `arch-${Date.now()}`,
+    githubUsername: username,
+    displayName,
+    email: email || '',
+    specialization: specialization || '',
+    status: 'active',
+    addedAt: new Date().toISOString(),
+    addedBy,
+    deactivatedAt: null,
+    deactivatedBy: null,
+  };
+}
+
+/**
+ * Apply a change to the user list and save it, retrying on write conflicts
+ * @param {StorageProvider} storage - Storage provider
+ * @param {Function} change - (users) => new users array, or null to skip saving
+ * @param {string} message - Commit message
+ * @returns {Promise<Array|null>} - Saved users, or null if nothing changed
+ */
+export async function updateUsers(storage, change, message) {
+  for (let attempt = 1; ; attempt++) {
+    const { users, data, sha } = await loadUsers(storage);
+    const updated = await change(users);
+
+    if (!updated) {
+      return null;
+    }
+
+    try {
+      await storage.saveJson(USERS_PATH, { ...data, users: updated }, message, sha || undefined);
+      deactivatedCache = null;
+      return updated;
+    } catch (error) {
+      if (!(error instanceof StorageConflictError) || attempt >= MAX_UPDATE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Apply a change to a user and their architect entry together, retrying on
+ * write conflicts
+ * @param {StorageProvider} storage - Storage provider
+ * @param {string} username - Username (architects are matched on githubUsername)
+ * @param {Function} change - ({ user, architect, users }) => { user, architect },
+ *   where either may be null to remove it; return null to skip saving
+ * @param {string} message - Commit message
+ * @returns {Promise<Object|null>} - The saved { user, architect }
+ */
+export async function updateAccount(storage, username, change, message) {
+  for (let attempt = 1; ; attempt++) {
+    const [{ users, data, sha }, architectsResult] = await Promise.all([
+      loadUsers(storage),
+      storage.getJson(ARCHITECTS_PATH),
+    ]);
+    const architects = architectsResult?.data?.architects || [];
+    const user = users.find(u => u.username === username) || null;
+    const architect = architects.find(a => a.githubUsername === username) || null;
+
+    const updated = await change({ user, architect, users });
+    if (!updated) {
+      return null;
+    }
+
+    const replace = (list, current, next) => (next
+      ? list.map(entry => (entry === current ? next : entry))
+      : list.filter(entry => entry !== current));
+
+    const operations = [];
+    if (user && updated.user !== user) {
+      operations.push({
+        type: 'saveJson',
+        path: USERS_PATH,
+        data: { ...data, users: replace(users, user, updated.user) },
+        sha: sha || undefined,
+      });
+    }
+    if (architect && updated.architect !== architect) {
+      operations.push({
+        type: 'saveJson',
+        path: ARCHITECTS_PATH,
+        data: { ...architectsResult.data, architects: replace(architects, architect, updated.architect) },
+        sha: architectsResult.sha || undefined,
+      });
+    }
+
+    if (operations.length === 0) {
+      return updated;
+    }
+
+    try {
+      await storage.batch(operations, message);
+      deactivatedCache = null;
+      return updated;
+    } catch (error) {
+      if (!(error instanceof StorageConflictError) || attempt >= MAX_UPDATE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Whether removing a user's admin role or access would leave no active admin
+ */
+export function isLastActiveAdmin(users, username) {
+  const admins = users.filter(u => u.role === 'admin' && isActive(u));
+  return admins.length === 1 && admins[0].username === username;
+}
+
+/**
+ * Check a username and password
+ * A plaintext (or outdated) entry is rehashed after a successful check; if
+ * that write fails the login still succeeds and the upgrade is retried next time
+ * @returns {Promise<Object|null>} - The user entry, or null if the credentials are wrong
+ */
+export async function authenticateUser(storage, username, password) {
+  const { users } = await loadUsers(storage);
+  const user = users.find(u => u.username === username) || null;
+
+  if (!(await verifyPassword(user, password)) || !user) {
+    return null;
+  }
+
+  if (needsRehash(user)) {
+    try {
+      await upgradePasswordHash(storage, username, password);
+    } catch (error) {
+      console.error(`Error upgrading password hash for ${username}:`, error);
+    }
+  }
+
+  return user;
+}
+
+/**
+ * Store a fresh hash for a user who just proved their password
+ */
+async function upgradePasswordHash(storage, username, password) {
+  await updateUsers(storage, async (users) => {
+    const user = users.find(u => u.username === username);
+
+    // Changed by someone else in the meantime
+    if (!user || !needsRehash(user) || !(await verifyPassword(user, password))) {
+      return null;
+    }
+
+    const upgraded = await withPasswordHash(user, password);
+    return users.map(u => (u.username === username ? upgraded : u));
+  }, `Upgrade password hash for ${username}`);
+}
+
+/**
+ * Hash every plaintext password in a user list
+ * Entries that already hold a hash in `password` are moved to `passwordHash`
+ * @returns {Promise<Object>} - { users, upgraded: [username] }
+ */
+export async function hashStoredPasswords(users) {
+  const upgraded = [];
+
+  const result = await Promise.all(users.map(async (user) => {
+    if (user.password === undefined) {
+      return user;
+    }
+
+    upgraded.push(user.username);
+
+    if (isPasswordHash(user.password)) {
+      const { password, ...rest } = user;
+      return { ...rest, passwordHash: password };
+    }
+
+    return withPasswordHash(user, user.password);
+  }));
+
+  return { users: result, upgraded };
+}
+
+/**
+ * Whether the store has no users yet and needs first-run setup
+ */
+export async function isSetupRequired(storage) {
+  const { users } = await loadUsers(storage);
+  return users.length === 0;
+}
+
+/**
+ * The code that authorizes first-run setup
+ * Without SETUP_TOKEN a random one is generated and logged once per process
+ */
+export function getSetupToken() {
+  if (process.env.SETUP_TOKEN) {
+    return process.env.SETUP_TOKEN;
+  }
+
+  if (!generatedSetupToken) {
+    generatedSetupToken = crypto.randomBytes(9).toString('base64url');
+    console.log(`🔑 First-run setup code: ${generatedSetupToken}`);
+  }
+  return generatedSetupToken;
+}
+
+/**
+ * Create the first admin account
+ * @param {StorageProvider} storage - Storage provider
+ * @param {Object} account - { setupToken, username, password, fullName }
+ * @returns {Promise<Object>} - The created user entry
+ */
+export async function createInitialAdmin(storage, account) {
+  const expected = crypto.createHash('sha256').update(getSetupToken()).digest();
+  const given = crypto.createHash('sha256').update(String(account.setupToken || '')).digest();
+
+  if (!crypto.timingSafeEqual(expected, given)) {
+    throw new SetupError('Invalid setup code', 403, 'INVALID_SETUP_TOKEN');
+  }
+
+  const { users, data, sha } = await loadUsers(storage);
+
+  if (users.length > 0) {
+    throw new SetupError('Setup has already been completed', 409, 'SETUP_COMPLETE');
+  }
+
+  const admin = await withPasswordHash({
+    username: account.username,
+    role: 'admin',
+    fullName: account.fullName || account.username,
+  }, account.password);
+
+  try {
+    // Without a sha this only succeeds if the file still doesn't exist
+    await storage.saveJson(USERS_PATH, { ...data, users: [admin] }, `Create initial admin ${admin.username}`, sha || undefined);
+  } catch (error) {
+    if (error instanceof StorageConflictError) {
+      throw new SetupError('Setup has already been completed', 409, 'SETUP_COMPLETE');
+    }
+    throw error;
+  }
+
+  return admin;
+}
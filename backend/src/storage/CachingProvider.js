@@ -0,0 +1,238 @@
+/**
+ * Caching Storage Provider
+ *
+ * Read-through decorator around any StorageProvider. Caches getJson,
+ * listDirectory and getBinary results in an in-memory LRU with TTL and
+ * invalidates affected entries on saveJson/deleteFile/uploadBinary/batch.
+ *
+ * The cache is per process: with several replicas, entries written elsewhere
+ * stay stale for at most the TTL.
+ */
+
+import { StorageProvider } from './StorageProvider.js';
+
+/**
+ * Normalize a storage path (no leading/trailing slashes)
+ */
+function normalize(path) {
+  return String(path || '').replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Parent directories of a path, nearest first ('a/b/c.json' → ['a/b', 'a', ''])
+ */
+function ancestorsOf(path) {
+  const parts = normalize(path).split('/');
+  const ancestors = [];
+
+  for (let i = parts.length - 1; i >= 0; i--) {
+    ancestors.push(parts.slice(0, i).join('/'));
+  }
+
+  return ancestors;
+}
+
+export class CachingProvider extends StorageProvider {
+  /**
+   * @param {StorageProvider} inner - Provider to wrap
+   * @param {Object} config - { ttlMs, maxEntries }
+   */
+  constructor(inner, config = {}) {
+    super(config);
+
+    this.inner = inner;
+    this.ttlMs = config.ttlMs ?? 30000;
+    this.maxEntries = config.maxEntries ?? 500;
+
+    // Map keeps insertion order, so the first key is least recently used
+    this.entries = new Map();
+    this.inflight = new Map();
+
+    // Bumped on every write so reads that raced a write aren't cached
+    this.generation = 0;
+
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      evictions: 0,
+      invalidations: 0,
+    };
+  }
+
+  /**
+   * Look up a fresh cache entry, refreshing its LRU position
+   */
+  lookup(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a value, evicting least recently used entries over capacity
+   */
+  store(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Serve from cache or load through the wrapped provider
+   * Concurrent misses for the same key share one request
+   */
+  async cached(key, load) {
+    const value = this.lookup(key);
+
+    if (value !== undefined) {
+      this.stats.hits++;
+      return structuredClone(value);
+    }
+
+    this.stats.misses++;
+
+    if (!this.inflight.has(key)) {
+      const generation = this.generation;
+      const request = load()
+        .then((result) => {
+          if (generation === this.generation) {
+            this.store(key, result);
+          }
+          return result;
+        })
+        .finally(() => {
+          if (this.inflight.get(key) === request) {
+            this.inflight.delete(key);
+          }
+        });
+
+      this.inflight.set(key, request);
+    }
+
+    // Callers get their own copy - routes mutate the objects they read
+    return structuredClone(await this.inflight.get(key));
+  }
+
+  /**
+   * Drop cached reads of a path and the listings of its parent directories
+   */
+  invalidate(path) {
+    const normalized = normalize(path);
+    const keys = [
+      `json:${normalized}`,
+      `binary:${normalized}`,
+      `list:${normalized}`,
+      ...ancestorsOf(normalized).map(dir => `list:${dir}`),
+    ];
+
+    this.generation++;
+
+    for (const key of keys) {
+      // Reads already in flight may predate the write; don't let new callers join them
+      this.inflight.delete(key);
+      if (this.entries.delete(key)) {
+        this.stats.invalidations++;
+      }
+    }
+  }
+
+  /**
+   * Drop every cached entry
+   */
+  clear() {
+    this.generation++;
+    this.inflight.clear();
+    this.entries.clear();
+  }
+
+  async getJson(path) {
+    return this.cached(`json:${normalize(path)}`, () => this.inner.getJson(path));
+  }
+
+  async saveJson(path, data, message, sha = null) {
+    try {
+      return await this.inner.saveJson(path, data, message, sha);
+    } finally {
+      this.invalidate(path);
+    }
+  }
+
+  async deleteFile(path, sha, message) {
+    try {
+      return await this.inner.deleteFile(path, sha, message);
+    } finally {
+      this.invalidate(path);
+    }
+  }
+
+  async listDirectory(path) {
+    return this.cached(`list:${normalize(path)}`, () => this.inner.listDirectory(path));
+  }
+
+  async uploadBinary(path, base64Content, message) {
+    try {
+      return await this.inner.uploadBinary(path, base64Content, message);
+    } finally {
+      this.invalidate(path);
+    }
+  }
+
+  async getBinary(path) {
+    return this.cached(`binary:${normalize(path)}`, () => this.inner.getBinary(path));
+  }
+
+  async batch(operations, message) {
+    try {
+      return await this.inner.batch(operations, message);
+    } finally {
+      for (const operation of operations) {
+        this.invalidate(operation.path);
+      }
+    }
+  }
+
+  async queryPosts(query) {
+    return this.inner.queryPosts(query);
+  }
+
+  hasRevisionHistory() {
+    return this.inner.hasRevisionHistory();
+  }
+
+  async listRevisions(path, options) {
+    return this.inner.listRevisions(path, options);
+  }
+
+  async getJsonAtRevision(path, revision) {
+    return this.inner.getJsonAtRevision(path, revision);
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      ...this.inner.getStats(),
+      cache: {
+        ...this.stats,
+        hitRate: lookups > 0 ? Number((this.stats.hits / lookups).toFixed(3)) : 0,
+        size: this.entries.size,
+        maxEntries: this.maxEntries,
+        ttlMs: this.ttlMs,
+      },
+    };
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * Filesystem Storage Provider
+ *
+ * Implements storage using a directory on local disk as backend
+ * Intended for development and air-gapped hosts without GitHub access
+ *
+ * Files are written atomically (temp file + rename) and each file's SHA is
+ * its git blob hash, so `current.sha` round-trips exactly like GitHubProvider
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { StorageProvider, StorageConflictError, assertSafePath } from './StorageProvider.js';
+import { blobSha } from './hash.js';
+
+export class FilesystemProvider extends StorageProvider {
+  constructor(config) {
+    super(config);
+
+    // Validate required config
+    if (!config.root) {
+      throw new Error('Filesystem data root is required');
+    }
+
+    this.root = path.resolve(config.root);
+
+    // Per-path write queues so SHA checks and renames don't interleave
+    this.locks = new Map();
+  }
+
+  /**
+   * Resolve a storage path to an absolute path inside the data root
+   */
+  resolvePath(filePath) {
+    const normalized = assertSafePath(String(filePath || '')).replace(/^\/+|\/+$/g, '');
+    const absolute = path.resolve(this.root, normalized);
+
+    if (absolute !== this.root && !absolute.startsWith(this.root + path.sep)) {
+      throw new Error(`Path ${filePath} is outside the data root`);
+    }
+
+    return absolute;
+  }
+
+  /**
+   * Run fn while holding the write lock for a path
+   */
+  async withLock(filePath, fn) {
+    const previous = this.locks.get(filePath) || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    const tail = current.catch(() => {});
+    this.locks.set(filePath, tail);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(filePath) === tail) {
+        this.locks.delete(filePath);
+      }
+    }
+  }
+
+  /**
+   * Read raw file buffer, or null if it doesn't exist
+   */
+  async readFile(filePath) {
+    try {
+      return await fs.readFile(this.resolvePath(filePath));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write buffer atomically: temp file in the same directory, fsync, rename
+   */
+  async writeFileAtomic(filePath, buffer) {
+    const target = this.resolvePath(filePath);
+    const dir = path.dirname(target);
+    const temp = path.join(
+      dir,
+      `.${path.basename(target)}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`
+    );
+
+    await fs.mkdir(dir, { recursive: true });
+
+    const handle = await fs.open(temp, 'w');
+    try {
+      await handle.writeFile(buffer);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    try {
+      await fs.rename(temp, target);
+    } catch (error) {
+      await fs.rm(temp, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Get JSON file
+   */
+  async getJson(filePath) {
+    const buffer = await this.readFile(filePath);
+
+    if (!buffer) {
+      return null;
+    }
+
+    try {
+      return {
+        data: JSON.parse(buffer.toString('utf-8')),
+        sha: blobSha(buffer),
+      };
+    } catch (error) {
+      throw new Error(`Failed to parse JSON from ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save JSON file
+   */
+  async saveJson(filePath, data, message, sha = null) {
+    const buffer = Buffer.from(JSON.stringify(data, null, 2), 'utf-8');
+
+    return this.withLock(filePath, async () => {
+      const existing = await this.readFile(filePath);
+
+      if (existing && !sha) {
+        throw new StorageConflictError(filePath, `Failed to save ${filePath}: file already exists`);
+      }
+      if (sha && (!existing || blobSha(existing) !== sha)) {
+        throw new StorageConflictError(filePath);
+      }
+
+      await this.writeFileAtomic(filePath, buffer);
+
+      return {
+        success: true,
+        sha: blobSha(buffer),
+      };
+    });
+  }
+
+  /**
+   * Delete file
+   */
+  async deleteFile(filePath, sha, message) {
+    return this.withLock(filePath, async () => {
+      const existing = await this.readFile(filePath);
+
+      if (!existing) {
+        const error = new Error(`Failed to delete ${filePath}: file not found`);
+        error.statusCode = 404;
+        throw error;
+      }
+      if (sha && blobSha(existing) !== sha) {
+        throw new StorageConflictError(filePath);
+      }
+
+      await fs.rm(this.resolvePath(filePath), { force: true });
+
+      return {
+        success: true,
+      };
+    });
+  }
+
+  /**
+   * List directory contents
+   * Entries mirror the GitHub contents API shape: { name, path, sha, size, type }
+   * File SHAs are left null (getJson reports one when it is needed)
+   */
+  async listDirectory(dirPath) {
+    const absolute = this.resolvePath(dirPath);
+    let entries;
+
+    try {
+      entries = await fs.readdir(absolute, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Failed to list directory ${dirPath}: ${error.message}`);
+    }
+
+    const prefix = String(dirPath || '').replace(/^\/+|\/+$/g, '');
+    const results = [];
+
+    for (const entry of entries) {
+      // Skip in-flight temp files and other hidden files
+      if (entry.name.startsWith('.')) {
+        continue;
+      }
+
+      const entryPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        results.push({ name: entry.name, path: entryPath, sha: null, size: 0, type: 'dir' });
+      } else if (entry.isFile()) {
+        // stat only: hashing would read every file (uploads included) in full
+        const stats = await fs.stat(path.join(absolute, entry.name));
+        results.push({
+          name: entry.name,
+          path: entryPath,
+          sha: null,
+          size: stats.size,
+          type: 'file',
+        });
+      }
+    }
+
+    return results.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Upload binary file
+   */
+  async uploadBinary(filePath, base64Content, message) {
+    const buffer = Buffer.from(base64Content, 'base64');
+
+    return this.withLock(filePath, async () => {
+      await this.writeFileAtomic(filePath, buffer);
+
+      return {
+        success: true,
+        sha: blobSha(buffer),
+      };
+    });
+  }
+
+  /**
+   * Get binary file
+   */
+  async getBinary(filePath) {
+    const buffer = await this.readFile(filePath);
+    return buffer ? buffer.toString('base64') : null;
+  }
+}
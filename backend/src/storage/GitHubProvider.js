@@ -3,10 +3,22 @@
  *
  * Implements storage using GitHub repository as backend
  * Uses Octokit REST API with PAT token authentication
+ *
+ * All requests go through a GitHubRequestScheduler, which handles rate
+ * limits and retries transient failures
  */
 
 import { Octokit } from '@octokit/rest';
-import { StorageProvider } from './StorageProvider.js';
+import { StorageProvider, StorageConflictError, assertSafePath } from './StorageProvider.js';
+import { GitHubRequestScheduler } from './GitHubRequestScheduler.js';
+import { blobSha } from './hash.js';
+
+// Times a batch commit is rebuilt when the branch moves underneath it
+const BATCH_MAX_ATTEMPTS = 3;
+
+// Batches that check more paths than this read the whole tree at once
+// rather than looking each path up
+const BATCH_PATH_LOOKUPS = 5;
 
 export class GitHubProvider extends StorageProvider {
   constructor(config) {
@@ -32,18 +44,23 @@ export class GitHubProvider extends StorageProvider {
       auth: config.token,
       userAgent: 'Architecture-Bulletin-API v1.0',
     });
+
+    this.scheduler = new GitHubRequestScheduler(config.scheduler);
+    this.scheduler.attach(this.octokit);
   }
 
   /**
-   * Get file content from GitHub
+   * Get file content from GitHub (at the branch head, or at another ref)
    */
-  async getFileContent(path) {
+  async getFileContent(path, ref = this.branch) {
+    assertSafePath(path);
+
     try {
       const { data } = await this.octokit.rest.repos.getContent({
         owner: this.owner,
         repo: this.repo,
         path,
-        ref: this.branch,
+        ref,
       });
 
       // Decode base64 content
@@ -67,8 +84,8 @@ export class GitHubProvider extends StorageProvider {
   /**
    * Get JSON file
    */
-  async getJson(path) {
-    const fileData = await this.getFileContent(path);
+  async getJson(path, ref = this.branch) {
+    const fileData = await this.getFileContent(path, ref);
 
     if (!fileData) {
       return null;
@@ -89,6 +106,8 @@ export class GitHubProvider extends StorageProvider {
    * Save JSON file
    */
   async saveJson(path, data, message, sha = null) {
+    assertSafePath(path);
+
     try {
       const content = JSON.stringify(data, null, 2);
       const contentBase64 = Buffer.from(content, 'utf-8').toString('base64');
@@ -115,6 +134,10 @@ export class GitHubProvider extends StorageProvider {
         commit: result.commit,
       };
     } catch (error) {
+      // 409: SHA doesn't match the branch; 422: file exists but no SHA was supplied
+      if (error.status === 409 || (error.status === 422 && /sha/i.test(error.message))) {
+        throw new StorageConflictError(path);
+      }
       throw new Error(`Failed to save ${path}: ${error.message}`);
     }
   }
@@ -123,6 +146,8 @@ export class GitHubProvider extends StorageProvider {
    * Delete file
    */
   async deleteFile(path, sha, message) {
+    assertSafePath(path);
+
     try {
       const { data } = await this.octokit.rest.repos.deleteFile({
         owner: this.owner,
@@ -138,6 +163,9 @@ export class GitHubProvider extends StorageProvider {
         commit: data.commit,
       };
     } catch (error) {
+      if (error.status === 409) {
+        throw new StorageConflictError(path);
+      }
       throw new Error(`Failed to delete ${path}: ${error.message}`);
     }
   }
@@ -146,6 +174,8 @@ export class GitHubProvider extends StorageProvider {
    * List directory contents
    */
   async listDirectory(path) {
+    assertSafePath(path);
+
     try {
       const { data } = await this.octokit.rest.repos.getContent({
         owner: this.owner,
@@ -172,6 +202,8 @@ export class GitHubProvider extends StorageProvider {
    * Upload binary file
    */
   async uploadBinary(path, base64Content, message) {
+    assertSafePath(path);
+
     try {
       const { data } = await this.octokit.rest.repos.createOrUpdateFileContents({
         owner: this.owner,
@@ -191,10 +223,205 @@ export class GitHubProvider extends StorageProvider {
     }
   }
 
+  /**
+   * Get the blob SHA of a file at a commit, or null if it doesn't exist
+   */
+  async getBlobSha(path, ref) {
+    assertSafePath(path);
+
+    try {
+      const { data } = await this.octokit.rest.repos.getContent({
+        owner: this.owner,
+        repo: this.repo,
+        path,
+        ref,
+      });
+
+      return Array.isArray(data) ? null : data.sha;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List every file in a commit's tree with one recursive tree read
+   * Returns the root tree SHA, a path -> blob SHA map, and whether GitHub
+   * truncated the listing (very large trees)
+   */
+  async getTreeBlobs(commitSha) {
+    const { data } = await this.octokit.rest.git.getTree({
+      owner: this.owner,
+      repo: this.repo,
+      tree_sha: commitSha,
+      recursive: 'true',
+    });
+
+    const blobs = new Map(
+      data.tree.filter(entry => entry.type === 'blob').map(entry => [entry.path, entry.sha])
+    );
+
+    return { treeSha: data.sha, blobs, truncated: Boolean(data.truncated) };
+  }
+
+  /**
+   * The blob SHAs of the given paths in a commit, in the same shape as
+   * getTreeBlobs(). A few paths are looked up one by one, which is cheaper
+   * than listing a large repository's whole tree; many paths use the tree
+   */
+  async getBatchBlobs(commitSha, paths) {
+    if (paths.length > BATCH_PATH_LOOKUPS) {
+      return this.getTreeBlobs(commitSha);
+    }
+
+    const { data: commit } = await this.octokit.rest.git.getCommit({
+      owner: this.owner,
+      repo: this.repo,
+      commit_sha: commitSha,
+    });
+    const shas = await Promise.all(paths.map(path => this.getBlobSha(path, commitSha)));
+
+    const blobs = new Map(
+      paths.map((path, index) => [path, shas[index]]).filter(([, sha]) => sha)
+    );
+
+    return { treeSha: commit.tree.sha, blobs, truncated: false };
+  }
+
+  /**
+   * Apply several writes as a single commit using the Git data API
+   * Preconditions are checked against the branch head the commit is built
+   * on; if the branch moves before the ref update, the whole batch is
+   * rebuilt on the new head (and rechecked) a few times before giving up
+   *
+   * Current SHAs are looked up per path for small batches and come from one
+   * recursive tree read for larger ones, and JSON content goes inline in the
+   * new tree (its blob SHA is computed locally), so only binary uploads need
+   * their own blob request
+   */
+  async batch(operations, message) {
+    operations.forEach(operation => assertSafePath(operation.path));
+
+    const ref = `heads/${this.branch}`;
+    const repo = { owner: this.owner, repo: this.repo };
+
+    for (let attempt = 1; attempt <= BATCH_MAX_ATTEMPTS; attempt++) {
+      try {
+        const { data: head } = await this.octokit.rest.git.getRef({ ...repo, ref });
+        const parentSha = head.object.sha;
+        const checkedPaths = [...new Set(
+          operations.filter(operation => operation.type !== 'uploadBinary').map(operation => operation.path)
+        )];
+        const parentTree = await this.getBatchBlobs(parentSha, checkedPaths);
+
+        const tree = [];
+        const results = [];
+
+        for (const operation of operations) {
+          const { path } = operation;
+          let currentSha = null;
+          if (operation.type !== 'uploadBinary') {
+            currentSha = parentTree.blobs.get(path) || null;
+            // A truncated listing may just be missing the path
+            if (!currentSha && parentTree.truncated) {
+              currentSha = await this.getBlobSha(path, parentSha);
+            }
+          }
+
+          if (operation.type === 'saveJson') {
+            if (currentSha && !operation.sha) {
+              throw new StorageConflictError(path, `Failed to save ${path}: file already exists`);
+            }
+            if (operation.sha && currentSha !== operation.sha) {
+              throw new StorageConflictError(path);
+            }
+          } else if (operation.type === 'deleteFile') {
+            if (!currentSha) {
+              const error = new Error(`Failed to delete ${path}: file not found`);
+              error.statusCode = 404;
+              throw error;
+            }
+            if (operation.sha && currentSha !== operation.sha) {
+              throw new StorageConflictError(path);
+            }
+          } else if (operation.type !== 'uploadBinary') {
+            throw new Error(`Unsupported batch operation: ${operation.type}`);
+          }
+
+          if (operation.type === 'deleteFile') {
+            tree.push({ path, mode: '100644', type: 'blob', sha: null });
+            results.push({ path, sha: null });
+            continue;
+          }
+
+          if (operation.type === 'saveJson') {
+            const content = JSON.stringify(operation.data, null, 2);
+            tree.push({ path, mode: '100644', type: 'blob', content });
+            results.push({ path, sha: blobSha(Buffer.from(content, 'utf-8')) });
+            continue;
+          }
+
+          const { data: blob } = await this.octokit.rest.git.createBlob({
+            ...repo,
+            content: operation.content,
+            encoding: 'base64',
+          });
+
+          tree.push({ path, mode: '100644', type: 'blob', sha: blob.sha });
+          results.push({ path, sha: blob.sha });
+        }
+
+        const { data: newTree } = await this.octokit.rest.git.createTree({
+          ...repo,
+          base_tree: parentTree.treeSha,
+          tree,
+        });
+
+        const { data: commit } = await this.octokit.rest.git.createCommit({
+          ...repo,
+          message: message || `Update ${operations.length} files`,
+          tree: newTree.sha,
+          parents: [parentSha],
+        });
+
+        try {
+          await this.octokit.rest.git.updateRef({ ...repo, ref, sha: commit.sha, force: false });
+        } catch (error) {
+          // 422: not a fast-forward - someone else committed in between
+          if (error.status === 422 && attempt < BATCH_MAX_ATTEMPTS) {
+            continue;
+          }
+          if (error.status === 422) {
+            throw new StorageConflictError(
+              operations.map(op => op.path).join(', '),
+              `Batch commit rejected: ${this.branch} kept moving`
+            );
+          }
+          throw error;
+        }
+
+        return {
+          success: true,
+          results,
+          commit: { sha: commit.sha, html_url: commit.html_url },
+        };
+      } catch (error) {
+        if (error instanceof StorageConflictError || error.statusCode === 404) {
+          throw error;
+        }
+        throw new Error(`Failed to commit batch: ${error.message}`);
+      }
+    }
+  }
+
   /**
    * Get binary file
    */
   async getBinary(path) {
+    assertSafePath(path);
+
     try {
       const { data } = await this.octokit.rest.repos.getContent({
         owner: this.owner,
@@ -211,4 +438,56 @@ export class GitHubProvider extends StorageProvider {
       throw new Error(`Failed to get binary ${path}: ${error.message}`);
     }
   }
+
+  /**
+   * Every commit is a revision, so file history comes from git
+   */
+  hasRevisionHistory() {
+    return true;
+  }
+
+  /**
+   * List the commits on the branch that touched a file, newest first
+   */
+  async listRevisions(path, options = {}) {
+    assertSafePath(path);
+
+    try {
+      const { data } = await this.octokit.rest.repos.listCommits({
+        owner: this.owner,
+        repo: this.repo,
+        sha: this.branch,
+        path,
+        per_page: Math.min(options.limit || 30, 100),
+      });
+
+      return data.map(commit => ({
+        revision: commit.sha,
+        timestamp: commit.commit.committer?.date || commit.commit.author?.date || null,
+        message: commit.commit.message,
+      }));
+    } catch (error) {
+      throw new Error(`Failed to list revisions of ${path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a JSON file as of a commit
+   */
+  async getJsonAtRevision(path, revision) {
+    if (!/^[0-9a-f]{7,40}$/i.test(revision)) {
+      return null;
+    }
+
+    return this.getJson(path, revision);
+  }
+
+  /**
+   * API budget and request queue state
+   */
+  getStats() {
+    return {
+      github: this.scheduler.getStats(),
+    };
+  }
 }
@@ -0,0 +1,265 @@
+/**
+ * GitHub Request Scheduler
+ *
+ * Wraps every Octokit request (via octokit.hook.wrap) to stay inside
+ * GitHub's rate limits:
+ * - tracks the REST budget from the x-ratelimit-* response headers
+ * - pauses the whole queue until the reset time when the budget runs out,
+ *   or for retry-after seconds after a secondary (abuse) rate limit
+ * - caps concurrent requests and runs writes one at a time, as GitHub
+ *   recommends for mutating requests
+ * - retries idempotent requests on 5xx and network errors with backoff
+ *
+ * A pause longer than maxWaitMs fails fast with a 503 RATE_LIMITED error
+ * instead of holding the HTTP request open.
+ */
+
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Pause used when GitHub reports a secondary limit without retry-after
+const SECONDARY_LIMIT_PAUSE_MS = 60000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Read a numeric response header, or null if absent
+ */
+function numericHeader(headers, name) {
+  const value = headers?.[name];
+  return value === undefined || value === null || value === '' ? null : Number(value);
+}
+
+export class GitHubRequestScheduler {
+  /**
+   * @param {Object} config - { maxConcurrent, maxRetries, maxWaitMs, writeIntervalMs, baseDelayMs }
+   */
+  constructor(config = {}) {
+    this.maxConcurrent = config.maxConcurrent ?? 4;
+    this.maxRetries = config.maxRetries ?? 3;
+    this.maxWaitMs = config.maxWaitMs ?? 60000;
+    this.writeIntervalMs = config.writeIntervalMs ?? 0;
+    this.baseDelayMs = config.baseDelayMs ?? 500;
+
+    this.active = 0;
+    this.waiting = [];
+    this.writeChain = Promise.resolve();
+    this.lastWriteAt = 0;
+    this.pausedUntil = 0;
+
+    // Last budget reported by GitHub: { resource, limit, remaining, used, resetAt }
+    this.rateLimit = null;
+
+    this.stats = {
+      requests: 0,
+      retries: 0,
+      rateLimited: 0,
+      failures: 0,
+    };
+  }
+
+  /**
+   * Route all requests of an Octokit instance through the scheduler
+   */
+  attach(octokit) {
+    octokit.hook.wrap('request', (request, options) => this.schedule(request, options));
+  }
+
+  /**
+   * Run a request; writes are chained so only one is in flight at a time
+   */
+  async schedule(request, options) {
+    const method = String(options.method || 'GET').toUpperCase();
+
+    if (IDEMPOTENT_METHODS.has(method)) {
+      return this.run(request, options, true);
+    }
+
+    const previous = this.writeChain;
+    let done;
+    this.writeChain = new Promise(resolve => { done = resolve; });
+
+    await previous;
+
+    try {
+      const spacing = this.lastWriteAt + this.writeIntervalMs - Date.now();
+      if (spacing > 0) {
+        await sleep(spacing);
+      }
+      return await this.run(request, options, false);
+    } finally {
+      this.lastWriteAt = Date.now();
+      done();
+    }
+  }
+
+  /**
+   * Send a request, retrying rate-limited and (if idempotent) failed attempts
+   */
+  async run(request, options, idempotent) {
+    for (let attempt = 0; ; attempt++) {
+      await this.waitUntilResumed();
+      await this.acquire();
+
+      let delay;
+
+      try {
+        this.stats.requests++;
+        const response = await request(options);
+        this.updateRateLimit(response.headers);
+        return response;
+      } catch (error) {
+        this.updateRateLimit(error.response?.headers);
+        delay = this.retryDelay(error, attempt, idempotent);
+
+        if (delay === null) {
+          this.stats.failures++;
+          throw error;
+        }
+      } finally {
+        this.release();
+      }
+
+      this.stats.retries++;
+      if (delay > 0) {
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Decide whether a failed attempt is retried
+   * Rate limits pause the whole queue and return 0; transient errors return
+   * a backoff delay; anything else returns null
+   */
+  retryDelay(error, attempt, idempotent) {
+    if (attempt >= this.maxRetries) {
+      return null;
+    }
+
+    const headers = error.response?.headers;
+    const status = error.status;
+
+    if (status === 403 || status === 429) {
+      const retryAfter = numericHeader(headers, 'retry-after');
+      const remaining = numericHeader(headers, 'x-ratelimit-remaining');
+      const reset = numericHeader(headers, 'x-ratelimit-reset');
+
+      // Rejected rate-limited requests were not processed, so writes are safe to resend
+      if (retryAfter !== null) {
+        this.pause(retryAfter * 1000);
+      } else if (remaining === 0 && reset !== null) {
+        this.pause(reset * 1000 - Date.now());
+      } else if (/secondary rate limit|abuse/i.test(error.message || '')) {
+        this.pause(SECONDARY_LIMIT_PAUSE_MS);
+      } else {
+        return null;
+      }
+
+      this.stats.rateLimited++;
+      return 0;
+    }
+
+    if (idempotent && (!status || status >= 500)) {
+      const backoff = this.baseDelayMs * 2 ** attempt;
+      return backoff + Math.floor(Math.random() * backoff / 2);
+    }
+
+    return null;
+  }
+
+  /**
+   * Hold all requests for ms milliseconds (never shortens an existing pause)
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + Math.max(ms, 0));
+  }
+
+  /**
+   * Wait out the current pause, or fail fast if it's longer than maxWaitMs
+   */
+  async waitUntilResumed() {
+    const wait = this.pausedUntil - Date.now();
+
+    if (wait <= 0) {
+      return;
+    }
+
+    if (wait > this.maxWaitMs) {
+      const error = new Error(
+        `GitHub rate limit exceeded, retry after ${new Date(this.pausedUntil).toISOString()}`
+      );
+      error.statusCode = 503;
+      error.code = 'RATE_LIMITED';
+      throw error;
+    }
+
+    await sleep(wait);
+  }
+
+  /**
+   * Take a concurrency slot, queueing when all are busy
+   */
+  async acquire() {
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return;
+    }
+
+    // The releasing request hands its slot over directly
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Give the slot to the next queued request, or free it
+   */
+  release() {
+    const next = this.waiting.shift();
+
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Record the budget from x-ratelimit-* headers; pause when it's exhausted
+   */
+  updateRateLimit(headers) {
+    const limit = numericHeader(headers, 'x-ratelimit-limit');
+
+    if (limit === null) {
+      return;
+    }
+
+    const remaining = numericHeader(headers, 'x-ratelimit-remaining');
+    const reset = numericHeader(headers, 'x-ratelimit-reset');
+
+    this.rateLimit = {
+      resource: headers['x-ratelimit-resource'] || 'core',
+      limit,
+      remaining,
+      used: numericHeader(headers, 'x-ratelimit-used'),
+      resetAt: reset !== null ? new Date(reset * 1000).toISOString() : null,
+    };
+
+    if (remaining === 0 && reset !== null) {
+      this.pause(reset * 1000 - Date.now());
+    }
+  }
+
+  /**
+   * Current budget and queue state for /ready and /api/status
+   */
+  getStats() {
+    return {
+      rateLimit: this.rateLimit,
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
+      active: this.active,
+      queued: this.waiting.length,
+      ...this.stats,
+    };
+  }
+}
@@ -1,16 +1,49 @@
 /**
  * AWS S3 Storage Provider
  *
- * Implements storage using AWS S3 bucket as backend
- * Uses AWS SDK for JavaScript v3
+ * Implements storage using an S3 bucket (or any S3-compatible store such as
+ * MinIO) as backend. Uses AWS SDK for JavaScript v3
  *
- * TODO: Implement when S3 storage is needed
- * Required setup:
- * 1. npm install @aws-sdk/client-s3
- * 2. Set environment variables: AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_REGION, AWS_S3_BUCKET
+ * Object ETags stand in for GitHub SHAs: saveJson and deleteFile send them
+ * as If-Match (or If-None-Match: * when creating) so stale writes are rejected
  */
 
-import { StorageProvider } from './StorageProvider.js';
+import {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+import { StorageProvider, StorageConflictError, assertSafePath } from './StorageProvider.js';
+
+/**
+ * Strip the surrounding quotes S3 puts on ETags
+ */
+function normalizeEtag(etag) {
+  return etag ? etag.replace(/^W\//, '').replace(/"/g, '') : null;
+}
+
+/**
+ * Check whether an SDK error means the object doesn't exist
+ */
+function isNotFound(error) {
+  return error.name === 'NoSuchKey'
+    || error.name === 'NotFound'
+    || error.$metadata?.httpStatusCode === 404;
+}
+
+/**
+ * Check whether an SDK error means a conditional write was rejected
+ */
+function isPreconditionFailure(error) {
+  const status = error.$metadata?.httpStatusCode;
+  return error.name === 'PreconditionFailed'
+    || error.name === 'ConditionalRequestConflict'
+    || status === 412
+    || status === 409;
+}
 
 export class S3Provider extends StorageProvider {
   constructor(config) {
@@ -27,75 +60,246 @@ export class S3Provider extends StorageProvider {
     this.bucket = config.bucket;
     this.region = config.region;
 
-    // TODO: Initialize S3 client
-    // this.s3Client = new S3Client({ region: this.region });
+    const clientConfig = {
+      region: this.region,
+      forcePathStyle: Boolean(config.forcePathStyle),
+    };
+
+    // Custom endpoint for MinIO and other S3-compatible stores
+    if (config.endpoint) {
+      clientConfig.endpoint = config.endpoint;
+    }
+
+    // Explicit keys are optional - ECS task roles use the default chain
+    if (config.accessKeyId && config.secretAccessKey) {
+      clientConfig.credentials = {
+        accessKeyId: config.accessKeyId,
+        secretAccessKey: config.secretAccessKey,
+      };
+    }
+
+    this.s3Client = new S3Client(clientConfig);
+  }
+
+  /**
+   * Convert a storage path to an object key
+   */
+  toKey(path) {
+    return String(path || '').replace(/^\/+/, '');
+  }
+
+  /**
+   * Get object body and ETag, or null if it doesn't exist
+   */
+  async getObject(path) {
+    try {
+      const response = await this.s3Client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.toKey(path),
+      }));
+
+      return {
+        body: Buffer.from(await response.Body.transformToByteArray()),
+        sha: normalizeEtag(response.ETag),
+      };
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
   }
 
+  /**
+   * Get JSON file
+   */
   async getJson(path) {
-    // TODO: Implement S3 getObject → parse JSON
-    throw new Error('S3Provider not yet implemented. Use GitHubProvider or VercelBlobProvider.');
+    assertSafePath(path);
+
+    const object = await this.getObject(path);
+
+    if (!object) {
+      return null;
+    }
+
+    try {
+      return {
+        data: JSON.parse(object.body.toString('utf-8')),
+        sha: object.sha,
+      };
+    } catch (error) {
+      throw new Error(`Failed to parse JSON from ${path}: ${error.message}`);
+    }
   }
 
+  /**
+   * Save JSON file
+   */
   async saveJson(path, data, message, sha = null) {
-    // TODO: Implement S3 putObject with JSON.stringify(data)
-    // Note: S3 doesn't have SHA/version control - handle differently
-    throw new Error('S3Provider not yet implemented. Use GitHubProvider or VercelBlobProvider.');
+    assertSafePath(path);
+
+    const command = {
+      Bucket: this.bucket,
+      Key: this.toKey(path),
+      Body: JSON.stringify(data, null, 2),
+      ContentType: 'application/json',
+    };
+
+    // Conditional write: update only the version we read, create only if absent
+    if (sha) {
+      command.IfMatch = `"${sha}"`;
+    } else {
+      command.IfNoneMatch = '*';
+    }
+
+    try {
+      const response = await this.s3Client.send(new PutObjectCommand(command));
+
+      return {
+        success: true,
+        sha: normalizeEtag(response.ETag),
+      };
+    } catch (error) {
+      if (isPreconditionFailure(error)) {
+        throw new StorageConflictError(path);
+      }
+      throw new Error(`Failed to save ${path}: ${error.message}`);
+    }
   }
 
+  /**
+   * Delete file
+   * With a SHA the delete is sent with If-Match, so an object replaced after
+   * the HEAD check is kept; without one it is removed whatever its version
+   */
   async deleteFile(path, sha, message) {
-    // TODO: Implement S3 deleteObject
-    throw new Error('S3Provider not yet implemented. Use GitHubProvider or VercelBlobProvider.');
+    assertSafePath(path);
+
+    const key = this.toKey(path);
+
+    try {
+      const head = await this.s3Client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+      }));
+
+      if (sha && normalizeEtag(head.ETag) !== sha) {
+        throw new StorageConflictError(path);
+      }
+
+      await this.s3Client.send(new DeleteObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        ...(sha ? { IfMatch: `"${sha}"` } : {}),
+      }));
+
+      return {
+        success: true,
+      };
+    } catch (error) {
+      if (error instanceof StorageConflictError) {
+        throw error;
+      }
+      if (sha && isPreconditionFailure(error)) {
+        throw new StorageConflictError(path);
+      }
+      if (isNotFound(error)) {
+        const notFound = new Error(`Failed to delete ${path}: file not found`);
+        notFound.statusCode = 404;
+        throw notFound;
+      }
+      throw new Error(`Failed to delete ${path}: ${error.message}`);
+    }
   }
 
+  /**
+   * List directory contents
+   * Follows continuation tokens so large prefixes are returned in full
+   */
   async listDirectory(path) {
-    // TODO: Implement S3 listObjectsV2 with prefix
-    throw new Error('S3Provider not yet implemented. Use GitHubProvider or VercelBlobProvider.');
+    assertSafePath(path);
+
+    const dir = this.toKey(path).replace(/\/+$/, '');
+    const prefix = dir ? `${dir}/` : '';
+    const results = [];
+    let continuationToken;
+
+    try {
+      do {
+        const response = await this.s3Client.send(new ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: prefix,
+          Delimiter: '/',
+          ContinuationToken: continuationToken,
+        }));
+
+        for (const common of response.CommonPrefixes || []) {
+          const dirPath = common.Prefix.replace(/\/$/, '');
+          results.push({
+            name: dirPath.slice(prefix.length),
+            path: dirPath,
+            sha: null,
+            size: 0,
+            type: 'dir',
+          });
+        }
+
+        for (const object of response.Contents || []) {
+          // Skip zero-byte "folder" markers created by some S3 consoles
+          if (object.Key === prefix) {
+            continue;
+          }
+          results.push({
+            name: object.Key.slice(prefix.length),
+            path: object.Key,
+            sha: normalizeEtag(object.ETag),
+            size: object.Size,
+            type: 'file',
+          });
+        }
+
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+    } catch (error) {
+      throw new Error(`Failed to list directory ${path}: ${error.message}`);
+    }
+
+    return results;
   }
 
+  /**
+   * Upload binary file
+   */
   async uploadBinary(path, base64Content, message) {
-    // TODO: Implement S3 putObject with Buffer.from(base64Content, 'base64')
-    throw new Error('S3Provider not yet implemented. Use GitHubProvider or VercelBlobProvider.');
+    assertSafePath(path);
+
+    try {
+      const response = await this.s3Client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: this.toKey(path),
+        Body: Buffer.from(base64Content, 'base64'),
+      }));
+
+      return {
+        success: true,
+        sha: normalizeEtag(response.ETag),
+      };
+    } catch (error) {
+      throw new Error(`Failed to upload binary ${path}: ${error.message}`);
+    }
   }
 
+  /**
+   * Get binary file
+   */
   async getBinary(path) {
-    // TODO: Implement S3 getObject → convert to base64
-    throw new Error('S3Provider not yet implemented. Use GitHubProvider or VercelBlobProvider.');
+    assertSafePath(path);
+
+    try {
+      const object = await this.getObject(path);
+      return object ? object.body.toString('base64') : null;
+    } catch (error) {
+      throw new Error(`Failed to get binary ${path}: ${error.message}`);
+    }
   }
 }
-
-/**
- * Implementation Guide for S3Provider:
- *
- * 1. Install dependencies:
- *    npm install @aws-sdk/client-s3
- *
- * 2. Import S3 client:
- *    import { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
- *
- * 3. Initialize client in constructor:
- *    this.s3Client = new S3Client({
- *      region: this.region,
- *      credentials: {
- *        accessKeyId: config.accessKeyId,
- *        secretAccessKey: config.secretAccessKey,
- *      }
- *    });
- *
- * 4. Implement getJson:
- *    const command = new GetObjectCommand({ Bucket: this.bucket, Key: path });
- *    const response = await this.s3Client.send(command);
- *    const body = await response.Body.transformToString();
- *    return { data: JSON.parse(body), sha: response.ETag };
- *
- * 5. Implement saveJson:
- *    const command = new PutObjectCommand({
- *      Bucket: this.bucket,
- *      Key: path,
- *      Body: JSON.stringify(data, null, 2),
- *      ContentType: 'application/json',
- *    });
- *    const response = await this.s3Client.send(command);
- *    return { success: true, sha: response.ETag };
- *
- * 6. Similar patterns for other methods
- */
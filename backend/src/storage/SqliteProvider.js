@@ -0,0 +1,377 @@
+/**
+ * SQLite Storage Provider
+ *
+ * Implements storage using a single SQLite database file as backend
+ * No external service required - uses better-sqlite3 (synchronous, in-process)
+ *
+ * Posts, other JSON documents and binaries live in separate tables, and a
+ * path is in only one of them: each write removes the path's row from the
+ * other table in the same transaction. Post
+ * fields used for filtering and sorting are generated columns with indexes,
+ * so queryPosts() can filter, sort and page without loading every post.
+ * SHAs are git blob hashes of the stored content, like FilesystemProvider.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { StorageProvider, StorageConflictError, assertSafePath } from './StorageProvider.js';
+import { blobSha } from './hash.js';
+
+// Post files live directly under posts/ (nested paths are plain documents)
+const POST_PATH_PATTERN = /^posts\/[^/]+\.json$/;
+
+// The post summary index is a plain document, not a post
+const POST_INDEX_PATH = 'posts/index.json';
+
+// Sortable fields exposed by queryPosts → indexed column
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  title: 'title',
+  status: 'status',
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS posts (
+    path TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    sha TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    title TEXT GENERATED ALWAYS AS (json_extract(data, '$.title')) VIRTUAL,
+    status TEXT GENERATED ALWAYS AS (json_extract(data, '$.status')) VIRTUAL,
+    created_by TEXT GENERATED ALWAYS AS (json_extract(data, '$.createdBy')) VIRTUAL,
+    created_at TEXT GENERATED ALWAYS AS (json_extract(data, '$.createdAt')) VIRTUAL,
+    updated_at TEXT GENERATED ALWAYS AS (json_extract(data, '$.updatedAt')) VIRTUAL,
+    is_archived INTEGER GENERATED ALWAYS AS (coalesce(json_extract(data, '$.isArchived'), 0)) VIRTUAL
+  );
+  CREATE INDEX IF NOT EXISTS idx_posts_status ON posts (status);
+  CREATE INDEX IF NOT EXISTS idx_posts_created_at ON posts (created_at);
+  CREATE INDEX IF NOT EXISTS idx_posts_updated_at ON posts (updated_at);
+  CREATE INDEX IF NOT EXISTS idx_posts_is_archived ON posts (is_archived);
+  CREATE INDEX IF NOT EXISTS idx_posts_created_by ON posts (created_by);
+
+  CREATE TABLE IF NOT EXISTS documents (
+    path TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    sha TEXT NOT NULL,
+    size INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS binaries (
+    path TEXT PRIMARY KEY,
+    content BLOB NOT NULL,
+    sha TEXT NOT NULL,
+    size INTEGER NOT NULL
+  );
+`;
+
+/**
+ * Escape LIKE wildcards so a path prefix matches literally
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+export class SqliteProvider extends StorageProvider {
+  constructor(config) {
+    super(config);
+
+    // Validate required config
+    if (!config.filename) {
+      throw new Error('SQLite database filename is required');
+    }
+
+    this.filename = path.resolve(config.filename);
+    fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(SCHEMA);
+  }
+
+  /**
+   * Normalize a storage path (no leading/trailing slashes)
+   */
+  normalize(filePath) {
+    return assertSafePath(String(filePath || '')).replace(/^\/+|\/+$/g, '');
+  }
+
+  /**
+   * Pick the JSON table for a path
+   */
+  tableFor(filePath) {
+    return POST_PATH_PATTERN.test(filePath) && filePath !== POST_INDEX_PATH ? 'posts' : 'documents';
+  }
+
+  /**
+   * Read a JSON row, or null if it doesn't exist
+   */
+  readJsonRow(filePath) {
+    return this.db
+      .prepare(`SELECT data, sha FROM ${this.tableFor(filePath)} WHERE path = ?`)
+      .get(filePath) || null;
+  }
+
+  /**
+   * Get JSON file
+   */
+  async getJson(filePath) {
+    const key = this.normalize(filePath);
+    let row = this.readJsonRow(key);
+
+    // JSON uploaded through uploadBinary is still readable as JSON
+    if (!row) {
+      const binary = this.db.prepare('SELECT content, sha FROM binaries WHERE path = ?').get(key);
+      if (binary) {
+        row = { data: binary.content.toString('utf-8'), sha: binary.sha };
+      }
+    }
+
+    if (!row) {
+      return null;
+    }
+
+    try {
+      return {
+        data: JSON.parse(row.data),
+        sha: row.sha,
+      };
+    } catch (error) {
+      throw new Error(`Failed to parse JSON from ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write a JSON row after checking the SHA (call inside a transaction)
+   * A binary stored at the same path counts as the existing file and is replaced
+   */
+  writeJsonRow(filePath, data, sha) {
+    const key = this.normalize(filePath);
+    const content = JSON.stringify(data, null, 2);
+    const buffer = Buffer.from(content, 'utf-8');
+    const newSha = blobSha(buffer);
+    const existing = this.readJsonRow(key)
+      || this.db.prepare('SELECT sha FROM binaries WHERE path = ?').get(key);
+
+    if (existing && !sha) {
+      throw new StorageConflictError(filePath, `Failed to save ${filePath}: file already exists`);
+    }
+    if (sha && (!existing || existing.sha !== sha)) {
+      throw new StorageConflictError(filePath);
+    }
+
+    this.db.prepare('DELETE FROM binaries WHERE path = ?').run(key);
+    this.db
+      .prepare(`INSERT OR REPLACE INTO ${this.tableFor(key)} (path, data, sha, size) VALUES (?, ?, ?, ?)`)
+      .run(key, content, newSha, buffer.length);
+
+    return newSha;
+  }
+
+  /**
+   * Delete a JSON or binary row after checking the SHA (call inside a transaction)
+   */
+  deleteRow(filePath, sha) {
+    const key = this.normalize(filePath);
+
+    for (const table of [this.tableFor(key), 'binaries']) {
+      const existing = this.db.prepare(`SELECT sha FROM ${table} WHERE path = ?`).get(key);
+      if (!existing) {
+        continue;
+      }
+      if (sha && existing.sha !== sha) {
+        throw new StorageConflictError(filePath);
+      }
+      this.db.prepare(`DELETE FROM ${table} WHERE path = ?`).run(key);
+      return;
+    }
+
+    const error = new Error(`Failed to delete ${filePath}: file not found`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  /**
+   * Write a binary row, replacing a JSON row at the same path (call inside a transaction)
+   */
+  writeBinaryRow(filePath, base64Content) {
+    const key = this.normalize(filePath);
+    const buffer = Buffer.from(base64Content, 'base64');
+    const sha = blobSha(buffer);
+
+    this.db.prepare(`DELETE FROM ${this.tableFor(key)} WHERE path = ?`).run(key);
+    this.db
+      .prepare('INSERT OR REPLACE INTO binaries (path, content, sha, size) VALUES (?, ?, ?, ?)')
+      .run(key, buffer, sha, buffer.length);
+
+    return sha;
+  }
+
+  /**
+   * Save JSON file
+   */
+  async saveJson(filePath, data, message, sha = null) {
+    const save = this.db.transaction(() => this.writeJsonRow(filePath, data, sha));
+
+    return {
+      success: true,
+      sha: save.immediate(),
+    };
+  }
+
+  /**
+   * Delete file
+   */
+  async deleteFile(filePath, sha, message) {
+    this.db.transaction(() => this.deleteRow(filePath, sha)).immediate();
+
+    return {
+      success: true,
+    };
+  }
+
+  /**
+   * Apply several writes in a single transaction - all or nothing
+   */
+  async batch(operations, message) {
+    const apply = this.db.transaction(() => operations.map((operation) => {
+      switch (operation.type) {
+        case 'saveJson':
+          return { path: operation.path, sha: this.writeJsonRow(operation.path, operation.data, operation.sha) };
+        case 'uploadBinary':
+          return { path: operation.path, sha: this.writeBinaryRow(operation.path, operation.content) };
+        case 'deleteFile':
+          this.deleteRow(operation.path, operation.sha);
+          return { path: operation.path, sha: null };
+        default:
+          throw new Error(`Unsupported batch operation: ${operation.type}`);
+      }
+    }));
+
+    return {
+      success: true,
+      results: apply.immediate(),
+    };
+  }
+
+  /**
+   * List directory contents
+   * Directories are derived from stored paths; entries mirror the GitHub
+   * contents API shape: { name, path, sha, size, type }
+   */
+  async listDirectory(dirPath) {
+    const prefix = this.normalize(dirPath);
+    const likePrefix = prefix ? `${escapeLike(prefix)}/%` : '%';
+
+    const rows = this.db.prepare(`
+      SELECT path, sha, size FROM posts WHERE path LIKE ? ESCAPE '\\'
+      UNION ALL
+      SELECT path, sha, size FROM documents WHERE path LIKE ? ESCAPE '\\'
+      UNION ALL
+      SELECT path, sha, size FROM binaries WHERE path LIKE ? ESCAPE '\\'
+    `).all(likePrefix, likePrefix, likePrefix);
+
+    const entries = new Map();
+    const offset = prefix ? prefix.length + 1 : 0;
+
+    for (const row of rows) {
+      const rest = row.path.slice(offset);
+      const slash = rest.indexOf('/');
+
+      if (slash === -1) {
+        entries.set(rest, { name: rest, path: row.path, sha: row.sha, size: row.size, type: 'file' });
+      } else {
+        const name = rest.slice(0, slash);
+        if (!entries.has(name)) {
+          const childPath = prefix ? `${prefix}/${name}` : name;
+          entries.set(name, { name, path: childPath, sha: null, size: 0, type: 'dir' });
+        }
+      }
+    }
+
+    return [...entries.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Upload binary file
+   */
+  async uploadBinary(filePath, base64Content, message) {
+    const upload = this.db.transaction(() => this.writeBinaryRow(filePath, base64Content));
+
+    return {
+      success: true,
+      sha: upload.immediate(),
+    };
+  }
+
+  /**
+   * Get binary file
+   * JSON documents are returned base64 encoded too, like other providers
+   */
+  async getBinary(filePath) {
+    const key = this.normalize(filePath);
+    const binary = this.db.prepare('SELECT content FROM binaries WHERE path = ?').get(key);
+
+    if (binary) {
+      return binary.content.toString('base64');
+    }
+
+    const row = this.readJsonRow(key);
+    return row ? Buffer.from(row.data, 'utf-8').toString('base64') : null;
+  }
+
+  /**
+   * Query posts using the indexed columns
+   */
+  async queryPosts(query = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (query.status) {
+      conditions.push('status = ?');
+      params.push(query.status);
+    }
+    if (query.createdBy) {
+      conditions.push('created_by = ?');
+      params.push(query.createdBy);
+    }
+    if (query.isArchived !== undefined) {
+      conditions.push('is_archived = ?');
+      params.push(query.isArchived ? 1 : 0);
+    }
+    if (query.architect) {
+      conditions.push(
+        "EXISTS (SELECT 1 FROM json_each(posts.data, '$.assignedArchitects') WHERE value = ?)"
+      );
+      params.push(query.architect);
+    }
+    if (query.search) {
+      const pattern = `%${escapeLike(query.search)}%`;
+      conditions.push(`(
+        title LIKE ? ESCAPE '\\'
+        OR json_extract(data, '$.description') LIKE ? ESCAPE '\\'
+        OR json_extract(data, '$.concernedParties') LIKE ? ESCAPE '\\'
+      )`);
+      params.push(pattern, pattern, pattern);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const column = SORT_COLUMNS[query.sortBy] || SORT_COLUMNS.createdAt;
+    const direction = query.sortOrder === 'asc' ? 'ASC' : 'DESC';
+
+    const { total } = this.db
+      .prepare(`SELECT COUNT(*) AS total FROM posts ${where}`)
+      .get(...params);
+
+    const rows = this.db
+      .prepare(`SELECT data FROM posts ${where} ORDER BY ${column} ${direction}, path ${direction} LIMIT ? OFFSET ?`)
+      .all(...params, query.limit ?? -1, query.offset || 0);
+
+    return {
+      items: rows.map(row => JSON.parse(row.data)),
+      total,
+    };
+  }
+}
@@ -5,6 +5,51 @@
  * All providers must implement these methods
  */
 
+/**
+ * Error thrown when a write is rejected because the caller's SHA no longer
+ * matches the stored file (or the file already exists on create)
+ */
+export class StorageConflictError extends Error {
+  constructor(path, message) {
+    super(message || `Conflict writing ${path}: file has changed`);
+    this.name = 'StorageConflictError';
+    this.path = path;
+    this.statusCode = 409;
+    this.code = 'CONFLICT';
+  }
+}
+
+/**
+ * Error thrown for a storage path with `.` or `..` segments
+ * Providers refuse these outright rather than resolving them, so a path
+ * built from request parameters can't reach a file outside the one named
+ */
+export class InvalidStoragePathError extends Error {
+  constructor(path) {
+    super(`Invalid storage path: ${path}`);
+    this.name = 'InvalidStoragePathError';
+    this.path = path;
+    this.statusCode = 400;
+    this.code = 'INVALID_PATH';
+  }
+}
+
+/**
+ * Check a storage path before a provider uses it
+ * @param {string} path - Storage path
+ * @returns {string} - The path, unchanged
+ * @throws {InvalidStoragePathError}
+ */
+export function assertSafePath(path) {
+  const segments = String(path || '').split(/[\\/]/);
+
+  if (segments.some(segment => segment === '.' || segment === '..' || segment.includes('\0'))) {
+    throw new InvalidStoragePathError(path);
+  }
+
+  return path;
+}
+
 export class StorageProvider {
   /**
    * Initialize the storage provider
@@ -31,7 +76,8 @@ export class StorageProvider {
    * @param {string} path - File path
    * @param {Object} data - Data to save
    * @param {string} message - Commit message (for version control backends)
-   * @param {string} sha - Current file SHA (for updates)
+   * @param {string} sha - Current file SHA (for updates). Without a SHA the
+   *   file must not exist yet; a stale SHA throws StorageConflictError
    * @returns {Promise<Object>} - Result object
    */
   async saveJson(path, data, message, sha = null) {
@@ -51,6 +97,7 @@ export class StorageProvider {
 
   /**
    * List files in a directory
+   * `sha` may be null where a provider would have to read the file to get it
    * @param {string} path - Directory path
    * @returns {Promise<Array>} - Array of file objects
    */
@@ -77,4 +124,151 @@ export class StorageProvider {
   async getBinary(path) {
     throw new Error('Method getBinary() must be implemented');
   }
+
+  /**
+   * Apply several writes as one unit
+   * Operations use the same arguments as the single-file methods:
+   *   { type: 'saveJson', path, data, sha }
+   *   { type: 'uploadBinary', path, content }   (base64)
+   *   { type: 'deleteFile', path, sha }
+   *
+   * This default applies them one by one and, if one fails, restores the
+   * files already written from snapshots taken beforehand (best effort).
+   * Providers with real transactions override it.
+   * @param {Array<Object>} operations - Operations to apply, in order
+   * @param {string} message - Commit message
+   * @returns {Promise<Object>} - { success, results: [{ path, sha }] }
+   */
+  async batch(operations, message) {
+    const applied = [];
+
+    try {
+      for (const operation of operations) {
+        const before = await this.snapshotForBatch(operation);
+        const result = await this.applyBatchOperation(operation, message);
+        applied.push({ operation, before, result });
+      }
+    } catch (error) {
+      await this.rollbackBatch(applied, message, error);
+      throw error;
+    }
+
+    return {
+      success: true,
+      results: applied.map(({ operation, result }) => ({
+        path: operation.path,
+        sha: result?.sha || null,
+      })),
+    };
+  }
+
+  /**
+   * Apply a single batch operation through the regular methods
+   */
+  async applyBatchOperation(operation, message) {
+    switch (operation.type) {
+      case 'saveJson':
+        return this.saveJson(operation.path, operation.data, message, operation.sha || null);
+      case 'uploadBinary':
+        return this.uploadBinary(operation.path, operation.content, message);
+      case 'deleteFile':
+        return this.deleteFile(operation.path, operation.sha, message);
+      default:
+        throw new Error(`Unsupported batch operation: ${operation.type}`);
+    }
+  }
+
+  /**
+   * Capture what a batch operation is about to overwrite, or null if absent
+   */
+  async snapshotForBatch(operation) {
+    if (operation.type === 'saveJson' || operation.path.endsWith('.json')) {
+      const current = await this.getJson(operation.path);
+      return current ? { data: current.data } : null;
+    }
+
+    const content = await this.getBinary(operation.path);
+    return content !== null ? { content } : null;
+  }
+
+  /**
+   * Undo applied batch operations in reverse order
+   * Failures are logged and attached to the original error as rollbackErrors
+   */
+  async rollbackBatch(applied, message, cause) {
+    const rollbackMessage = `Roll back: ${message}`;
+    const rollbackErrors = [];
+
+    for (const { operation, before, result } of [...applied].reverse()) {
+      const { path } = operation;
+
+      try {
+        if (operation.type !== 'deleteFile' && !before) {
+          await this.deleteFile(path, result?.sha, rollbackMessage);
+        } else if (before && 'data' in before) {
+          // Restore over our own write; a deleted file is recreated
+          const sha = operation.type === 'deleteFile' ? null : result?.sha;
+          await this.saveJson(path, before.data, rollbackMessage, sha);
+        } else if (before) {
+          await this.uploadBinary(path, before.content, rollbackMessage);
+        }
+      } catch (error) {
+        console.error(`Failed to roll back ${path}:`, error);
+        rollbackErrors.push({ path, message: error.message });
+      }
+    }
+
+    if (rollbackErrors.length > 0) {
+      cause.rollbackErrors = rollbackErrors;
+    }
+  }
+
+  /**
+   * Query posts with server-side filtering, sorting and paging (optional)
+   * Providers without an index return null; callers then fall back to
+   * listDirectory('posts') + getJson and filter in memory
+   * @param {Object} query - { status, architect, createdBy, search, isArchived, sortBy, sortOrder, limit, offset }
+   * @returns {Promise<Object|null>} - { items: Array, total: number } or null if unsupported
+   */
+  async queryPosts(query) {
+    return null;
+  }
+
+  /**
+   * Whether the backend keeps its own version history of every file
+   * When false, callers that need history store revisions themselves
+   * @returns {boolean}
+   */
+  hasRevisionHistory() {
+    return false;
+  }
+
+  /**
+   * List earlier versions of a file from the backend's history (optional)
+   * @param {string} path - File path
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array|null>} - [{ revision, timestamp, message }] newest
+   *   first, or null if the backend keeps no history
+   */
+  async listRevisions(path, options = {}) {
+    return null;
+  }
+
+  /**
+   * Get a JSON file as it was at a revision returned by listRevisions()
+   * @param {string} path - File path
+   * @param {string} revision - Revision identifier
+   * @returns {Promise<Object|null>} - { data, sha }, or null if the file didn't exist then
+   */
+  async getJsonAtRevision(path, revision) {
+    return null;
+  }
+
+  /**
+   * Runtime statistics for /api/status (cache counters, API budget, ...)
+   * @returns {Object} - Provider-specific stats, empty by default
+   */
+  getStats() {
+    return {};
+  }
 }
@@ -4,14 +4,31 @@
  * Implements storage using Vercel Blob (built-in Vercel storage)
  * Simple key-value storage with automatic CDN distribution
  *
- * TODO: Implement when Vercel Blob storage is needed
  * Required setup:
- * 1. npm install @vercel/blob
- * 2. Enable Vercel Blob in project settings
- * 3. Set environment variable: BLOB_READ_WRITE_TOKEN (auto-generated by Vercel)
+ * 1. Enable Vercel Blob in project settings
+ * 2. Set environment variable: BLOB_READ_WRITE_TOKEN (auto-generated by Vercel)
+ *
+ * Blob ETags stand in for GitHub SHAs and are sent as `ifMatch` on updates.
+ * Metadata calls go through the @vercel/blob SDK, which honours
+ * VERCEL_BLOB_API_URL, so the provider can run against a local stand-in.
  */
 
-import { StorageProvider } from './StorageProvider.js';
+import {
+  put,
+  head,
+  del,
+  list,
+  BlobNotFoundError,
+  BlobPreconditionFailedError,
+} from '@vercel/blob';
+import { StorageProvider, StorageConflictError, assertSafePath } from './StorageProvider.js';
+
+/**
+ * Check whether a put failed because the blob already exists
+ */
+function isAlreadyExists(error) {
+  return /already exists/i.test(error.message || '');
+}
 
 export class VercelBlobProvider extends StorageProvider {
   constructor(config) {
@@ -23,94 +40,228 @@ export class VercelBlobProvider extends StorageProvider {
     }
 
     this.token = config.token;
+    this.access = config.access || 'private';
+  }
+
+  /**
+   * Convert a storage path to a blob pathname
+   */
+  toPathname(path) {
+    return String(path || '').replace(/^\/+/, '');
+  }
+
+  /**
+   * Fetch blob content and ETag, or null if it doesn't exist
+   */
+  async getBlob(path) {
+    let metadata;
+
+    try {
+      metadata = await head(this.toPathname(path), { token: this.token });
+    } catch (error) {
+      if (error instanceof BlobNotFoundError) {
+        return null;
+      }
+      throw error;
+    }
+
+    // Read from origin so a fresh write is never masked by the CDN cache
+    const url = new URL(metadata.url);
+    url.searchParams.set('cache', '0');
+
+    const response = await fetch(url, {
+      headers: { authorization: `Bearer ${this.token}` },
+    });
 
-    // TODO: Initialize Vercel Blob client
-    // Note: Vercel Blob uses edge runtime, different from traditional storage
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Failed to fetch blob ${path}: HTTP ${response.status}`);
+    }
+
+    return {
+      body: Buffer.from(await response.arrayBuffer()),
+      sha: response.headers.get('etag') || metadata.etag,
+    };
+  }
+
+  /**
+   * Write a blob, translating SDK precondition errors into conflicts
+   */
+  async putBlob(path, body, options) {
+    try {
+      const blob = await put(this.toPathname(path), body, {
+        access: this.access,
+        token: this.token,
+        addRandomSuffix: false,
+        cacheControlMaxAge: 60,
+        ...options,
+      });
+
+      return {
+        success: true,
+        sha: blob.etag,
+      };
+    } catch (error) {
+      if (error instanceof BlobPreconditionFailedError) {
+        throw new StorageConflictError(path);
+      }
+      if (isAlreadyExists(error)) {
+        throw new StorageConflictError(path, `Failed to save ${path}: file already exists`);
+      }
+      throw error;
+    }
   }
 
+  /**
+   * Get JSON file
+   */
   async getJson(path) {
-    // TODO: Implement Vercel Blob get → parse JSON
-    // const blob = await get(path, { token: this.token });
-    // const text = await blob.text();
-    // return { data: JSON.parse(text), sha: blob.uploadedAt };
-    throw new Error('VercelBlobProvider not yet implemented. Use GitHubProvider.');
+    assertSafePath(path);
+
+    const blob = await this.getBlob(path);
+
+    if (!blob) {
+      return null;
+    }
+
+    try {
+      return {
+        data: JSON.parse(blob.body.toString('utf-8')),
+        sha: blob.sha,
+      };
+    } catch (error) {
+      throw new Error(`Failed to parse JSON from ${path}: ${error.message}`);
+    }
   }
 
+  /**
+   * Save JSON file
+   */
   async saveJson(path, data, message, sha = null) {
-    // TODO: Implement Vercel Blob put with JSON content
-    // const blob = await put(path, JSON.stringify(data, null, 2), {
-    //   access: 'public',
-    //   token: this.token,
-    //   contentType: 'application/json',
-    // });
-    // return { success: true, sha: blob.uploadedAt };
-    throw new Error('VercelBlobProvider not yet implemented. Use GitHubProvider.');
+    assertSafePath(path);
+
+    try {
+      return await this.putBlob(path, JSON.stringify(data, null, 2), {
+        contentType: 'application/json',
+        // Update only the version we read, create only if absent
+        ...(sha ? { ifMatch: sha } : { allowOverwrite: false }),
+      });
+    } catch (error) {
+      if (error instanceof StorageConflictError) {
+        throw error;
+      }
+      throw new Error(`Failed to save ${path}: ${error.message}`);
+    }
   }
 
+  /**
+   * Delete file
+   */
   async deleteFile(path, sha, message) {
-    // TODO: Implement Vercel Blob del
-    // await del(path, { token: this.token });
-    // return { success: true };
-    throw new Error('VercelBlobProvider not yet implemented. Use GitHubProvider.');
+    assertSafePath(path);
+
+    try {
+      const pathname = this.toPathname(path);
+
+      // Resolve first so a missing blob is reported instead of silently ignored
+      await head(pathname, { token: this.token });
+      await del(pathname, sha ? { token: this.token, ifMatch: sha } : { token: this.token });
+
+      return {
+        success: true,
+      };
+    } catch (error) {
+      if (error instanceof BlobPreconditionFailedError) {
+        throw new StorageConflictError(path);
+      }
+      if (error instanceof BlobNotFoundError) {
+        const notFound = new Error(`Failed to delete ${path}: file not found`);
+        notFound.statusCode = 404;
+        throw notFound;
+      }
+      throw new Error(`Failed to delete ${path}: ${error.message}`);
+    }
   }
 
+  /**
+   * List directory contents
+   * Uses folded mode so nested folders come back as `dir` entries
+   */
   async listDirectory(path) {
-    // TODO: Implement Vercel Blob list with prefix
-    // const { blobs } = await list({ prefix: path, token: this.token });
-    // return blobs.map(b => ({ name: b.pathname, path: b.pathname }));
-    throw new Error('VercelBlobProvider not yet implemented. Use GitHubProvider.');
+    assertSafePath(path);
+
+    const dir = this.toPathname(path).replace(/\/+$/, '');
+    const prefix = dir ? `${dir}/` : '';
+    const results = [];
+    let cursor;
+
+    try {
+      do {
+        const page = await list({
+          prefix,
+          cursor,
+          mode: 'folded',
+          token: this.token,
+        });
+
+        for (const folder of page.folders || []) {
+          const folderPath = folder.replace(/\/$/, '');
+          results.push({
+            name: folderPath.slice(prefix.length),
+            path: folderPath,
+            sha: null,
+            size: 0,
+            type: 'dir',
+          });
+        }
+
+        for (const blob of page.blobs) {
+          results.push({
+            name: blob.pathname.slice(prefix.length),
+            path: blob.pathname,
+            sha: blob.etag,
+            size: blob.size,
+            type: 'file',
+          });
+        }
+
+        cursor = page.hasMore ? page.cursor : undefined;
+      } while (cursor);
+    } catch (error) {
+      throw new Error(`Failed to list directory ${path}: ${error.message}`);
+    }
+
+    return results;
   }
 
+  /**
+   * Upload binary file
+   */
   async uploadBinary(path, base64Content, message) {
-    // TODO: Implement Vercel Blob put with binary content
-    // const buffer = Buffer.from(base64Content, 'base64');
-    // const blob = await put(path, buffer, { token: this.token });
-    // return { success: true, sha: blob.uploadedAt };
-    throw new Error('VercelBlobProvider not yet implemented. Use GitHubProvider.');
+    assertSafePath(path);
+
+    try {
+      return await this.putBlob(path, Buffer.from(base64Content, 'base64'), {
+        allowOverwrite: true,
+      });
+    } catch (error) {
+      throw new Error(`Failed to upload binary ${path}: ${error.message}`);
+    }
   }
 
+  /**
+   * Get binary file
+   */
   async getBinary(path) {
-    // TODO: Implement Vercel Blob get → convert to base64
-    // const blob = await get(path, { token: this.token });
-    // const arrayBuffer = await blob.arrayBuffer();
-    // return Buffer.from(arrayBuffer).toString('base64');
-    throw new Error('VercelBlobProvider not yet implemented. Use GitHubProvider.');
+    assertSafePath(path);
+
+    try {
+      const blob = await this.getBlob(path);
+      return blob ? blob.body.toString('base64') : null;
+    } catch (error) {
+      throw new Error(`Failed to get binary ${path}: ${error.message}`);
+    }
   }
 }
-
-/**
- * Implementation Guide for VercelBlobProvider:
- *
- * 1. Install dependencies:
- *    npm install @vercel/blob
- *
- * 2. Import Vercel Blob functions:
- *    import { put, get, del, list } from '@vercel/blob';
- *
- * 3. Use in Vercel environment:
- *    - Token is auto-provided via BLOB_READ_WRITE_TOKEN env var
- *    - Works in Edge Runtime (super fast)
- *
- * 4. Implement getJson:
- *    const blob = await get(path, { token: this.token });
- *    if (!blob) return null;
- *    const text = await blob.text();
- *    return { data: JSON.parse(text), sha: blob.uploadedAt };
- *
- * 5. Implement saveJson:
- *    const blob = await put(path, JSON.stringify(data, null, 2), {
- *      access: 'public',
- *      token: this.token,
- *      contentType: 'application/json',
- *    });
- *    return { success: true, sha: blob.uploadedAt };
- *
- * 6. Benefits:
- *    - Automatic CDN distribution (fast worldwide)
- *    - Built into Vercel (no external service setup)
- *    - Pay-as-you-go pricing (very cheap for small apps)
- *
- * 7. Limitations:
- *    - No version control (unlike GitHub)
- *    - Simpler than S3 (which is good for most cases)
- */
@@ -0,0 +1,17 @@
+/**
+ * Content hashing helpers shared by storage providers
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Compute git-style blob SHA for a buffer
+ * Matches the SHA GitHub reports for the same file content
+ */
+export function blobSha(buffer) {
+  return crypto
+    .createHash('sha1')
+    .update(`blob ${buffer.length}\0`)
+    .update(buffer)
+    .digest('hex');
+}
@@ -2,19 +2,22 @@
  * Storage Provider Factory
  *
  * Creates the appropriate storage provider based on environment configuration
- * Supports: GitHub, AWS S3, Vercel Blob
+ * Supports: GitHub, local filesystem, SQLite, AWS S3, Vercel Blob
  */
 
 import { GitHubProvider } from './GitHubProvider.js';
+import { FilesystemProvider } from './FilesystemProvider.js';
+import { SqliteProvider } from './SqliteProvider.js';
 import { S3Provider } from './S3Provider.js';
 import { VercelBlobProvider } from './VercelBlobProvider.js';
+import { CachingProvider } from './CachingProvider.js';
 
 /**
  * Create storage provider instance based on configuration
+ * @param {string} provider - Provider name (defaults to STORAGE_PROVIDER)
  * @returns {StorageProvider} - Configured storage provider
  */
-export function createStorageProvider() {
-  const provider = process.env.STORAGE_PROVIDER || 'github';
+export function createStorageProvider(provider = process.env.STORAGE_PROVIDER || 'github') {
 
   console.log(`Initializing storage provider: ${provider}`);
 
@@ -25,6 +28,23 @@ export function createStorageProvider() {
         owner: process.env.GITHUB_REPO_OWNER,
         repo: process.env.GITHUB_DATA_REPO || 'architecture-bulletin-data',
         branch: process.env.GITHUB_BRANCH || 'main',
+        scheduler: {
+          maxConcurrent: Number.parseInt(process.env.GITHUB_MAX_CONCURRENT || '4', 10),
+          maxRetries: Number.parseInt(process.env.GITHUB_MAX_RETRIES || '3', 10),
+          maxWaitMs: Number.parseInt(process.env.GITHUB_RATE_LIMIT_MAX_WAIT_MS || '60000', 10),
+          writeIntervalMs: Number.parseInt(process.env.GITHUB_WRITE_INTERVAL_MS || '0', 10),
+        },
+      });
+
+    case 'filesystem':
+    case 'fs':
+      return new FilesystemProvider({
+        root: process.env.FILESYSTEM_DATA_ROOT || './data',
+      });
+
+    case 'sqlite':
+      return new SqliteProvider({
+        filename: process.env.SQLITE_DATABASE_PATH || './data/bulletin.db',
       });
 
     case 's3':
@@ -33,22 +53,41 @@ export function createStorageProvider() {
         region: process.env.AWS_REGION || 'us-east-1',
         accessKeyId: process.env.AWS_ACCESS_KEY_ID,
         secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        endpoint: process.env.AWS_S3_ENDPOINT,
+        forcePathStyle: process.env.AWS_S3_FORCE_PATH_STYLE === 'true',
       });
 
     case 'vercel-blob':
     case 'blob':
       return new VercelBlobProvider({
         token: process.env.BLOB_READ_WRITE_TOKEN,
+        access: process.env.BLOB_ACCESS || 'private',
       });
 
     default:
       throw new Error(
         `Unknown storage provider: ${provider}. ` +
-        `Supported providers: github, s3, vercel-blob`
+        `Supported providers: github, filesystem, sqlite, s3, vercel-blob`
       );
   }
 }
 
+/**
+ * Wrap a provider in the read-through cache when STORAGE_CACHE_ENABLED=true
+ * @param {StorageProvider} provider - Provider to wrap
+ * @returns {StorageProvider} - Cached or original provider
+ */
+export function withCache(provider) {
+  if (process.env.STORAGE_CACHE_ENABLED !== 'true') {
+    return provider;
+  }
+
+  return new CachingProvider(provider, {
+    ttlMs: Number.parseInt(process.env.STORAGE_CACHE_TTL_MS || '30000', 10),
+    maxEntries: Number.parseInt(process.env.STORAGE_CACHE_MAX_ENTRIES || '500', 10),
+  });
+}
+
 /**
  * Get storage provider instance (singleton pattern)
  * Creates provider once and reuses it for better performance
@@ -57,7 +96,7 @@ let storageInstance = null;
 
 export function getStorageProvider() {
   if (!storageInstance) {
-    storageInstance = createStorageProvider();
+    storageInstance = withCache(createStorageProvider());
   }
   return storageInstance;
 }
@@ -71,6 +110,7 @@ export function resetStorageProvider() {
 
 export default {
   createStorageProvider,
+  withCache,
   getStorageProvider,
   resetStorageProvider,
 };
@@ -0,0 +1,256 @@
+/**
+ * Storage Migration
+ *
+ * Copies every file under the data roots from one StorageProvider to another.
+ * Used by scripts/migrate-storage.js (`npm run storage:migrate`); the file
+ * helpers are shared with backup bundles (services/backup.js).
+ *
+ * JSON files are written with saveJson so providers that index posts
+ * (SQLite) see them as posts; everything else is copied byte for byte with
+ * uploadBinary. Each copy is read back and its checksum compared with the
+ * source: SHA-256 of the raw bytes for binaries, and of the re-serialized
+ * document for JSON (so formatting differences don't count as corruption).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+
+// Top-level directories that hold application data
+export const DATA_ROOTS = ['config', 'auth', 'posts', 'trash', 'history', 'uploads', 'artifacts', 'notifications'];
+
+// Short-lived state under the data roots that is never copied: open
+// sessions and revoked access tokens (tied to JWT_SECRET and the running
+// servers), failed-login counters and pending password reset links
+export const TRANSIENT_PATHS = [
+  'auth/sessions',
+  'auth/revocations.json',
+  'auth/login-throttle.json',
+  'auth/password-resets.json',
+];
+
+/**
+ * Whether a path is transient state that backups and migrations leave out
+ */
+export function isTransientPath(path) {
+  return TRANSIENT_PATHS.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+}
+
+/**
+ * Recursively list every file below a directory
+ * @param {StorageProvider} provider - Provider to walk
+ * @param {string} dir - Directory path
+ * @returns {AsyncGenerator<Object>} - Directory entries of type 'file'
+ */
+export async function* walkStorage(provider, dir) {
+  const entries = await provider.listDirectory(dir);
+
+  for (const entry of entries) {
+    if (entry.type === 'dir') {
+      yield* walkStorage(provider, entry.path);
+    } else if (entry.type === 'file') {
+      yield entry;
+    }
+  }
+}
+
+/**
+ * List the files below a data root that backups and migrations copy
+ * @returns {AsyncGenerator<Object>} - Directory entries of type 'file'
+ */
+export async function* walkDataFiles(provider, root) {
+  for await (const entry of walkStorage(provider, root)) {
+    if (!isTransientPath(entry.path)) {
+      yield entry;
+    }
+  }
+}
+
+/**
+ * Describe a file's raw content: { buffer, json, checksum }
+ * `json` is the parsed document for .json files that parse, else undefined
+ */
+export function toStoredFile(path, buffer) {
+  let json;
+
+  if (path.endsWith('.json')) {
+    try {
+      json = JSON.parse(buffer.toString('utf-8'));
+    } catch {
+      // Not valid JSON - copied as an opaque binary
+    }
+  }
+
+  const canonical = json !== undefined ? Buffer.from(JSON.stringify(json), 'utf-8') : buffer;
+
+  return {
+    buffer,
+    json,
+    checksum: crypto.createHash('sha256').update(canonical).digest('hex'),
+  };
+}
+
+/**
+ * Read a file as stored (see toStoredFile), or null if missing
+ */
+export async function readStoredFile(provider, path) {
+  const base64 = await provider.getBinary(path);
+
+  if (base64 === null || base64 === undefined) {
+    return null;
+  }
+
+  return toStoredFile(path, Buffer.from(base64, 'base64'));
+}
+
+/**
+ * Write one file to the target, replacing it if it exists
+ */
+export async function writeStoredFile(target, path, file, message) {
+  if (file.json === undefined) {
+    return target.uploadBinary(path, file.buffer.toString('base64'), message);
+  }
+
+  const current = await target.getJson(path).catch(() => null);
+  return target.saveJson(path, file.json, message, current?.sha || null);
+}
+
+/**
+ * Load the resume log: one JSON line per completed path
+ */
+function loadState(stateFile, from, to) {
+  const completed = new Map();
+
+  if (!stateFile || !fs.existsSync(stateFile)) {
+    return completed;
+  }
+
+  const lines = fs.readFileSync(stateFile, 'utf-8').split('\n').filter(Boolean);
+  const header = lines.length > 0 ? JSON.parse(lines[0]) : null;
+
+  if (header && (header.from !== from || header.to !== to)) {
+    throw new Error(
+      `State file ${stateFile} belongs to a ${header.from} → ${header.to} migration; ` +
+      'use a different --state file or --restart'
+    );
+  }
+
+  for (const line of lines.slice(1)) {
+    try {
+      const { path, checksum } = JSON.parse(line);
+      completed.set(path, checksum);
+    } catch {
+      // A crash can leave a torn last line; that path is simply copied again
+    }
+  }
+
+  return completed;
+}
+
+/**
+ * Copy all files from source to target
+ * @param {StorageProvider} source - Provider to read from
+ * @param {StorageProvider} target - Provider to write to
+ * @param {Object} options
+ * @param {string} options.from - Source provider name (recorded in state/report)
+ * @param {string} options.to - Target provider name
+ * @param {string[]} [options.roots] - Directories to copy (default DATA_ROOTS)
+ * @param {boolean} [options.dryRun] - Only report what would be copied
+ * @param {boolean} [options.overwrite] - Replace target files that differ
+ * @param {string} [options.stateFile] - Resume log; completed paths are skipped on rerun
+ * @param {Function} [options.onFile] - Progress callback (path, outcome)
+ * @returns {Promise<Object>} - Report
+ */
+export async function migrateStorage(source, target, options) {
+  const {
+    from,
+    to,
+    roots = DATA_ROOTS,
+    dryRun = false,
+    overwrite = false,
+    stateFile = null,
+    onFile = () => {},
+  } = options;
+
+  const completed = loadState(stateFile, from, to);
+  const report = {
+    from,
+    to,
+    dryRun,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    totals: { files: 0, bytes: 0, copied: 0, unchanged: 0, resumed: 0, conflicts: 0, failed: 0 },
+    roots: {},
+    failures: [],
+  };
+
+  if (stateFile && !dryRun && !fs.existsSync(stateFile)) {
+    fs.writeFileSync(stateFile, `${JSON.stringify({ from, to, startedAt: report.startedAt })}\n`);
+  }
+
+  const record = (root, outcome, path, detail) => {
+    report.totals[outcome]++;
+    report.roots[root][outcome]++;
+    if (outcome === 'failed' || outcome === 'conflicts') {
+      report.failures.push({ path, reason: detail });
+    }
+    onFile(path, outcome, detail);
+  };
+
+  for (const root of roots) {
+    report.roots[root] = { files: 0, copied: 0, unchanged: 0, resumed: 0, conflicts: 0, failed: 0 };
+
+    for await (const entry of walkDataFiles(source, root)) {
+      report.totals.files++;
+      report.roots[root].files++;
+
+      const { path } = entry;
+
+      try {
+        const file = await readStoredFile(source, path);
+
+        if (!file) {
+          // Deleted since it was listed
+          continue;
+        }
+
+        report.totals.bytes += file.buffer.length;
+
+        if (completed.get(path) === file.checksum) {
+          record(root, 'resumed', path);
+          continue;
+        }
+
+        const existing = await readStoredFile(target, path);
+
+        if (existing && existing.checksum === file.checksum) {
+          record(root, 'unchanged', path);
+        } else if (existing && !overwrite) {
+          record(root, 'conflicts', path, 'target has different content (use --overwrite)');
+          continue;
+        } else if (dryRun) {
+          record(root, 'copied', path, existing ? 'would overwrite' : 'would copy');
+          continue;
+        } else {
+          await writeStoredFile(target, path, file, `Migrate ${path} from ${from}`);
+
+          const written = await readStoredFile(target, path);
+          if (!written || written.checksum !== file.checksum) {
+            record(root, 'failed', path, 'checksum mismatch after copy');
+            continue;
+          }
+
+          record(root, 'copied', path);
+        }
+
+        if (stateFile && !dryRun) {
+          fs.appendFileSync(stateFile, `${JSON.stringify({ path, checksum: file.checksum })}\n`);
+        }
+      } catch (error) {
+        record(root, 'failed', path, error.message);
+      }
+    }
+  }
+
+  report.finishedAt = new Date().toISOString();
+  return report;
+}
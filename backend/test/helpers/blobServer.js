@@ -0,0 +1,102 @@
+/**
+ * Vercel Blob Stand-in
+ *
+ * A local server speaking the parts of the Vercel Blob API the
+ * @vercel/blob SDK uses (put, head, list, delete and content reads), with
+ * ETag preconditions. Point the SDK at it with VERCEL_BLOB_API_URL.
+ */
+
+import { sendJson, startStubServer } from './stubServer.js';
+
+function blobError(res, status, code, message) {
+  sendJson(res, status, { error: { code, message } });
+}
+
+/**
+ * Start an empty blob store
+ * @returns {Promise<Object>} - { url, blobs: Map of pathname -> { body, etag }, close }
+ */
+export async function startBlobServer() {
+  const blobs = new Map();
+  let version = 0;
+  let baseUrl = '';
+
+  const metadata = pathname => ({
+    url: `${baseUrl}/content/${pathname}`,
+    downloadUrl: `${baseUrl}/content/${pathname}?download=1`,
+    pathname,
+    size: blobs.get(pathname).body.length,
+    uploadedAt: new Date().toISOString(),
+    etag: blobs.get(pathname).etag,
+    contentType: 'application/octet-stream',
+    contentDisposition: 'inline',
+    cacheControl: 'public, max-age=60',
+  });
+
+  const server = await startStubServer((req, res, body) => {
+    const url = new URL(req.url, baseUrl);
+    const ifMatch = req.headers['x-if-match'];
+
+    if (url.pathname.startsWith('/content/')) {
+      const blob = blobs.get(decodeURIComponent(url.pathname.slice('/content/'.length)));
+      if (!blob) {
+        return blobError(res, 404, 'not_found', 'The requested blob does not exist');
+      }
+      res.setHeader('ETag', blob.etag);
+      return res.end(blob.body);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/delete') {
+      // The SDK sends whatever it was given: blob URLs or pathnames
+      for (const target of JSON.parse(body.toString('utf-8')).urls) {
+        const pathname = target.startsWith(`${baseUrl}/content/`)
+          ? decodeURIComponent(target.slice(`${baseUrl}/content/`.length))
+          : target;
+        if (ifMatch && blobs.get(pathname)?.etag !== ifMatch) {
+          return blobError(res, 412, 'precondition_failed', 'The blob has been modified');
+        }
+        blobs.delete(pathname);
+      }
+      return sendJson(res, 200, {});
+    }
+
+    if (req.method === 'PUT') {
+      const pathname = url.searchParams.get('pathname');
+      const current = blobs.get(pathname);
+      if (ifMatch && current?.etag !== ifMatch) {
+        return blobError(res, 412, 'precondition_failed', 'The blob has been modified');
+      }
+      if (current && !ifMatch && req.headers['x-allow-overwrite'] !== '1') {
+        return blobError(res, 400, 'bad_request', 'This blob already exists, use `allowOverwrite: true` if you want to overwrite it');
+      }
+      blobs.set(pathname, { body, etag: `"v${++version}"` });
+      return sendJson(res, 200, metadata(pathname));
+    }
+
+    if (url.searchParams.has('url')) {
+      const pathname = url.searchParams.get('url');
+      if (!blobs.has(pathname)) {
+        return blobError(res, 404, 'not_found', 'The requested blob does not exist');
+      }
+      return sendJson(res, 200, metadata(pathname));
+    }
+
+    // List, folded into folders when asked
+    const prefix = url.searchParams.get('prefix') || '';
+    const folded = url.searchParams.get('mode') === 'folded';
+    const folders = new Set();
+    const listed = [];
+    for (const pathname of [...blobs.keys()].filter(key => key.startsWith(prefix)).sort()) {
+      const rest = pathname.slice(prefix.length);
+      if (folded && rest.includes('/')) {
+        folders.add(`${prefix}${rest.split('/')[0]}/`);
+      } else {
+        listed.push(metadata(pathname));
+      }
+    }
+    return sendJson(res, 200, { blobs: listed, folders: [...folders], hasMore: false });
+  });
+
+  baseUrl = server.url;
+  return { url: server.url, blobs, close: server.close };
+}
@@ -0,0 +1,190 @@
+/**
+ * Fake GitHub Repository
+ *
+ * Replaces the Octokit calls GitHubProvider makes with an in-memory
+ * repository holding one branch, so commits, trees and SHA checks behave
+ * like the real API without the network.
+ */
+
+import crypto from 'crypto';
+import { blobSha } from '../../src/storage/hash.js';
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function randomSha(prefix) {
+  return `${prefix}${crypto.randomBytes(8).toString('hex')}`;
+}
+
+/**
+ * Point a GitHubProvider at an empty in-memory repository
+ * @param {GitHubProvider} provider - Provider whose octokit.rest methods are replaced
+ * @returns {Object} - { files(): Map of path -> blob SHA at the branch head, moveBranch(path, content) }
+ */
+export function fakeGithub(provider) {
+  const blobs = new Map();
+  const trees = new Map([['t0', new Map()]]);
+  const commits = new Map([['c0', { treeSha: 't0', parent: null }]]);
+  let head = 'c0';
+
+  const storeBlob = (buffer) => {
+    const sha = blobSha(buffer);
+    blobs.set(sha, buffer);
+    return sha;
+  };
+
+  const treeAt = (ref) => {
+    const commit = commits.get(!ref || ref === provider.branch ? head : ref);
+    if (!commit) {
+      throw httpError(404, 'Not Found');
+    }
+    return trees.get(commit.treeSha);
+  };
+
+  // Commit a change to the head tree directly, like the contents API does
+  const commitFiles = (changes, message) => {
+    const tree = new Map(treeAt());
+    for (const [path, sha] of changes) {
+      if (sha === null) {
+        tree.delete(path);
+      } else {
+        tree.set(path, sha);
+      }
+    }
+
+    const treeSha = randomSha('t');
+    trees.set(treeSha, tree);
+    const commitSha = randomSha('c');
+    commits.set(commitSha, { treeSha, parent: head, message });
+    head = commitSha;
+    return commitSha;
+  };
+
+  const { repos, git } = provider.octokit.rest;
+
+  repos.getContent = async ({ path, ref }) => {
+    const tree = treeAt(ref);
+
+    if (tree.has(path)) {
+      const sha = tree.get(path);
+      const content = blobs.get(sha);
+      return { data: { type: 'file', path, sha, size: content.length, encoding: 'base64', content: content.toString('base64') } };
+    }
+
+    const prefix = path ? `${path}/` : '';
+    const entries = new Map();
+    for (const filePath of tree.keys()) {
+      if (filePath.startsWith(prefix)) {
+        const [name, ...rest] = filePath.slice(prefix.length).split('/');
+        entries.set(name, rest.length > 0 ? 'dir' : 'file');
+      }
+    }
+
+    if (entries.size === 0) {
+      throw httpError(404, 'Not Found');
+    }
+
+    return {
+      data: [...entries].map(([name, type]) => ({
+        name,
+        type,
+        path: `${prefix}${name}`,
+        sha: type === 'file' ? tree.get(`${prefix}${name}`) : randomSha('d'),
+        size: type === 'file' ? blobs.get(tree.get(`${prefix}${name}`)).length : 0,
+      })),
+    };
+  };
+
+  repos.createOrUpdateFileContents = async ({ path, content, sha, message }) => {
+    const current = treeAt().get(path);
+    if (current && !sha) {
+      throw httpError(422, 'Invalid request. "sha" wasn\'t supplied.');
+    }
+    if (sha && current !== sha) {
+      throw httpError(409, `${path} does not match ${sha}`);
+    }
+
+    const newSha = storeBlob(Buffer.from(content, 'base64'));
+    const commitSha = commitFiles([[path, newSha]], message);
+    return { data: { content: { path, sha: newSha }, commit: { sha: commitSha } } };
+  };
+
+  repos.deleteFile = async ({ path, sha, message }) => {
+    const current = treeAt().get(path);
+    if (!current) {
+      throw httpError(404, 'Not Found');
+    }
+    if (current !== sha) {
+      throw httpError(409, `${path} does not match ${sha}`);
+    }
+    return { data: { commit: { sha: commitFiles([[path, null]], message) } } };
+  };
+
+  git.getRef = async () => ({ data: { object: { sha: head } } });
+
+  git.getCommit = async ({ commit_sha: commitSha }) => {
+    const commit = commits.get(commitSha);
+    if (!commit) {
+      throw httpError(404, 'Not Found');
+    }
+    return { data: { sha: commitSha, tree: { sha: commit.treeSha } } };
+  };
+
+  git.getTree = async ({ tree_sha: treeSha }) => {
+    const commit = commits.get(treeSha);
+    const sha = commit ? commit.treeSha : treeSha;
+    const tree = trees.get(sha);
+    if (!tree) {
+      throw httpError(404, 'Not Found');
+    }
+    return {
+      data: {
+        sha,
+        truncated: false,
+        tree: [...tree].map(([path, blob]) => ({ path, sha: blob, type: 'blob', mode: '100644' })),
+      },
+    };
+  };
+
+  git.createBlob = async ({ content, encoding }) => ({
+    data: { sha: storeBlob(Buffer.from(content, encoding === 'base64' ? 'base64' : 'utf-8')) },
+  });
+
+  git.createTree = async ({ base_tree: baseTree, tree: entries }) => {
+    const tree = new Map(trees.get(baseTree));
+    for (const entry of entries) {
+      if (entry.sha === null) {
+        tree.delete(entry.path);
+      } else {
+        tree.set(entry.path, entry.content !== undefined ? storeBlob(Buffer.from(entry.content, 'utf-8')) : entry.sha);
+      }
+    }
+
+    const sha = randomSha('t');
+    trees.set(sha, tree);
+    return { data: { sha } };
+  };
+
+  git.createCommit = async ({ tree, parents, message }) => {
+    const sha = randomSha('c');
+    commits.set(sha, { treeSha: tree, parent: parents[0], message });
+    return { data: { sha, html_url: '' } };
+  };
+
+  git.updateRef = async ({ sha }) => {
+    if (commits.get(sha).parent !== head) {
+      throw httpError(422, 'Update is not a fast forward');
+    }
+    head = sha;
+    return { data: {} };
+  };
+
+  return {
+    files: () => new Map(treeAt()),
+    // Commit a file behind the provider's back, as another writer would
+    moveBranch: (path, content) => commitFiles([[path, storeBlob(Buffer.from(content, 'utf-8'))]], `Update ${path}`),
+  };
+}
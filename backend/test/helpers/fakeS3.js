@@ -0,0 +1,87 @@
+/**
+ * Fake S3 Bucket
+ *
+ * Replaces an S3Provider's client with an in-memory bucket that honours
+ * conditional writes (If-Match / If-None-Match) the way S3 does.
+ */
+
+import crypto from 'crypto';
+
+function s3Error(name, status) {
+  const error = new Error(name);
+  error.name = name;
+  error.$metadata = { httpStatusCode: status };
+  return error;
+}
+
+/**
+ * Point an S3Provider at an empty in-memory bucket
+ * @param {S3Provider} provider - Provider whose s3Client.send is replaced
+ * @returns {Object} - { objects: Map of key -> { body, etag }, commands: names of the commands sent }
+ */
+export function fakeS3(provider) {
+  const objects = new Map();
+  const commands = [];
+
+  const matches = (object, ifMatch) => object && `"${object.etag}"` === ifMatch;
+
+  provider.s3Client.send = async (command) => {
+    const name = command.constructor.name;
+    const input = command.input;
+    const object = objects.get(input.Key);
+    commands.push({ name, input });
+
+    switch (name) {
+      case 'GetObjectCommand':
+      case 'HeadObjectCommand':
+        if (!object) {
+          throw s3Error(name === 'GetObjectCommand' ? 'NoSuchKey' : 'NotFound', 404);
+        }
+        return {
+          ETag: `"${object.etag}"`,
+          Body: { transformToByteArray: async () => new Uint8Array(object.body) },
+        };
+
+      case 'PutObjectCommand': {
+        if ((input.IfMatch && !matches(object, input.IfMatch)) || (input.IfNoneMatch === '*' && object)) {
+          throw s3Error('PreconditionFailed', 412);
+        }
+        const body = Buffer.from(input.Body);
+        const etag = crypto.createHash('md5').update(body).update(crypto.randomBytes(4)).digest('hex');
+        objects.set(input.Key, { body, etag });
+        return { ETag: `"${etag}"` };
+      }
+
+      case 'DeleteObjectCommand':
+        if (input.IfMatch && !matches(object, input.IfMatch)) {
+          throw s3Error('PreconditionFailed', 412);
+        }
+        objects.delete(input.Key);
+        return {};
+
+      case 'ListObjectsV2Command': {
+        const keys = [...objects.keys()].filter(key => key.startsWith(input.Prefix)).sort();
+        const prefixes = new Set();
+        const contents = [];
+        for (const key of keys) {
+          const rest = key.slice(input.Prefix.length);
+          if (rest.includes('/')) {
+            prefixes.add(`${input.Prefix}${rest.split('/')[0]}/`);
+          } else {
+            contents.push({ Key: key, ETag: `"${objects.get(key).etag}"`, Size: objects.get(key).body.length });
+          }
+        }
+        return {
+          CommonPrefixes: [...prefixes].map(Prefix => ({ Prefix })),
+          Contents: contents,
+          IsTruncated: false,
+        };
+      }
+
+      default:
+        throw new Error(`Fake S3 does not support ${name}`);
+    }
+  };
+
+  return { objects, commands };
+}
@@ -0,0 +1,153 @@
+/**
+ * Storage Provider Conformance
+ *
+ * The cases every StorageProvider must pass: creating a file that exists,
+ * updating or deleting with a stale SHA and partially failing batches are
+ * all refused with StorageConflictError and leave the store as it was.
+ * Paths with `.` or `..` segments are refused before anything is read.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { InvalidStoragePathError, StorageConflictError } from '../../src/storage/StorageProvider.js';
+
+let instances = 0;
+
+/**
+ * Run the conformance cases against a provider
+ * @param {string} name - Suite name
+ * @param {Function} createProvider - (prefix) => a provider over an empty store.
+ *   Each test gets a fresh prefix and keeps its files under it, so providers
+ *   backed by a shared store (such as one stand-in server) can ignore it
+ */
+export function describeStorageProvider(name, createProvider) {
+  describe(name, () => {
+    const setup = () => {
+      const prefix = `run-${++instances}`;
+      return { storage: createProvider(prefix), file: relative => `${prefix}/${relative}` };
+    };
+
+    it('creates a file without a SHA and refuses to create it again', async () => {
+      const { storage, file } = setup();
+
+      const created = await storage.saveJson(file('posts/post-1.json'), { title: 'First' }, 'Create post-1');
+      assert.ok(created.sha);
+
+      await assert.rejects(
+        storage.saveJson(file('posts/post-1.json'), { title: 'Second' }, 'Create post-1 again'),
+        StorageConflictError
+      );
+      assert.deepEqual((await storage.getJson(file('posts/post-1.json'))).data, { title: 'First' });
+    });
+
+    it('updates with the current SHA and refuses a stale one', async () => {
+      const { storage, file } = setup();
+
+      await storage.saveJson(file('config/settings.json'), { version: 1 }, 'Create settings');
+      const read = await storage.getJson(file('config/settings.json'));
+
+      await storage.saveJson(file('config/settings.json'), { version: 2 }, 'Update settings', read.sha);
+
+      await assert.rejects(
+        storage.saveJson(file('config/settings.json'), { version: 3 }, 'Update settings again', read.sha),
+        (error) => {
+          assert.ok(error instanceof StorageConflictError);
+          assert.equal(error.statusCode, 409);
+          assert.equal(error.code, 'CONFLICT');
+          return true;
+        }
+      );
+      assert.deepEqual((await storage.getJson(file('config/settings.json'))).data, { version: 2 });
+    });
+
+    it('deletes with the current SHA and keeps a file changed since it was read', async () => {
+      const { storage, file } = setup();
+
+      await storage.saveJson(file('posts/post-2.json'), { title: 'Draft' }, 'Create post-2');
+      const stale = await storage.getJson(file('posts/post-2.json'));
+      await storage.saveJson(file('posts/post-2.json'), { title: 'Edited' }, 'Edit post-2', stale.sha);
+
+      await assert.rejects(storage.deleteFile(file('posts/post-2.json'), stale.sha, 'Delete post-2'), StorageConflictError);
+      assert.deepEqual((await storage.getJson(file('posts/post-2.json'))).data, { title: 'Edited' });
+
+      const current = await storage.getJson(file('posts/post-2.json'));
+      await storage.deleteFile(file('posts/post-2.json'), current.sha, 'Delete post-2');
+      assert.equal(await storage.getJson(file('posts/post-2.json')), null);
+    });
+
+    it('refuses to delete a file that does not exist', async () => {
+      const { storage, file } = setup();
+
+      await assert.rejects(storage.deleteFile(file('posts/missing.json'), 'abc123', 'Delete missing'));
+    });
+
+    it('lists files and folders in a directory', async () => {
+      const { storage, file } = setup();
+
+      await storage.saveJson(file('posts/post-1.json'), { title: 'One' }, 'Create post-1');
+      await storage.saveJson(file('posts/history/post-1/1.json'), { title: 'Old' }, 'Snapshot post-1');
+
+      const entries = await storage.listDirectory(file('posts'));
+      const summary = entries.map(entry => `${entry.type}:${entry.name}`).sort();
+
+      assert.deepEqual(summary, ['dir:history', 'file:post-1.json']);
+    });
+
+    it('applies a batch as one unit', async () => {
+      const { storage, file } = setup();
+
+      await storage.saveJson(file('posts/post-1.json'), { title: 'One' }, 'Create post-1');
+      const post = await storage.getJson(file('posts/post-1.json'));
+
+      await storage.batch([
+        { type: 'saveJson', path: file('posts/post-1.json'), data: { title: 'One, edited' }, sha: post.sha },
+        { type: 'saveJson', path: file('posts/post-2.json'), data: { title: 'Two' } },
+      ], 'Edit post-1 and create post-2');
+
+      assert.deepEqual((await storage.getJson(file('posts/post-1.json'))).data, { title: 'One, edited' });
+      assert.deepEqual((await storage.getJson(file('posts/post-2.json'))).data, { title: 'Two' });
+    });
+
+    it('leaves every file untouched when one operation in a batch conflicts', async () => {
+      const { storage, file } = setup();
+
+      await storage.saveJson(file('posts/index.json'), { posts: [] }, 'Create index');
+      await storage.saveJson(file('posts/post-1.json'), { title: 'One' }, 'Create post-1');
+      const index = await storage.getJson(file('posts/index.json'));
+
+      await assert.rejects(
+        storage.batch([
+          { type: 'saveJson', path: file('posts/index.json'), data: { posts: ['post-1', 'post-2'] }, sha: index.sha },
+          { type: 'saveJson', path: file('posts/post-2.json'), data: { title: 'Two' } },
+          // Exists already, so the whole batch must fail
+          { type: 'saveJson', path: file('posts/post-1.json'), data: { title: 'Clobbered' } },
+        ], 'Create post-2'),
+        StorageConflictError
+      );
+
+      assert.deepEqual((await storage.getJson(file('posts/index.json'))).data, { posts: [] });
+      assert.equal(await storage.getJson(file('posts/post-2.json')), null);
+      assert.deepEqual((await storage.getJson(file('posts/post-1.json'))).data, { title: 'One' });
+    });
+
+    it('refuses paths with . or .. segments', async () => {
+      const { storage, file } = setup();
+
+      await storage.saveJson(file('config/users.json'), { users: [] }, 'Create users');
+      const users = await storage.getJson(file('config/users.json'));
+      const refused = { name: 'InvalidStoragePathError', statusCode: 400, code: 'INVALID_PATH' };
+
+      for (const path of [file('posts/../config/users.json'), `./${file('config/users.json')}`, file('posts/..\\config/users.json')]) {
+        await assert.rejects(storage.getJson(path), refused);
+        await assert.rejects(storage.getBinary(path), refused);
+        await assert.rejects(storage.uploadBinary(path, 'e30=', 'Overwrite users'), refused);
+        await assert.rejects(storage.saveJson(path, { users: ['mallory'] }, 'Overwrite users', users.sha), refused);
+        await assert.rejects(storage.deleteFile(path, null, 'Delete users'), refused);
+        await assert.rejects(storage.batch([{ type: 'deleteFile', path, sha: users.sha }], 'Delete users'), InvalidStoragePathError);
+      }
+      await assert.rejects(storage.listDirectory(file('posts/..')), refused);
+
+      assert.deepEqual(await storage.getJson(file('config/users.json')), users);
+    });
+  });
+}
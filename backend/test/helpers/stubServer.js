@@ -0,0 +1,42 @@
+/**
+ * Stub HTTP Server
+ *
+ * Starts a throwaway server on a free port for tests that exercise code
+ * talking to an external service (OAuth, OIDC, Vercel Blob).
+ */
+
+import http from 'http';
+
+/**
+ * Start a server on a free port
+ * @param {Function} handler - (req, res, body) with the request body as a Buffer
+ * @returns {Promise<Object>} - { url, close }
+ */
+export async function startStubServer(handler) {
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      new Promise(resolve => resolve(handler(req, res, Buffer.concat(chunks)))).catch((error) => {
+        res.statusCode = 500;
+        res.end(JSON.stringify({ error: error.message }));
+      });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, resolve));
+
+  return {
+    url: `http://localhost:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+/**
+ * Send a JSON response
+ */
+export function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
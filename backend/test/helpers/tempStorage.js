@@ -0,0 +1,24 @@
+/**
+ * Temporary Storage
+ *
+ * A FilesystemProvider over a fresh temporary directory, for service tests
+ * that need somewhere to read and write.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FilesystemProvider } from '../../src/storage/FilesystemProvider.js';
+
+/**
+ * Create an empty store
+ * @returns {Promise<Object>} - { storage, cleanup }
+ */
+export async function createTempStorage() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'bulletin-test-'));
+
+  return {
+    storage: new FilesystemProvider({ root }),
+    cleanup: () => fs.rm(root, { recursive: true, force: true }),
+  };
+}
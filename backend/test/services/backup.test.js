@@ -0,0 +1,217 @@
+/**
+ * Backups: round trip between stores, verification against the manifest,
+ * the unpack cap and the conflict modes of a restore
+ */
+
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { PassThrough } from 'stream';
+import tar from 'tar-stream';
+import {
+  BACKUP_FORMAT,
+  BackupError,
+  readBackup,
+  restoreBackup,
+  writeBackup,
+} from '../../src/services/backup.js';
+import { COUNTERS_PATH } from '../../src/services/idAllocator.js';
+import { POST_INDEX_PATH } from '../../src/services/postIndex.js';
+import { createTempStorage } from '../helpers/tempStorage.js';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff]);
+
+/**
+ * Take a backup of a store into a Buffer
+ */
+async function backupOf(storage) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+
+  const manifest = await writeBackup(storage, output, { source: 'test', createdBy: 'ada' });
+  return { archive: Buffer.concat(chunks), manifest };
+}
+
+/**
+ * Pack entries ({ name: Buffer }) into a .tar.gz by hand
+ */
+function packArchive(entries) {
+  return new Promise((resolve, reject) => {
+    const pack = tar.pack();
+    for (const [name, content] of Object.entries(entries)) {
+      pack.entry({ name }, content);
+    }
+    pack.finalize();
+
+    const chunks = [];
+    pack.pipe(zlib.createGzip())
+      .on('data', chunk => chunks.push(chunk))
+      .on('end', () => resolve(Buffer.concat(chunks)))
+      .on('error', reject);
+  });
+}
+
+function manifestFor(files) {
+  return Buffer.from(JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: 1,
+    files: Object.entries(files).map(([path, content]) => ({
+      path,
+      size: content.length,
+      sha256: crypto.createHash('sha256').update(content).digest('hex'),
+    })),
+  }));
+}
+
+function rejectsAsInvalid(promise, pattern) {
+  return assert.rejects(promise, (error) => {
+    assert.ok(error instanceof BackupError);
+    assert.equal(error.code, 'INVALID_BACKUP');
+    assert.equal(error.statusCode, 400);
+    assert.match(error.message, pattern);
+    return true;
+  });
+}
+
+describe('backups', () => {
+  let source;
+  let target;
+  const cleanups = [];
+
+  beforeEach(async () => {
+    let cleanup;
+    ({ storage: source, cleanup } = await createTempStorage());
+    cleanups.push(cleanup);
+    ({ storage: target, cleanup } = await createTempStorage());
+    cleanups.push(cleanup);
+
+    await source.saveJson('config/statuses.json', { statuses: [{ id: 'submitted' }] }, 'Create statuses');
+    await source.saveJson('posts/post-0007.json', { id: 'post-0007', title: 'Event bus' }, 'Create post-0007');
+    await source.uploadBinary('uploads/attachments/post-0007/1-diagram.png', PNG.toString('base64'), 'Upload diagram');
+    // Open sessions are never backed up
+    await source.saveJson('auth/sessions/ada.json', { sessions: [] }, 'Create sessions');
+  });
+
+  afterEach(async () => {
+    await Promise.all(cleanups.splice(0).map(cleanup => cleanup()));
+  });
+
+  it('restores a backup into an empty store', async () => {
+    const { archive, manifest } = await backupOf(source);
+
+    assert.deepEqual(manifest.files.map(file => file.path).sort(), [
+      'config/statuses.json',
+      'posts/post-0007.json',
+      'uploads/attachments/post-0007/1-diagram.png',
+    ]);
+
+    const report = await restoreBackup(target, await readBackup(archive));
+
+    assert.equal(report.applied, true);
+    assert.equal(report.totals.created, 3);
+    assert.equal(report.backup.createdBy, 'ada');
+    assert.deepEqual((await target.getJson('posts/post-0007.json')).data, { id: 'post-0007', title: 'Event bus' });
+    assert.equal(await target.getBinary('uploads/attachments/post-0007/1-diagram.png'), PNG.toString('base64'));
+    assert.equal(await target.getJson('auth/sessions/ada.json'), null);
+
+    // The index and ID counter follow the restored posts
+    assert.equal(report.postIndexRebuilt, true);
+    assert.deepEqual((await target.getJson(POST_INDEX_PATH)).data.posts.map(post => post.id), ['post-0007']);
+    assert.equal((await target.getJson(COUNTERS_PATH)).data.posts, 7);
+  });
+
+  it('refuses an archive whose files do not match the manifest', async () => {
+    const files = { 'config/statuses.json': Buffer.from('{"statuses":[]}') };
+
+    await rejectsAsInvalid(
+      readBackup(await packArchive({
+        'data/config/statuses.json': Buffer.from('{"statuses":["tampered"]}'),
+        'manifest.json': manifestFor(files),
+      })),
+      /config\/statuses\.json: checksum mismatch/
+    );
+
+    await rejectsAsInvalid(
+      readBackup(await packArchive({
+        ...Object.fromEntries(Object.entries(files).map(([path, content]) => [`data/${path}`, content])),
+        'data/config/users.json': Buffer.from('{"users":[]}'),
+        'manifest.json': manifestFor(files),
+      })),
+      /data\/config\/users\.json: not listed in manifest/
+    );
+  });
+
+  it('refuses paths outside the data roots or with .. segments', async () => {
+    const files = { 'config/../../etc/passwd': Buffer.from('root') };
+
+    await rejectsAsInvalid(
+      readBackup(await packArchive({ 'data/config/../../etc/passwd': files['config/../../etc/passwd'], 'manifest.json': manifestFor(files) })),
+      /invalid path/
+    );
+  });
+
+  it('refuses what is not a backup', async () => {
+    await rejectsAsInvalid(readBackup(Buffer.from('plain text')), /Not a gzip archive/);
+    await rejectsAsInvalid(readBackup(await packArchive({ 'notes.txt': Buffer.from('hi') })), /no manifest\.json/);
+  });
+
+  describe('unpack cap', () => {
+    afterEach(() => {
+      delete process.env.BACKUP_MAX_UNPACKED_MB;
+    });
+
+    it('stops unpacking past BACKUP_MAX_UNPACKED_MB', async () => {
+      // Compresses to almost nothing, unpacks to 64 KB
+      const archive = await packArchive({ 'data/uploads/big.bin': Buffer.alloc(64 * 1024) });
+      process.env.BACKUP_MAX_UNPACKED_MB = '0.01';
+
+      await rejectsAsInvalid(readBackup(archive), /unpacks to more than/);
+    });
+  });
+
+  describe('restoring over existing data', () => {
+    let backup;
+
+    beforeEach(async () => {
+      backup = await readBackup((await backupOf(source)).archive);
+      await target.saveJson('config/statuses.json', { statuses: [{ id: 'local' }] }, 'Create statuses');
+      // An identical copy is left alone rather than counted as a conflict
+      await target.saveJson('posts/post-0007.json', { id: 'post-0007', title: 'Event bus' }, 'Create post-0007');
+    });
+
+    it('writes nothing in fail mode when a file differs', async () => {
+      const report = await restoreBackup(target, backup);
+
+      assert.equal(report.applied, false);
+      assert.deepEqual(report.conflicts, ['config/statuses.json']);
+      assert.equal(report.totals.unchanged, 1);
+      assert.equal(await target.getBinary('uploads/attachments/post-0007/1-diagram.png'), null);
+    });
+
+    it('keeps the stored copy in skip mode', async () => {
+      const report = await restoreBackup(target, backup, { mode: 'skip' });
+
+      assert.equal(report.applied, true);
+      assert.deepEqual({ ...report.totals }, { files: 3, created: 1, overwritten: 0, unchanged: 1, skipped: 1, conflicts: 1, failed: 0 });
+      assert.deepEqual((await target.getJson('config/statuses.json')).data, { statuses: [{ id: 'local' }] });
+      assert.ok(await target.getBinary('uploads/attachments/post-0007/1-diagram.png'));
+    });
+
+    it('replaces the stored copy in overwrite mode', async () => {
+      const report = await restoreBackup(target, backup, { mode: 'overwrite' });
+
+      assert.equal(report.totals.overwritten, 1);
+      assert.deepEqual((await target.getJson('config/statuses.json')).data, { statuses: [{ id: 'submitted' }] });
+    });
+
+    it('only reports in a dry run', async () => {
+      const report = await restoreBackup(target, backup, { mode: 'overwrite', dryRun: true });
+
+      assert.equal(report.applied, false);
+      assert.equal(report.totals.overwritten, 1);
+      assert.deepEqual((await target.getJson('config/statuses.json')).data, { statuses: [{ id: 'local' }] });
+    });
+  });
+});
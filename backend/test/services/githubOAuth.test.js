@@ -0,0 +1,178 @@
+/**
+ * GitHub sign-in against a local stub of GitHub's OAuth and user endpoints
+ */
+
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  OAuthError,
+  completeGithubLogin,
+  createAuthorization,
+  resolveGithubAccount,
+} from '../../src/services/githubOAuth.js';
+import { ARCHITECTS_PATH, USERS_PATH } from '../../src/services/users.js';
+import { SETTINGS_PATH } from '../../src/services/settings.js';
+import { sendJson, startStubServer } from '../helpers/stubServer.js';
+import { createTempStorage } from '../helpers/tempStorage.js';
+
+const CLIENT_ID = 'Iv1.bulletin';
+const CLIENT_SECRET = 'stub-client-secret';
+const REDIRECT_URI = 'http://localhost:5173/callback';
+
+// Authorization code -> GitHub profile, and access token -> profile
+const codes = new Map();
+const accessTokens = new Map();
+let github;
+
+/**
+ * An authorization code the stub will redeem for this GitHub user, as if
+ * they had just approved the app
+ */
+function authorize(profile) {
+  const code = crypto.randomBytes(8).toString('hex');
+  codes.set(code, profile);
+  return code;
+}
+
+before(async () => {
+  github = await startStubServer((req, res, body) => {
+    const url = new URL(req.url, github.url);
+
+    if (req.method === 'POST' && url.pathname === '/login/oauth/access_token') {
+      const params = JSON.parse(body.toString('utf-8'));
+      if (params.client_id !== CLIENT_ID || params.client_secret !== CLIENT_SECRET) {
+        return sendJson(res, 200, { error: 'incorrect_client_credentials', error_description: 'The client_id and/or client_secret passed are incorrect.' });
+      }
+
+      // GitHub answers a bad code with 200 and an error
+      const profile = codes.get(params.code);
+      codes.delete(params.code);
+      if (!profile || params.redirect_uri !== REDIRECT_URI) {
+        return sendJson(res, 200, { error: 'bad_verification_code', error_description: 'The code passed is incorrect or expired.' });
+      }
+
+      const accessToken = `gho_${crypto.randomBytes(8).toString('hex')}`;
+      accessTokens.set(accessToken, profile);
+      return sendJson(res, 200, { access_token: accessToken, token_type: 'bearer', scope: 'read:user' });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/user') {
+      const profile = accessTokens.get(String(req.headers.authorization).replace(/^Bearer /, ''));
+      return profile ? sendJson(res, 200, profile) : sendJson(res, 401, { message: 'Bad credentials' });
+    }
+
+    return sendJson(res, 404, { message: 'Not Found' });
+  });
+
+  Object.assign(process.env, {
+    GITHUB_OAUTH_CLIENT_ID: CLIENT_ID,
+    GITHUB_OAUTH_CLIENT_SECRET: CLIENT_SECRET,
+    GITHUB_OAUTH_REDIRECT_URI: REDIRECT_URI,
+    GITHUB_OAUTH_URL: github.url,
+    GITHUB_OAUTH_API_URL: github.url,
+  });
+});
+
+after(async () => {
+  for (const name of ['GITHUB_OAUTH_CLIENT_ID', 'GITHUB_OAUTH_CLIENT_SECRET', 'GITHUB_OAUTH_REDIRECT_URI', 'GITHUB_OAUTH_URL', 'GITHUB_OAUTH_API_URL']) {
+    delete process.env[name];
+  }
+  await github.close();
+});
+
+function rejectsWith(promise, statusCode, code) {
+  return assert.rejects(promise, (error) => {
+    assert.ok(error instanceof OAuthError);
+    assert.equal(error.statusCode, statusCode);
+    assert.equal(error.code, code);
+    return true;
+  });
+}
+
+describe('GitHub sign-in', () => {
+  let storage;
+  let cleanup;
+
+  beforeEach(async () => {
+    ({ storage, cleanup } = await createTempStorage());
+    await storage.saveJson(SETTINGS_PATH, { adminUsers: ['Octo-Admin'] }, 'Create settings');
+    await storage.saveJson(USERS_PATH, { users: [{ username: 'rita', role: 'requester', password: 'x' }] }, 'Create users');
+    await storage.saveJson(ARCHITECTS_PATH, {
+      architects: [
+        { id: 'arch-1', githubUsername: 'arnold', displayName: 'Arnold Architect', status: 'active' },
+        { id: 'arch-2', githubUsername: 'gone', displayName: 'Former Architect', status: 'inactive' },
+      ],
+    }, 'Create architects');
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  const login = profile => completeGithubLogin(storage, { code: authorize(profile), state: createAuthorization().state });
+
+  it('sends the browser to the configured authorize URL with a signed state', () => {
+    const { authorizeUrl, state } = createAuthorization();
+    const url = new URL(authorizeUrl);
+
+    assert.equal(`${url.origin}${url.pathname}`, `${github.url}/login/oauth/authorize`);
+    assert.equal(url.searchParams.get('client_id'), CLIENT_ID);
+    assert.equal(url.searchParams.get('redirect_uri'), REDIRECT_URI);
+    assert.equal(url.searchParams.get('state'), state);
+  });
+
+  it('signs in admins listed in the settings, matching the login case-insensitively', async () => {
+    const account = await login({ id: 1, login: 'octo-admin', name: 'Octo Admin' });
+
+    assert.deepEqual(account, { username: 'octo-admin', role: 'admin', fullName: 'Octo Admin', authProvider: 'github' });
+  });
+
+  it('signs in active architects and pins their GitHub account id', async () => {
+    const account = await login({ id: 42, login: 'arnold', name: 'Arnold' });
+    assert.equal(account.role, 'architect');
+    assert.equal(account.fullName, 'Arnold Architect');
+
+    const architects = (await storage.getJson(ARCHITECTS_PATH)).data.architects;
+    assert.equal(architects.find(a => a.githubUsername === 'arnold').githubId, 42);
+
+    // Someone who later takes over the handle is not let in
+    await rejectsWith(login({ id: 99, login: 'arnold' }), 403, 'NOT_AUTHORIZED');
+    assert.equal((await login({ id: 42, login: 'arnold' })).username, 'arnold');
+  });
+
+  it('refuses GitHub users without access, including deactivated architects', async () => {
+    await rejectsWith(login({ id: 7, login: 'stranger' }), 403, 'NOT_AUTHORIZED');
+    await rejectsWith(login({ id: 8, login: 'gone' }), 403, 'NOT_AUTHORIZED');
+  });
+
+  it('never takes over a local account with the same username', async () => {
+    await rejectsWith(login({ id: 9, login: 'Rita' }), 409, 'ACCOUNT_CONFLICT');
+    assert.equal(await resolveGithubAccount(storage, 'rita'), null);
+  });
+
+  it('refuses a forged state before redeeming the code', async () => {
+    const code = authorize({ id: 1, login: 'octo-admin' });
+
+    await rejectsWith(completeGithubLogin(storage, { code, state: 'forged' }), 400, 'INVALID_STATE');
+    assert.ok(codes.has(code), 'the code was not sent to GitHub');
+  });
+
+  it('reports a code GitHub refuses', async () => {
+    await assert.rejects(
+      completeGithubLogin(storage, { code: 'expired', state: createAuthorization().state }),
+      { code: 'OAUTH_FAILED', message: 'The code passed is incorrect or expired.' }
+    );
+  });
+
+  it('is unavailable when not configured', async () => {
+    const clientId = process.env.GITHUB_OAUTH_CLIENT_ID;
+    delete process.env.GITHUB_OAUTH_CLIENT_ID;
+
+    try {
+      assert.throws(() => createAuthorization(), { statusCode: 404, code: 'OAUTH_NOT_CONFIGURED' });
+    } finally {
+      process.env.GITHUB_OAUTH_CLIENT_ID = clientId;
+    }
+  });
+});
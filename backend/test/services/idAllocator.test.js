@@ -0,0 +1,73 @@
+/**
+ * ID allocation: compare-and-swap on the counter under concurrent creates,
+ * and never handing out the ID of a deleted post again
+ */
+
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { StorageConflictError } from '../../src/storage/StorageProvider.js';
+import { COUNTERS_PATH, allocatePostId, syncPostCounter } from '../../src/services/idAllocator.js';
+import { trashPath } from '../../src/services/trash.js';
+import { createTempStorage } from '../helpers/tempStorage.js';
+
+describe('post ID allocation', () => {
+  let storage;
+  let cleanup;
+
+  beforeEach(async () => {
+    ({ storage, cleanup } = await createTempStorage());
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('gives concurrent creates distinct, consecutive IDs', async () => {
+    // Count the compare-and-swaps that lost, to be sure the creates raced
+    const saveJson = storage.saveJson.bind(storage);
+    let conflicts = 0;
+    storage.saveJson = async (...args) => {
+      try {
+        return await saveJson(...args);
+      } catch (error) {
+        if (error instanceof StorageConflictError) {
+          conflicts++;
+        }
+        throw error;
+      }
+    };
+
+    const ids = await Promise.all(Array.from({ length: 6 }, () => allocatePostId(storage)));
+
+    assert.deepEqual([...ids].sort(), ['post-0001', 'post-0002', 'post-0003', 'post-0004', 'post-0005', 'post-0006']);
+    assert.ok(conflicts > 0, 'the allocations should have conflicted');
+    assert.equal((await storage.getJson(COUNTERS_PATH)).data.posts, 6);
+  });
+
+  it('continues from the highest post or trashed post when there is no counter yet', async () => {
+    await storage.saveJson('posts/post-0003.json', { id: 'post-0003' }, 'Create post-0003');
+    await storage.saveJson(trashPath('post-0007'), { id: 'post-0007' }, 'Trash post-0007');
+
+    assert.equal(await allocatePostId(storage), 'post-0008');
+  });
+
+  it('never reuses the ID of a post deleted for good', async () => {
+    const id = await allocatePostId(storage);
+    await storage.saveJson(trashPath(id), { id }, `Trash ${id}`);
+    // Purged from the trash: no post-0001 is left anywhere
+    await storage.deleteFile(trashPath(id), null, `Purge ${id}`);
+
+    assert.equal(await allocatePostId(storage), 'post-0002');
+  });
+
+  it('raises the counter past restored posts, but never lowers it', async () => {
+    await allocatePostId(storage);
+    await storage.saveJson('posts/post-0012.json', { id: 'post-0012' }, 'Restore post-0012');
+
+    assert.equal(await syncPostCounter(storage), 12);
+    assert.equal(await allocatePostId(storage), 'post-0013');
+
+    await storage.deleteFile('posts/post-0012.json', null, 'Delete post-0012');
+    assert.equal(await syncPostCounter(storage), 13);
+  });
+});
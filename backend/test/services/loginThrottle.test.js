@@ -0,0 +1,162 @@
+/**
+ * Login throttling: the backoff after the free attempts, lockouts per
+ * username and per IP, and lifting them again
+ */
+
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MemoryThrottleStore,
+  StorageThrottleStore,
+  checkLoginAllowed,
+  ipKey,
+  listLockouts,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlock,
+  userKey,
+} from '../../src/services/loginThrottle.js';
+import { createTempStorage } from '../helpers/tempStorage.js';
+
+const ADA = { username: 'ada', ip: '203.0.113.7' };
+
+async function failTimes(store, attempt, times) {
+  for (let i = 0; i < times; i++) {
+    await recordLoginFailure(store, attempt);
+  }
+}
+
+describe('login throttle', () => {
+  let store;
+
+  beforeEach((t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T09:00:00.000Z') });
+    store = new MemoryThrottleStore();
+  });
+
+  afterEach(() => {
+    delete process.env.LOGIN_BACKOFF_MAX_SECONDS;
+    delete process.env.LOGIN_IP_LOCKOUT_THRESHOLD;
+  });
+
+  it('makes a username wait after the free attempts, doubling up to the maximum', async (t) => {
+    process.env.LOGIN_BACKOFF_MAX_SECONDS = '5';
+
+    await failTimes(store, ADA, 2);
+    assert.equal(await checkLoginAllowed(store, ADA), null);
+
+    const waits = [];
+    for (let i = 0; i < 4; i++) {
+      await recordLoginFailure(store, ADA);
+      const refused = await checkLoginAllowed(store, ADA);
+      assert.equal(refused.code, 'TOO_MANY_ATTEMPTS');
+      waits.push(refused.retryAfter);
+
+      t.mock.timers.tick(refused.retryAfter * 1000);
+      assert.equal(await checkLoginAllowed(store, ADA), null);
+    }
+
+    assert.deepEqual(waits, [1, 2, 4, 5]);
+  });
+
+  it('matches usernames case-insensitively and lets other usernames through', async () => {
+    await failTimes(store, ADA, 3);
+
+    assert.equal((await checkLoginAllowed(store, { ...ADA, username: 'ADA' })).code, 'TOO_MANY_ATTEMPTS');
+    assert.equal(await checkLoginAllowed(store, { ...ADA, username: 'rita' }), null);
+  });
+
+  it('locks a username at the threshold until the lockout runs out', async (t) => {
+    const results = [];
+    for (let i = 0; i < 10; i++) {
+      results.push(await recordLoginFailure(store, ADA));
+    }
+
+    assert.deepEqual(results.map(result => result.userLocked), [...Array(9).fill(false), true]);
+
+    const refused = await checkLoginAllowed(store, ADA);
+    assert.equal(refused.code, 'ACCOUNT_LOCKED');
+    assert.equal(refused.retryAfter, 15 * 60);
+    assert.match(refused.message, /ask an admin to unlock it/);
+
+    // Further failures while locked don't start a new lockout
+    assert.equal((await recordLoginFailure(store, ADA)).userLocked, false);
+
+    t.mock.timers.tick(15 * 60 * 1000);
+    assert.equal(await checkLoginAllowed(store, ADA), null);
+  });
+
+  it('locks an IP that fails across many usernames', async () => {
+    process.env.LOGIN_IP_LOCKOUT_THRESHOLD = '5';
+
+    for (const username of ['ada', 'bob', 'cy', 'dee']) {
+      assert.equal((await recordLoginFailure(store, { ...ADA, username })).ipLocked, false);
+    }
+    assert.equal((await recordLoginFailure(store, { ...ADA, username: 'eve' })).ipLocked, true);
+
+    const refused = await checkLoginAllowed(store, { ...ADA, username: 'rita' });
+    assert.equal(refused.code, 'ACCOUNT_LOCKED');
+    assert.match(refused.message, /from this address/);
+    assert.equal(await checkLoginAllowed(store, { username: 'rita', ip: '198.51.100.1' }), null);
+  });
+
+  it('clears the username, but not the IP, on a successful login', async () => {
+    await failTimes(store, ADA, 3);
+    await recordLoginSuccess(store, ADA);
+
+    assert.equal(await checkLoginAllowed(store, ADA), null);
+    assert.equal(await store.get(userKey('ada')), null);
+    assert.equal((await store.get(ipKey(ADA.ip))).failures, 3);
+  });
+
+  it('forgets failures once the window has passed', async (t) => {
+    await failTimes(store, ADA, 2);
+    t.mock.timers.tick(60 * 60 * 1000);
+
+    await recordLoginFailure(store, ADA);
+    assert.equal((await store.get(userKey('ada'))).failures, 1);
+    assert.equal(await checkLoginAllowed(store, ADA), null);
+  });
+
+  it('lets an admin lift a lockout early', async () => {
+    await failTimes(store, ADA, 10);
+
+    const [lockout] = (await listLockouts(store)).filter(entry => entry.type === 'user');
+    assert.deepEqual(
+      { key: lockout.key, value: lockout.value, failures: lockout.failures, locked: lockout.locked },
+      { key: 'user:ada', value: 'ada', failures: 10, locked: true }
+    );
+
+    assert.equal(await unlock(store, 'user:ada'), true);
+    assert.equal(await checkLoginAllowed(store, ADA), null);
+    assert.equal(await unlock(store, 'user:ada'), false);
+  });
+});
+
+describe('storage throttle store', () => {
+  let storage;
+  let cleanup;
+
+  beforeEach(async () => {
+    ({ storage, cleanup } = await createTempStorage());
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('shares counters and lockouts between replicas', async () => {
+    const replicas = [new StorageThrottleStore(storage), new StorageThrottleStore(storage)];
+
+    // Failures from the same user arrive at either replica in turn
+    for (let i = 0; i < 10; i++) {
+      await recordLoginFailure(replicas[i % 2], ADA);
+    }
+
+    assert.equal((await replicas[0].get(userKey('ada'))).failures, 10);
+    assert.equal((await checkLoginAllowed(replicas[1], ADA)).code, 'ACCOUNT_LOCKED');
+
+    assert.equal(await unlock(replicas[1], 'user:ada'), true);
+    assert.equal(await checkLoginAllowed(replicas[0], ADA), null);
+  });
+});
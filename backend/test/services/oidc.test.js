@@ -0,0 +1,256 @@
+/**
+ * Single sign-on against a local mock OpenID Connect issuer
+ *
+ * The issuer publishes a discovery document and JWKS, signs real RS256 ID
+ * tokens, checks PKCE and client credentials, and serves userinfo. Its
+ * authorize endpoint signs in whoever `login_hint` names, standing in for
+ * the provider's login page.
+ */
+
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { OAuthError } from '../../src/services/githubOAuth.js';
+import {
+  completeOidcLogin,
+  createOidcAuthorization,
+  getOidcConfig,
+  roleForGroups,
+} from '../../src/services/oidc.js';
+import { ARCHITECTS_PATH, USERS_PATH } from '../../src/services/users.js';
+import { sendJson, startStubServer } from '../helpers/stubServer.js';
+import { createTempStorage } from '../helpers/tempStorage.js';
+
+const CLIENT_ID = 'bulletin';
+const CLIENT_SECRET = 'stub-client-secret';
+const REDIRECT_URI = 'http://localhost:5173/callback';
+
+const PEOPLE = {
+  alice: { sub: 'u-1', preferred_username: 'alice', name: 'Alice Admin', email: 'alice@example.com', groups: ['admins'] },
+  bob: { sub: 'u-2', preferred_username: 'bob', name: 'Bob Builder', email: 'bob@example.com', groups: ['architects'] },
+  eve: { sub: 'u-3', preferred_username: 'eve', name: 'Eve', groups: ['staff'] },
+  // No groups in the ID token; the issuer only reports them from userinfo
+  carol: { sub: 'u-4', preferred_username: 'carol', name: 'Carol' },
+  mallory: { sub: 'u-5', preferred_username: 'admin', name: 'Mallory', groups: ['architects'] },
+};
+const USERINFO_GROUPS = { carol: ['architects'] };
+
+const OIDC_ENV = {
+  OIDC_CLIENT_ID: CLIENT_ID,
+  OIDC_CLIENT_SECRET: CLIENT_SECRET,
+  OIDC_REDIRECT_URI: REDIRECT_URI,
+  OIDC_ADMIN_GROUPS: 'admins',
+  OIDC_ARCHITECT_GROUPS: 'architects',
+};
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const codes = new Map();
+let issuer;
+
+before(async () => {
+  issuer = await startStubServer((req, res, body) => {
+    const url = new URL(req.url, issuer.url);
+
+    switch (url.pathname) {
+      case '/.well-known/openid-configuration':
+        return sendJson(res, 200, {
+          issuer: issuer.url,
+          authorization_endpoint: `${issuer.url}/authorize`,
+          token_endpoint: `${issuer.url}/token`,
+          jwks_uri: `${issuer.url}/jwks`,
+          userinfo_endpoint: `${issuer.url}/userinfo`,
+        });
+
+      case '/jwks':
+        return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' }] });
+
+      case '/authorize': {
+        const params = url.searchParams;
+        const code = crypto.randomBytes(8).toString('hex');
+        codes.set(code, {
+          person: params.get('login_hint'),
+          nonce: params.get('nonce'),
+          challenge: params.get('code_challenge'),
+          redirectUri: params.get('redirect_uri'),
+          clientId: params.get('client_id'),
+        });
+        res.statusCode = 302;
+        res.setHeader('Location', `${params.get('redirect_uri')}?${new URLSearchParams({ code, state: params.get('state') })}`);
+        return res.end();
+      }
+
+      case '/token': {
+        const params = new URLSearchParams(body.toString('utf-8'));
+        const credentials = Buffer.from(String(req.headers.authorization).replace(/^Basic /, ''), 'base64').toString('utf-8');
+        if (credentials !== `${CLIENT_ID}:${CLIENT_SECRET}`) {
+          return sendJson(res, 401, { error: 'invalid_client' });
+        }
+
+        const grant = codes.get(params.get('code'));
+        codes.delete(params.get('code'));
+        const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+        if (!grant || grant.challenge !== challenge || grant.redirectUri !== params.get('redirect_uri')) {
+          return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Code or code verifier is not valid' });
+        }
+
+        const idToken = jwt.sign({ ...PEOPLE[grant.person], nonce: grant.nonce }, privateKey, {
+          algorithm: 'RS256',
+          keyid: 'key-1',
+          issuer: issuer.url,
+          audience: grant.clientId,
+          expiresIn: 300,
+        });
+        return sendJson(res, 200, { access_token: `at-${grant.person}`, token_type: 'Bearer', id_token: idToken });
+      }
+
+      case '/userinfo': {
+        const person = String(req.headers.authorization).replace(/^Bearer at-/, '');
+        return sendJson(res, 200, { ...PEOPLE[person], groups: USERINFO_GROUPS[person] || PEOPLE[person]?.groups });
+      }
+
+      default:
+        return sendJson(res, 404, { error: 'not_found' });
+    }
+  });
+
+  Object.assign(process.env, OIDC_ENV, { OIDC_ISSUER_URL: issuer.url });
+});
+
+after(async () => {
+  for (const name of [...Object.keys(OIDC_ENV), 'OIDC_ISSUER_URL']) {
+    delete process.env[name];
+  }
+  await issuer.close();
+});
+
+/**
+ * Go through the provider's login page as a person
+ * @returns {Promise<Object>} - { code, state, codeVerifier } as the SPA would post them
+ */
+async function signInAs(person, authorization = null) {
+  const { authorizeUrl, state, codeVerifier } = authorization || await createOidcAuthorization();
+  const response = await fetch(`${authorizeUrl}&login_hint=${person}`, { redirect: 'manual' });
+  const callback = new URL(response.headers.get('location'));
+
+  assert.equal(callback.searchParams.get('state'), state);
+  return { code: callback.searchParams.get('code'), state, codeVerifier };
+}
+
+function rejectsWith(promise, statusCode, code) {
+  return assert.rejects(promise, (error) => {
+    assert.ok(error instanceof OAuthError);
+    assert.equal(error.statusCode, statusCode);
+    assert.equal(error.code, code);
+    return true;
+  });
+}
+
+describe('OIDC sign-in', () => {
+  let storage;
+  let cleanup;
+
+  beforeEach(async () => {
+    ({ storage, cleanup } = await createTempStorage());
+    await storage.saveJson(USERS_PATH, { users: [{ username: 'admin', role: 'admin', password: 'x' }] }, 'Create users');
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('starts the code flow with PKCE and a nonce', async () => {
+    const { authorizeUrl, codeVerifier } = await createOidcAuthorization();
+    const params = new URL(authorizeUrl).searchParams;
+
+    assert.ok(authorizeUrl.startsWith(`${issuer.url}/authorize?`));
+    assert.equal(params.get('response_type'), 'code');
+    assert.equal(params.get('code_challenge_method'), 'S256');
+    assert.equal(params.get('code_challenge'), crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+    assert.ok(params.get('nonce'));
+  });
+
+  it('provisions a new user with the role from their groups', async () => {
+    const user = await completeOidcLogin(storage, await signInAs('alice'));
+
+    assert.equal(user.username, 'alice');
+    assert.equal(user.role, 'admin');
+    assert.equal(user.authProvider, 'oidc');
+
+    const stored = (await storage.getJson(USERS_PATH)).data.users.find(u => u.username === 'alice');
+    assert.equal(stored.oidcSubject, `${issuer.url}|u-1`);
+    assert.equal(stored.email, 'alice@example.com');
+    assert.equal(stored.password, undefined);
+  });
+
+  it('adds architects to the architect list once', async () => {
+    await completeOidcLogin(storage, await signInAs('bob'));
+    const user = await completeOidcLogin(storage, await signInAs('bob'));
+
+    assert.equal(user.role, 'architect');
+    const architects = (await storage.getJson(ARCHITECTS_PATH)).data.architects;
+    assert.deepEqual(architects.map(a => [a.githubUsername, a.addedBy, a.status]), [['bob', 'oidc', 'active']]);
+  });
+
+  it('reads groups from userinfo when the ID token has none', async () => {
+    const user = await completeOidcLogin(storage, await signInAs('carol'));
+    assert.equal(user.role, 'architect');
+  });
+
+  it('refuses users outside the configured groups', async () => {
+    await rejectsWith(completeOidcLogin(storage, await signInAs('eve')), 403, 'NOT_AUTHORIZED');
+  });
+
+  it('never takes over a local account with the same username', async () => {
+    await rejectsWith(completeOidcLogin(storage, await signInAs('mallory')), 409, 'ACCOUNT_CONFLICT');
+
+    const admin = (await storage.getJson(USERS_PATH)).data.users.find(u => u.username === 'admin');
+    assert.equal(admin.oidcSubject, undefined);
+  });
+
+  it('refuses an ID token issued for another sign-in', async () => {
+    const first = await signInAs('alice');
+    const second = await createOidcAuthorization();
+
+    // The code carries the first sign-in's nonce, the state the second's
+    await rejectsWith(
+      completeOidcLogin(storage, { ...first, state: second.state }),
+      401,
+      'INVALID_ID_TOKEN'
+    );
+  });
+
+  it('fails when the code verifier does not match the challenge', async () => {
+    const params = await signInAs('alice');
+
+    await assert.rejects(
+      completeOidcLogin(storage, { ...params, codeVerifier: crypto.randomBytes(32).toString('base64url') }),
+      { code: 'OAUTH_FAILED', message: 'Code or code verifier is not valid' }
+    );
+  });
+
+  it('refuses a forged state', async () => {
+    const params = await signInAs('alice');
+    await rejectsWith(completeOidcLogin(storage, { ...params, state: 'forged' }), 400, 'INVALID_STATE');
+  });
+});
+
+describe('roleForGroups', () => {
+  const config = {
+    roleGroups: { admin: ['platform'], reviewer: ['arb'], architect: ['architects'], requester: [], viewer: ['*'] },
+  };
+
+  it('picks the most privileged role the user has a group for', () => {
+    assert.equal(roleForGroups(config, ['architects', 'arb']), 'reviewer');
+    assert.equal(roleForGroups(config, 'platform'), 'admin');
+  });
+
+  it('lets everyone in through a wildcard, but never as admin', () => {
+    assert.equal(roleForGroups(config, []), 'viewer');
+    assert.equal(roleForGroups({ roleGroups: { ...config.roleGroups, admin: ['*'], viewer: [] } }, ['staff']), null);
+  });
+
+  it('reads the group lists from the environment', () => {
+    assert.deepEqual(getOidcConfig().roleGroups.admin, ['admins']);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Post permissions: checkPostUpdate field by field
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { can, checkPostUpdate } from '../../src/services/permissions.js';
+
+const STATUSES = [
+  { id: 'submitted', name: 'Submitted' },
+  { id: 'in-review', name: 'In Review' },
+  { id: 'approved', name: 'Approved', adminOnly: true },
+];
+
+const POST = {
+  id: 'post-7',
+  title: 'Event bus for billing',
+  description: 'Replace the nightly export',
+  status: 'submitted',
+  createdBy: 'rita',
+  assignedArchitects: ['arnold'],
+  proofOfWork: [],
+  conversations: [{ author: 'rita', text: 'First draft', at: '2026-10-01T09:00:00.000Z' }],
+  isArchived: false,
+};
+
+const admin = { username: 'ada', role: 'admin' };
+const reviewer = { username: 'rex', role: 'reviewer' };
+const assignedArchitect = { username: 'arnold', role: 'architect' };
+const otherArchitect = { username: 'anna', role: 'architect' };
+const owner = { username: 'rita', role: 'requester' };
+const otherRequester = { username: 'ralph', role: 'requester' };
+const viewer = { username: 'vic', role: 'viewer' };
+
+describe('checkPostUpdate', () => {
+  it('lets a client send back fields it may not change, as long as they are unchanged', () => {
+    assert.equal(checkPostUpdate(viewer, POST, { ...POST }, STATUSES), null);
+    assert.equal(checkPostUpdate(owner, POST, { ...POST, title: 'Event bus for invoicing' }, STATUSES), null);
+  });
+
+  it('ignores server-set fields', () => {
+    assert.equal(checkPostUpdate(viewer, POST, { updatedAt: '2030-01-01T00:00:00.000Z', createdBy: 'vic' }, STATUSES), null);
+  });
+
+  it('never lets an update change the conversation', () => {
+    const updates = { conversations: [...POST.conversations, { author: 'ada', text: 'Looks good' }] };
+
+    assert.match(checkPostUpdate(admin, POST, updates, STATUSES), /conversations can't be changed by an update.*\/api\/posts\/post-7\/conversations/);
+    assert.match(checkPostUpdate(owner, POST, { conversations: [] }, STATUSES), /conversations can't be changed/);
+  });
+
+  it('lets only the owner or an assigned architect edit content', () => {
+    const updates = { description: 'Stream changes instead' };
+
+    assert.equal(checkPostUpdate(owner, POST, updates, STATUSES), null);
+    assert.equal(checkPostUpdate(assignedArchitect, POST, updates, STATUSES), null);
+    assert.equal(checkPostUpdate(otherArchitect, POST, updates, STATUSES), 'Your role (architect) cannot change description on post post-7');
+    assert.equal(checkPostUpdate(otherRequester, POST, updates, STATUSES), 'Your role (requester) cannot change description on post post-7');
+    assert.equal(checkPostUpdate(viewer, POST, updates, STATUSES), 'Your role (viewer) cannot change description on post post-7');
+  });
+
+  it('guards workflow fields with their own actions', () => {
+    assert.equal(checkPostUpdate(reviewer, POST, { assignedArchitects: ['arnold', 'anna'] }, STATUSES), null);
+    assert.match(checkPostUpdate(assignedArchitect, POST, { assignedArchitects: ['arnold', 'anna'] }, STATUSES), /cannot change assignedArchitects/);
+
+    assert.equal(checkPostUpdate(assignedArchitect, POST, { proofOfWork: [{ url: 'https://example.com/adr-12' }] }, STATUSES), null);
+    assert.match(checkPostUpdate(reviewer, POST, { proofOfWork: [{ url: 'https://example.com/adr-12' }] }, STATUSES), /cannot change proofOfWork/);
+
+    assert.match(checkPostUpdate(owner, POST, { isArchived: true }, STATUSES), /cannot change isArchived/);
+    assert.match(checkPostUpdate(owner, POST, { approvedBy: 'rita' }, STATUSES), /cannot change approvedBy/);
+  });
+
+  it('reports the first field that is refused', () => {
+    assert.equal(
+      checkPostUpdate(otherArchitect, POST, { title: 'Mine now', status: 'in-review' }, STATUSES),
+      'Your role (architect) cannot change title on post post-7'
+    );
+  });
+
+  it('keeps statuses marked adminOnly for admins', () => {
+    assert.equal(checkPostUpdate(assignedArchitect, POST, { status: 'in-review' }, STATUSES), null);
+    assert.equal(checkPostUpdate(otherArchitect, POST, { status: 'in-review' }, STATUSES), 'Your role (architect) cannot change status on post post-7');
+
+    assert.equal(checkPostUpdate(reviewer, POST, { status: 'approved' }, STATUSES), 'Only admins can set the status Approved');
+    assert.equal(checkPostUpdate(assignedArchitect, POST, { status: 'approved' }, STATUSES), 'Only admins can set the status Approved');
+    assert.equal(checkPostUpdate(admin, POST, { status: 'approved' }, STATUSES), null);
+  });
+
+  it('allows a post already in an adminOnly status to be edited by others', () => {
+    const approved = { ...POST, status: 'approved' };
+    assert.equal(checkPostUpdate(owner, approved, { ...approved, title: 'Event bus, approved' }, STATUSES), null);
+  });
+});
+
+describe('can', () => {
+  it('resolves own and assigned grants against the post', () => {
+    assert.equal(can(owner, 'posts:delete', POST), true);
+    assert.equal(can(otherRequester, 'posts:delete', POST), false);
+    assert.equal(can(assignedArchitect, 'posts:status', POST), true);
+    assert.equal(can(otherArchitect, 'posts:status', POST), false);
+    assert.equal(can(otherArchitect, 'posts:status'), false);
+    assert.equal(can(null, 'posts:read'), false);
+  });
+});
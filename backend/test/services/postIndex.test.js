@@ -0,0 +1,157 @@
+/**
+ * Post index: summaries kept in step with the posts, and the retry when
+ * another write moves the index during a batch
+ */
+
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { StorageConflictError } from '../../src/storage/StorageProvider.js';
+import {
+  POST_INDEX_PATH,
+  commitWithIndex,
+  getPostSummaries,
+  rebuildPostIndex,
+  removePost,
+  upsertPost,
+} from '../../src/services/postIndex.js';
+import { createTempStorage } from '../helpers/tempStorage.js';
+
+const post = (id, fields = {}) => ({
+  id,
+  title: `Post ${id}`,
+  description: 'Short',
+  status: 'submitted',
+  createdBy: 'rita',
+  createdAt: '2026-10-01T09:00:00.000Z',
+  ...fields,
+});
+
+const indexedIds = async storage => (await storage.getJson(POST_INDEX_PATH)).data.posts.map(summary => summary.id);
+
+describe('index upkeep', () => {
+  it('adds, replaces and removes summaries, keeping them in ID order', () => {
+    let index = upsertPost(null, post('post-0002'));
+    index = upsertPost(index, post('post-0001'));
+    index = upsertPost(index, post('post-0002', { title: 'Renamed' }));
+
+    assert.deepEqual(index.posts.map(summary => [summary.id, summary.title]), [
+      ['post-0001', 'Post post-0001'],
+      ['post-0002', 'Renamed'],
+    ]);
+    assert.deepEqual(removePost(index, 'post-0001').posts.map(summary => summary.id), ['post-0002']);
+  });
+
+  it('keeps an excerpt of long descriptions and defaults the lists', () => {
+    const [summary] = upsertPost(null, post('post-0001', { description: 'x'.repeat(300) })).posts;
+
+    assert.equal(summary.excerpt, `${'x'.repeat(280)}…`);
+    assert.deepEqual(summary.assignedArchitects, []);
+    assert.equal(summary.isArchived, false);
+    assert.equal('description' in summary, false);
+  });
+});
+
+describe('stored index', () => {
+  let storage;
+  let cleanup;
+
+  beforeEach(async () => {
+    ({ storage, cleanup } = await createTempStorage());
+    await storage.saveJson('posts/post-0001.json', post('post-0001'), 'Create post-0001');
+    await storage.saveJson('posts/post-0002.json', post('post-0002'), 'Create post-0002');
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('builds a missing index from the post files and saves it', async () => {
+    const summaries = await getPostSummaries(storage);
+
+    assert.deepEqual(summaries.map(summary => summary.id), ['post-0001', 'post-0002']);
+    assert.deepEqual(await indexedIds(storage), ['post-0001', 'post-0002']);
+  });
+
+  it('writes a post and its index entry together', async () => {
+    await getPostSummaries(storage);
+
+    const created = post('post-0003');
+    const { results } = await commitWithIndex(
+      storage,
+      [{ type: 'saveJson', path: 'posts/post-0003.json', data: created }],
+      index => upsertPost(index, created),
+      'Create post-0003'
+    );
+
+    assert.equal(results[0].sha, (await storage.getJson('posts/post-0003.json')).sha);
+    assert.deepEqual(await indexedIds(storage), ['post-0001', 'post-0002', 'post-0003']);
+  });
+
+  it('retries against the fresh index when another post was written in between', async () => {
+    await getPostSummaries(storage);
+
+    // Another request adds post-0004 while this batch is being built
+    const batch = storage.batch.bind(storage);
+    let batches = 0;
+    storage.batch = async (...args) => {
+      if (++batches === 1) {
+        const other = post('post-0004');
+        const index = await storage.getJson(POST_INDEX_PATH);
+        await storage.saveJson('posts/post-0004.json', other, 'Create post-0004');
+        await storage.saveJson(POST_INDEX_PATH, upsertPost(index.data, other), 'Create post-0004', index.sha);
+      }
+      return batch(...args);
+    };
+
+    const created = post('post-0003');
+    await commitWithIndex(
+      storage,
+      [{ type: 'saveJson', path: 'posts/post-0003.json', data: created }],
+      index => upsertPost(index, created),
+      'Create post-0003'
+    );
+
+    assert.equal(batches, 2);
+    assert.deepEqual(await indexedIds(storage), ['post-0001', 'post-0002', 'post-0003', 'post-0004']);
+  });
+
+  it('does not retry when the post itself changed', async () => {
+    await getPostSummaries(storage);
+    const stale = (await storage.getJson('posts/post-0001.json')).sha;
+    await storage.saveJson('posts/post-0001.json', post('post-0001', { title: 'Edited elsewhere' }), 'Edit post-0001', stale);
+
+    const batch = storage.batch.bind(storage);
+    let batches = 0;
+    storage.batch = (...args) => {
+      batches++;
+      return batch(...args);
+    };
+
+    const edited = post('post-0001', { title: 'Edited here' });
+    await assert.rejects(
+      commitWithIndex(
+        storage,
+        [{ type: 'saveJson', path: 'posts/post-0001.json', data: edited, sha: stale }],
+        index => upsertPost(index, edited),
+        'Edit post-0001'
+      ),
+      (error) => {
+        assert.ok(error instanceof StorageConflictError);
+        assert.equal(error.path, 'posts/post-0001.json');
+        return true;
+      }
+    );
+
+    assert.equal(batches, 1);
+    assert.equal((await storage.getJson(POST_INDEX_PATH)).data.posts[0].title, 'Post post-0001');
+  });
+
+  it('rebuilds over an index that can no longer be read', async () => {
+    await storage.uploadBinary(POST_INDEX_PATH, Buffer.from('{ not json').toString('base64'), 'Corrupt index');
+
+    const data = await rebuildPostIndex(storage);
+
+    assert.deepEqual(data.posts.map(summary => summary.id), ['post-0001', 'post-0002']);
+    assert.deepEqual(await indexedIds(storage), ['post-0001', 'post-0002']);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Sessions: refresh token rotation and reuse detection
+ */
+
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SessionError,
+  createSession,
+  refreshSession,
+  verifyAccessToken,
+} from '../../src/services/sessions.js';
+import { createTempStorage } from '../helpers/tempStorage.js';
+
+const USER = { username: 'alice', role: 'admin', fullName: 'Alice Admin' };
+
+const findUser = async username => (username === USER.username ? USER : null);
+
+function rejectsWithCode(promise, code) {
+  return assert.rejects(promise, (error) => {
+    assert.ok(error instanceof SessionError);
+    assert.equal(error.statusCode, 401);
+    assert.equal(error.code, code);
+    return true;
+  });
+}
+
+describe('refresh tokens', () => {
+  let storage;
+  let cleanup;
+
+  beforeEach(async () => {
+    ({ storage, cleanup } = await createTempStorage());
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('rotates the refresh token on every refresh', async () => {
+    const login = await createSession(storage, USER);
+    const first = await refreshSession(storage, login.refreshToken, findUser);
+    const second = await refreshSession(storage, first.refreshToken, findUser);
+
+    assert.notEqual(first.refreshToken, login.refreshToken);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.equal(second.user.username, 'alice');
+    assert.equal((await verifyAccessToken(storage, second.token)).username, 'alice');
+  });
+
+  it('refuses a just-rotated token without closing the session (tabs racing)', async () => {
+    const login = await createSession(storage, USER);
+    const rotated = await refreshSession(storage, login.refreshToken, findUser);
+
+    await rejectsWithCode(refreshSession(storage, login.refreshToken, findUser), 'INVALID_REFRESH_TOKEN');
+
+    // The winner's token still works
+    await refreshSession(storage, rotated.refreshToken, findUser);
+  });
+
+  it('revokes the whole session when a rotated token is used again after the grace period', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    const login = await createSession(storage, USER);
+    const rotated = await refreshSession(storage, login.refreshToken, findUser);
+
+    t.mock.timers.tick(60 * 1000);
+
+    await rejectsWithCode(refreshSession(storage, login.refreshToken, findUser), 'REFRESH_TOKEN_REUSED');
+
+    // Neither the copied token nor the legitimate one opens the session again,
+    // and its access tokens are turned away
+    await rejectsWithCode(refreshSession(storage, rotated.refreshToken, findUser), 'INVALID_REFRESH_TOKEN');
+    await rejectsWithCode(verifyAccessToken(storage, rotated.token), 'TOKEN_REVOKED');
+  });
+
+  it('leaves other sessions of the user open when one is revoked for reuse', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    const laptop = await createSession(storage, USER);
+    const phone = await createSession(storage, USER);
+    await refreshSession(storage, laptop.refreshToken, findUser);
+
+    t.mock.timers.tick(60 * 1000);
+
+    await rejectsWithCode(refreshSession(storage, laptop.refreshToken, findUser), 'REFRESH_TOKEN_REUSED');
+    const refreshed = await refreshSession(storage, phone.refreshToken, findUser);
+    assert.equal(refreshed.user.username, 'alice');
+  });
+
+  it('refuses malformed tokens and tokens of removed users', async () => {
+    await rejectsWithCode(refreshSession(storage, 'not-a-token', findUser), 'INVALID_REFRESH_TOKEN');
+
+    const login = await createSession(storage, { username: 'bob', role: 'viewer' });
+    await rejectsWithCode(refreshSession(storage, login.refreshToken, findUser), 'INVALID_REFRESH_TOKEN');
+  });
+});
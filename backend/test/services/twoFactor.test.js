@@ -0,0 +1,148 @@
+/**
+ * Two-factor authentication: enrollment, TOTP codes, replay and recovery codes
+ *
+ * Codes are computed here independently of the service, straight from
+ * RFC 6238, with the clock fixed so a test never straddles a time step.
+ */
+
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  TWO_FACTOR_ROOT,
+  TwoFactorError,
+  beginEnrollment,
+  confirmEnrollment,
+  createChallenge,
+  getTwoFactorStatus,
+  verifyChallenge,
+  verifyTwoFactorCode,
+} from '../../src/services/twoFactor.js';
+import { createTempStorage } from '../helpers/tempStorage.js';
+
+// Halfway through a 30-second step
+const NOW = 1700000015 * 1000;
+const STEP_MS = 30 * 1000;
+
+function base32ToBuffer(text) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const bits = [...text].map(char => alphabet.indexOf(char).toString(2).padStart(5, '0')).join('');
+  return Buffer.from(bits.match(/.{8}/g).map(byte => Number.parseInt(byte, 2)));
+}
+
+function totpAt(secret, time) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(time / STEP_MS)));
+  const hmac = crypto.createHmac('sha1', base32ToBuffer(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+describe('two-factor authentication', () => {
+  let storage;
+  let cleanup;
+
+  beforeEach(async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    ({ storage, cleanup } = await createTempStorage());
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  async function enroll(username = 'alice') {
+    const { secret } = await beginEnrollment(storage, username);
+    const recoveryCodes = await confirmEnrollment(storage, username, totpAt(secret, Date.now()));
+    return { secret, recoveryCodes };
+  }
+
+  it('enrolls with a code from the new secret and returns ten recovery codes', async () => {
+    const { secret, otpauthUrl, qrCode } = await beginEnrollment(storage, 'alice');
+
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.ok(otpauthUrl.startsWith('otpauth://totp/'));
+    assert.ok(qrCode.startsWith('data:image/png;base64,'));
+    assert.equal((await getTwoFactorStatus(storage, 'alice')).enabled, false);
+
+    const recoveryCodes = await confirmEnrollment(storage, 'alice', totpAt(secret, Date.now()));
+
+    assert.equal(recoveryCodes.length, 10);
+    assert.deepEqual(await getTwoFactorStatus(storage, 'alice'), {
+      enabled: true,
+      enabledAt: new Date(NOW).toISOString(),
+      recoveryCodesLeft: 10,
+    });
+  });
+
+  it('stores neither the secret nor the recovery codes in the clear', async () => {
+    const { secret, recoveryCodes } = await enroll();
+
+    const stored = JSON.stringify((await storage.getJson(`${TWO_FACTOR_ROOT}/alice.json`)).data);
+    assert.equal(stored.includes(secret), false);
+    assert.equal(recoveryCodes.some(code => stored.includes(code)), false);
+  });
+
+  it('refuses to enable with a wrong code or without starting enrollment', async () => {
+    await assert.rejects(confirmEnrollment(storage, 'alice', '123456'), { code: 'NO_ENROLLMENT', statusCode: 409 });
+
+    const { secret } = await beginEnrollment(storage, 'alice');
+    const wrong = String((Number(totpAt(secret, Date.now())) + 1) % 1000000).padStart(6, '0');
+
+    await assert.rejects(confirmEnrollment(storage, 'alice', wrong), (error) => {
+      assert.ok(error instanceof TwoFactorError);
+      assert.equal(error.code, 'INVALID_CODE');
+      assert.equal(error.statusCode, 401);
+      return true;
+    });
+    assert.equal((await getTwoFactorStatus(storage, 'alice')).enabled, false);
+  });
+
+  it('accepts a code one step either side of the current one, but not two', async (t) => {
+    const { secret } = await enroll();
+
+    t.mock.timers.tick(5 * STEP_MS);
+
+    assert.equal(await verifyTwoFactorCode(storage, 'alice', totpAt(secret, Date.now() - 2 * STEP_MS)), null);
+    assert.equal((await verifyTwoFactorCode(storage, 'alice', totpAt(secret, Date.now() - STEP_MS))).method, 'totp');
+    assert.equal((await verifyTwoFactorCode(storage, 'alice', totpAt(secret, Date.now() + STEP_MS))).method, 'totp');
+    assert.equal(await verifyTwoFactorCode(storage, 'alice', totpAt(secret, Date.now() + 2 * STEP_MS)), null);
+  });
+
+  it('never accepts the same code twice, nor an older one after a newer one', async (t) => {
+    const { secret } = await enroll();
+
+    // The enrollment code is used up already
+    assert.equal(await verifyTwoFactorCode(storage, 'alice', totpAt(secret, Date.now())), null);
+
+    t.mock.timers.tick(STEP_MS);
+    const fresh = totpAt(secret, Date.now());
+    assert.deepEqual(await verifyTwoFactorCode(storage, 'alice', fresh), { method: 'totp', recoveryCodesLeft: 10 });
+    assert.equal(await verifyTwoFactorCode(storage, 'alice', fresh), null);
+    assert.equal(await verifyTwoFactorCode(storage, 'alice', totpAt(secret, Date.now() - STEP_MS)), null);
+  });
+
+  it('uses up a recovery code on first use', async () => {
+    const { recoveryCodes } = await enroll();
+
+    assert.deepEqual(
+      await verifyTwoFactorCode(storage, 'alice', ` ${recoveryCodes[3].toUpperCase()} `),
+      { method: 'recovery', recoveryCodesLeft: 9 }
+    );
+    assert.equal(await verifyTwoFactorCode(storage, 'alice', recoveryCodes[3]), null);
+    assert.equal((await getTwoFactorStatus(storage, 'alice')).recoveryCodesLeft, 9);
+  });
+
+  it('refuses codes for a user without two-factor enabled', async () => {
+    assert.equal(await verifyTwoFactorCode(storage, 'bob', '123456'), null);
+  });
+
+  it('carries how the user signed in through the login challenge', () => {
+    assert.deepEqual(
+      verifyChallenge(createChallenge({ username: 'octocat', authProvider: 'github' }, true)),
+      { username: 'octocat', enroll: true, provider: 'github' }
+    );
+    assert.equal(verifyChallenge(createChallenge({ username: 'alice' }, false)).provider, 'password');
+    assert.throws(() => verifyChallenge('not-a-token'), { code: 'INVALID_CHALLENGE', statusCode: 401 });
+  });
+});
@@ -0,0 +1,22 @@
+/**
+ * FilesystemProvider: conformance in a temporary directory
+ */
+
+import { after, before } from 'node:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FilesystemProvider } from '../../src/storage/FilesystemProvider.js';
+import { describeStorageProvider } from '../helpers/storageConformance.js';
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bulletin-fs-'));
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+describeStorageProvider('FilesystemProvider', prefix => new FilesystemProvider({ root: path.join(tmpDir, prefix) }));
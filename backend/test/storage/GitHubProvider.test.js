@@ -0,0 +1,75 @@
+/**
+ * GitHubProvider: conformance against an in-memory repository, and batch
+ * commits racing other writers
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GitHubProvider } from '../../src/storage/GitHubProvider.js';
+import { fakeGithub } from '../helpers/fakeGithub.js';
+import { describeStorageProvider } from '../helpers/storageConformance.js';
+
+function createProvider() {
+  const provider = new GitHubProvider({ token: 'test-token', owner: 'acme', repo: 'bulletin-data' });
+  return { provider, repo: fakeGithub(provider) };
+}
+
+describeStorageProvider('GitHubProvider', () => createProvider().provider);
+
+describe('GitHubProvider batches', () => {
+  it('rebuilds a batch on the new head when the branch moves, rechecking its SHAs', async () => {
+    const { provider, repo } = createProvider();
+
+    await provider.saveJson('posts/post-1.json', { title: 'One' }, 'Create post-1');
+    const post = await provider.getJson('posts/post-1.json');
+
+    // Another writer commits between our tree read and the ref update
+    const createCommit = provider.octokit.rest.git.createCommit;
+    let moved = false;
+    provider.octokit.rest.git.createCommit = async (params) => {
+      if (!moved) {
+        moved = true;
+        repo.moveBranch('posts/post-9.json', '{}');
+      }
+      return createCommit(params);
+    };
+
+    await provider.batch([
+      { type: 'saveJson', path: 'posts/post-1.json', data: { title: 'One, edited' }, sha: post.sha },
+    ], 'Edit post-1');
+
+    assert.ok(repo.files().has('posts/post-9.json'), 'the other commit is kept');
+    assert.deepEqual((await provider.getJson('posts/post-1.json')).data, { title: 'One, edited' });
+  });
+
+  it('looks up the paths of a small batch and reads the tree only for larger ones', async () => {
+    const { provider } = createProvider();
+    const getTree = provider.octokit.rest.git.getTree;
+    let treeReads = 0;
+    provider.octokit.rest.git.getTree = async (params) => {
+      treeReads++;
+      return getTree(params);
+    };
+
+    await provider.saveJson('posts/post-1.json', { title: 'One' }, 'Create post-1');
+    const post = await provider.getJson('posts/post-1.json');
+
+    await provider.batch([
+      { type: 'saveJson', path: 'posts/post-1.json', data: { title: 'One, edited' }, sha: post.sha },
+      { type: 'saveJson', path: 'posts/post-2.json', data: { title: 'Two' } },
+    ], 'Edit post-1, create post-2');
+    assert.equal(treeReads, 0);
+
+    await assert.rejects(
+      provider.batch([{ type: 'saveJson', path: 'posts/post-2.json', data: { title: 'Clobbered' } }], 'Create post-2 again'),
+      { code: 'CONFLICT' }
+    );
+
+    await provider.batch(
+      Array.from({ length: 6 }, (_, index) => ({ type: 'saveJson', path: `posts/post-${index + 3}.json`, data: {} })),
+      'Create six posts'
+    );
+    assert.equal(treeReads, 1);
+    assert.deepEqual((await provider.getJson('posts/post-1.json')).data, { title: 'One, edited' });
+  });
+});
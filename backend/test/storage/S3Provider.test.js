@@ -0,0 +1,30 @@
+/**
+ * S3Provider: conformance against an in-memory bucket with conditional writes
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { S3Provider } from '../../src/storage/S3Provider.js';
+import { fakeS3 } from '../helpers/fakeS3.js';
+import { describeStorageProvider } from '../helpers/storageConformance.js';
+
+describeStorageProvider('S3Provider', () => {
+  const provider = new S3Provider({ bucket: 'bulletin-data', region: 'eu-west-1' });
+  fakeS3(provider);
+  return provider;
+});
+
+describe('S3Provider deletes', () => {
+  it('sends If-Match with the SHA so an object replaced after the check is kept', async () => {
+    const provider = new S3Provider({ bucket: 'bulletin-data', region: 'eu-west-1' });
+    const bucket = fakeS3(provider);
+
+    await provider.saveJson('posts/post-1.json', { title: 'One' }, 'Create post-1');
+    const { sha } = await provider.getJson('posts/post-1.json');
+    await provider.deleteFile('posts/post-1.json', sha, 'Delete post-1');
+
+    const deleteCommand = bucket.commands.find(command => command.name === 'DeleteObjectCommand');
+    assert.equal(deleteCommand.input.IfMatch, `"${sha}"`);
+    assert.equal(bucket.objects.has('posts/post-1.json'), false);
+  });
+});
@@ -0,0 +1,22 @@
+/**
+ * SqliteProvider: conformance against a database in a temporary directory
+ */
+
+import { after, before } from 'node:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SqliteProvider } from '../../src/storage/SqliteProvider.js';
+import { describeStorageProvider } from '../helpers/storageConformance.js';
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bulletin-sqlite-'));
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+describeStorageProvider('SqliteProvider', prefix => new SqliteProvider({ filename: path.join(tmpDir, `${prefix}.db`) }));
@@ -0,0 +1,25 @@
+/**
+ * VercelBlobProvider: conformance end to end, through the @vercel/blob SDK
+ * against a local stand-in for the Blob API
+ */
+
+import { after, before } from 'node:test';
+import { VercelBlobProvider } from '../../src/storage/VercelBlobProvider.js';
+import { startBlobServer } from '../helpers/blobServer.js';
+import { describeStorageProvider } from '../helpers/storageConformance.js';
+
+let blobServer;
+
+before(async () => {
+  blobServer = await startBlobServer();
+  process.env.VERCEL_BLOB_API_URL = blobServer.url;
+  process.env.VERCEL_BLOB_RETRIES = '0';
+});
+
+after(async () => {
+  delete process.env.VERCEL_BLOB_API_URL;
+  delete process.env.VERCEL_BLOB_RETRIES;
+  await blobServer.close();
+});
+
+describeStorageProvider('VercelBlobProvider', () => new VercelBlobProvider({ token: 'vercel_blob_rw_test_token' }));
@@ -8,10 +8,13 @@ import { initializeOctokit } from './services/githubDataService';
 // Page components (will be created)
 import LoginPage from './pages/LoginPage';
 import CallbackPage from './pages/CallbackPage';
+import AcceptInvitePage from './pages/AcceptInvitePage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
 import DashboardPage from './pages/DashboardPage';
 import PostDetailPage from './pages/PostDetailPage';
 import ControlPanelPage from './pages/ControlPanelPage';
 import ArchivePage from './pages/ArchivePage';
+import ProfilePage from './pages/ProfilePage';
 import NotFoundPage from './pages/NotFoundPage';
 
 // Protected Route component
@@ -41,6 +44,8 @@ function App() {
             {/* Public routes */}
             <Route path={ROUTES.LOGIN} element={<LoginPage />} />
             <Route path={ROUTES.CALLBACK} element={<CallbackPage />} />
+            <Route path={ROUTES.ACCEPT_INVITE} element={<AcceptInvitePage />} />
+            <Route path={ROUTES.RESET_PASSWORD} element={<ResetPasswordPage />} />
 
             {/* Protected routes - require authentication */}
             <Route
@@ -61,11 +66,20 @@ function App() {
               }
             />
 
-            {/* Admin-only routes */}
+            <Route
+              path={ROUTES.PROFILE}
+              element={
+                <ProtectedRoute>
+                  <ProfilePage />
+                </ProtectedRoute>
+              }
+            />
+
+            {/* Routes gated by the permission policy */}
             <Route
               path={ROUTES.CONTROL_PANEL}
               element={
-                <ProtectedRoute requireAdmin>
+                <ProtectedRoute permission="config:manage">
                   <ControlPanelPage />
                 </ProtectedRoute>
               }
@@ -74,7 +88,7 @@ function App() {
             <Route
               path={ROUTES.ARCHIVE}
               element={
-                <ProtectedRoute requireAdmin>
+                <ProtectedRoute permission="posts:archive">
                   <ArchivePage />
                 </ProtectedRoute>
               }
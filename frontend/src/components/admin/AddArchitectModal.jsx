@@ -1,6 +1,7 @@
 /**
  * Add Architect Modal Component
- * Modal for adding new architect users to the system
+ * Modal for inviting new architects; they choose their own password from
+ * the emailed link
  */
 
 import { useState } from 'react';
@@ -43,8 +44,10 @@ const AddArchitectModal = ({ isOpen, onClose, onArchitectAdded }) => {
       errors.displayName = 'Display name must be at least 2 characters';
     }
 
-    // Validate email (optional, but if provided must be valid)
-    if (formData.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
+    // Validate email (the invitation is sent there)
+    if (!formData.email) {
+      errors.email = 'Email is required to send the invitation';
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
       errors.email = 'Invalid email format';
     }
 
@@ -75,7 +78,7 @@ const AddArchitectModal = ({ isOpen, onClose, onArchitectAdded }) => {
       });
       setValidationErrors({});
     } catch (err) {
-      setError(err.message || 'Failed to add architect. Please try again.');
+      setError(err.message || 'Failed to invite architect. Please try again.');
     } finally {
       setIsSubmitting(false);
     }
@@ -100,9 +103,9 @@ const AddArchitectModal = ({ isOpen, onClose, onArchitectAdded }) => {
       <div className="bg-white rounded-lg shadow-xl max-w-lg w-full">
         {/* Header */}
         <div className="px-6 py-4 border-b border-gray-200">
-          <h2 className="text-2xl font-bold text-gray-900">Add New Architect</h2>
+          <h2 className="text-2xl font-bold text-gray-900">Invite Architect</h2>
           <p className="text-sm text-gray-600 mt-1">
-            Create a new architect user account
+            Send an invitation to create an architect account
           </p>
         </div>
 
@@ -167,7 +170,7 @@ const AddArchitectModal = ({ isOpen, onClose, onArchitectAdded }) => {
           {/* Email Field */}
           <div>
             <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
-              Email (Optional)
+              Email <span className="text-red-500">*</span>
             </label>
             <input
               type="email"
@@ -207,8 +210,8 @@ const AddArchitectModal = ({ isOpen, onClose, onArchitectAdded }) => {
           {/* Info Box */}
           <div className="p-4 bg-blue-50 border border-blue-200 rounded-md">
             <p className="text-sm text-blue-800">
-              <strong>Note:</strong> A secure password will be automatically generated and shown after creation.
-              The user will have "architect" role with permissions to view and work on assigned tasks.
+              <strong>Note:</strong> The architect receives an email with a single-use link to choose their
+              password. The user will have "architect" role with permissions to view and work on assigned tasks.
             </p>
           </div>
 
@@ -227,7 +230,7 @@ const AddArchitectModal = ({ isOpen, onClose, onArchitectAdded }) => {
               disabled={isSubmitting}
               className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              {isSubmitting ? 'Adding...' : 'Add Architect'}
+              {isSubmitting ? 'Sending...' : 'Send Invite'}
             </button>
           </div>
         </form>
@@ -1,15 +1,15 @@
 /**
  * Protected Route Component
  * Redirects to login if not authenticated
- * Optionally requires admin role
+ * Optionally requires a permission from the backend policy table
  */
 
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
 import { ROUTES } from '../../utils/constants';
 
-const ProtectedRoute = ({ children, requireAdmin = false }) => {
-  const { isAuthenticated, isLoading, isAdmin } = useAuth();
+const ProtectedRoute = ({ children, permission = null }) => {
+  const { isAuthenticated, isLoading, can } = useAuth();
 
   // Show loading state while checking authentication
   if (isLoading) {
@@ -28,8 +28,8 @@ const ProtectedRoute = ({ children, requireAdmin = false }) => {
     return <Navigate to={ROUTES.LOGIN} replace />;
   }
 
-  // Check admin requirement
-  if (requireAdmin && !isAdmin()) {
+  // Check permission requirement
+  if (permission && !can(permission)) {
     return (
       <div className="min-h-screen flex items-center justify-center">
         <div className="text-center">
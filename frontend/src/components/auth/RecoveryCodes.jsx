@@ -0,0 +1,31 @@
+/**
+ * Recovery Codes
+ * Shows freshly issued two-factor recovery codes, which the server never returns again
+ */
+
+const RecoveryCodes = ({ codes }) => {
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 rounded-md p-4 space-y-3">
+      <p className="text-sm text-yellow-800">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+        authenticator, and they won&apos;t be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900">
+        {codes.map((code) => (
+          <li key={code} className="bg-white border border-yellow-200 rounded px-2 py-1 text-center">
+            {code}
+          </li>
+        ))}
+      </ul>
+      <button
+        type="button"
+        onClick={() => navigator.clipboard?.writeText(codes.join('\n'))}
+        className="text-sm text-blue-600 hover:text-blue-800"
+      >
+        Copy codes
+      </button>
+    </div>
+  );
+};
+
+export default RecoveryCodes;
@@ -0,0 +1,28 @@
+/**
+ * Two-Factor Enrollment
+ * QR code and secret for adding the account to an authenticator app
+ */
+
+const TwoFactorEnrollment = ({ enrollment }) => {
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-700">
+        Scan this QR code with an authenticator app (such as Google Authenticator, 1Password or Authy),
+        then enter the 6-digit code it shows.
+      </p>
+      <div className="flex justify-center">
+        <img
+          src={enrollment.qrCode}
+          alt="QR code for your authenticator app"
+          className="w-48 h-48 border border-gray-200 rounded"
+        />
+      </div>
+      <p className="text-xs text-gray-500 text-center">
+        Can&apos;t scan it? Enter this key instead:
+        <span className="block font-mono text-sm text-gray-800 break-all mt-1">{enrollment.secret}</span>
+      </p>
+    </div>
+  );
+};
+
+export default TwoFactorEnrollment;
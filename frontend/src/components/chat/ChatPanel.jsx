@@ -7,7 +7,8 @@ import { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../../hooks/useAuth';
 
 const ChatPanel = ({ isOpen, onClose, post, onSendMessage }) => {
-  const { user } = useAuth();
+  const { user, can } = useAuth();
+  const canComment = can('posts:comment', post);
   const [message, setMessage] = useState('');
   const [isSending, setIsSending] = useState(false);
   const messagesEndRef = useRef(null);
@@ -139,14 +140,14 @@ const ChatPanel = ({ isOpen, onClose, post, onSendMessage }) => {
               type="text"
               value={message}
               onChange={(e) => setMessage(e.target.value)}
-              placeholder="Type your message..."
+              placeholder={canComment ? 'Type your message...' : 'Your role can read but not post here'}
               className="flex-1 px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
-              disabled={isSending}
+              disabled={isSending || !canComment}
               maxLength={1000}
             />
             <button
               type="submit"
-              disabled={!message.trim() || isSending}
+              disabled={!message.trim() || isSending || !canComment}
               className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
             >
               {isSending ? (
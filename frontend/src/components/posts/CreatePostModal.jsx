@@ -5,12 +5,10 @@
 
 import { useState } from 'react';
 import { usePosts } from '../../hooks/usePosts';
-import { useAuth } from '../../hooks/useAuth';
 import { validateTitle, validateDescription } from '../../utils/validators';
 
 const CreatePostModal = ({ isOpen, onClose }) => {
   const { createPost } = usePosts();
-  const { user } = useAuth();
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState('');
 
@@ -86,7 +84,7 @@ const CreatePostModal = ({ isOpen, onClose }) => {
         status: 'status-new',
       };
 
-      await createPost(postData, attachments, user.username, user.role === 'architect');
+      await createPost(postData, attachments);
 
       // Reset form
       setFormData({
@@ -9,11 +9,36 @@ import { useAuth } from '../../hooks/useAuth';
 import { validateTitle, validateDescription } from '../../utils/validators';
 import { uploadAttachments } from '../../services/postService';
 
+// Form fields that take part in conflict resolution
+const MERGE_FIELDS = [
+  { name: 'title', label: 'Title' },
+  { name: 'description', label: 'Description' },
+  { name: 'concernedParties', label: 'Concerned Parties' },
+];
+
+/**
+ * Convert a post into form values
+ */
+const toFormData = (post) => ({
+  title: post.title || '',
+  description: post.description || '',
+  concernedParties: post.concernedParties ? post.concernedParties.join(', ') : '',
+});
+
 const EditPostModal = ({ isOpen, onClose, post }) => {
-  const { updatePost } = usePosts();
+  const { updatePost, getPostVersion } = usePosts();
   const { user } = useAuth();
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  // Server copy the form was loaded from, and its version for If-Match
+  const [basePost, setBasePost] = useState(null);
+  const [baseVersion, setBaseVersion] = useState(null);
+  const [conflict, setConflict] = useState(null);
+
+  // Attachments already uploaded by an attempt that hit a conflict
+  const [uploadedAttachments, setUploadedAttachments] = useState([]);
 
   const [formData, setFormData] = useState({
     title: '',
@@ -27,13 +52,13 @@ const EditPostModal = ({ isOpen, onClose, post }) => {
   // Initialize form data when post changes
   useEffect(() => {
     if (post) {
-      setFormData({
-        title: post.title || '',
-        description: post.description || '',
-        concernedParties: post.concernedParties ? post.concernedParties.join(', ') : '',
-      });
+      setFormData(toFormData(post));
+      setBasePost(post);
+      setBaseVersion(getPostVersion(post.id));
+      setConflict(null);
+      setUploadedAttachments([]);
     }
-  }, [post]);
+  }, [post, getPostVersion]);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -92,13 +117,16 @@ const EditPostModal = ({ isOpen, onClose, post }) => {
         .filter(p => p.length > 0);
 
       // Upload new attachments if any
-      let newAttachmentMetadata = [];
+      let newAttachmentMetadata = uploadedAttachments;
       if (newAttachments.length > 0) {
-        newAttachmentMetadata = await uploadAttachments(post.id, newAttachments, user.username);
+        const uploaded = await uploadAttachments(post.id, newAttachments, user.username);
+        newAttachmentMetadata = [...uploadedAttachments, ...uploaded];
+        setUploadedAttachments(newAttachmentMetadata);
+        setNewAttachments([]);
       }
 
       // Merge existing and new attachments
-      const existingAttachments = post.attachments || [];
+      const existingAttachments = basePost.attachments || [];
       const allAttachments = [...existingAttachments, ...newAttachmentMetadata];
 
       const updates = {
@@ -108,28 +136,79 @@ const EditPostModal = ({ isOpen, onClose, post }) => {
         attachments: allAttachments,
       };
 
-      await updatePost(post.id, updates, user.username);
+      await updatePost(post.id, updates, { version: baseVersion });
 
       // Reset new attachments
       setNewAttachments([]);
+      setUploadedAttachments([]);
+      setNotice('');
 
       // Close modal
       onClose();
     } catch (err) {
-      setError(err.message || 'Failed to update post. Please try again.');
+      if (err.code === 'CONFLICT' && err.details?.current) {
+        setConflict(err.details);
+      } else {
+        setError(err.message || 'Failed to update post. Please try again.');
+      }
     } finally {
       setIsSubmitting(false);
     }
   };
 
+  /**
+   * Fields whose values differ between two sets of form values
+   */
+  const changedFields = (from, to) =>
+    MERGE_FIELDS.filter(({ name }) => from[name].trim() !== to[name].trim());
+
+  /**
+   * Discard local edits and load the latest server copy
+   */
+  const handleReloadLatest = () => {
+    setFormData(toFormData(conflict.current));
+    setBasePost(conflict.current);
+    setBaseVersion(conflict.version);
+    setConflict(null);
+    setNotice('Loaded the latest version. Your unsaved edits were discarded.');
+  };
+
+  /**
+   * Keep fields edited locally, take everything else from the server copy
+   */
+  const handleMergeChanges = () => {
+    const original = toFormData(basePost);
+    const latest = toFormData(conflict.current);
+    const edited = changedFields(original, formData).map(({ name }) => name);
+
+    const merged = { ...latest };
+    edited.forEach((name) => {
+      merged[name] = formData[name];
+    });
+
+    setFormData(merged);
+    setBasePost(conflict.current);
+    setBaseVersion(conflict.version);
+    setConflict(null);
+    setNotice('Merged your edits into the latest version. Review and save again.');
+  };
+
   const handleCancel = () => {
     setNewAttachments([]);
+    setUploadedAttachments([]);
     setValidationErrors({});
     setError('');
+    setNotice('');
+    setConflict(null);
     onClose();
   };
 
-  if (!isOpen || !post) return null;
+  if (!isOpen || !post || !basePost) return null;
+
+  // Conflict summary: what changed on the server vs. what was edited here
+  const serverChanges = conflict ? changedFields(toFormData(basePost), toFormData(conflict.current)) : [];
+  const localChanges = conflict ? changedFields(toFormData(basePost), formData) : [];
+  const overlapping = serverChanges.filter(({ name }) => localChanges.some(f => f.name === name));
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -144,6 +223,50 @@ const EditPostModal = ({ isOpen, onClose, post }) => {
 
         {/* Form */}
         <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          {/* Conflict Resolution */}
+          {conflict && (
+            <div className="p-4 bg-yellow-50 border border-yellow-300 rounded-md space-y-2">
+              <p className="text-sm font-medium text-yellow-900">
+                This post was changed by {conflict.current.updatedBy || 'someone else'}
+                {conflict.current.updatedAt && ` on ${new Date(conflict.current.updatedAt).toLocaleString()}`}
+                {' '}while you were editing.
+              </p>
+              {serverChanges.length > 0 && (
+                <p className="text-sm text-yellow-800">
+                  Changed on the server: {serverChanges.map(f => f.label).join(', ')}
+                </p>
+              )}
+              {overlapping.length > 0 && (
+                <p className="text-sm text-yellow-800">
+                  You both changed: {overlapping.map(f => f.label).join(', ')}. Merging keeps your version of these.
+                </p>
+              )}
+              <div className="flex space-x-3 pt-1">
+                <button
+                  type="button"
+                  onClick={handleMergeChanges}
+                  className="px-3 py-1.5 text-sm bg-yellow-600 text-white rounded-md hover:bg-yellow-700"
+                >
+                  Merge my changes
+                </button>
+                <button
+                  type="button"
+                  onClick={handleReloadLatest}
+                  className="px-3 py-1.5 text-sm border border-yellow-600 text-yellow-800 rounded-md hover:bg-yellow-100"
+                >
+                  Reload latest (discard mine)
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Notice Message */}
+          {notice && !conflict && (
+            <div className="p-3 bg-blue-50 border border-blue-200 rounded-md">
+              <p className="text-sm text-blue-700">{notice}</p>
+            </div>
+          )}
+
           {/* Error Message */}
           {error && (
             <div className="p-3 bg-red-50 border border-red-200 rounded-md">
@@ -221,13 +344,13 @@ const EditPostModal = ({ isOpen, onClose, post }) => {
           </div>
 
           {/* Existing Attachments */}
-          {post.attachments && post.attachments.length > 0 && (
+          {basePost.attachments && basePost.attachments.length > 0 && (
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                Existing Topic Artifacts ({post.attachments.length})
+                Existing Topic Artifacts ({basePost.attachments.length})
               </label>
               <div className="space-y-2 mb-3">
-                {post.attachments.map((attachment, index) => (
+                {basePost.attachments.map((attachment, index) => (
                   <div
                     key={index}
                     className="flex items-center space-x-2 p-2 bg-gray-50 rounded border border-gray-200"
@@ -352,7 +475,7 @@ const EditPostModal = ({ isOpen, onClose, post }) => {
             </button>
             <button
               type="submit"
-              disabled={isSubmitting}
+              disabled={isSubmitting || Boolean(conflict)}
               className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
             >
               {isSubmitting ? 'Saving...' : 'Save Changes'}
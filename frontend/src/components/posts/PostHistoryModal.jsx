@@ -0,0 +1,181 @@
+/**
+ * Post History Modal Component
+ * Lists earlier versions of a post with field-level changes
+ * Admins can restore an earlier version
+ */
+
+import { useState, useEffect } from 'react';
+import apiClient from '../../services/apiClient';
+import { usePosts } from '../../hooks/usePosts';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  concernedParties: 'Concerned Parties',
+  status: 'Status',
+  assignedArchitects: 'Assigned Architects',
+  attachments: 'Artifacts',
+  proofOfWork: 'Proof of Work',
+  conversations: 'Conversations',
+  isArchived: 'Archived',
+};
+
+/**
+ * Render a field value from a revision as short text
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return '(empty)';
+  }
+  if (Array.isArray(value)) {
+    if (value.some(item => item !== null && typeof item === 'object')) {
+      return `${value.length} item${value.length === 1 ? '' : 's'}`;
+    }
+    return value.length > 0 ? value.join(', ') : '(none)';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+const PostHistoryModal = ({ isOpen, onClose, postId, canRestore = false, onRestored }) => {
+  const { restorePost } = usePosts();
+  const [revisions, setRevisions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [restoringRevision, setRestoringRevision] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      loadHistory();
+    }
+  }, [isOpen, postId]);
+
+  const loadHistory = async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const response = await apiClient.getPostHistory(postId);
+      if (response.success && response.data) {
+        setRevisions(response.data.revisions);
+      }
+    } catch (err) {
+      setError('Failed to load history: ' + err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleRestore = async (revision) => {
+    if (!confirm('Restore this version? The current version stays in the history.')) {
+      return;
+    }
+
+    try {
+      setRestoringRevision(revision.revision);
+      setError('');
+      await restorePost(postId, revision.revision);
+      await loadHistory();
+      if (onRestored) {
+        await onRestored();
+      }
+    } catch (err) {
+      setError(err.code === 'CONFLICT'
+        ? 'The post was changed by someone else. Close the history and reload before restoring.'
+        : 'Failed to restore: ' + err.message);
+    } finally {
+      setRestoringRevision(null);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <h2 className="text-xl font-semibold text-gray-900">Revision History</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6">
+          {error && (
+            <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-md">
+              <p className="text-sm text-red-600">{error}</p>
+            </div>
+          )}
+
+          {isLoading ? (
+            <div className="text-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+              <p className="mt-3 text-sm text-gray-600">Loading history...</p>
+            </div>
+          ) : revisions.length === 0 ? (
+            <p className="text-sm text-gray-500">No earlier versions recorded.</p>
+          ) : (
+            <ol className="space-y-4">
+              {revisions.map((revision) => (
+                <li key={revision.revision} className="border border-gray-200 rounded-md p-4">
+                  <div className="flex items-start justify-between mb-2">
+                    <div className="text-sm text-gray-600">
+                      <span className="font-medium text-gray-900">{revision.updatedBy || 'unknown'}</span>
+                      {' • '}
+                      {revision.updatedAt ? new Date(revision.updatedAt).toLocaleString() : 'unknown date'}
+                      {revision.current && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                          Current
+                        </span>
+                      )}
+                      {revision.message && (
+                        <p className="text-xs text-gray-500 mt-1">{revision.message}</p>
+                      )}
+                    </div>
+                    {canRestore && !revision.current && (
+                      <button
+                        onClick={() => handleRestore(revision)}
+                        disabled={restoringRevision !== null}
+                        className="ml-3 px-3 py-1 text-sm font-medium text-blue-600 hover:text-blue-800 hover:bg-blue-50 rounded flex-shrink-0 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {restoringRevision === revision.revision ? 'Restoring...' : 'Restore'}
+                      </button>
+                    )}
+                  </div>
+
+                  {revision.changes === null ? (
+                    <p className="text-xs text-gray-500">Oldest version shown</p>
+                  ) : revision.changes.length === 0 ? (
+                    <p className="text-xs text-gray-500">No content changes</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {revision.changes.map((change) => (
+                        <div key={change.field} className="text-sm">
+                          <p className="font-medium text-gray-700">{FIELD_LABELS[change.field] || change.field}</p>
+                          <p className="text-red-700 bg-red-50 rounded px-2 py-1 whitespace-pre-wrap line-through">
+                            {formatValue(change.from)}
+                          </p>
+                          <p className="text-green-700 bg-green-50 rounded px-2 py-1 mt-1 whitespace-pre-wrap">
+                            {formatValue(change.to)}
+                          </p>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PostHistoryModal;
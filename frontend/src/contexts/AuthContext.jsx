@@ -5,7 +5,10 @@
 
 import { createContext, useState, useEffect, useCallback } from 'react';
 import apiClient from '../services/apiClient';
+import { handleCallback } from '../services/githubAuthService';
+import { handleOidcCallback } from '../services/oidcAuthService';
 import { logAuthEvent, logError } from '../utils/logger';
+import { canPerform } from '../utils/permissions';
 
 export const AuthContext = createContext(null);
 
@@ -14,6 +17,7 @@ export const AuthProvider = ({ children }) => {
   const [token, setToken] = useState(null);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
+  const [permissions, setPermissions] = useState(null);
 
   /**
    * Initialize authentication from stored token
@@ -56,8 +60,53 @@ export const AuthProvider = ({ children }) => {
     initAuth();
   }, []);
 
+  /**
+   * Load the signed-in user's grants from the backend policy table
+   * An empty set on failure hides everything but reading
+   */
+  useEffect(() => {
+    if (!user) {
+      setPermissions(null);
+      return;
+    }
+
+    let cancelled = false;
+
+    apiClient.getPermissions()
+      .then((response) => {
+        if (!cancelled) {
+          setPermissions(response.data.permissions);
+        }
+      })
+      .catch((error) => {
+        logError('Failed to load permissions', error);
+        if (!cancelled) {
+          setPermissions({ 'posts:read': true });
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  /**
+   * Drop to logged-out state when the session can no longer be refreshed
+   * (expired, revoked, or logged out everywhere)
+   */
+  useEffect(() => {
+    return apiClient.onSessionExpired(() => {
+      setToken(null);
+      setUser(null);
+      setIsAuthenticated(false);
+      logAuthEvent('session_expired');
+    });
+  }, []);
+
   /**
    * Login with username/password
+   * With two-factor on, resolves to { twoFactor: 'verify' | 'setup', challengeToken }
+   * instead of the user; finish with completeTwoFactor
    * @param {string} username
    * @param {string} password
    */
@@ -68,6 +117,10 @@ export const AuthProvider = ({ children }) => {
       // Call backend login API
       const response = await apiClient.login(username, password);
 
+      if (response.success && response.data?.twoFactor) {
+        return response.data;
+      }
+
       if (response.success && response.data) {
         const { token: authToken, user: userData } = response.data;
 
@@ -93,6 +146,127 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  /**
+   * Finish a login with an authenticator or recovery code
+   * @param {string} challengeToken - From login(), loginWithGithub() or loginWithOidc()
+   * @param {string} code
+   * @returns {Promise<Object>} - { user, recoveryCodes } (recoveryCodes only after enrolling)
+   */
+  const completeTwoFactor = useCallback(async (challengeToken, code) => {
+    const response = await apiClient.completeTwoFactorLogin(challengeToken, code);
+    const { token: authToken, user: userData, recoveryCodes = null } = response.data;
+
+    setToken(authToken);
+    setUser(userData);
+    setIsAuthenticated(true);
+
+    logAuthEvent('login_success', { username: userData.username, role: userData.role, twoFactor: true });
+
+    return { user: userData, recoveryCodes };
+  }, []);
+
+  /**
+   * Finish GitHub sign-in from the OAuth callback parameters
+   * Like login(), resolves to { twoFactor, challengeToken } when a code is needed
+   * @param {string} code - Authorization code from GitHub
+   * @param {string} state - State parameter echoed back by GitHub
+   */
+  const loginWithGithub = useCallback(async (code, state) => {
+    try {
+      setIsLoading(true);
+
+      const result = await handleCallback(code, state);
+
+      if (result.twoFactor) {
+        return result;
+      }
+
+      const { token: authToken, user: userData } = result;
+
+      setToken(authToken);
+      setUser(userData);
+      setIsAuthenticated(true);
+
+      logAuthEvent('login_success', { username: userData.username, role: userData.role, provider: 'github' });
+
+      return userData;
+    } catch (error) {
+      logError('GitHub login failed', error);
+      setToken(null);
+      setUser(null);
+      setIsAuthenticated(false);
+      throw error;
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Finish single sign-on from the OIDC callback parameters
+   * @param {string} code - Authorization code from the provider
+   * @param {string} state - State parameter echoed back by the provider
+   */
+  const loginWithOidc = useCallback(async (code, state) => {
+    try {
+      setIsLoading(true);
+
+      const result = await handleOidcCallback(code, state);
+
+      if (result.twoFactor) {
+        return result;
+      }
+
+      const { token: authToken, user: userData } = result;
+
+      setToken(authToken);
+      setUser(userData);
+      setIsAuthenticated(true);
+
+      logAuthEvent('login_success', { username: userData.username, role: userData.role, provider: 'oidc' });
+
+      return userData;
+    } catch (error) {
+      logError('Single sign-on failed', error);
+      setToken(null);
+      setUser(null);
+      setIsAuthenticated(false);
+      throw error;
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Create the first admin account and log in as it
+   * @param {Object} account - { setupToken, username, password, fullName }
+   */
+  const completeSetup = useCallback(async (account) => {
+    try {
+      setIsLoading(true);
+
+      const response = await apiClient.completeSetup(account);
+
+      if (response.success && response.data) {
+        const { token: authToken, user: userData } = response.data;
+
+        setToken(authToken);
+        setUser(userData);
+        setIsAuthenticated(true);
+
+        logAuthEvent('setup_complete', { username: userData.username, role: userData.role });
+
+        return userData;
+      } else {
+        throw new Error('Setup failed');
+      }
+    } catch (error) {
+      logError('Setup failed', error);
+      throw error;
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
   /**
    * Logout and clear authentication
    */
@@ -118,6 +292,24 @@ export const AuthProvider = ({ children }) => {
     }
   }, [user]);
 
+  /**
+   * End every session of the current user, on all devices
+   */
+  const logoutEverywhere = useCallback(async () => {
+    const username = user?.username;
+
+    try {
+      await apiClient.logoutEverywhere();
+      logAuthEvent('logout_everywhere', { username });
+    } catch (error) {
+      logError('Logout everywhere failed', error);
+    } finally {
+      setToken(null);
+      setUser(null);
+      setIsAuthenticated(false);
+    }
+  }, [user]);
+
   /**
    * Check if user has admin role
    */
@@ -132,15 +324,32 @@ export const AuthProvider = ({ children }) => {
     return user && user.role === 'architect';
   }, [user]);
 
+  /**
+   * Check if the user's role allows an action, on a post if the grant
+   * depends on one (see utils/permissions)
+   * @param {string} action - e.g. 'posts:edit'
+   * @param {Object} [post]
+   */
+  const can = useCallback((action, post = null) => {
+    return canPerform(permissions, user, action, post);
+  }, [permissions, user]);
+
   const value = {
     user,
     token,
     isAuthenticated,
-    isLoading,
+    isLoading: isLoading || (isAuthenticated && !permissions),
+    permissions,
     login,
+    completeTwoFactor,
+    loginWithGithub,
+    loginWithOidc,
+    completeSetup,
     logout,
+    logoutEverywhere,
     isAdmin,
     isArchitect,
+    can,
   };
 
   return (
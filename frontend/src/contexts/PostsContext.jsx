@@ -3,10 +3,10 @@
  * Manages bulletin posts state and operations using the backend API
  */
 
-import { createContext, useState, useCallback, useEffect } from 'react';
+import { createContext, useState, useCallback, useEffect, useRef } from 'react';
 import apiClient from '../services/apiClient';
 import { logDataOperation, logError } from '../utils/logger';
-import { filterBySearch } from '../utils/helpers';
+import { filterBySearch, fileToBase64 } from '../utils/helpers';
 
 export const PostsContext = createContext(null);
 
@@ -22,6 +22,16 @@ export const PostsProvider = ({ children }) => {
     dateRange: null,
   });
 
+  // Last known server version (ETag) per post, sent as If-Match on updates
+  const postVersions = useRef(new Map());
+
+  /**
+   * Get the last known version of a post
+   */
+  const getPostVersion = useCallback((postId) => {
+    return postVersions.current.get(postId) || null;
+  }, []);
+
   /**
    * Fetch all posts
    */
@@ -52,6 +62,9 @@ export const PostsProvider = ({ children }) => {
       const response = await apiClient.getPost(postId);
 
       if (response.success && response.data) {
+        if (response.etag) {
+          postVersions.current.set(postId, response.etag);
+        }
         setSelectedPost(response.data);
         return response.data;
       }
@@ -65,11 +78,17 @@ export const PostsProvider = ({ children }) => {
 
   /**
    * Create new post
+   * Attachment files are sent with the post and stored in the same write
    */
-  const createPost = useCallback(async (postData) => {
+  const createPost = useCallback(async (postData, files = []) => {
     try {
       setIsLoading(true);
-      const response = await apiClient.createPost(postData);
+      const attachments = await Promise.all(Array.from(files).map(async (file) => ({
+        filename: file.name,
+        type: file.type,
+        content: await fileToBase64(file),
+      })));
+      const response = await apiClient.createPost({ ...postData, attachments });
 
       if (response.success && response.data) {
         setPosts(prev => [response.data, ...prev]);
@@ -86,13 +105,20 @@ export const PostsProvider = ({ children }) => {
 
   /**
    * Update post
+   * Sends the last known version (or options.version) as If-Match. A
+   * concurrent edit rejects with error.code === 'CONFLICT' and
+   * error.details = { current, version } holding the server copy
    */
-  const updatePost = useCallback(async (postId, updates) => {
+  const updatePost = useCallback(async (postId, updates, options = {}) => {
     try {
       setIsLoading(true);
-      const response = await apiClient.updatePost(postId, updates);
+      const version = options.version || postVersions.current.get(postId);
+      const response = await apiClient.updatePost(postId, updates, version);
 
       if (response.success && response.data) {
+        if (response.etag) {
+          postVersions.current.set(postId, response.etag);
+        }
         setPosts(prev => prev.map(p => p.id === postId ? response.data : p));
         if (selectedPost && selectedPost.id === postId) {
           setSelectedPost(response.data);
@@ -109,7 +135,7 @@ export const PostsProvider = ({ children }) => {
   }, [selectedPost]);
 
   /**
-   * Delete post
+   * Delete post (moves it to the trash)
    */
   const deletePost = useCallback(async (postId) => {
     try {
@@ -118,10 +144,12 @@ export const PostsProvider = ({ children }) => {
 
       if (response.success) {
         setPosts(prev => prev.filter(p => p.id !== postId));
+        postVersions.current.delete(postId);
         if (selectedPost && selectedPost.id === postId) {
           setSelectedPost(null);
         }
         logDataOperation('delete', 'posts', { postId });
+        return response.data;
       }
     } catch (error) {
       logError(`Failed to delete post: ${postId}`, error);
@@ -131,6 +159,27 @@ export const PostsProvider = ({ children }) => {
     }
   }, [selectedPost]);
 
+  /**
+   * Restore a post from the trash
+   */
+  const restoreDeletedPost = useCallback(async (postId) => {
+    try {
+      const response = await apiClient.restoreDeletedPost(postId);
+
+      if (response.success && response.data) {
+        if (response.etag) {
+          postVersions.current.set(postId, response.etag);
+        }
+        setPosts(prev => [...prev.filter(p => p.id !== postId), response.data]);
+        logDataOperation('update', 'posts', { postId, action: 'restore_deleted' });
+        return response.data;
+      }
+    } catch (error) {
+      logError(`Failed to restore deleted post: ${postId}`, error);
+      throw error;
+    }
+  }, []);
+
   /**
    * Assign architects to post
    */
@@ -149,6 +198,48 @@ export const PostsProvider = ({ children }) => {
     }
   }, []);
 
+  /**
+   * Add a comment to a post's conversation
+   */
+  const addComment = useCallback(async (postId, message) => {
+    try {
+      const response = await apiClient.addComment(postId, message);
+
+      if (response.success && response.data) {
+        if (response.etag) {
+          postVersions.current.set(postId, response.etag);
+        }
+        setPosts(prev => prev.map(p => p.id === postId ? response.data : p));
+        logDataOperation('update', 'posts', { postId, action: 'comment' });
+        return response.data;
+      }
+    } catch (error) {
+      logError('Failed to add comment', error);
+      throw error;
+    }
+  }, []);
+
+  /**
+   * Restore an earlier revision of a post (saved as a new version)
+   */
+  const restorePost = useCallback(async (postId, revision) => {
+    try {
+      const response = await apiClient.restorePost(postId, revision, postVersions.current.get(postId));
+
+      if (response.success && response.data) {
+        if (response.etag) {
+          postVersions.current.set(postId, response.etag);
+        }
+        setPosts(prev => prev.map(p => p.id === postId ? response.data : p));
+        logDataOperation('update', 'posts', { postId, action: 'restore', revision });
+        return response.data;
+      }
+    } catch (error) {
+      logError(`Failed to restore post: ${postId}`, error);
+      throw error;
+    }
+  }, []);
+
   /**
    * Update post status
    */
@@ -247,10 +338,14 @@ export const PostsProvider = ({ children }) => {
     setFilters,
     fetchPosts,
     fetchPost,
+    getPostVersion,
     createPost,
     updatePost,
     deletePost,
+    restoreDeletedPost,
     assignArchitects,
+    addComment,
+    restorePost,
     updateStatus,
     archivePost,
     unarchivePost,
@@ -0,0 +1,176 @@
+/**
+ * Accept Invite Page
+ * Opened from an invitation email: the invited architect chooses their
+ * password, which creates their account. The token comes from ?token=
+ */
+
+import { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { ROUTES } from '../utils/constants';
+import apiClient from '../services/apiClient';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const AcceptInvitePage = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+
+  const [invite, setInvite] = useState(null);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [accepted, setAccepted] = useState(false);
+
+  useEffect(() => {
+    const loadInvite = async () => {
+      if (!token) {
+        setError('This invitation link is incomplete. Open the link from your email again.');
+        setLoading(false);
+        return;
+      }
+
+      try {
+        const response = await apiClient.getInvite(token);
+        setInvite(response.data);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadInvite();
+  }, [token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await apiClient.acceptInvite(token, password);
+      setAccepted(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center px-4">
+      <div className="max-w-md w-full">
+        <div className="bg-white rounded-lg shadow-xl p-8">
+          <div className="text-center mb-8">
+            <h1 className="text-4xl font-bold text-gray-900 mb-2">
+              Architecture Bulletin
+            </h1>
+            <p className="text-gray-600">
+              Accept your invitation
+            </p>
+          </div>
+
+          {accepted ? (
+            <div className="space-y-5">
+              <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-md text-sm">
+                Your account is ready. Log in as <strong>{invite.username}</strong> with your new password.
+              </div>
+              <button
+                type="button"
+                onClick={() => navigate(ROUTES.LOGIN, { replace: true })}
+                className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-colors"
+              >
+                Go to Login
+              </button>
+            </div>
+          ) : invite ? (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div className="bg-blue-50 border border-blue-200 text-blue-800 px-4 py-3 rounded-md text-sm">
+                Welcome, {invite.displayName}. Choose a password for your username{' '}
+                <strong>{invite.username}</strong>.
+              </div>
+
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
+                  Password
+                </label>
+                <input
+                  id="password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+                  autoComplete="new-password"
+                  required
+                  disabled={loading}
+                />
+              </div>
+
+              <div>
+                <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-2">
+                  Confirm Password
+                </label>
+                <input
+                  id="confirmPassword"
+                  type="password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  autoComplete="new-password"
+                  required
+                  disabled={loading}
+                />
+              </div>
+
+              {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md">
+                  {error}
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {loading ? 'Creating account...' : 'Create Account'}
+              </button>
+            </form>
+          ) : loading ? (
+            <div className="text-center py-4">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+            </div>
+          ) : (
+            <div className="space-y-5">
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md">
+                {error}
+              </div>
+              <button
+                type="button"
+                onClick={() => navigate(ROUTES.LOGIN, { replace: true })}
+                className="w-full text-sm text-blue-600 hover:text-blue-800"
+              >
+                Go to Login
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitePage;
@@ -1,21 +1,27 @@
 /**
  * OAuth Callback Page
- * Handles GitHub OAuth redirect
+ * Handles the GitHub OAuth and single sign-on redirects
  */
 
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
-import { handleCallback } from '../services/githubAuthService';
-import { ROUTES } from '../utils/constants';
+import { ROUTES, STORAGE_KEYS } from '../utils/constants';
 
 const CallbackPage = () => {
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
-  const { login } = useAuth();
+  const { loginWithGithub, loginWithOidc } = useAuth();
   const [error, setError] = useState(null);
+  // The code can only be exchanged once, even if the effect runs twice
+  const hasProcessed = useRef(false);
 
   useEffect(() => {
+    if (hasProcessed.current) {
+      return;
+    }
+    hasProcessed.current = true;
+
     const processCallback = async () => {
       try {
         const code = searchParams.get('code');
@@ -31,11 +37,16 @@ const CallbackPage = () => {
           throw new Error('Missing authorization code or state parameter');
         }
 
-        // Exchange code for token
-        const token = await handleCallback(code, state);
+        // Backend exchanges the code and signs us in
+        const result = sessionStorage.getItem(STORAGE_KEYS.OAUTH_PROVIDER) === 'oidc'
+          ? await loginWithOidc(code, state)
+          : await loginWithGithub(code, state);
 
-        // Login with token
-        await login(token, false);
+        // The login page takes the code when two-factor is on
+        if (result?.twoFactor) {
+          navigate(ROUTES.LOGIN, { replace: true, state: { challenge: result } });
+          return;
+        }
 
         // Redirect to dashboard
         navigate(ROUTES.DASHBOARD, { replace: true });
@@ -51,7 +62,7 @@ const CallbackPage = () => {
     };
 
     processCallback();
-  }, [searchParams, login, navigate]);
+  }, [searchParams, loginWithGithub, loginWithOidc, navigate]);
 
   if (error) {
     return (
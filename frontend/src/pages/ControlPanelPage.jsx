@@ -1,6 +1,6 @@
 /**
  * Control Panel Page (Admin Only)
- * Manage architects, view users, and configure application settings
+ * Manage architects and users, and configure application settings
  */
 
 import { useState, useEffect } from 'react';
@@ -9,22 +9,51 @@ import { useAuth } from '../hooks/useAuth';
 import { usePosts } from '../hooks/usePosts';
 import { ROUTES } from '../utils/constants';
 import AddArchitectModal from '../components/admin/AddArchitectModal';
+import SetEmailModal from '../components/admin/SetEmailModal';
+import SetPasswordModal from '../components/admin/SetPasswordModal';
 import apiClient from '../services/apiClient';
 
+const LOGIN_EVENT_LABELS = {
+  login_success: 'Signed in',
+  login_failure: 'Wrong password',
+  login_throttled: 'Refused (too fast)',
+  login_locked: 'Refused (locked)',
+  lockout: 'Locked out',
+  unlock: 'Unlocked',
+  password_reset: 'Password reset',
+};
+
+const LOGIN_EVENT_DETAILS = {
+  two_factor: 'two-factor',
+  recovery_code: 'recovery code',
+  deactivated: 'deactivated account',
+  change_password: 'password change',
+};
+
+const EMPTY_USER_FORM = { username: '', fullName: '', email: '', role: 'reviewer', password: '' };
+
 const ControlPanelPage = () => {
   const navigate = useNavigate();
   const { user, logout } = useAuth();
-  const { posts, fetchPosts, archivePost, unarchivePost } = usePosts();
+  const { posts, fetchPosts, archivePost, unarchivePost, restoreDeletedPost } = usePosts();
   const [activeTab, setActiveTab] = useState('posts');
   const [isAddModalOpen, setIsAddModalOpen] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
-  const [postsView, setPostsView] = useState('active'); // 'active' or 'archived'
+  const [postsView, setPostsView] = useState('active'); // 'active', 'archived' or 'trash'
+  const [trashPosts, setTrashPosts] = useState([]);
 
   // Data state
   const [architects, setArchitects] = useState([]);
-  const [newCredentials, setNewCredentials] = useState(null);
+  const [invites, setInvites] = useState([]);
+  const [authSettings, setAuthSettings] = useState(null);
+  const [lockouts, setLockouts] = useState([]);
+  const [loginEvents, setLoginEvents] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [newUser, setNewUser] = useState(EMPTY_USER_FORM);
+  const [passwordAccount, setPasswordAccount] = useState(null); // Account in the Set Password modal
+  const [emailAccount, setEmailAccount] = useState(null); // Account in the Set Email modal
 
   // Load data
   useEffect(() => {
@@ -32,28 +61,36 @@ const ControlPanelPage = () => {
     fetchPosts();
   }, [fetchPosts]);
 
-  // Generate secure random password
-  const generatePassword = () => {
-    const length = 12;
-    const charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*';
-    let password = '';
-    const array = new Uint8Array(length);
-    crypto.getRandomValues(array);
-    for (let i = 0; i < length; i++) {
-      password += charset[array[i] % charset.length];
-    }
-    return password;
-  };
+  // Load deleted posts when the trash is opened
+  useEffect(() => {
+    if (postsView === 'trash') {
+      loadTrash();
+    }
+  }, [postsView]);
+
+  // Load sign-in settings when the tab is opened
+  useEffect(() => {
+    if (activeTab === 'signin') {
+      loadAuthSettings();
+      loadLoginActivity();
+    }
+    if (activeTab === 'users') {
+      loadUsers();
+    }
+  }, [activeTab]);
 
   const loadData = async () => {
     try {
       setIsLoading(true);
       setError('');
 
-      // Load architects from backend API
-      const architectsResponse = await apiClient.getArchitects();
-      console.log('Loaded architects:', architectsResponse);
+      // Load architects and pending invitations from backend API
+      const [architectsResponse, invitesResponse] = await Promise.all([
+        apiClient.getArchitects(),
+        apiClient.getInvites(),
+      ]);
       setArchitects(architectsResponse.data.architects || []);
+      setInvites(invitesResponse.data.invites || []);
     } catch (err) {
       console.error('Failed to load architects:', err);
       setError('Failed to load data: ' + err.message);
@@ -67,57 +104,20 @@ const ControlPanelPage = () => {
       setError('');
       setSuccess('');
 
-      // Generate secure password
-      const password = generatePassword();
-
-      // Step 1: Create user account
-      console.log('Creating user account...');
-      await apiClient.createUser(
-        formData.username,
-        password,
-        'architect',
-        formData.displayName
-      );
-
-      // Step 2: Add architect configuration
-      console.log('Adding architect configuration...');
-      const currentArchitects = await apiClient.getArchitects();
-      const existingArchitects = currentArchitects.data.architects || [];
-
-      // Create new architect object
-      const newArchitect = {
-        id: `arch-${Date.now()}`,
-        githubUsername: formData.username,
-        displayName: formData.displayName,
-        email: formData.email || '',
-        specialization: formData.specialization || '',
-        status: 'active',
-        addedAt: new Date().toISOString(),
-        addedBy: user.username,
-        deactivatedAt: null,
-        deactivatedBy: null,
-      };
-
-      // Check if architect already exists
-      const exists = existingArchitects.some(
-        a => a.githubUsername === formData.username
-      );
-
-      if (exists) {
-        throw new Error(`Architect ${formData.username} already exists`);
-      }
-
-      const updatedArchitects = [...existingArchitects, newArchitect];
-      await apiClient.updateArchitects(updatedArchitects);
-
-      // Show credentials
-      setNewCredentials({
+      // The architect sets their own password from the emailed link
+      const response = await apiClient.inviteArchitect({
         username: formData.username,
-        password: password,
+        email: formData.email,
         displayName: formData.displayName,
+        specialization: formData.specialization || '',
       });
+      const { emailSent, mailError } = response.data;
 
-      setSuccess(`Architect "${formData.displayName}" added successfully!`);
+      if (emailSent) {
+        setSuccess(`Invitation sent to ${formData.email}.`);
+      } else {
+        setError(`Invitation for "${formData.displayName}" created, but the email could not be sent: ${mailError}. Use Resend once mail works.`);
+      }
 
       // Reload data
       await loadData();
@@ -127,40 +127,57 @@ const ControlPanelPage = () => {
         setIsAddModalOpen(false);
       }, 500);
     } catch (err) {
-      console.error('Error adding architect:', err);
-      setError(`Failed to add architect: ${err.message}`);
+      console.error('Error inviting architect:', err);
+      setError(`Failed to invite architect: ${err.message}`);
       throw err; // Re-throw to be handled by modal
     }
   };
 
-  const handleRemoveArchitect = async (username) => {
-    if (!confirm(`Are you sure you want to deactivate architect "${username}"?`)) {
+  const handleResendInvite = async (invite) => {
+    try {
+      setError('');
+      setSuccess('');
+      const response = await apiClient.resendInvite(invite.id);
+      const { emailSent, mailError } = response.data;
+
+      if (emailSent) {
+        setSuccess(`Invitation sent to ${invite.email} again. The previous link no longer works.`);
+      } else {
+        setError(`Failed to send the invitation to ${invite.email}: ${mailError}`);
+      }
+      await loadData();
+    } catch (err) {
+      setError('Failed to resend invitation: ' + err.message);
+    }
+  };
+
+  const handleRevokeInvite = async (invite) => {
+    if (!confirm(`Revoke the invitation for "${invite.displayName}"? The link in their email will stop working.`)) {
       return;
     }
 
     try {
       setError('');
       setSuccess('');
+      await apiClient.revokeInvite(invite.id);
+      setSuccess(`Invitation for "${invite.displayName}" revoked.`);
+      await loadData();
+    } catch (err) {
+      setError('Failed to revoke invitation: ' + err.message);
+    }
+  };
 
-      // Remove architect via backend API
-      const currentArchitects = await apiClient.getArchitects();
-      const existingArchitects = currentArchitects.data.architects || [];
-
-      // Find and deactivate the architect
-      const updatedArchitects = existingArchitects.map(arch => {
-        if (arch.githubUsername === username) {
-          return {
-            ...arch,
-            status: 'inactive',
-            deactivatedAt: new Date().toISOString(),
-            deactivatedBy: user.username,
-          };
-        }
-        return arch;
-      });
+  const handleRemoveArchitect = async (username) => {
+    if (!confirm(`Are you sure you want to deactivate architect "${username}"?\n\nThey will be signed out and can't sign in until reactivated.`)) {
+      return;
+    }
 
-      // Update architects list via API
-      await apiClient.updateArchitects(updatedArchitects);
+    try {
+      setError('');
+      setSuccess('');
+
+      // Deactivates the architect entry and their user account together
+      await apiClient.setArchitectStatus(username, 'inactive');
 
       setSuccess(`Architect "${username}" has been deactivated.`);
       await loadData();
@@ -169,8 +186,20 @@ const ControlPanelPage = () => {
     }
   };
 
+  const handleReactivateArchitect = async (username) => {
+    try {
+      setError('');
+      setSuccess('');
+      await apiClient.setArchitectStatus(username, 'active');
+      setSuccess(`Architect "${username}" has been reactivated.`);
+      await loadData();
+    } catch (err) {
+      setError('Failed to reactivate architect: ' + err.message);
+    }
+  };
+
   const handleDeleteArchitect = async (username, displayName) => {
-    if (!confirm(`Are you sure you want to permanently DELETE architect "${displayName}"?\n\nThis will permanently remove:\n- Architect configuration\n- User account\n\nThis action CANNOT be undone.`)) {
+    if (!confirm(`Are you sure you want to permanently DELETE architect "${displayName}"?\n\nThis will permanently remove:\n- Architect configuration\n- User account, sessions and API tokens\n\nThis action CANNOT be undone.`)) {
       return;
     }
 
@@ -178,17 +207,8 @@ const ControlPanelPage = () => {
       setError('');
       setSuccess('');
 
-      // Get current architects
-      const currentArchitects = await apiClient.getArchitects();
-      const existingArchitects = currentArchitects.data.architects || [];
-
-      // Filter out the architect to delete
-      const updatedArchitects = existingArchitects.filter(
-        arch => arch.githubUsername !== username
-      );
-
-      // Update architects list via API
-      await apiClient.updateArchitects(updatedArchitects);
+      // Removes the architect entry and their user account together
+      await apiClient.deleteArchitect(username);
 
       setSuccess(`Architect "${displayName}" has been permanently deleted.`);
       await loadData();
@@ -197,14 +217,231 @@ const ControlPanelPage = () => {
     }
   };
 
-  const copyToClipboard = (text) => {
-    navigator.clipboard.writeText(text);
-    setSuccess('Copied to clipboard!');
-    setTimeout(() => setSuccess(''), 2000);
+  const loadUsers = async () => {
+    try {
+      const [usersResponse, settingsResponse] = await Promise.all([
+        apiClient.getUsers(),
+        apiClient.getAuthSettings(),
+      ]);
+      setUsers(usersResponse.data.users || []);
+      setAuthSettings(settingsResponse.data);
+    } catch (err) {
+      setError('Failed to load users: ' + err.message);
+    }
   };
 
-  const closeCredentialsModal = () => {
-    setNewCredentials(null);
+  const handleCreateUser = async (e) => {
+    e.preventDefault();
+
+    try {
+      setError('');
+      setSuccess('');
+      await apiClient.createUser(
+        newUser.username.trim(),
+        newUser.password,
+        newUser.role,
+        newUser.fullName.trim(),
+        newUser.email.trim() || undefined
+      );
+      setSuccess(`User "${newUser.username}" created.`);
+      setNewUser(EMPTY_USER_FORM);
+      await loadUsers();
+    } catch (err) {
+      setError('Failed to create user: ' + err.message);
+    }
+  };
+
+  const handleChangeRole = async (account, role) => {
+    if (!confirm(`Change ${account.username}'s role to ${role}? They will be signed out.`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      setSuccess('');
+      await apiClient.updateUser(account.username, { role });
+      setSuccess(`${account.username} is now ${role === 'admin' ? 'an' : 'a'} ${role}.`);
+      await loadUsers();
+    } catch (err) {
+      setError(`Failed to change role of ${account.username}: ` + err.message);
+    }
+  };
+
+  // Called by SetPasswordModal; errors are shown in the modal
+  const handleSetPassword = async (account, password) => {
+    setError('');
+    setSuccess('');
+    await apiClient.updateUser(account.username, { password });
+    setPasswordAccount(null);
+    setSuccess(`Password set for ${account.username}.`);
+  };
+
+  // Called by SetEmailModal; errors are shown in the modal
+  const handleSetEmail = async (account, email) => {
+    setError('');
+    setSuccess('');
+    await apiClient.updateUser(account.username, { email });
+    setEmailAccount(null);
+    setSuccess(email ? `Email set for ${account.username}.` : `Email removed for ${account.username}.`);
+    await loadUsers();
+  };
+
+  const handleToggleActive = async (account) => {
+    const active = !account.active;
+
+    if (!active && !confirm(`Deactivate ${account.username}? They will be signed out and can't sign in until reactivated.`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      setSuccess('');
+      await apiClient.updateUser(account.username, { active });
+      setSuccess(`${account.username} has been ${active ? 'reactivated' : 'deactivated'}.`);
+      await Promise.all([loadUsers(), loadData()]);
+    } catch (err) {
+      setError(`Failed to update ${account.username}: ` + err.message);
+    }
+  };
+
+  const handleDeleteUser = async (account) => {
+    if (!confirm(`Permanently DELETE user "${account.username}"?\n\nThis also removes their architect entry, sessions, API tokens and two-factor settings. Posts keep their history.\n\nThis action CANNOT be undone.`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      setSuccess('');
+      await apiClient.deleteUser(account.username);
+      setSuccess(`User "${account.username}" has been deleted.`);
+      await Promise.all([loadUsers(), loadData()]);
+    } catch (err) {
+      setError(`Failed to delete ${account.username}: ` + err.message);
+    }
+  };
+
+  const loadAuthSettings = async () => {
+    try {
+      const response = await apiClient.getAuthSettings();
+      setAuthSettings(response.data);
+    } catch (err) {
+      setError('Failed to load sign-in settings: ' + err.message);
+    }
+  };
+
+  const handleToggleTwoFactorRole = async (role) => {
+    const current = authSettings.requireTwoFactor || [];
+    const requireTwoFactor = current.includes(role)
+      ? current.filter(r => r !== role)
+      : [...current, role];
+
+    try {
+      setError('');
+      setSuccess('');
+      const response = await apiClient.updateAuthSettings({
+        passwordLogin: authSettings.passwordLogin,
+        requireTwoFactor,
+      });
+      setAuthSettings({ ...authSettings, ...response.data });
+      setSuccess(requireTwoFactor.includes(role)
+        ? `Two-factor authentication is now required for ${role}s. Those without it set it up at their next login.`
+        : `Two-factor authentication is now optional for ${role}s.`);
+    } catch (err) {
+      setError('Failed to update sign-in settings: ' + err.message);
+    }
+  };
+
+  const handleToggleTrustProviderMfa = async () => {
+    const trustProviderMfa = !authSettings.trustProviderMfa;
+
+    if (trustProviderMfa && !confirm('Skip the two-factor step after GitHub sign-in and single sign-on? Only do this if the provider enforces its own second factor.')) {
+      return;
+    }
+
+    try {
+      setError('');
+      setSuccess('');
+      const response = await apiClient.updateAuthSettings({
+        passwordLogin: authSettings.passwordLogin,
+        trustProviderMfa,
+      });
+      setAuthSettings({ ...authSettings, ...response.data });
+      setSuccess(trustProviderMfa
+        ? 'GitHub sign-in and single sign-on now skip the two-factor step.'
+        : 'GitHub sign-in and single sign-on now ask for a two-factor code.');
+    } catch (err) {
+      setError('Failed to update sign-in settings: ' + err.message);
+    }
+  };
+
+  const handleResetTwoFactor = async (account) => {
+    if (!confirm(`Reset two-factor authentication for ${account.username}? Use this when they have lost their authenticator and recovery codes.`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      setSuccess('');
+      await apiClient.resetUserTwoFactor(account.username);
+      setSuccess(`Two-factor authentication reset for ${account.username}.`);
+      await loadUsers();
+    } catch (err) {
+      setError(`Failed to reset two-factor authentication for ${account.username}: ` + err.message);
+    }
+  };
+
+  const handleTogglePasswordLogin = async () => {
+    const passwordLogin = !authSettings.passwordLogin;
+
+    if (!passwordLogin && !confirm('Turn off password login? Everyone will have to sign in with GitHub or single sign-on, and existing password sessions end.')) {
+      return;
+    }
+
+    try {
+      setError('');
+      setSuccess('');
+      const response = await apiClient.updateAuthSettings({ passwordLogin });
+      setAuthSettings({ ...authSettings, ...response.data });
+      setSuccess(passwordLogin ? 'Password login turned on.' : 'Password login turned off.');
+    } catch (err) {
+      setError('Failed to update sign-in settings: ' + err.message);
+    }
+  };
+
+  const loadLoginActivity = async () => {
+    try {
+      const [lockoutsResponse, eventsResponse] = await Promise.all([
+        apiClient.getLockouts(),
+        apiClient.getLoginEvents({ limit: 50 }),
+      ]);
+      setLockouts(lockoutsResponse.data.lockouts);
+      setLoginEvents(eventsResponse.data.events);
+    } catch (err) {
+      setError('Failed to load login activity: ' + err.message);
+    }
+  };
+
+  const handleUnlock = async (lockout) => {
+    const label = lockout.type === 'user' ? `user ${lockout.value}` : `address ${lockout.value}`;
+
+    try {
+      setError('');
+      setSuccess('');
+      await apiClient.unlockLogin(lockout.key);
+      setSuccess(`Unlocked ${label}.`);
+      await loadLoginActivity();
+    } catch (err) {
+      setError(`Failed to unlock ${label}: ` + err.message);
+    }
+  };
+
+  const loadTrash = async () => {
+    try {
+      const response = await apiClient.getTrash();
+      setTrashPosts(response.data || []);
+    } catch (err) {
+      setError('Failed to load trash: ' + err.message);
+    }
   };
 
   const handleArchivePost = async (postId) => {
@@ -239,6 +476,22 @@ const ControlPanelPage = () => {
     }
   };
 
+  const handleRestoreDeletedPost = async (postId) => {
+    if (!confirm('Restore this deleted post?')) {
+      return;
+    }
+
+    try {
+      setError('');
+      setSuccess('');
+      await restoreDeletedPost(postId);
+      setSuccess('Post restored from trash!');
+      await Promise.all([loadTrash(), fetchPosts()]);
+    } catch (err) {
+      setError('Failed to restore post: ' + err.message);
+    }
+  };
+
   const getStatusDisplay = (statusId) => {
     const statusMap = {
       'status-new': { label: 'New', color: 'bg-blue-100 text-blue-800' },
@@ -254,7 +507,9 @@ const ControlPanelPage = () => {
   // Filter posts
   const activePosts = posts.filter(p => !p.isArchived);
   const archivedPosts = posts.filter(p => p.isArchived);
-  const displayedPosts = postsView === 'active' ? activePosts : archivedPosts;
+  const displayedPosts = postsView === 'active'
+    ? activePosts
+    : postsView === 'archived' ? archivedPosts : trashPosts;
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -335,6 +590,16 @@ const ControlPanelPage = () => {
               >
                 All Users
               </button>
+              <button
+                onClick={() => setActiveTab('signin')}
+                className={`px-6 py-3 text-sm font-medium border-b-2 ${
+                  activeTab === 'signin'
+                    ? 'border-blue-600 text-blue-600'
+                    : 'border-transparent text-gray-600 hover:text-gray-900 hover:border-gray-300'
+                }`}
+              >
+                Sign-in
+              </button>
             </nav>
           </div>
 
@@ -378,6 +643,16 @@ const ControlPanelPage = () => {
                         >
                           Archived ({archivedPosts.length})
                         </button>
+                        <button
+                          onClick={() => setPostsView('trash')}
+                          className={`px-4 py-2 text-sm font-medium rounded-md ${
+                            postsView === 'trash'
+                              ? 'bg-blue-600 text-white'
+                              : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                          }`}
+                        >
+                          Trash
+                        </button>
                       </div>
                     </div>
 
@@ -386,7 +661,9 @@ const ControlPanelPage = () => {
                         <svg className="w-16 h-16 text-gray-400 mx-auto mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
                         </svg>
-                        <p className="text-gray-500">No {postsView} posts found</p>
+                        <p className="text-gray-500">
+                          {postsView === 'trash' ? 'Trash is empty' : `No ${postsView} posts found`}
+                        </p>
                       </div>
                     ) : (
                       <div className="space-y-3">
@@ -405,7 +682,7 @@ const ControlPanelPage = () => {
                                     </span>
                                   </div>
                                   <p className="text-sm text-gray-600 line-clamp-2 mb-2">
-                                    {post.description}
+                                    {post.excerpt ?? post.description}
                                   </p>
                                   <div className="flex items-center space-x-4 text-xs text-gray-500">
                                     <span>ID: {post.id}</span>
@@ -418,16 +695,31 @@ const ControlPanelPage = () => {
                                         Archived on {new Date(post.archivedAt).toLocaleDateString()}
                                       </span>
                                     )}
+                                    {post.deletedAt && (
+                                      <span className="text-red-600 font-medium">
+                                        Deleted by {post.deletedBy} on {new Date(post.deletedAt).toLocaleDateString()},
+                                        purged on {new Date(post.purgeAt).toLocaleDateString()}
+                                      </span>
+                                    )}
                                   </div>
                                 </div>
                                 <div className="ml-4 flex-shrink-0 flex items-center space-x-2">
-                                  <button
-                                    onClick={() => navigate(`/posts/${post.id}`)}
-                                    className="px-3 py-1 text-sm text-blue-600 hover:text-blue-800 hover:bg-blue-50 rounded"
-                                  >
-                                    View
-                                  </button>
-                                  {postsView === 'active' ? (
+                                  {postsView !== 'trash' && (
+                                    <button
+                                      onClick={() => navigate(`/posts/${post.id}`)}
+                                      className="px-3 py-1 text-sm text-blue-600 hover:text-blue-800 hover:bg-blue-50 rounded"
+                                    >
+                                      View
+                                    </button>
+                                  )}
+                                  {postsView === 'trash' ? (
+                                    <button
+                                      onClick={() => handleRestoreDeletedPost(post.id)}
+                                      className="px-3 py-1 text-sm text-green-600 hover:text-green-800 hover:bg-green-50 rounded"
+                                    >
+                                      Restore
+                                    </button>
+                                  ) : postsView === 'active' ? (
                                     <button
                                       onClick={() => handleArchivePost(post.id)}
                                       className="px-3 py-1 text-sm text-orange-600 hover:text-orange-800 hover:bg-orange-50 rounded"
@@ -475,7 +767,7 @@ const ControlPanelPage = () => {
                         onClick={() => setIsAddModalOpen(true)}
                         className="px-4 py-2 bg-blue-600 text-white font-medium rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
                       >
-                        + Add Architect
+                        + Invite Architect
                       </button>
                     </div>
 
@@ -486,7 +778,7 @@ const ControlPanelPage = () => {
                           onClick={() => setIsAddModalOpen(true)}
                           className="mt-4 text-blue-600 hover:text-blue-800"
                         >
-                          Add your first architect
+                          Invite your first architect
                         </button>
                       </div>
                     ) : (
@@ -537,13 +829,20 @@ const ControlPanelPage = () => {
                                 </div>
                               </div>
                               <div className="flex-shrink-0 flex items-center space-x-2">
-                                {architect.status === 'active' && (
+                                {architect.status === 'active' ? (
                                   <button
                                     onClick={() => handleRemoveArchitect(architect.githubUsername)}
                                     className="px-3 py-1 text-sm text-orange-600 border border-orange-300 rounded hover:bg-orange-50"
                                   >
                                     Deactivate
                                   </button>
+                                ) : (
+                                  <button
+                                    onClick={() => handleReactivateArchitect(architect.githubUsername)}
+                                    className="px-3 py-1 text-sm text-green-600 border border-green-300 rounded hover:bg-green-50"
+                                  >
+                                    Reactivate
+                                  </button>
                                 )}
                                 <button
                                   onClick={() => handleDeleteArchitect(architect.githubUsername, architect.displayName)}
@@ -557,22 +856,403 @@ const ControlPanelPage = () => {
                         ))}
                       </div>
                     )}
+
+                    {/* Pending invitations */}
+                    {invites.length > 0 && (
+                      <div className="mt-8">
+                        <h3 className="text-lg font-semibold text-gray-900 mb-3">Pending Invitations</h3>
+                        <table className="min-w-full divide-y divide-gray-200">
+                          <thead className="bg-gray-50">
+                            <tr>
+                              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Architect</th>
+                              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Email</th>
+                              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Invited</th>
+                              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                              <th className="px-4 py-2"></th>
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y divide-gray-200">
+                            {invites.map((invite) => (
+                              <tr key={invite.id}>
+                                <td className="px-4 py-2 text-sm text-gray-900">
+                                  {invite.displayName}
+                                  <span className="block text-xs text-gray-500">{invite.username}</span>
+                                </td>
+                                <td className="px-4 py-2 text-sm text-gray-600">{invite.email}</td>
+                                <td className="px-4 py-2 text-sm text-gray-600">
+                                  {new Date(invite.invitedAt).toLocaleDateString()} by {invite.invitedBy}
+                                </td>
+                                <td className="px-4 py-2 text-sm">
+                                  {invite.expired ? (
+                                    <span className="text-red-600">Expired</span>
+                                  ) : (
+                                    <span className="text-gray-600">Expires {new Date(invite.expiresAt).toLocaleString()}</span>
+                                  )}
+                                </td>
+                                <td className="px-4 py-2 text-right space-x-3 whitespace-nowrap">
+                                  <button
+                                    onClick={() => handleResendInvite(invite)}
+                                    className="text-sm text-blue-600 hover:text-blue-800"
+                                  >
+                                    Resend
+                                  </button>
+                                  <button
+                                    onClick={() => handleRevokeInvite(invite)}
+                                    className="text-sm text-red-600 hover:text-red-800"
+                                  >
+                                    Revoke
+                                  </button>
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    )}
                   </div>
                 )}
 
                 {/* Users Tab */}
                 {activeTab === 'users' && (
-                  <div className="text-center py-12 bg-gray-50 rounded-lg">
-                    <svg className="w-16 h-16 text-gray-400 mx-auto mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z" />
-                    </svg>
-                    <h3 className="text-lg font-medium text-gray-900 mb-2">User Management</h3>
-                    <p className="text-gray-600">
-                      Users are managed through the architect creation process.
-                    </p>
-                    <p className="text-sm text-gray-500 mt-2">
-                      When you add an architect, a user account is automatically created.
-                    </p>
+                  <div>
+                    <div className="mb-6">
+                      <h2 className="text-xl font-semibold text-gray-900">Users</h2>
+                      <p className="text-sm text-gray-600 mt-1">
+                        Everyone who can sign in. Deactivated users are signed out and can&apos;t sign in
+                        until reactivated.
+                      </p>
+                    </div>
+
+                    {users.length === 0 ? (
+                      <p className="text-sm text-gray-500">No users.</p>
+                    ) : (
+                      <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                          <tr>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Two-Factor</th>
+                            <th className="px-4 py-2"></th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                          {users.map((account) => {
+                            const isSelf = account.username === user?.username;
+
+                            return (
+                              <tr key={account.username}>
+                                <td className="px-4 py-2 text-sm text-gray-900">
+                                  {account.fullName || account.username}
+                                  <span className="block text-xs text-gray-500">
+                                    {account.username}{account.signIn === 'oidc' ? ' · single sign-on' : ''}
+                                  </span>
+                                  {account.email && (
+                                    <span className="block text-xs text-gray-500">{account.email}</span>
+                                  )}
+                                </td>
+                                <td className="px-4 py-2 text-sm text-gray-600">
+                                  <select
+                                    value={account.role}
+                                    disabled={isSelf}
+                                    onChange={(e) => handleChangeRole(account, e.target.value)}
+                                    className="px-2 py-1 border border-gray-300 rounded text-sm disabled:bg-gray-50"
+                                  >
+                                    {(authSettings?.roles || [account.role]).map((role) => (
+                                      <option key={role} value={role}>{role}</option>
+                                    ))}
+                                  </select>
+                                </td>
+                                <td className="px-4 py-2 text-sm">
+                                  {account.active ? (
+                                    <span className="text-green-700">Active</span>
+                                  ) : (
+                                    <span className="text-gray-600" title={account.deactivatedBy ? `by ${account.deactivatedBy}` : undefined}>
+                                      Deactivated{account.deactivatedAt ? ` ${new Date(account.deactivatedAt).toLocaleDateString()}` : ''}
+                                    </span>
+                                  )}
+                                </td>
+                                <td className="px-4 py-2 text-sm">
+                                  {account.twoFactorEnabled ? (
+                                    <span className="text-green-700">On</span>
+                                  ) : (authSettings?.requireTwoFactor || []).includes(account.role) ? (
+                                    <span className="text-yellow-700">Set up at next login</span>
+                                  ) : (
+                                    <span className="text-gray-600">Off</span>
+                                  )}
+                                  {account.twoFactorEnabled && (
+                                    <button
+                                      onClick={() => handleResetTwoFactor(account)}
+                                      className="ml-2 text-sm text-red-600 hover:text-red-800"
+                                    >
+                                      Reset
+                                    </button>
+                                  )}
+                                </td>
+                                <td className="px-4 py-2 text-right space-x-3 whitespace-nowrap">
+                                  {account.signIn === 'password' && (
+                                    <>
+                                      <button
+                                        onClick={() => setEmailAccount(account)}
+                                        className="text-sm text-blue-600 hover:text-blue-800"
+                                      >
+                                        Set Email
+                                      </button>
+                                      <button
+                                        onClick={() => setPasswordAccount(account)}
+                                        className="text-sm text-blue-600 hover:text-blue-800"
+                                      >
+                                        Set Password
+                                      </button>
+                                    </>
+                                  )}
+                                  {!isSelf && (
+                                    <>
+                                      <button
+                                        onClick={() => handleToggleActive(account)}
+                                        className={`text-sm ${account.active ? 'text-orange-600 hover:text-orange-800' : 'text-green-600 hover:text-green-800'}`}
+                                      >
+                                        {account.active ? 'Deactivate' : 'Reactivate'}
+                                      </button>
+                                      <button
+                                        onClick={() => handleDeleteUser(account)}
+                                        className="text-sm text-red-600 hover:text-red-800"
+                                      >
+                                        Delete
+                                      </button>
+                                    </>
+                                  )}
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    )}
+
+                    {/* Add a user who isn't an architect */}
+                    <form onSubmit={handleCreateUser} className="mt-8 p-4 border border-gray-200 rounded-lg">
+                      <h3 className="font-medium text-gray-900 mb-1">Add User</h3>
+                      <p className="text-sm text-gray-600 mb-3">
+                        For admins and reviewers. Add architects from the Architects tab. The email
+                        address is optional and only used for password reset links.
+                      </p>
+                      <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+                        <input
+                          type="text"
+                          placeholder="Username"
+                          value={newUser.username}
+                          onChange={(e) => setNewUser({ ...newUser, username: e.target.value })}
+                          required
+                          className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                        />
+                        <input
+                          type="text"
+                          placeholder="Full name"
+                          value={newUser.fullName}
+                          onChange={(e) => setNewUser({ ...newUser, fullName: e.target.value })}
+                          required
+                          className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                        />
+                        <input
+                          type="email"
+                          placeholder="Email (optional)"
+                          value={newUser.email}
+                          onChange={(e) => setNewUser({ ...newUser, email: e.target.value })}
+                          className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                        />
+                        <select
+                          value={newUser.role}
+                          onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+                          className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                        >
+                          {(authSettings?.roles || []).filter(role => role !== 'architect').map((role) => (
+                            <option key={role} value={role}>{role}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="password"
+                          placeholder="Password"
+                          value={newUser.password}
+                          onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+                          required
+                          minLength={8}
+                          autoComplete="new-password"
+                          className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                        />
+                      </div>
+                      <button
+                        type="submit"
+                        className="mt-3 px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700"
+                      >
+                        Add User
+                      </button>
+                    </form>
+                  </div>
+                )}
+
+                {/* Sign-in Tab */}
+                {activeTab === 'signin' && (
+                  <div>
+                    <div className="mb-6">
+                      <h2 className="text-xl font-semibold text-gray-900">Sign-in</h2>
+                      <p className="text-sm text-gray-600 mt-1">
+                        Choose how users sign in to the board
+                      </p>
+                    </div>
+
+                    {authSettings && (
+                      <div className="space-y-4">
+                        <div className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+                          <div>
+                            <h3 className="font-medium text-gray-900">Password login</h3>
+                            <p className="text-sm text-gray-600">
+                              {!authSettings.passwordLogin
+                                ? 'Off: users sign in with GitHub or single sign-on only.'
+                                : authSettings.github || authSettings.oidc
+                                  ? 'On: users can sign in with a username and password.'
+                                  : 'On. Configure GitHub sign-in or single sign-on on the server before turning this off.'}
+                            </p>
+                          </div>
+                          <button
+                            onClick={handleTogglePasswordLogin}
+                            disabled={authSettings.passwordLogin && !authSettings.github && !authSettings.oidc}
+                            className={`px-4 py-2 text-sm font-medium rounded-md disabled:opacity-50 disabled:cursor-not-allowed ${
+                              authSettings.passwordLogin
+                                ? 'bg-red-50 text-red-700 hover:bg-red-100'
+                                : 'bg-blue-600 text-white hover:bg-blue-700'
+                            }`}
+                          >
+                            {authSettings.passwordLogin ? 'Turn Off' : 'Turn On'}
+                          </button>
+                        </div>
+
+                        <div className="p-4 border border-gray-200 rounded-lg">
+                          <h3 className="font-medium text-gray-900">Require two-factor authentication</h3>
+                          <p className="text-sm text-gray-600 mb-3">
+                            Users of these roles must use an authenticator app, whichever way they sign in.
+                          </p>
+                          <div className="flex flex-wrap gap-4">
+                            {(authSettings.roles || []).map((role) => (
+                              <label key={role} className="flex items-center gap-2 text-sm text-gray-700">
+                                <input
+                                  type="checkbox"
+                                  checked={(authSettings.requireTwoFactor || []).includes(role)}
+                                  onChange={() => handleToggleTwoFactorRole(role)}
+                                />
+                                {role}
+                              </label>
+                            ))}
+                          </div>
+                          {(authSettings.github || authSettings.oidc) && (
+                            <label className="flex items-center gap-2 text-sm text-gray-700 mt-4">
+                              <input
+                                type="checkbox"
+                                checked={Boolean(authSettings.trustProviderMfa)}
+                                onChange={handleToggleTrustProviderMfa}
+                              />
+                              Trust the provider&apos;s second factor: GitHub sign-in and single sign-on skip the code
+                            </label>
+                          )}
+                        </div>
+
+                        <div className="p-4 bg-gray-50 rounded-lg text-sm text-gray-600">
+                          <p>GitHub sign-in: {authSettings.github ? 'configured' : 'not configured'}</p>
+                          <p>Single sign-on: {authSettings.oidc ? 'configured' : 'not configured'}</p>
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Failed logins and lockouts */}
+                    <div className="mt-8">
+                      <div className="flex items-center justify-between mb-3">
+                        <h3 className="text-lg font-semibold text-gray-900">Failed Logins</h3>
+                        <button
+                          onClick={loadLoginActivity}
+                          className="text-sm text-blue-600 hover:text-blue-800"
+                        >
+                          Refresh
+                        </button>
+                      </div>
+                      {lockouts.length === 0 ? (
+                        <p className="text-sm text-gray-500">No recent failed logins.</p>
+                      ) : (
+                        <table className="min-w-full divide-y divide-gray-200">
+                          <thead className="bg-gray-50">
+                            <tr>
+                              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">User / Address</th>
+                              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Failures</th>
+                              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Last Failure</th>
+                              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                              <th className="px-4 py-2"></th>
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y divide-gray-200">
+                            {lockouts.map((lockout) => (
+                              <tr key={lockout.key}>
+                                <td className="px-4 py-2 text-sm text-gray-900">
+                                  <span className="text-gray-500">{lockout.type === 'user' ? 'User' : 'IP'}</span> {lockout.value}
+                                </td>
+                                <td className="px-4 py-2 text-sm text-gray-600">{lockout.failures}</td>
+                                <td className="px-4 py-2 text-sm text-gray-600">{new Date(lockout.lastFailureAt).toLocaleString()}</td>
+                                <td className="px-4 py-2 text-sm">
+                                  {lockout.locked ? (
+                                    <span className="text-red-600">Locked until {new Date(lockout.lockedUntil).toLocaleTimeString()}</span>
+                                  ) : (
+                                    <span className="text-gray-600">Counting</span>
+                                  )}
+                                </td>
+                                <td className="px-4 py-2 text-right">
+                                  <button
+                                    onClick={() => handleUnlock(lockout)}
+                                    className="text-sm text-blue-600 hover:text-blue-800"
+                                  >
+                                    {lockout.locked ? 'Unlock' : 'Reset'}
+                                  </button>
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                    </div>
+
+                    {/* Login events */}
+                    <div className="mt-8">
+                      <h3 className="text-lg font-semibold text-gray-900 mb-3">Today's Login Attempts</h3>
+                      {loginEvents.length === 0 ? (
+                        <p className="text-sm text-gray-500">No login attempts recorded today.</p>
+                      ) : (
+                        <table className="min-w-full divide-y divide-gray-200">
+                          <thead className="bg-gray-50">
+                            <tr>
+                              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Time</th>
+                              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Event</th>
+                              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+                              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Address</th>
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y divide-gray-200">
+                            {loginEvents.map((event, index) => (
+                              <tr key={`${event.at}-${index}`}>
+                                <td className="px-4 py-2 text-sm text-gray-600">{new Date(event.at).toLocaleTimeString()}</td>
+                                <td className={`px-4 py-2 text-sm ${event.type === 'login_success' ? 'text-green-700' : event.type === 'unlock' ? 'text-blue-700' : 'text-red-700'}`}>
+                                  {event.type === 'login_failure' && event.detail === 'two_factor'
+                                    ? 'Wrong code'
+                                    : LOGIN_EVENT_LABELS[event.type] || event.type}
+                                  {event.type === 'login_success' && LOGIN_EVENT_DETAILS[event.detail] && (
+                                    <span className="text-gray-500"> ({LOGIN_EVENT_DETAILS[event.detail]})</span>
+                                  )}
+                                  {event.actor && <span className="text-gray-500"> by {event.actor}</span>}
+                                </td>
+                                <td className="px-4 py-2 text-sm text-gray-900">{event.username || '-'}</td>
+                                <td className="px-4 py-2 text-sm text-gray-600 font-mono">{event.ip || '-'}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                    </div>
                   </div>
                 )}
               </>
@@ -588,96 +1268,17 @@ const ControlPanelPage = () => {
         onArchitectAdded={handleAddArchitect}
       />
 
-      {/* New Credentials Modal */}
-      {newCredentials && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-          <div className="bg-white rounded-lg shadow-xl max-w-md w-full p-6">
-            <div className="mb-4">
-              <h3 className="text-xl font-bold text-gray-900 mb-2">
-                Architect Account Created Successfully!
-              </h3>
-              <p className="text-sm text-gray-600">
-                Save these credentials - they won't be shown again.
-              </p>
-            </div>
-
-            <div className="space-y-4 mb-6">
-              {/* Display Name */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Display Name
-                </label>
-                <div className="p-3 bg-gray-50 rounded border border-gray-200">
-                  <p className="text-sm font-mono text-gray-900">{newCredentials.displayName}</p>
-                </div>
-              </div>
-
-              {/* Username */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Username
-                </label>
-                <div className="flex items-center space-x-2">
-                  <div className="flex-1 p-3 bg-gray-50 rounded border border-gray-200">
-                    <p className="text-sm font-mono text-gray-900">{newCredentials.username}</p>
-                  </div>
-                  <button
-                    onClick={() => copyToClipboard(newCredentials.username)}
-                    className="px-3 py-2 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    title="Copy username"
-                  >
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
-                    </svg>
-                  </button>
-                </div>
-              </div>
-
-              {/* Password */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Password
-                </label>
-                <div className="flex items-center space-x-2">
-                  <div className="flex-1 p-3 bg-gray-50 rounded border border-gray-200">
-                    <p className="text-sm font-mono text-gray-900">{newCredentials.password}</p>
-                  </div>
-                  <button
-                    onClick={() => copyToClipboard(newCredentials.password)}
-                    className="px-3 py-2 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    title="Copy password"
-                  >
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
-                    </svg>
-                  </button>
-                </div>
-              </div>
-            </div>
-
-            {/* Warning Message */}
-            <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded">
-              <div className="flex items-start">
-                <svg className="w-5 h-5 text-yellow-600 mr-2 flex-shrink-0 mt-0.5" fill="currentColor" viewBox="0 0 20 20">
-                  <path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
-                </svg>
-                <p className="text-sm text-yellow-800">
-                  <strong>Important:</strong> Make sure to save these credentials securely. The password cannot be recovered later.
-                </p>
-              </div>
-            </div>
-
-            {/* Close Button */}
-            <button
-              onClick={closeCredentialsModal}
-              className="w-full px-4 py-2 bg-blue-600 text-white font-medium rounded hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
-            >
-              Done
-            </button>
-          </div>
-        </div>
-      )}
-
+      {/* Set Password / Set Email Modals */}
+      <SetPasswordModal
+        account={passwordAccount}
+        onClose={() => setPasswordAccount(null)}
+        onPasswordSet={handleSetPassword}
+      />
+      <SetEmailModal
+        account={emailAccount}
+        onClose={() => setEmailAccount(null)}
+        onEmailSet={handleSetEmail}
+      />
     </div>
   );
 };
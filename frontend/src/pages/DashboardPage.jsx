@@ -11,7 +11,7 @@ import { ROUTES } from '../utils/constants';
 import CreatePostModal from '../components/posts/CreatePostModal';
 
 const DashboardPage = () => {
-  const { user, logout, isAdmin } = useAuth();
+  const { user, logout, logoutEverywhere, can } = useAuth();
   const { posts, filteredPosts, isLoading, fetchPosts } = usePosts();
   const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
@@ -31,6 +31,13 @@ const DashboardPage = () => {
     fetchPosts();
   };
 
+  const handleLogoutEverywhere = async () => {
+    if (!confirm('Log out on every device, including this one?')) {
+      return;
+    }
+    await logoutEverywhere();
+  };
+
   // Helper function to format status display
   const getStatusDisplay = (statusId) => {
     const statusMap = {
@@ -53,7 +60,7 @@ const DashboardPage = () => {
 
     const matchesSearch = searchQuery === '' ||
       post.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      post.description.toLowerCase().includes(searchQuery.toLowerCase());
+      (post.description ?? post.excerpt ?? '').toLowerCase().includes(searchQuery.toLowerCase());
 
     const matchesStatus = statusFilter === 'all' || post.status === statusFilter;
 
@@ -70,16 +77,22 @@ const DashboardPage = () => {
               Architecture Bulletin
             </h1>
             <div className="flex items-center space-x-4">
-              <button
-                onClick={handleCreatePost}
-                className="px-4 py-2 bg-blue-600 text-white font-medium rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-colors"
+              {can('posts:create') && (
+                <button
+                  onClick={handleCreatePost}
+                  className="px-4 py-2 bg-blue-600 text-white font-medium rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-colors"
+                >
+                  + Create Post
+                </button>
+              )}
+              <Link
+                to={ROUTES.PROFILE}
+                className="text-sm text-gray-600 hover:text-gray-900"
+                title="Profile and API tokens"
               >
-                + Create Post
-              </button>
-              <span className="text-sm text-gray-600">
                 {user?.name} ({user?.role})
-              </span>
-              {isAdmin() && (
+              </Link>
+              {can('config:manage') && (
                 <Link
                   to={ROUTES.CONTROL_PANEL}
                   className="text-sm text-blue-600 hover:text-blue-800"
@@ -93,6 +106,13 @@ const DashboardPage = () => {
               >
                 Logout
               </button>
+              <button
+                onClick={handleLogoutEverywhere}
+                className="text-sm text-gray-600 hover:text-gray-900"
+                title="End your sessions on every device"
+              >
+                Logout Everywhere
+              </button>
             </div>
           </div>
         </div>
@@ -204,7 +224,7 @@ const DashboardPage = () => {
         ) : displayedPosts.length === 0 ? (
           <div className="text-center py-12">
             <p className="text-gray-600">No posts found.</p>
-            {isAdmin() && (
+            {can('posts:create') && (
               <button
                 onClick={handleCreatePost}
                 className="mt-4 px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
@@ -232,7 +252,7 @@ const DashboardPage = () => {
                   </div>
 
                   <p className="text-gray-600 text-sm mb-4 line-clamp-3">
-                    {post.description}
+                    {post.excerpt ?? post.description}
                   </p>
 
                   <div className="flex items-center justify-between text-sm border-t pt-4">
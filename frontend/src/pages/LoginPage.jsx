@@ -1,16 +1,29 @@
 /**
  * Login Page
- * Username/password authentication via backend API
+ * Username/password, GitHub and single sign-on authentication via backend API
+ * Logins with two-factor on take a second step for the code (or enrollment,
+ * when the user's role requires two-factor and it isn't set up); GitHub and
+ * single sign-on arrive here from CallbackPage for that step
+ * Forgotten passwords are reset from an emailed link (see ResetPasswordPage)
+ * On a fresh install, shows first-run setup to create the admin account
  */
 
-import { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useState, useEffect, useRef } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
 import { ROUTES } from '../utils/constants';
+import apiClient from '../services/apiClient';
+import { initiateOAuth } from '../services/githubAuthService';
+import { initiateOidcLogin } from '../services/oidcAuthService';
+import RecoveryCodes from '../components/auth/RecoveryCodes';
+import TwoFactorEnrollment from '../components/auth/TwoFactorEnrollment';
+
+const MIN_PASSWORD_LENGTH = 8;
 
 const LoginPage = () => {
-  const { isAuthenticated, login } = useAuth();
+  const { isAuthenticated, login, completeTwoFactor, completeSetup } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
 
   // Auth state
   const [username, setUsername] = useState('');
@@ -18,12 +31,106 @@ const LoginPage = () => {
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
 
-  // Redirect to dashboard if already authenticated
+  // First-run setup state
+  const [setupRequired, setSetupRequired] = useState(false);
+  const [setupToken, setSetupToken] = useState('');
+  const [fullName, setFullName] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+
+  // Two-factor step: { twoFactor: 'verify' | 'setup', challengeToken }
+  const [challenge, setChallenge] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  // A challenge from CallbackPage is only taken up once, even if the effect runs twice
+  const hasTakenChallenge = useRef(false);
+
+  // Sign-in methods offered by the backend
+  const [providers, setProviders] = useState({ password: true, github: false, oidc: false });
+
+  // Redirect to dashboard if already authenticated (after new recovery codes
+  // have been seen)
   useEffect(() => {
-    if (isAuthenticated) {
+    if (isAuthenticated && challenge?.twoFactor !== 'setup') {
       navigate(ROUTES.DASHBOARD, { replace: true });
     }
-  }, [isAuthenticated, navigate]);
+  }, [isAuthenticated, challenge, navigate]);
+
+  // Check whether the admin account still has to be created
+  useEffect(() => {
+    apiClient.getSetupStatus()
+      .then((response) => {
+        if (response.success && response.data.required) {
+          setSetupRequired(true);
+          setUsername('admin');
+        }
+      })
+      .catch(() => {
+        // Login still works; setup is detected again on SETUP_REQUIRED
+      });
+  }, []);
+
+  useEffect(() => {
+    apiClient.getAuthProviders()
+      .then((response) => {
+        if (response.success) {
+          setProviders(response.data);
+        }
+      })
+      .catch(() => {
+        // Fall back to password login only
+      });
+  }, []);
+
+  const startChallenge = async (result) => {
+    setChallenge(result);
+    setCode('');
+    if (result.twoFactor === 'setup') {
+      const response = await apiClient.startTwoFactorEnrollment(result.challengeToken);
+      setEnrollment(response.data);
+    }
+  };
+
+  // GitHub or single sign-on that still needs a code
+  useEffect(() => {
+    const pending = location.state?.challenge;
+    if (!pending || hasTakenChallenge.current) {
+      return;
+    }
+    hasTakenChallenge.current = true;
+
+    setLoading(true);
+    startChallenge(pending)
+      .catch((err) => {
+        setChallenge(null);
+        setError(err.message || 'Could not start two-factor setup. Please sign in again.');
+      })
+      .finally(() => setLoading(false));
+  }, [location.state]);
+
+  const handleGithubLogin = async () => {
+    setError('');
+    setLoading(true);
+
+    try {
+      await initiateOAuth();
+    } catch (err) {
+      setError(err.message || 'Could not start GitHub sign-in.');
+      setLoading(false);
+    }
+  };
+
+  const handleOidcLogin = async () => {
+    setError('');
+    setLoading(true);
+
+    try {
+      await initiateOidcLogin();
+    } catch (err) {
+      setError(err.message || 'Could not start single sign-on.');
+      setLoading(false);
+    }
+  };
 
   const handleLogin = async (e) => {
     e.preventDefault();
@@ -31,19 +138,82 @@ const LoginPage = () => {
     setLoading(true);
 
     try {
-      await login(username, password);
+      const result = await login(username, password);
+
+      if (result.twoFactor) {
+        await startChallenge(result);
+        return;
+      }
+
       navigate(ROUTES.DASHBOARD);
     } catch (err) {
+      if (err.code === 'SETUP_REQUIRED') {
+        setSetupRequired(true);
+      }
       setError(err.message || 'Login failed. Please check your credentials.');
     } finally {
       setLoading(false);
     }
   };
 
-  // Quick login button for demo/testing
-  const quickLogin = (user, pass) => {
-    setUsername(user);
-    setPassword(pass);
+  const handleTwoFactor = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const result = await completeTwoFactor(challenge.challengeToken, code.trim());
+
+      if (result.recoveryCodes) {
+        setRecoveryCodes(result.recoveryCodes);
+      } else {
+        navigate(ROUTES.DASHBOARD);
+      }
+    } catch (err) {
+      if (err.code === 'INVALID_CHALLENGE') {
+        handleCancelTwoFactor();
+      }
+      setError(err.message || 'Verification failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancelTwoFactor = () => {
+    setChallenge(null);
+    setEnrollment(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const handleSetup = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await completeSetup({ setupToken: setupToken.trim(), username, password, fullName });
+      navigate(ROUTES.DASHBOARD);
+    } catch (err) {
+      if (err.code === 'SETUP_COMPLETE') {
+        setSetupRequired(false);
+        setPassword('');
+        setConfirmPassword('');
+      }
+      setError(err.message || 'Setup failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
   };
 
   return (
@@ -60,75 +230,273 @@ const LoginPage = () => {
             </p>
           </div>
 
-          {/* Login Form */}
-          <form onSubmit={handleLogin} className="space-y-6">
-            <div>
-              <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-2">
-                Username
-              </label>
-              <input
-                id="username"
-                type="text"
-                value={username}
-                onChange={(e) => setUsername(e.target.value)}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                placeholder="Enter your username"
-                required
-                disabled={loading}
-              />
+          {recoveryCodes ? (
+            /* Recovery codes after enrolling at login */
+            <div className="space-y-5">
+              <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-md text-sm">
+                Two-factor authentication is set up.
+              </div>
+
+              <RecoveryCodes codes={recoveryCodes} />
+
+              <button
+                type="button"
+                onClick={() => navigate(ROUTES.DASHBOARD, { replace: true })}
+                className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-colors"
+              >
+                I&apos;ve saved my codes, continue
+              </button>
             </div>
+          ) : challenge ? (
+            /* Two-factor Step */
+            <form onSubmit={handleTwoFactor} className="space-y-6">
+              {challenge.twoFactor === 'setup' ? (
+                <>
+                  <div className="bg-blue-50 border border-blue-200 text-blue-800 px-4 py-3 rounded-md text-sm">
+                    Your role requires two-factor authentication. Set it up to finish signing in.
+                  </div>
+                  {enrollment && <TwoFactorEnrollment enrollment={enrollment} />}
+                </>
+              ) : (
+                <p className="text-sm text-gray-700">
+                  Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+                </p>
+              )}
+
+              <div>
+                <label htmlFor="code" className="block text-sm font-medium text-gray-700 mb-2">
+                  {challenge.twoFactor === 'setup' ? 'Code from the App' : 'Authentication Code'}
+                </label>
+                <input
+                  id="code"
+                  type="text"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="123456"
+                  inputMode={challenge.twoFactor === 'setup' ? 'numeric' : 'text'}
+                  autoComplete="one-time-code"
+                  autoFocus
+                  required
+                  disabled={loading}
+                />
+              </div>
+
+              {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md">
+                  {error}
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={loading || (challenge.twoFactor === 'setup' && !enrollment)}
+                className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </button>
 
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
-                Password
-              </label>
-              <input
-                id="password"
-                type="password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                placeholder="Enter your password"
-                required
+              <button
+                type="button"
+                onClick={handleCancelTwoFactor}
                 disabled={loading}
-              />
-            </div>
+                className="w-full text-sm text-gray-600 hover:text-gray-800"
+              >
+                Back to login
+              </button>
+            </form>
+          ) : setupRequired ? (
+            /* First-run Setup Form */
+            <form onSubmit={handleSetup} className="space-y-5">
+              <div className="bg-blue-50 border border-blue-200 text-blue-800 px-4 py-3 rounded-md text-sm">
+                No accounts exist yet. Create the administrator account to finish setting up.
+                The setup code is printed in the server log (or set with <span className="font-mono">SETUP_TOKEN</span>).
+              </div>
+
+              <div>
+                <label htmlFor="setupToken" className="block text-sm font-medium text-gray-700 mb-2">
+                  Setup Code
+                </label>
+                <input
+                  id="setupToken"
+                  type="text"
+                  value={setupToken}
+                  onChange={(e) => setSetupToken(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Code from the server log"
+                  autoComplete="off"
+                  required
+                  disabled={loading}
+                />
+              </div>
+
+              <div>
+                <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-2">
+                  Admin Username
+                </label>
+                <input
+                  id="username"
+                  type="text"
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  required
+                  disabled={loading}
+                />
+              </div>
+
+              <div>
+                <label htmlFor="fullName" className="block text-sm font-medium text-gray-700 mb-2">
+                  Full Name
+                </label>
+                <input
+                  id="fullName"
+                  type="text"
+                  value={fullName}
+                  onChange={(e) => setFullName(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Administrator"
+                  disabled={loading}
+                />
+              </div>
+
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
+                  Password
+                </label>
+                <input
+                  id="password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+                  autoComplete="new-password"
+                  required
+                  disabled={loading}
+                />
+              </div>
+
+              <div>
+                <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-2">
+                  Confirm Password
+                </label>
+                <input
+                  id="confirmPassword"
+                  type="password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  autoComplete="new-password"
+                  required
+                  disabled={loading}
+                />
+              </div>
+
+              {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md">
+                  {error}
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {loading ? 'Creating account...' : 'Create Admin Account'}
+              </button>
+            </form>
+          ) : providers.password ? (
+            /* Login Form */
+            <form onSubmit={handleLogin} className="space-y-6">
+              <div>
+                <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-2">
+                  Username
+                </label>
+                <input
+                  id="username"
+                  type="text"
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Enter your username"
+                  required
+                  disabled={loading}
+                />
+              </div>
 
-            {error && (
-              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md">
-                {error}
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
+                  Password
+                </label>
+                <input
+                  id="password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Enter your password"
+                  required
+                  disabled={loading}
+                />
+                <div className="mt-2 text-right">
+                  <Link to={ROUTES.RESET_PASSWORD} className="text-sm text-blue-600 hover:text-blue-800">
+                    Forgot password?
+                  </Link>
+                </div>
               </div>
-            )}
-
-            <button
-              type="submit"
-              disabled={loading}
-              className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-            >
-              {loading ? 'Logging in...' : 'Login'}
-            </button>
-          </form>
-
-          {/* Quick Login (Demo/Dev) */}
-          {import.meta.env.DEV && (
-            <div className="mt-8 pt-6 border-t border-gray-200">
-              <p className="text-sm text-gray-600 mb-3 text-center">Quick Login (Development):</p>
-              <div className="space-y-2">
+
+              {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md">
+                  {error}
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {loading ? 'Logging in...' : 'Login'}
+              </button>
+            </form>
+          ) : null}
+
+          {!setupRequired && !challenge && (providers.github || providers.oidc) && (
+            <div className={providers.password ? 'mt-6 pt-6 border-t border-gray-200 space-y-3' : 'space-y-3'}>
+              {!providers.password && error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md">
+                  {error}
+                </div>
+              )}
+
+              {providers.oidc && (
                 <button
-                  onClick={() => quickLogin('admin', 'admin123')}
-                  className="w-full px-4 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                  type="button"
+                  onClick={handleOidcLogin}
+                  disabled={loading}
+                  className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
                 >
-                  Login as Admin
+                  Sign in with {providers.oidcName || 'Single Sign-On'}
                 </button>
-              </div>
+              )}
+
+              {providers.github && (
+                <button
+                  type="button"
+                  onClick={handleGithubLogin}
+                  disabled={loading}
+                  className="w-full flex items-center justify-center gap-2 bg-gray-900 text-white py-2 px-4 rounded-md hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-gray-700 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                    <path fillRule="evenodd" clipRule="evenodd" d="M12 2C6.477 2 2 6.484 2 12.017c0 4.425 2.865 8.18 6.839 9.504.5.092.682-.217.682-.483 0-.237-.008-.868-.013-1.703-2.782.605-3.369-1.343-3.369-1.343-.454-1.158-1.11-1.466-1.11-1.466-.908-.62.069-.608.069-.608 1.003.07 1.531 1.032 1.531 1.032.892 1.53 2.341 1.088 2.91.832.092-.647.35-1.088.636-1.338-2.22-.253-4.555-1.113-4.555-4.951 0-1.093.39-1.988 1.029-2.688-.103-.253-.446-1.272.098-2.65 0 0 .84-.27 2.75 1.026A9.564 9.564 0 0112 6.844c.85.004 1.705.115 2.504.337 1.909-1.296 2.747-1.027 2.747-1.027.546 1.379.202 2.398.1 2.651.64.7 1.028 1.595 1.028 2.688 0 3.848-2.339 4.695-4.566 4.943.359.309.678.92.678 1.855 0 1.338-.012 2.419-.012 2.747 0 .268.18.58.688.482A10.019 10.019 0 0022 12.017C22 6.484 17.522 2 12 2z" />
+                  </svg>
+                  Sign in with GitHub
+                </button>
+              )}
             </div>
           )}
-
-          {/* Info */}
-          <div className="mt-6 text-center text-xs text-gray-500">
-            <p>Default credentials:</p>
-            <p className="font-mono">admin / admin123</p>
-          </div>
         </div>
       </div>
     </div>
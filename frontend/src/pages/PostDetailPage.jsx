@@ -13,12 +13,13 @@ import apiClient from '../services/apiClient';
 import { downloadFile } from '../utils/fileDownload';
 import EditPostModal from '../components/posts/EditPostModal';
 import ChatPanel from '../components/chat/ChatPanel';
+import PostHistoryModal from '../components/posts/PostHistoryModal';
 
 const PostDetailPage = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { user, isAdmin } = useAuth();
-  const { fetchPost, updatePost, updateStatus, assignArchitects, deletePost } = usePosts();
+  const { user, can } = useAuth();
+  const { fetchPost, updatePost, updateStatus, assignArchitects, addComment, deletePost, restoreDeletedPost } = usePosts();
 
   const [post, setPost] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
@@ -32,7 +33,10 @@ const PostDetailPage = () => {
   const [isAssigning, setIsAssigning] = useState(false);
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
   const [isChatOpen, setIsChatOpen] = useState(false);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [deletedInfo, setDeletedInfo] = useState(null);
+  const [isUndoing, setIsUndoing] = useState(false);
 
   // Load post data and architects
   useEffect(() => {
@@ -130,7 +134,7 @@ const PostDetailPage = () => {
       const updatedProof = [...existingProof, newProofEntry];
 
       // Update post with new proof
-      await updatePost(id, { proofOfWork: updatedProof }, user.username);
+      await updatePost(id, { proofOfWork: updatedProof });
 
       setSuccess('Proof of work uploaded successfully!');
       setProofFiles([]);
@@ -208,9 +212,9 @@ const PostDetailPage = () => {
   };
 
   const handleDeletePost = async () => {
-    const confirmMsg = isAdmin()
-      ? 'Are you sure you want to delete this post? This action cannot be undone.'
-      : 'Are you sure you want to delete your post? This action cannot be undone.';
+    const confirmMsg = post.createdBy === user.username
+      ? 'Are you sure you want to delete your post? It will be moved to the trash.'
+      : 'Are you sure you want to delete this post? It will be moved to the trash.';
 
     if (!confirm(confirmMsg)) {
       return;
@@ -219,9 +223,8 @@ const PostDetailPage = () => {
     try {
       setIsDeleting(true);
       setError('');
-      await deletePost(id, user.username);
-      setSuccess('Post deleted successfully!');
-      setTimeout(() => navigate(ROUTES.DASHBOARD), 1500);
+      const result = await deletePost(id, user.username);
+      setDeletedInfo(result || { id });
     } catch (err) {
       setError('Failed to delete post: ' + err.message);
     } finally {
@@ -229,23 +232,29 @@ const PostDetailPage = () => {
     }
   };
 
+  const handleUndoDelete = async () => {
+    try {
+      setIsUndoing(true);
+      setError('');
+      await restoreDeletedPost(id);
+      setDeletedInfo(null);
+      setSuccess('Post restored.');
+      await loadPost();
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError('Failed to restore post: ' + err.message);
+    } finally {
+      setIsUndoing(false);
+    }
+  };
+
   const canDeletePost = () => {
-    if (isAdmin()) return true;
-    if (post && post.createdBy === user.username) return true;
-    return false;
+    return Boolean(post) && can('posts:delete', post);
   };
 
   const handleSendMessage = async (message) => {
     try {
-      const conversations = post.conversations || [];
-      const newConversation = {
-        author: user.username,
-        message,
-        timestamp: new Date().toISOString(),
-      };
-
-      const updatedConversations = [...conversations, newConversation];
-      await updatePost(id, { conversations: updatedConversations }, user.username);
+      await addComment(id, message);
       await loadPost();
     } catch (err) {
       throw new Error('Failed to send message: ' + err.message);
@@ -322,8 +331,19 @@ const PostDetailPage = () => {
               <span>Chat</span>
             </button>
 
+            {/* History Button */}
+            <button
+              onClick={() => setIsHistoryOpen(true)}
+              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 flex items-center space-x-2"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+              <span>History</span>
+            </button>
+
             {/* Delete Button */}
-            {canDeletePost() && (
+            {canDeletePost() && !deletedInfo && (
               <button
                 onClick={handleDeletePost}
                 disabled={isDeleting}
@@ -339,6 +359,29 @@ const PostDetailPage = () => {
         </div>
 
         {/* Notifications */}
+        {deletedInfo && (
+          <div className="mb-4 p-4 bg-yellow-50 border border-yellow-200 rounded-md flex items-center justify-between">
+            <p className="text-sm text-yellow-800">
+              Post moved to the trash.
+              {deletedInfo.purgeAt && ` It will be permanently deleted on ${new Date(deletedInfo.purgeAt).toLocaleDateString()}.`}
+            </p>
+            <div className="flex items-center space-x-3 ml-4 flex-shrink-0">
+              <button
+                onClick={handleUndoDelete}
+                disabled={isUndoing}
+                className="px-3 py-1 text-sm font-medium text-yellow-900 bg-yellow-100 hover:bg-yellow-200 rounded disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isUndoing ? 'Restoring...' : 'Undo'}
+              </button>
+              <button
+                onClick={() => navigate(ROUTES.DASHBOARD)}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                Back to Dashboard
+              </button>
+            </div>
+          </div>
+        )}
         {error && (
           <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-md">
             <p className="text-sm text-red-600">{error}</p>
@@ -361,7 +404,7 @@ const PostDetailPage = () => {
                   <span className={`px-3 py-1 rounded-full text-sm font-medium ${status.color} whitespace-nowrap`}>
                     {status.label}
                   </span>
-                  {isAdmin() && post.status !== 'status-closed' && (
+                  {can('posts:edit', post) && post.status !== 'status-closed' && (
                     <button
                       onClick={handleEditPost}
                       className="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 flex items-center space-x-1"
@@ -445,7 +488,7 @@ const PostDetailPage = () => {
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 21h10a2 2 0 002-2V9.414a1 1 0 00-.293-.707l-5.414-5.414A1 1 0 0012.586 3H7a2 2 0 00-2 2v14a2 2 0 002 2z" />
                   </svg>
                   <p className="text-sm text-gray-500">No artifacts uploaded for this topic</p>
-                  {isAdmin() && post.status !== 'status-closed' && (
+                  {can('posts:edit', post) && post.status !== 'status-closed' && (
                     <p className="text-xs text-gray-400 mt-1">Use the Edit button to add artifacts</p>
                   )}
                 </div>
@@ -500,8 +543,8 @@ const PostDetailPage = () => {
                 <p className="text-gray-500 text-sm mb-6">No proof of work uploaded yet.</p>
               )}
 
-              {/* Upload Proof of Work (Architects Only) */}
-              {!isAdmin() && post.status !== 'status-closed' && post.status !== 'status-submitted' && (
+              {/* Upload Proof of Work (Assigned Architects) */}
+              {can('posts:proof', post) && can('uploads:proof', post) && post.status !== 'status-closed' && post.status !== 'status-submitted' && (
                 <div className="border-t border-gray-200 pt-6">
                   <h3 className="text-lg font-medium text-gray-900 mb-3">Upload Your Proof of Work</h3>
                   <div className="border-2 border-dashed border-gray-300 rounded-md p-4 hover:border-blue-400 transition-colors">
@@ -557,8 +600,8 @@ const PostDetailPage = () => {
                 </div>
               )}
 
-              {/* Submit for Review (Architects with Proof) */}
-              {!isAdmin() && post.proofOfWork && post.proofOfWork.length > 0 &&
+              {/* Submit for Review (Architects with Proof, not the reviewers themselves) */}
+              {can('posts:status', post) && !can('posts:approve', post) && post.proofOfWork && post.proofOfWork.length > 0 &&
                post.status !== 'status-submitted' && post.status !== 'status-closed' && post.status !== 'status-pending' && (
                 <div className="border-t border-gray-200 pt-6 mt-6">
                   <div className="bg-green-50 border border-green-200 rounded-md p-4">
@@ -599,7 +642,7 @@ const PostDetailPage = () => {
                 <select
                   value={post.status}
                   onChange={(e) => handleStatusChange(e.target.value)}
-                  disabled={isUpdatingStatus}
+                  disabled={isUpdatingStatus || !can('posts:status', post)}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
                 >
                   <option value="status-new">New</option>
@@ -607,10 +650,16 @@ const PostDetailPage = () => {
                   <option value="status-submitted">Submitted</option>
                   <option value="status-pending">Pending Review</option>
                   <option value="status-escalate">Escalated</option>
-                  {isAdmin() && <option value="status-closed">Closed</option>}
+                  {(can('statuses:admin-only', post) || post.status === 'status-closed') && (
+                    <option value="status-closed">Closed</option>
+                  )}
                 </select>
                 <p className="mt-2 text-xs text-gray-500">
-                  {isAdmin() ? 'Admin can change to any status' : 'Architects can update task progress'}
+                  {can('statuses:admin-only', post)
+                    ? 'You can change to any status'
+                    : can('posts:status', post)
+                      ? 'You can update task progress'
+                      : 'Only assigned architects and reviewers can change the status'}
                 </p>
               </div>
             </div>
@@ -635,8 +684,8 @@ const PostDetailPage = () => {
                 <p className="text-sm text-gray-500 mb-4">Not assigned yet</p>
               )}
 
-              {/* Assignment Dropdown (Admin Only) */}
-              {isAdmin() && post.status !== 'status-closed' && (
+              {/* Assignment Dropdown */}
+              {can('posts:assign', post) && post.status !== 'status-closed' && (
                 <div className="border-t pt-4">
                   <label className="block text-sm font-medium text-gray-700 mb-2">
                     Assign Architect
@@ -717,6 +766,15 @@ const PostDetailPage = () => {
         post={post}
         onSendMessage={handleSendMessage}
       />
+
+      {/* Revision History */}
+      <PostHistoryModal
+        isOpen={isHistoryOpen}
+        onClose={() => setIsHistoryOpen(false)}
+        postId={id}
+        canRestore={can('posts:restore', post)}
+        onRestored={loadPost}
+      />
     </div>
   );
 };
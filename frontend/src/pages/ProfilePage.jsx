@@ -0,0 +1,557 @@
+/**
+ * Profile Page
+ * Account details, password, two-factor authentication and personal API
+ * tokens for CI jobs and scripts
+ */
+
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
+import { ROUTES } from '../utils/constants';
+import apiClient from '../services/apiClient';
+import RecoveryCodes from '../components/auth/RecoveryCodes';
+import TwoFactorEnrollment from '../components/auth/TwoFactorEnrollment';
+
+const SCOPE_DESCRIPTIONS = {
+  'posts:read': 'Read posts, their history and attachments',
+  'posts:write': 'Create, edit, assign, archive and delete posts',
+  'uploads:write': 'Upload and delete attachments and proof of work',
+  'config:admin': 'Admin configuration and backups',
+};
+
+const EXPIRY_OPTIONS = [7, 30, 90, 365];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'Never');
+
+const ProfilePage = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  const [tokens, setTokens] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // New token form
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState(['posts:read']);
+  const [expiresInDays, setExpiresInDays] = useState(30);
+  const [isCreating, setIsCreating] = useState(false);
+  const [createdToken, setCreatedToken] = useState(null);
+
+  // Two-factor authentication
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [newRecoveryCodes, setNewRecoveryCodes] = useState(null);
+  const [isUpdatingTwoFactor, setIsUpdatingTwoFactor] = useState(false);
+
+  // Change password
+  const [passwords, setPasswords] = useState({ current: '', next: '', confirm: '' });
+  const [isChangingPassword, setIsChangingPassword] = useState(false);
+
+  useEffect(() => {
+    loadTokens();
+    loadTwoFactor();
+  }, []);
+
+  const loadTwoFactor = async () => {
+    try {
+      const response = await apiClient.getTwoFactorStatus();
+      setTwoFactor(response.data);
+    } catch (err) {
+      setError('Failed to load two-factor status: ' + err.message);
+    }
+  };
+
+  /**
+   * Run a two-factor change with the shared code input and banners
+   */
+  const updateTwoFactor = async (action, failureMessage) => {
+    try {
+      setIsUpdatingTwoFactor(true);
+      setError('');
+      setSuccess('');
+      await action();
+      setTwoFactorCode('');
+      await loadTwoFactor();
+    } catch (err) {
+      setError(`${failureMessage}: ${err.message}`);
+    } finally {
+      setIsUpdatingTwoFactor(false);
+    }
+  };
+
+  const handleStartTwoFactor = () => updateTwoFactor(async () => {
+    const response = await apiClient.startTwoFactorSetup(twoFactorCode.trim() || undefined);
+    setEnrollment(response.data);
+  }, 'Failed to start two-factor setup');
+
+  const handleEnableTwoFactor = (e) => {
+    e.preventDefault();
+    return updateTwoFactor(async () => {
+      const response = await apiClient.enableTwoFactor(twoFactorCode.trim());
+      setEnrollment(null);
+      setNewRecoveryCodes(response.data.recoveryCodes);
+      setSuccess('Two-factor authentication is on.');
+    }, 'Failed to turn on two-factor authentication');
+  };
+
+  const handleRegenerateCodes = () => updateTwoFactor(async () => {
+    const response = await apiClient.regenerateRecoveryCodes(twoFactorCode.trim());
+    setNewRecoveryCodes(response.data.recoveryCodes);
+    setSuccess('New recovery codes issued. The old ones no longer work.');
+  }, 'Failed to replace recovery codes');
+
+  const handleDisableTwoFactor = () => {
+    if (!confirm('Turn off two-factor authentication? Your password alone will sign you in.')) {
+      return;
+    }
+    return updateTwoFactor(async () => {
+      await apiClient.disableTwoFactor(twoFactorCode.trim());
+      setNewRecoveryCodes(null);
+      setSuccess('Two-factor authentication is off.');
+    }, 'Failed to turn off two-factor authentication');
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    if (passwords.next !== passwords.confirm) {
+      setError('The new passwords do not match');
+      return;
+    }
+
+    try {
+      setIsChangingPassword(true);
+      const response = await apiClient.changePassword(passwords.current, passwords.next);
+      const { sessions } = response.data;
+      setPasswords({ current: '', next: '', confirm: '' });
+      setSuccess(sessions > 0
+        ? `Password changed. Signed out ${sessions} other session${sessions === 1 ? '' : 's'}.`
+        : 'Password changed.');
+    } catch (err) {
+      setError('Failed to change password: ' + err.message);
+    } finally {
+      setIsChangingPassword(false);
+    }
+  };
+
+  const loadTokens = async () => {
+    try {
+      setIsLoading(true);
+      const response = await apiClient.getApiTokens();
+      setTokens(response.data.tokens);
+      setAvailableScopes(response.data.scopes);
+    } catch (err) {
+      setError('Failed to load API tokens: ' + err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const toggleScope = (scope) => {
+    setScopes(current => (
+      current.includes(scope) ? current.filter(s => s !== scope) : [...current, scope]
+    ));
+  };
+
+  const handleCreateToken = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsCreating(true);
+      setError('');
+      setSuccess('');
+
+      const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString();
+      const response = await apiClient.createApiToken({ name, scopes, expiresAt });
+
+      setCreatedToken(response.data.token);
+      setName('');
+      setScopes(['posts:read']);
+      await loadTokens();
+    } catch (err) {
+      setError('Failed to create API token: ' + err.message);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleRevokeToken = async (token) => {
+    if (!confirm(`Revoke API token "${token.name}"? Anything using it will stop working immediately.`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      setSuccess('');
+      await apiClient.revokeApiToken(token.id);
+      setSuccess(`API token "${token.name}" revoked.`);
+      await loadTokens();
+    } catch (err) {
+      setError('Failed to revoke API token: ' + err.message);
+    }
+  };
+
+  const copyToken = () => {
+    navigator.clipboard.writeText(createdToken);
+    setSuccess('Copied to clipboard!');
+    setTimeout(() => setSuccess(''), 2000);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <button
+          onClick={() => navigate(ROUTES.DASHBOARD)}
+          className="mb-4 text-blue-600 hover:text-blue-800"
+        >
+          ← Back to Dashboard
+        </button>
+
+        {/* Account */}
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">Profile</h1>
+          <dl className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-sm">
+            <div>
+              <dt className="text-gray-500">Username</dt>
+              <dd className="font-medium text-gray-900">{user?.username}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500">Name</dt>
+              <dd className="font-medium text-gray-900">{user?.fullName}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500">Role</dt>
+              <dd className="font-medium text-gray-900">{user?.role}</dd>
+            </div>
+          </dl>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-600">{error}</p>
+          </div>
+        )}
+        {success && (
+          <div className="mb-4 p-4 bg-green-50 border border-green-200 rounded-md">
+            <p className="text-sm text-green-600">{success}</p>
+          </div>
+        )}
+
+        {/* Change Password */}
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <h2 className="text-xl font-semibold text-gray-900">Change Password</h2>
+          <p className="text-sm text-gray-600 mt-1 mb-6">
+            Your other sessions are signed out. Accounts using GitHub or single sign-on change
+            their password with the provider.
+          </p>
+          <form onSubmit={handleChangePassword} className="space-y-3 max-w-sm">
+            <input
+              type="password"
+              value={passwords.current}
+              onChange={(e) => setPasswords({ ...passwords, current: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Current password"
+              autoComplete="current-password"
+              required
+              disabled={isChangingPassword}
+            />
+            <input
+              type="password"
+              value={passwords.next}
+              onChange={(e) => setPasswords({ ...passwords, next: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="New password (at least 8 characters)"
+              autoComplete="new-password"
+              minLength={8}
+              required
+              disabled={isChangingPassword}
+            />
+            <input
+              type="password"
+              value={passwords.confirm}
+              onChange={(e) => setPasswords({ ...passwords, confirm: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Repeat new password"
+              autoComplete="new-password"
+              required
+              disabled={isChangingPassword}
+            />
+            <button
+              type="submit"
+              disabled={isChangingPassword}
+              className="px-4 py-2 bg-blue-600 text-white font-medium rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isChangingPassword ? 'Changing...' : 'Change Password'}
+            </button>
+          </form>
+        </div>
+
+        {/* Two-Factor Authentication */}
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <h2 className="text-xl font-semibold text-gray-900">Two-Factor Authentication</h2>
+          <p className="text-sm text-gray-600 mt-1 mb-6">
+            Password logins also ask for a code from an authenticator app.
+            GitHub and single sign-on use the provider&apos;s own second factor.
+          </p>
+
+          {newRecoveryCodes && (
+            <div className="mb-6 space-y-2">
+              <RecoveryCodes codes={newRecoveryCodes} />
+              <button
+                onClick={() => setNewRecoveryCodes(null)}
+                className="text-sm text-gray-600 hover:text-gray-900"
+              >
+                Done
+              </button>
+            </div>
+          )}
+
+          {!twoFactor ? (
+            <div className="text-center py-4">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+            </div>
+          ) : enrollment ? (
+            <form onSubmit={handleEnableTwoFactor} className="space-y-4 max-w-sm">
+              <TwoFactorEnrollment enrollment={enrollment} />
+              <input
+                type="text"
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder="6-digit code"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                required
+                disabled={isUpdatingTwoFactor}
+              />
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  disabled={isUpdatingTwoFactor}
+                  className="px-4 py-2 bg-blue-600 text-white font-medium rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isUpdatingTwoFactor ? 'Verifying...' : 'Turn On'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setEnrollment(null)}
+                  disabled={isUpdatingTwoFactor}
+                  className="px-4 py-2 text-sm text-gray-600 hover:text-gray-900"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : twoFactor.enabled ? (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-700">
+                <span className="font-medium text-green-700">On</span> since {formatDate(twoFactor.enabledAt)},{' '}
+                {twoFactor.recoveryCodesLeft} recovery code{twoFactor.recoveryCodesLeft === 1 ? '' : 's'} left.
+                {twoFactor.required && ' Required for your role.'}
+              </p>
+              <div className="flex flex-wrap items-center gap-2">
+                <input
+                  type="text"
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  className="w-40 px-3 py-2 border border-gray-300 rounded-md font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Current code"
+                  autoComplete="one-time-code"
+                  disabled={isUpdatingTwoFactor}
+                />
+                <button
+                  onClick={handleRegenerateCodes}
+                  disabled={isUpdatingTwoFactor || !twoFactorCode.trim()}
+                  className="px-3 py-2 bg-gray-100 text-gray-800 text-sm rounded hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  New Recovery Codes
+                </button>
+                <button
+                  onClick={handleStartTwoFactor}
+                  disabled={isUpdatingTwoFactor || !twoFactorCode.trim()}
+                  className="px-3 py-2 bg-gray-100 text-gray-800 text-sm rounded hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Move to New Device
+                </button>
+                {!twoFactor.required && (
+                  <button
+                    onClick={handleDisableTwoFactor}
+                    disabled={isUpdatingTwoFactor || !twoFactorCode.trim()}
+                    className="px-3 py-2 text-sm text-red-600 hover:text-red-800 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Turn Off
+                  </button>
+                )}
+              </div>
+            </div>
+          ) : (
+            <div className="flex items-center justify-between gap-4">
+              <p className="text-sm text-gray-700">
+                <span className="font-medium text-gray-900">Off.</span>
+                {twoFactor.required && ' Your role requires it: you will be asked to set it up at your next login.'}
+              </p>
+              <button
+                onClick={handleStartTwoFactor}
+                disabled={isUpdatingTwoFactor}
+                className="px-4 py-2 bg-blue-600 text-white font-medium rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Set Up
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* API Tokens */}
+        <div className="bg-white rounded-lg shadow p-6">
+          <h2 className="text-xl font-semibold text-gray-900">API Tokens</h2>
+          <p className="text-sm text-gray-600 mt-1 mb-6">
+            Tokens let CI jobs and scripts use the API as you, limited to the scopes you choose.
+            Send them as <code className="bg-gray-100 px-1 rounded">Authorization: Bearer &lt;token&gt;</code>.
+          </p>
+
+          {createdToken && (
+            <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-md">
+              <p className="text-sm font-medium text-yellow-800 mb-2">
+                Copy your new token now - it won't be shown again.
+              </p>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  readOnly
+                  value={createdToken}
+                  className="flex-1 px-3 py-2 bg-white border border-gray-300 rounded-md font-mono text-sm"
+                />
+                <button
+                  onClick={copyToken}
+                  className="px-3 py-2 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  Copy
+                </button>
+                <button
+                  onClick={() => setCreatedToken(null)}
+                  className="px-3 py-2 text-sm text-gray-600 hover:text-gray-900"
+                >
+                  Done
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Create token */}
+          <form onSubmit={handleCreateToken} className="mb-8 p-4 border border-gray-200 rounded-lg space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="token-name" className="block text-sm font-medium text-gray-700 mb-1">
+                  Name
+                </label>
+                <input
+                  id="token-name"
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="e.g. Nightly CI"
+                  maxLength={100}
+                  required
+                  disabled={isCreating}
+                />
+              </div>
+              <div>
+                <label htmlFor="token-expiry" className="block text-sm font-medium text-gray-700 mb-1">
+                  Expires after
+                </label>
+                <select
+                  id="token-expiry"
+                  value={expiresInDays}
+                  onChange={(e) => setExpiresInDays(Number(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  disabled={isCreating}
+                >
+                  {EXPIRY_OPTIONS.map(days => (
+                    <option key={days} value={days}>{days} days</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <fieldset>
+              <legend className="block text-sm font-medium text-gray-700 mb-2">Scopes</legend>
+              <div className="space-y-2">
+                {availableScopes.map(scope => (
+                  <label key={scope} className="flex items-start gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={scopes.includes(scope)}
+                      onChange={() => toggleScope(scope)}
+                      className="mt-1"
+                      disabled={isCreating}
+                    />
+                    <span>
+                      <span className="font-mono text-gray-900">{scope}</span>
+                      <span className="text-gray-600"> - {SCOPE_DESCRIPTIONS[scope]}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+
+            <button
+              type="submit"
+              disabled={isCreating || scopes.length === 0}
+              className="px-4 py-2 bg-blue-600 text-white font-medium rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isCreating ? 'Creating...' : 'Create Token'}
+            </button>
+          </form>
+
+          {/* Token list */}
+          {isLoading ? (
+            <div className="text-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+            </div>
+          ) : tokens.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-8">You have no API tokens.</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Scopes</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Expires</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Last Used</th>
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {tokens.map(token => (
+                  <tr key={token.id}>
+                    <td className="px-4 py-2 text-sm text-gray-900">{token.name}</td>
+                    <td className="px-4 py-2 text-xs font-mono text-gray-600">{token.scopes.join(', ')}</td>
+                    <td className="px-4 py-2 text-sm text-gray-600">{formatDate(token.expiresAt)}</td>
+                    <td className="px-4 py-2 text-sm text-gray-600">{formatDate(token.lastUsedAt)}</td>
+                    <td className="px-4 py-2 text-right">
+                      <button
+                        onClick={() => handleRevokeToken(token)}
+                        className="text-sm text-red-600 hover:text-red-800"
+                      >
+                        Revoke
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProfilePage;
@@ -6,10 +6,33 @@
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8080';
 
+// Auth endpoints whose 401s mean bad credentials, not an expired access token
+const NO_REFRESH_ENDPOINTS = [
+  '/api/auth/login',
+  '/api/auth/login/2fa',
+  '/api/auth/login/2fa/setup',
+  '/api/auth/setup',
+  '/api/auth/refresh',
+  '/api/auth/change-password',
+  '/api/auth/github/callback',
+  '/api/auth/oidc/callback',
+];
+
+// 401 codes that refuse the access token itself; those are refreshed on any
+// endpoint, since the request was turned away before its credentials were checked
+const ACCESS_TOKEN_ERRORS = ['TOKEN_EXPIRED', 'TOKEN_REVOKED', 'INVALID_TOKEN'];
+
+// How long a refused refresh waits for another tab to store the token it
+// rotated ours into, before giving up on the session
+const ROTATED_TOKEN_WAIT_MS = 1000;
+
 class ApiClient {
   constructor() {
     this.baseURL = API_BASE_URL;
     this.token = localStorage.getItem('auth_token');
+    this.refreshToken = localStorage.getItem('refresh_token');
+    this.refreshPromise = null;
+    this.sessionExpiredListeners = new Set();
   }
 
   /**
@@ -25,11 +48,134 @@ class ApiClient {
   }
 
   /**
-   * Clear authentication token
+   * Set refresh token
+   */
+  setRefreshToken(refreshToken) {
+    this.refreshToken = refreshToken;
+    if (refreshToken) {
+      localStorage.setItem('refresh_token', refreshToken);
+    } else {
+      localStorage.removeItem('refresh_token');
+    }
+  }
+
+  /**
+   * Store the token pair from login, setup or refresh
+   */
+  setSession({ token, refreshToken }) {
+    this.setToken(token);
+    this.setRefreshToken(refreshToken);
+  }
+
+  /**
+   * Clear authentication tokens
    */
   clearToken() {
     this.token = null;
+    this.refreshToken = null;
     localStorage.removeItem('auth_token');
+    localStorage.removeItem('refresh_token');
+  }
+
+  /**
+   * Register a callback for when the session ends and can't be refreshed
+   * @returns {Function} - Unsubscribe
+   */
+  onSessionExpired(listener) {
+    this.sessionExpiredListeners.add(listener);
+    return () => this.sessionExpiredListeners.delete(listener);
+  }
+
+  /**
+   * Exchange the refresh token for a new token pair
+   * Concurrent callers share one request, since each refresh token can only
+   * be used once
+   * @returns {Promise<boolean>} - Whether a new access token was obtained
+   */
+  refreshSession() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  async performRefresh() {
+    const usedToken = this.refreshToken;
+
+    if (!usedToken) {
+      return false;
+    }
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: usedToken }),
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        this.setSession(data.data);
+        return true;
+      }
+
+      // Server trouble (storage, rate limits): the session may well be fine,
+      // so keep the tokens and let a later request retry
+      if (response.status !== 401) {
+        return false;
+      }
+    } catch (error) {
+      console.error('API Error [/api/auth/refresh]:', error);
+      // Network trouble: keep the tokens so a later request can retry
+      return false;
+    }
+
+    // Another tab may have rotated the token first; use the one it stored
+    const storedToken = await this.waitForRotatedToken(usedToken);
+    if (storedToken) {
+      this.token = localStorage.getItem('auth_token');
+      this.refreshToken = storedToken;
+      return true;
+    }
+
+    this.clearToken();
+    this.sessionExpiredListeners.forEach(listener => listener());
+    return false;
+  }
+
+  /**
+   * The refresh token another tab stored in place of ours, if any
+   * That tab's refresh may have been accepted before ours was sent but not
+   * stored yet, so wait briefly for its `storage` event before answering
+   * @param {string} usedToken - The refresh token the server refused
+   * @returns {Promise<string|null>}
+   */
+  waitForRotatedToken(usedToken) {
+    const rotated = () => {
+      const stored = localStorage.getItem('refresh_token');
+      return stored && stored !== usedToken ? stored : null;
+    };
+
+    if (rotated() || typeof window === 'undefined') {
+      return Promise.resolve(rotated());
+    }
+
+    return new Promise((resolve) => {
+      const finish = () => {
+        clearTimeout(timer);
+        window.removeEventListener('storage', onStorage);
+        resolve(rotated());
+      };
+      const onStorage = () => {
+        if (rotated()) {
+          finish();
+        }
+      };
+      const timer = setTimeout(finish, ROTATED_TOKEN_WAIT_MS);
+      window.addEventListener('storage', onStorage);
+    });
   }
 
   /**
@@ -42,7 +188,7 @@ class ApiClient {
   /**
    * Make HTTP request to API
    */
-  async request(endpoint, options = {}) {
+  async request(endpoint, options = {}, isRetry = false) {
     const url = `${this.baseURL}${endpoint}`;
 
     const headers = {
@@ -62,8 +208,26 @@ class ApiClient {
 
       const data = await response.json();
 
+      // Access tokens are short-lived: refresh once and retry
+      if (response.status === 401 && !isRetry && this.refreshToken
+        && (ACCESS_TOKEN_ERRORS.includes(data.error?.code) || !NO_REFRESH_ENDPOINTS.includes(endpoint))) {
+        if (await this.refreshSession()) {
+          return this.request(endpoint, options, true);
+        }
+      }
+
       if (!response.ok) {
-        throw new Error(data.error?.message || `HTTP ${response.status}: ${response.statusText}`);
+        const error = new Error(data.error?.message || `HTTP ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        error.code = data.error?.code;
+        error.details = data.error?.details;
+        throw error;
+      }
+
+      // Expose the resource version for optimistic concurrency (If-Match)
+      const etag = response.headers.get('ETag');
+      if (etag) {
+        data.etag = etag;
       }
 
       return data;
@@ -92,7 +256,110 @@ class ApiClient {
     });
 
     if (response.success && response.data.token) {
-      this.setToken(response.data.token);
+      this.setSession(response.data);
+    }
+
+    return response;
+  }
+
+  async startTwoFactorEnrollment(challengeToken) {
+    return this.request('/api/auth/login/2fa/setup', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken }),
+    });
+  }
+
+  async completeTwoFactorLogin(challengeToken, code) {
+    const response = await this.request('/api/auth/login/2fa', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken, code }),
+    });
+
+    if (response.success && response.data.token) {
+      this.setSession(response.data);
+    }
+
+    return response;
+  }
+
+  async getInvite(token) {
+    return this.request('/api/auth/invite', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+  }
+
+  async acceptInvite(token, password) {
+    return this.request('/api/auth/invite/accept', {
+      method: 'POST',
+      body: JSON.stringify({ token, password }),
+    });
+  }
+
+  async requestPasswordReset(username) {
+    return this.request('/api/auth/password-reset', {
+      method: 'POST',
+      body: JSON.stringify({ username }),
+    });
+  }
+
+  async resetPassword(token, password) {
+    return this.request('/api/auth/password-reset/confirm', {
+      method: 'POST',
+      body: JSON.stringify({ token, password }),
+    });
+  }
+
+  async getSetupStatus() {
+    return this.request('/api/auth/setup');
+  }
+
+  async completeSetup({ setupToken, username, password, fullName }) {
+    const response = await this.request('/api/auth/setup', {
+      method: 'POST',
+      body: JSON.stringify({ setupToken, username, password, fullName }),
+    });
+
+    if (response.success && response.data.token) {
+      this.setSession(response.data);
+    }
+
+    return response;
+  }
+
+  async getAuthProviders() {
+    return this.request('/api/auth/providers');
+  }
+
+  async startGithubLogin() {
+    return this.request('/api/auth/github/start');
+  }
+
+  async completeGithubLogin(code, state) {
+    const response = await this.request('/api/auth/github/callback', {
+      method: 'POST',
+      body: JSON.stringify({ code, state }),
+    });
+
+    if (response.success && response.data.token) {
+      this.setSession(response.data);
+    }
+
+    return response;
+  }
+
+  async startOidcLogin() {
+    return this.request('/api/auth/oidc/start');
+  }
+
+  async completeOidcLogin(code, state, codeVerifier) {
+    const response = await this.request('/api/auth/oidc/callback', {
+      method: 'POST',
+      body: JSON.stringify({ code, state, codeVerifier }),
+    });
+
+    if (response.success && response.data.token) {
+      this.setSession(response.data);
     }
 
     return response;
@@ -108,10 +375,66 @@ class ApiClient {
     }
   }
 
+  async logoutEverywhere() {
+    try {
+      await this.request('/api/auth/logout-all', {
+        method: 'POST',
+      });
+    } finally {
+      this.clearToken();
+    }
+  }
+
   async getCurrentUser() {
     return this.request('/api/auth/me');
   }
 
+  async getPermissions() {
+    return this.request('/api/auth/permissions');
+  }
+
+  async getTwoFactorStatus() {
+    return this.request('/api/auth/2fa');
+  }
+
+  async startTwoFactorSetup(code) {
+    return this.request('/api/auth/2fa/setup', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  async enableTwoFactor(code) {
+    return this.request('/api/auth/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  async disableTwoFactor(code) {
+    return this.request('/api/auth/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  async regenerateRecoveryCodes(code) {
+    return this.request('/api/auth/2fa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  /**
+   * Change the signed-in user's password; their other sessions are ended
+   */
+  async changePassword(currentPassword, newPassword) {
+    return this.request('/api/auth/change-password', {
+      method: 'POST',
+      body: JSON.stringify({ currentPassword, newPassword }),
+    });
+  }
+
   async verifyToken(token) {
     return this.request('/api/auth/verify', {
       method: 'POST',
@@ -136,33 +459,78 @@ class ApiClient {
     });
   }
 
-  async updatePost(id, updates) {
+  /**
+   * Mutations accept an optional version (ETag) sent as If-Match;
+   * the server answers 409 CONFLICT if the post changed since then
+   */
+  async updatePost(id, updates, version) {
     return this.request(`/api/posts/${id}`, {
       method: 'PUT',
+      headers: version ? { 'If-Match': version } : {},
       body: JSON.stringify(updates),
     });
   }
 
-  async deletePost(id) {
+  async deletePost(id, version) {
     return this.request(`/api/posts/${id}`, {
       method: 'DELETE',
+      headers: version ? { 'If-Match': version } : {},
     });
   }
 
-  async archivePost(id, isArchived) {
+  async archivePost(id, isArchived, version) {
     return this.request(`/api/posts/${id}/archive`, {
       method: 'POST',
+      headers: version ? { 'If-Match': version } : {},
       body: JSON.stringify({ isArchived }),
     });
   }
 
-  async assignArchitects(id, assignedArchitects) {
+  async assignArchitects(id, assignedArchitects, version) {
     return this.request(`/api/posts/${id}/assign`, {
       method: 'POST',
+      headers: version ? { 'If-Match': version } : {},
       body: JSON.stringify({ assignedArchitects }),
     });
   }
 
+  /**
+   * Add a comment; the server sets author and time and appends it to the
+   * latest version, so no If-Match is needed
+   */
+  async addComment(id, message) {
+    return this.request(`/api/posts/${id}/conversations`, {
+      method: 'POST',
+      body: JSON.stringify({ message }),
+    });
+  }
+
+  async getTrash() {
+    return this.request('/api/posts/trash');
+  }
+
+  async restoreDeletedPost(id) {
+    return this.request(`/api/posts/trash/${id}/restore`, {
+      method: 'POST',
+    });
+  }
+
+  async getPostHistory(id, limit) {
+    return this.request(`/api/posts/${id}/history${limit ? `?limit=${limit}` : ''}`);
+  }
+
+  async getPostRevision(id, revision) {
+    return this.request(`/api/posts/${id}/history/${encodeURIComponent(revision)}`);
+  }
+
+  async restorePost(id, revision, version) {
+    return this.request(`/api/posts/${id}/restore`, {
+      method: 'POST',
+      headers: version ? { 'If-Match': version } : {},
+      body: JSON.stringify({ revision }),
+    });
+  }
+
   // ==================== Configuration ====================
 
   async getArchitects() {
@@ -184,6 +552,57 @@ class ApiClient {
     });
   }
 
+  // ==================== API Tokens ====================
+
+  async getApiTokens() {
+    return this.request('/api/tokens');
+  }
+
+  async createApiToken({ name, scopes, expiresAt }) {
+    return this.request('/api/tokens', {
+      method: 'POST',
+      body: JSON.stringify({ name, scopes, expiresAt }),
+    });
+  }
+
+  async revokeApiToken(id) {
+    return this.request(`/api/tokens/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getAuthSettings() {
+    return this.request('/api/config/settings/auth');
+  }
+
+  async updateAuthSettings(settings) {
+    return this.request('/api/config/settings/auth', {
+      method: 'PUT',
+      body: JSON.stringify(settings),
+    });
+  }
+
+  async resetUserTwoFactor(username) {
+    return this.request(`/api/config/users/${encodeURIComponent(username)}/2fa`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getLockouts() {
+    return this.request('/api/config/lockouts');
+  }
+
+  async unlockLogin(key) {
+    return this.request(`/api/config/lockouts/${encodeURIComponent(key)}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getLoginEvents(filters = {}) {
+    const query = new URLSearchParams(filters).toString();
+    return this.request(`/api/config/login-events${query ? `?${query}` : ''}`);
+  }
+
   async updateStatuses(statuses) {
     return this.request('/api/config/statuses', {
       method: 'PUT',
@@ -191,10 +610,68 @@ class ApiClient {
     });
   }
 
-  async createUser(username, password, role, fullName) {
+  async getInvites() {
+    return this.request('/api/config/invites');
+  }
+
+  /**
+   * Invite an architect; they choose their password from the emailed link
+   */
+  async inviteArchitect({ username, email, displayName, specialization }) {
+    return this.request('/api/config/invites', {
+      method: 'POST',
+      body: JSON.stringify({ username, email, displayName, specialization }),
+    });
+  }
+
+  async resendInvite(id) {
+    return this.request(`/api/config/invites/${encodeURIComponent(id)}/resend`, {
+      method: 'POST',
+    });
+  }
+
+  async revokeInvite(id) {
+    return this.request(`/api/config/invites/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async createUser(username, password, role, fullName, email) {
     return this.request('/api/config/users', {
       method: 'POST',
-      body: JSON.stringify({ username, password, role, fullName }),
+      body: JSON.stringify({ username, password, role, fullName, email }),
+    });
+  }
+
+  /**
+   * Change any of a user's fullName, email, role, password or active status
+   */
+  async updateUser(username, changes) {
+    return this.request(`/api/config/users/${encodeURIComponent(username)}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes),
+    });
+  }
+
+  async deleteUser(username) {
+    return this.request(`/api/config/users/${encodeURIComponent(username)}`, {
+      method: 'DELETE',
+    });
+  }
+
+  /**
+   * Activate or deactivate an architect together with their user account
+   */
+  async setArchitectStatus(username, status) {
+    return this.request(`/api/config/architects/${encodeURIComponent(username)}`, {
+      method: 'PUT',
+      body: JSON.stringify({ status }),
+    });
+  }
+
+  async deleteArchitect(username) {
+    return this.request(`/api/config/architects/${encodeURIComponent(username)}`, {
+      method: 'DELETE',
     });
   }
 
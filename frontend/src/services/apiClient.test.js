@@ -0,0 +1,152 @@
+/**
+ * API client: refreshing expired access tokens
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const store = new Map();
+vi.stubGlobal('localStorage', {
+  getItem: key => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: key => store.delete(key),
+});
+
+const { default: apiClient } = await import('./apiClient.js');
+
+const json = (status, body) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+const expired = () => json(401, { success: false, error: { code: 'TOKEN_EXPIRED', message: 'Token has expired' } });
+
+const refreshed = n => json(200, {
+  success: true,
+  data: { token: `access-${n}`, refreshToken: `refresh-${n}` },
+});
+
+describe('apiClient token refresh', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    store.clear();
+    apiClient.setSession({ token: 'access-0', refreshToken: 'refresh-0' });
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    // Other tabs announce their writes with `storage` events
+    vi.stubGlobal('window', new EventTarget());
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  const calls = path => fetchMock.mock.calls.filter(([url]) => url.endsWith(path));
+
+  it('refreshes an expired access token once and retries the request', async () => {
+    fetchMock.mockImplementation(async (url, options) => {
+      if (url.endsWith('/api/auth/refresh')) {
+        return refreshed(1);
+      }
+      return options.headers.Authorization === 'Bearer access-1'
+        ? json(200, { success: true, data: [] })
+        : expired();
+    });
+
+    await expect(apiClient.request('/api/posts')).resolves.toEqual({ success: true, data: [] });
+
+    expect(calls('/api/auth/refresh')).toHaveLength(1);
+    expect(JSON.parse(calls('/api/auth/refresh')[0][1].body)).toEqual({ refreshToken: 'refresh-0' });
+    expect(store.get('auth_token')).toBe('access-1');
+    expect(store.get('refresh_token')).toBe('refresh-1');
+  });
+
+  it('shares one refresh between requests that expire together', async () => {
+    fetchMock.mockImplementation(async (url, options) => {
+      if (url.endsWith('/api/auth/refresh')) {
+        return refreshed(1);
+      }
+      return options.headers.Authorization === 'Bearer access-1'
+        ? json(200, { success: true, data: url })
+        : expired();
+    });
+
+    await Promise.all([
+      apiClient.request('/api/posts'),
+      apiClient.request('/api/config/statuses'),
+      apiClient.request('/api/auth/me'),
+    ]);
+
+    expect(calls('/api/auth/refresh')).toHaveLength(1);
+  });
+
+  const reused = () => json(401, { success: false, error: { code: 'REFRESH_TOKEN_REUSED', message: 'Refresh token was already used' } });
+
+  it('ends the session when the refresh token is refused', async () => {
+    vi.useFakeTimers();
+    const listener = vi.fn();
+    const unsubscribe = apiClient.onSessionExpired(listener);
+
+    fetchMock.mockImplementation(async url => (url.endsWith('/api/auth/refresh') ? reused() : expired()));
+
+    const request = expect(apiClient.request('/api/posts')).rejects.toMatchObject({ status: 401, code: 'TOKEN_EXPIRED' });
+
+    // No other tab stores a newer token
+    await vi.advanceTimersByTimeAsync(999);
+    expect(listener).not.toHaveBeenCalled();
+    await vi.advanceTimersByTimeAsync(1);
+    await request;
+
+    expect(listener).toHaveBeenCalledOnce();
+    expect(apiClient.getToken()).toBeNull();
+    expect(store.has('refresh_token')).toBe(false);
+    unsubscribe();
+  });
+
+  it('waits for another tab that rotated the refresh token first to store it', async () => {
+    const listener = vi.fn();
+    const unsubscribe = apiClient.onSessionExpired(listener);
+
+    fetchMock.mockImplementation(async (url, options) => {
+      if (url.endsWith('/api/auth/refresh')) {
+        // The other tab's refresh won; it stores the new pair a little later
+        setTimeout(() => {
+          store.set('auth_token', 'access-1');
+          store.set('refresh_token', 'refresh-1');
+          window.dispatchEvent(new Event('storage'));
+        }, 50);
+        return reused();
+      }
+      return options.headers.Authorization === 'Bearer access-1'
+        ? json(200, { success: true, data: [] })
+        : expired();
+    });
+
+    await expect(apiClient.request('/api/posts')).resolves.toEqual({ success: true, data: [] });
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(calls('/api/auth/refresh')).toHaveLength(1);
+    expect(store.get('refresh_token')).toBe('refresh-1');
+    unsubscribe();
+  });
+
+  it('keeps the session when the refresh fails for another reason', async () => {
+    fetchMock.mockImplementation(async url => (url.endsWith('/api/auth/refresh')
+      ? json(500, { success: false, error: { code: 'REFRESH_FAILED', message: 'Failed to refresh session' } })
+      : expired()));
+
+    await expect(apiClient.request('/api/posts')).rejects.toMatchObject({ status: 401 });
+
+    expect(store.get('refresh_token')).toBe('refresh-0');
+  });
+
+  it('does not refresh when a sign-in is refused', async () => {
+    fetchMock.mockResolvedValue(json(401, { success: false, error: { code: 'INVALID_CREDENTIALS', message: 'Invalid username or password' } }));
+
+    await expect(apiClient.request('/api/auth/login', { method: 'POST' })).rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+
+    expect(calls('/api/auth/refresh')).toHaveLength(0);
+  });
+});
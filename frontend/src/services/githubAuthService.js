@@ -3,32 +3,28 @@
  * Handles GitHub OAuth 2.0 authentication flow
  */
 
-import { GITHUB_OAUTH, STORAGE_KEYS } from '../utils/constants';
-import { generateRandomString, buildUrl } from '../utils/helpers';
+import { STORAGE_KEYS } from '../utils/constants';
 import { logAuthEvent, logError } from '../utils/logger';
+import apiClient from './apiClient';
 
 /**
  * Initiate GitHub OAuth flow
- * Redirects user to GitHub authorization page
+ * The backend builds the authorization URL (it holds the OAuth app
+ * settings); the user is then redirected to GitHub
  */
-export const initiateOAuth = () => {
+export const initiateOAuth = async () => {
   try {
-    // Generate random state for CSRF protection
-    const state = generateRandomString(32);
-    sessionStorage.setItem(STORAGE_KEYS.OAUTH_STATE, state);
+    const response = await apiClient.startGithubLogin();
+    const { authorizeUrl, state } = response.data;
 
-    // Build authorization URL
-    const authUrl = buildUrl(GITHUB_OAUTH.AUTHORIZE_URL, {
-      client_id: GITHUB_OAUTH.CLIENT_ID,
-      redirect_uri: GITHUB_OAUTH.REDIRECT_URI,
-      scope: GITHUB_OAUTH.SCOPE,
-      state,
-    });
+    // Kept for CSRF protection: the callback must come back with the same state
+    sessionStorage.setItem(STORAGE_KEYS.OAUTH_STATE, state);
+    sessionStorage.setItem(STORAGE_KEYS.OAUTH_PROVIDER, 'github');
 
-    logAuthEvent('oauth_initiated', { redirectUri: GITHUB_OAUTH.REDIRECT_URI });
+    logAuthEvent('oauth_initiated');
 
     // Redirect to GitHub
-    window.location.href = authUrl;
+    window.location.href = authorizeUrl;
   } catch (error) {
     logError('Failed to initiate OAuth', error);
     throw error;
@@ -37,10 +33,11 @@ export const initiateOAuth = () => {
 
 /**
  * Handle OAuth callback
- * Exchange authorization code for access token
+ * The backend exchanges the code (the client secret can't live in the SPA)
+ * and signs the user in
  * @param {string} code - Authorization code from GitHub
  * @param {string} state - State parameter for CSRF validation
- * @returns {Promise<string>} - Access token
+ * @returns {Promise<Object>} - Session from the backend: { token, refreshToken, user }
  */
 export const handleCallback = async (code, state) => {
   try {
@@ -53,52 +50,18 @@ export const handleCallback = async (code, state) => {
 
     // Clean up stored state
     sessionStorage.removeItem(STORAGE_KEYS.OAUTH_STATE);
+    sessionStorage.removeItem(STORAGE_KEYS.OAUTH_PROVIDER);
 
-    // Note: GitHub OAuth token exchange requires a server-side component
-    // because client_secret cannot be exposed in client-side code.
-    //
-    // Option 1: Use GitHub OAuth App with a backend proxy
-    // Option 2: Use GitHub Apps with OAuth (no client_secret needed for device flow)
-    // Option 3: Use a serverless function (AWS Lambda, Netlify Functions, etc.)
-    //
-    // For now, we'll document this requirement and use a proxy endpoint
-
-    const proxyUrl = import.meta.env.VITE_OAUTH_PROXY_URL;
-
-    if (!proxyUrl) {
-      throw new Error('VITE_OAUTH_PROXY_URL environment variable not configured');
-    }
-
-    const response = await fetch(proxyUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        code,
-        redirect_uri: GITHUB_OAUTH.REDIRECT_URI,
-      }),
-    });
-
-    if (!response.ok) {
-      throw new Error(`OAuth token exchange failed: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-
-    if (data.error) {
-      throw new Error(data.error_description || data.error);
-    }
-
-    const accessToken = data.access_token;
+    const response = await apiClient.completeGithubLogin(code, state);
 
-    if (!accessToken) {
-      throw new Error('No access token received from GitHub');
+    // A two-factor step comes back as { twoFactor, challengeToken }
+    if (response.data.twoFactor) {
+      return response.data;
     }
 
-    logAuthEvent('oauth_completed', { hasToken: true });
+    logAuthEvent('oauth_completed', { username: response.data.user.username });
 
-    return accessToken;
+    return response.data;
   } catch (error) {
     logError('OAuth callback handling failed', error);
     throw error;
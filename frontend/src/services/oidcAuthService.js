@@ -0,0 +1,73 @@
+/**
+ * Single Sign-On Service
+ * Handles the OpenID Connect sign-in flow (authorization code with PKCE)
+ */
+
+import { STORAGE_KEYS } from '../utils/constants';
+import { logAuthEvent, logError } from '../utils/logger';
+import apiClient from './apiClient';
+
+/**
+ * Initiate single sign-on
+ * The backend builds the authorization URL from the provider's discovery
+ * document; the user is then redirected to the provider
+ */
+export const initiateOidcLogin = async () => {
+  try {
+    const response = await apiClient.startOidcLogin();
+    const { authorizeUrl, state, codeVerifier } = response.data;
+
+    // The callback must come back with the same state, and the code can
+    // only be redeemed with the verifier (PKCE)
+    sessionStorage.setItem(STORAGE_KEYS.OAUTH_STATE, state);
+    sessionStorage.setItem(STORAGE_KEYS.OIDC_CODE_VERIFIER, codeVerifier);
+    sessionStorage.setItem(STORAGE_KEYS.OAUTH_PROVIDER, 'oidc');
+
+    logAuthEvent('oidc_initiated');
+
+    window.location.href = authorizeUrl;
+  } catch (error) {
+    logError('Failed to initiate single sign-on', error);
+    throw error;
+  }
+};
+
+/**
+ * Handle the single sign-on callback
+ * @param {string} code - Authorization code from the provider
+ * @param {string} state - State parameter for CSRF validation
+ * @returns {Promise<Object>} - Session from the backend: { token, refreshToken, user }
+ */
+export const handleOidcCallback = async (code, state) => {
+  try {
+    const storedState = sessionStorage.getItem(STORAGE_KEYS.OAUTH_STATE);
+    const codeVerifier = sessionStorage.getItem(STORAGE_KEYS.OIDC_CODE_VERIFIER);
+
+    if (!storedState || storedState !== state) {
+      throw new Error('Invalid state parameter - possible CSRF attack');
+    }
+
+    sessionStorage.removeItem(STORAGE_KEYS.OAUTH_STATE);
+    sessionStorage.removeItem(STORAGE_KEYS.OIDC_CODE_VERIFIER);
+    sessionStorage.removeItem(STORAGE_KEYS.OAUTH_PROVIDER);
+
+    const response = await apiClient.completeOidcLogin(code, state, codeVerifier);
+
+    // A two-factor step comes back as { twoFactor, challengeToken }
+    if (response.data.twoFactor) {
+      return response.data;
+    }
+
+    logAuthEvent('oidc_completed', { username: response.data.user.username });
+
+    return response.data;
+  } catch (error) {
+    logError('Single sign-on callback handling failed', error);
+    throw error;
+  }
+};
+
+export default {
+  initiateOidcLogin,
+  handleOidcCallback,
+};
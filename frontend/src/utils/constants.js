@@ -34,10 +34,13 @@ export const ROUTES = {
   HOME: '/',
   LOGIN: '/login',
   CALLBACK: '/callback',
+  ACCEPT_INVITE: '/accept-invite',
+  RESET_PASSWORD: '/reset-password',
   DASHBOARD: '/dashboard',
   POST_DETAIL: '/posts/:id',
   CONTROL_PANEL: '/control-panel',
   ARCHIVE: '/archive',
+  PROFILE: '/profile',
   NOT_FOUND: '/404',
 };
 
@@ -80,6 +83,8 @@ export const STORAGE_KEYS = {
   AUTH_TOKEN: 'github_auth_token',
   USER: 'user',
   OAUTH_STATE: 'oauth_state',
+  OAUTH_PROVIDER: 'oauth_provider',
+  OIDC_CODE_VERIFIER: 'oidc_code_verifier',
 };
 
 // API Rate Limits
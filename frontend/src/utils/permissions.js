@@ -0,0 +1,52 @@
+/**
+ * Permission Checks
+ * Reads the grants from GET /api/auth/permissions, the same policy table the
+ * backend enforces, so the UI only offers what the server will allow
+ */
+
+/**
+ * Whether a grant condition holds for a post
+ * @param {string} condition - 'own' or 'assigned'
+ * @param {Object} user
+ * @param {Object} post
+ * @returns {boolean}
+ */
+const meetsCondition = (condition, user, post) => {
+  switch (condition) {
+    case 'own':
+      return post.createdBy === user.username;
+    case 'assigned':
+      return (post.assignedArchitects || []).includes(user.username);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Check whether a user may perform an action
+ * Without a post, grants that depend on one ('own', 'assigned') count as
+ * allowed, since the user can do it on at least some posts
+ * @param {Object} permissions - The user's grants, action -> grant
+ * @param {Object} user
+ * @param {string} action - e.g. 'posts:edit'
+ * @param {Object} [post]
+ * @returns {boolean}
+ */
+export const canPerform = (permissions, user, action, post = null) => {
+  const grant = permissions?.[action] ?? false;
+
+  if (!user || typeof grant === 'boolean') {
+    return Boolean(user) && grant;
+  }
+
+  if (!post) {
+    return true;
+  }
+
+  const conditions = Array.isArray(grant) ? grant : [grant];
+  return conditions.some(condition => meetsCondition(condition, user, post));
+};
+
+export default {
+  canPerform,
+};